@@ -0,0 +1,56 @@
+/**
+ * Proxy entry point — reads configuration from the environment and starts
+ * the server. See README "Backend proxy" for the variables.
+ */
+
+import { createProxyServer, DEFAULT_CONFIG } from './proxy.js';
+
+function parseUsers(spec) {
+    // "alice:token1,bob:token2" -> { token1: 'alice', token2: 'bob' }
+    const users = {};
+    (spec || '').split(',').map(s => s.trim()).filter(Boolean).forEach(pair => {
+        const idx = pair.indexOf(':');
+        if (idx > 0) users[pair.slice(idx + 1)] = pair.slice(0, idx);
+    });
+    return users;
+}
+
+function intEnv(name, fallback) {
+    const v = parseInt(process.env[name], 10);
+    return isNaN(v) ? fallback : v;
+}
+
+const env = process.env;
+let server;
+try {
+    server = createProxyServer({
+        port: intEnv('PORT', DEFAULT_CONFIG.port),
+        mondayUrl: env.MONDAY_API_URL || DEFAULT_CONFIG.mondayUrl,
+        llmUrl: env.LLM_API_URL || DEFAULT_CONFIG.llmUrl,
+        mondayToken: env.MONDAY_API_TOKEN || '',
+        llmApiKey: env.LLM_API_KEY || env.GROQ_API_KEY || '',
+        users: parseUsers(env.PROXY_USERS),
+        openAccess: env.PROXY_OPEN_ACCESS === '1',
+        quotas: {
+            mondayRequests: intEnv('QUOTA_MONDAY_REQUESTS', DEFAULT_CONFIG.quotas.mondayRequests),
+            llmRequests: intEnv('QUOTA_LLM_REQUESTS', DEFAULT_CONFIG.quotas.llmRequests),
+            llmTokens: intEnv('QUOTA_LLM_TOKENS', DEFAULT_CONFIG.quotas.llmTokens),
+            digestRequests: intEnv('QUOTA_DIGEST_REQUESTS', DEFAULT_CONFIG.quotas.digestRequests),
+        },
+        maxTokens: intEnv('LLM_MAX_TOKENS', DEFAULT_CONFIG.maxTokens),
+        allowedOrigins: (env.ALLOWED_ORIGINS || '*').split(',').map(s => s.trim()),
+        webhookHosts: (env.WEBHOOK_HOSTS || '').split(',').map(s => s.trim()).filter(Boolean),
+    });
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+server.listen(server.config.port, () => {
+    const users = Object.keys(server.config.users).length;
+    console.log(`BI proxy listening on :${server.config.port} (${users ? `${users} users` : 'open access'})`);
+    if (!users) console.warn('  PROXY_OPEN_ACCESS=1 — anyone who can reach the proxy uses its credentials');
+    if (!server.config.mondayToken) console.warn('  MONDAY_API_TOKEN not set — /api/monday disabled');
+    if (!server.config.llmApiKey) console.warn('  LLM_API_KEY not set — /api/llm disabled');
+    if (!server.config.webhookHosts.length) console.warn('  WEBHOOK_HOSTS not set — /api/digest disabled');
+});
@@ -0,0 +1,266 @@
+/**
+ * Mock Monday.com GraphQL server — answers the queries MondayClient sends from
+ * an in-memory set of boards and applies its mutations, so write-backs can be
+ * tried end to end without touching a real account.
+ *
+ *   npm run mock-monday                        # built-in sample boards on :4001
+ *   MOCK_BOARDS=boards.json npm run mock-monday
+ *
+ * MOCK_BOARDS is a JSON array of { id, name, columns, items } in the shape
+ * fetchBoardData returns. Point the proxy at it with MONDAY_API_URL=http://localhost:4001.
+ *
+ * Like Monday.com it pages items with cursors, reports `complexity` when asked
+ * and rejects queries once the per-minute complexity budget is spent. Faults
+ * queued with POST /faults make the next requests fail, one fault per request,
+ * to exercise MondayClient's retries and timeouts:
+ *
+ *   [{ "status": 500 }, { "status": 429, "retryAfter": 1 }, { "delayMs": 5000 }, { "errors": [{ "message": "…" }] }]
+ *
+ * Routes: POST / (GraphQL), GET /writes (mutations received), POST /faults, POST /reset
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import { pathToFileURL } from 'node:url';
+
+const SAMPLE_BOARDS = [
+    {
+        id: '1001',
+        name: 'Deal Funnel (mock)',
+        columns: [
+            { id: 'status', title: 'Deal Status', type: 'status' },
+            { id: 'prob', title: 'Closure Probability', type: 'status' },
+            { id: 'value', title: 'Masked Deal Value', type: 'numbers' },
+            { id: 'close', title: 'Tentative Close Date', type: 'date' },
+            { id: 'sector', title: 'Sector/service', type: 'dropdown' },
+        ],
+        items: [
+            ['2001', 'Naruto', ['Open', 'High', '450000', '2026-03-31', 'Mining']],
+            ['2002', 'Sasuke', ['Open', 'Low', '120000', '2025-11-15', 'Powerline']],
+            ['2003', 'Sakura', ['Won', 'High', '900000', '2025-09-01', 'Renewables']],
+            ['2004', 'Kakashi', ['On Hold', 'Medium', '300000', '', 'Railways']],
+        ],
+    },
+    {
+        id: '1002',
+        name: 'Work Order Tracker (mock)',
+        columns: [
+            { id: 'exec', title: 'Execution Status', type: 'status' },
+            { id: 'amount', title: 'Amount in Rupees (Excl of GST) (Masked)', type: 'numbers' },
+            { id: 'receivable', title: 'Amount Receivable (Masked)', type: 'numbers' },
+            { id: 'ar', title: 'AR Priority account', type: 'status' },
+        ],
+        items: [
+            ['3001', 'Sakura', ['Completed', '900000', '250000', '']],
+            ['3002', 'Naruto', ['Ongoing', '450000', '450000', 'Priority']],
+        ],
+    },
+].map(board => ({
+    ...board,
+    items: board.items.map(([id, name, texts]) => ({
+        id,
+        name,
+        updated_at: new Date().toISOString(),
+        column_values: board.columns.map((c, i) => ({ id: c.id, type: c.type, text: texts[i], value: null })),
+    })),
+}));
+
+/** How a change_column_value JSON value reads as column text. */
+function valueText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value);
+    if (value.label !== undefined) return String(value.label);
+    if (value.labels) return value.labels.join(', ');
+    if (value.date !== undefined) return value.date;
+    if (value.text !== undefined) return value.text;
+    return '';
+}
+
+class GraphQLError extends Error {
+    constructor(message, { status = 200, extensions } = {}) {
+        super(message);
+        this.status = status;
+        this.extensions = extensions;
+    }
+}
+
+// Rough stand-in for Monday's cost model: a base cost plus a share per item returned
+const QUERY_BASE_COST = 100;
+const ITEM_COST = 10;
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (err) {
+                reject(err);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Creates (but does not start) the mock server.
+ * @param options.boards initial boards; they are deep-copied so POST /reset can restore them
+ * @param options.budget complexity budget per `resetSeconds`
+ * @param options.pageSize items per page, so small boards can still be paged
+ */
+export function createMockMondayServer({ boards = SAMPLE_BOARDS, budget = 10000000, resetSeconds = 60, pageSize = 500 } = {}) {
+    let state = structuredClone(boards);
+    const writes = [];
+    const faults = [];
+    let nextUpdateId = 1;
+    let budgetWindow = { remaining: budget, resetAt: Date.now() + resetSeconds * 1000 };
+
+    const charge = (cost) => {
+        if (Date.now() >= budgetWindow.resetAt) budgetWindow = { remaining: budget, resetAt: Date.now() + resetSeconds * 1000 };
+        const resetIn = Math.ceil((budgetWindow.resetAt - Date.now()) / 1000);
+        if (cost > budgetWindow.remaining) {
+            throw new GraphQLError(`Complexity budget exhausted, query cost ${cost} budget remaining ${budgetWindow.remaining} out of ${budget} reset in ${resetIn} seconds`, {
+                status: 429,
+                extensions: { code: 'COMPLEXITY_BUDGET_EXHAUSTED', retry_in_seconds: resetIn },
+            });
+        }
+        const before = budgetWindow.remaining;
+        budgetWindow.remaining -= cost;
+        return { before, query: cost, after: budgetWindow.remaining, reset_in_x_seconds: resetIn };
+    };
+
+    const page = (board, offset, limit) => {
+        const size = Math.min(limit || pageSize, pageSize);
+        const items = board.items.slice(offset, offset + size);
+        const next = offset + size < board.items.length ? `${board.id}:${offset + size}` : null;
+        return { cursor: next, items };
+    };
+
+    const findBoard = (id) => {
+        const board = state.find(b => String(b.id) === String(id));
+        if (!board) throw new GraphQLError(`Board ${id} not found`);
+        return board;
+    };
+    const findItem = (id) => {
+        for (const board of state) {
+            const item = board.items.find(i => String(i.id) === String(id));
+            if (item) return { board, item };
+        }
+        throw new GraphQLError(`Item ${id} not found`);
+    };
+
+    // The client's queries are few and fixed, so dispatch on the root field rather than parsing GraphQL
+    function execute(query, variables = {}) {
+        if (query.includes('change_column_value')) {
+            const board = findBoard(variables.boardId);
+            const item = board.items.find(i => String(i.id) === String(variables.itemId));
+            if (!item) throw new GraphQLError(`Item ${variables.itemId} not found on board ${board.id}`);
+            const cell = item.column_values.find(cv => cv.id === variables.columnId);
+            if (!cell) throw new GraphQLError(`Column ${variables.columnId} not found`);
+            const value = JSON.parse(variables.value);
+            writes.push({ at: new Date().toISOString(), mutation: 'change_column_value', ...variables, from: cell.text });
+            cell.text = valueText(value);
+            cell.value = variables.value;
+            item.updated_at = new Date().toISOString();
+            return { change_column_value: { id: item.id } };
+        }
+        if (query.includes('create_update')) {
+            const { item } = findItem(variables.itemId);
+            if (!variables.body) throw new GraphQLError('Update body is empty');
+            const id = String(nextUpdateId++);
+            writes.push({ at: new Date().toISOString(), mutation: 'create_update', id, ...variables });
+            item.updated_at = new Date().toISOString();
+            return { create_update: { id } };
+        }
+        if (query.includes('next_items_page')) {
+            const [boardId, offset] = String(variables.cursor || '').split(':');
+            const board = findBoard(boardId);
+            return { next_items_page: page(board, Number(offset) || 0, variables.limit) };
+        }
+        if (/\bme\s*{/.test(query)) {
+            return { me: { name: 'Mock User', account: { slug: 'mock' } } };
+        }
+        if (query.includes('boards')) {
+            const inline = query.match(/ids:\s*\[([^\]]*)\]/);
+            const ids = variables.boardId || (inline ? inline[1].split(',').map(s => s.trim().replace(/"/g, '')) : null);
+            const selected = ids ? ids.map(findBoard) : state;
+            // The UPDATED_AT rule is ignored (every item is returned), which the client allows for
+            return {
+                boards: selected.map(b => ({
+                    id: b.id,
+                    name: b.name,
+                    columns: b.columns,
+                    items_count: b.items.length,
+                    items_page: page(b, 0, variables.limit),
+                })),
+            };
+        }
+        throw new GraphQLError('Query not supported by the mock server');
+    }
+
+    const server = http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, API-Version');
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+        const path = new URL(req.url, 'http://localhost').pathname;
+        if (req.method === 'GET' && path === '/writes') return sendJson(res, 200, writes);
+        if (req.method === 'POST' && path === '/faults') {
+            const queued = await readJson(req).catch(() => null);
+            if (!Array.isArray(queued)) return sendJson(res, 400, { error: 'Expected a JSON array of faults' });
+            faults.push(...queued);
+            return sendJson(res, 200, { queued: faults.length });
+        }
+        if (req.method === 'POST' && path === '/reset') {
+            state = structuredClone(boards);
+            writes.length = 0;
+            faults.length = 0;
+            budgetWindow = { remaining: budget, resetAt: Date.now() + resetSeconds * 1000 };
+            return sendJson(res, 200, { ok: true });
+        }
+        if (req.method !== 'POST') return sendJson(res, 404, { error: `No route for ${req.method} ${path}` });
+
+        try {
+            const { query = '', variables } = await readJson(req);
+            const fault = faults.shift();
+            if (fault?.delayMs) await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+            if (fault?.retryAfter) res.setHeader('Retry-After', String(fault.retryAfter));
+            if (fault?.status) return sendJson(res, fault.status, { errors: [{ message: fault.message || `Injected ${fault.status}` }] });
+            if (fault?.errors) return sendJson(res, 200, { errors: fault.errors });
+
+            const data = execute(query, variables);
+            if (/\bcomplexity\s*{/.test(query)) {
+                const pages = data.boards ? data.boards.map(b => b.items_page) : [data.next_items_page].filter(Boolean);
+                const items = pages.reduce((n, p) => n + p.items.length, 0);
+                data.complexity = charge(QUERY_BASE_COST + items * ITEM_COST);
+            }
+            sendJson(res, 200, { data });
+        } catch (err) {
+            // Like Monday.com, GraphQL errors come back with an errors array — a 200 unless rate limited
+            if (err instanceof GraphQLError) {
+                return sendJson(res, err.status, { errors: [{ message: err.message, ...(err.extensions ? { extensions: err.extensions } : {}) }] });
+            }
+            sendJson(res, 400, { error: err.message });
+        }
+    });
+
+    server.writes = writes;
+    return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.env.PORT, 10) || 4001;
+    const boards = process.env.MOCK_BOARDS ? JSON.parse(fs.readFileSync(process.env.MOCK_BOARDS, 'utf8')) : undefined;
+    createMockMondayServer({ boards }).listen(port, () => {
+        console.log(`Mock Monday.com GraphQL on :${port} (GET /writes lists mutations received)`);
+    });
+}
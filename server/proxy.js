@@ -0,0 +1,362 @@
+/**
+ * API Proxy — forwards Monday.com GraphQL and OpenAI-compatible chat-completion
+ * calls so credentials stay on the server, and relays alert digests to
+ * webhooks that can't be called from the browser. Callers authenticate with a
+ * per-user access token and are held to daily quotas.
+ *
+ * Upstream URLs are configurable, so the proxy can be pointed at local mock
+ * servers in development and tests.
+ */
+
+import http from 'node:http';
+import { Readable } from 'node:stream';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+export const DEFAULT_CONFIG = {
+    port: 8787,
+    mondayUrl: 'https://api.monday.com/v2',
+    llmUrl: 'https://api.groq.com/openai/v1/chat/completions',
+    mondayToken: '',
+    llmApiKey: '',
+    // access token -> user id; required unless openAccess is set
+    users: {},
+    // with no users, let every caller in as "anonymous" — local development only
+    openAccess: false,
+    quotas: {
+        mondayRequests: 1000,
+        llmRequests: 200,
+        llmTokens: 1000000,
+        digestRequests: 100,
+    },
+    maxTokens: 4096,
+    // host names digests may be relayed to; empty disables the relay
+    webhookHosts: [],
+    allowedOrigins: ['*'],
+};
+
+/**
+ * Tracks per-user usage in fixed daily windows.
+ */
+export class QuotaTracker {
+    constructor(limits, now = () => Date.now()) {
+        this.limits = limits;
+        this.now = now;
+        this.usage = new Map();
+    }
+
+    _entry(user) {
+        const windowStart = Math.floor(this.now() / DAY_MS) * DAY_MS;
+        let entry = this.usage.get(user);
+        if (!entry || entry.windowStart !== windowStart) {
+            entry = { windowStart, mondayRequests: 0, llmRequests: 0, llmTokens: 0, digestRequests: 0 };
+            this.usage.set(user, entry);
+        }
+        return entry;
+    }
+
+    /** Returns the name of the first exhausted limit among `kinds`, or null. */
+    exceeded(user, kinds) {
+        const entry = this._entry(user);
+        return kinds.find(k => this.limits[k] > 0 && entry[k] >= this.limits[k]) || null;
+    }
+
+    add(user, kind, amount = 1) {
+        this._entry(user)[kind] += amount;
+    }
+
+    report(user) {
+        const entry = this._entry(user);
+        return {
+            user,
+            resetsAt: new Date(entry.windowStart + DAY_MS).toISOString(),
+            usage: {
+                mondayRequests: entry.mondayRequests,
+                llmRequests: entry.llmRequests,
+                llmTokens: entry.llmTokens,
+                digestRequests: entry.digestRequests,
+            },
+            limits: { ...this.limits },
+        };
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Error bodies use the OpenAI shape so BIAgent's error handling applies unchanged
+function sendError(res, status, message) {
+    sendJson(res, status, { error: { message } });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function authenticate(req, users, openAccess) {
+    if (!Object.keys(users).length) return openAccess ? 'anonymous' : null;
+    const header = req.headers.authorization || '';
+    const token = header.replace(/^Bearer\s+/i, '').trim();
+    return users[token] || null;
+}
+
+function applyCors(req, res, allowedOrigins) {
+    const origin = req.headers.origin;
+    if (allowedOrigins.includes('*')) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, API-Version');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+}
+
+async function proxyMonday(req, res, config, quota, user) {
+    if (quota.exceeded(user, ['mondayRequests'])) {
+        // Retry-After tells MondayClient that backing off won't help before the window resets
+        const resetIn = Math.ceil((Date.parse(quota.report(user).resetsAt) - quota.now()) / 1000);
+        res.setHeader('Retry-After', String(Math.max(1, resetIn)));
+        return sendError(res, 429, 'Monday.com request quota exceeded for today');
+    }
+    const body = await readBody(req);
+    if (typeof body.query !== 'string') return sendError(res, 400, 'Missing GraphQL "query"');
+
+    quota.add(user, 'mondayRequests');
+    const upstream = await fetch(config.mondayUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': config.mondayToken,
+            'API-Version': req.headers['api-version'] || '2024-10',
+        },
+        body: JSON.stringify({ query: body.query, variables: body.variables || {} }),
+    });
+    const text = await upstream.text();
+    const retryAfter = upstream.headers.get('retry-after');
+    if (retryAfter) res.setHeader('Retry-After', retryAfter);
+    res.writeHead(upstream.status, { 'Content-Type': upstream.headers.get('content-type') || 'application/json' });
+    res.end(text);
+}
+
+/** Rough token count (~4 characters each) for upstreams that report no usage. */
+function estimateTokens(chars) {
+    return Math.ceil(chars / 4);
+}
+
+/**
+ * Forwards an SSE completion stream and returns its token count: the
+ * total_tokens of its usage chunk (OpenAI `usage`, Groq `x_groq.usage`), else
+ * an estimate from the prompt and the streamed reply so the quota still applies.
+ */
+async function pipeStream(webStream, res, promptChars) {
+    const decoder = new TextDecoder();
+    let tail = '';
+    let tokens = 0;
+    let replyChars = 0;
+    for await (const chunk of Readable.fromWeb(webStream)) {
+        // Client stopped the answer — leaving the loop cancels the upstream request too
+        if (res.destroyed) break;
+        res.write(chunk);
+        tail += decoder.decode(chunk, { stream: true });
+        const lines = tail.split('\n');
+        tail = lines.pop();
+        lines.forEach(line => {
+            const payload = line.replace(/^data:\s*/, '').trim();
+            if (!payload.startsWith('{')) return;
+            try {
+                const data = JSON.parse(payload);
+                tokens = (data.usage || data.x_groq?.usage)?.total_tokens || tokens;
+                const delta = data.choices?.[0]?.delta;
+                replyChars += (delta?.content || '').length;
+                delta?.tool_calls?.forEach(call => { replyChars += (call.function?.arguments || '').length; });
+            } catch { }
+        });
+    }
+    res.end();
+    return tokens || estimateTokens(promptChars + replyChars);
+}
+
+/** Sends the completion upstream; streams ask for a usage chunk, which older servers may reject. */
+async function fetchCompletion(config, body) {
+    const send = (payload) => fetch(config.llmUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${config.llmApiKey}`,
+        },
+        body: JSON.stringify(payload),
+    });
+    if (!body.stream) return send(body);
+    const upstream = await send({ ...body, stream_options: { ...body.stream_options, include_usage: true } });
+    if (upstream.status !== 400) return upstream;
+    const text = await upstream.text();
+    if (/stream_options|include_usage/i.test(text)) return send(body);
+    return new Response(text, { status: upstream.status, headers: upstream.headers });
+}
+
+async function proxyChat(req, res, config, quota, user) {
+    const limit = quota.exceeded(user, ['llmRequests', 'llmTokens']);
+    if (limit) return sendError(res, 429, `LLM quota exceeded for today (${limit})`);
+
+    const body = await readBody(req);
+    if (!Array.isArray(body.messages)) return sendError(res, 400, 'Missing "messages"');
+    body.max_tokens = Math.min(body.max_tokens || config.maxTokens, config.maxTokens);
+
+    quota.add(user, 'llmRequests');
+    const upstream = await fetchCompletion(config, body);
+
+    const contentType = upstream.headers.get('content-type') || 'application/json';
+    const promptChars = JSON.stringify(body.messages).length + (body.tools ? JSON.stringify(body.tools).length : 0);
+    if (body.stream && upstream.ok && upstream.body) {
+        res.writeHead(upstream.status, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+        quota.add(user, 'llmTokens', await pipeStream(upstream.body, res, promptChars));
+        return;
+    }
+
+    const text = await upstream.text();
+    if (upstream.ok) {
+        let tokens = 0;
+        try {
+            tokens = JSON.parse(text).usage?.total_tokens || 0;
+        } catch { }
+        quota.add(user, 'llmTokens', tokens || estimateTokens(promptChars + text.length));
+    }
+    res.writeHead(upstream.status, { 'Content-Type': contentType });
+    res.end(text);
+}
+
+/** The upstream's model list, from the /models endpoint next to the configured completions URL. */
+async function proxyModels(res, config) {
+    const url = config.llmUrl.replace(/\/chat\/completions\/?$/, '/models');
+    const upstream = await fetch(url, { headers: { 'Authorization': `Bearer ${config.llmApiKey}` } });
+    const text = await upstream.text();
+    res.writeHead(upstream.status, { 'Content-Type': upstream.headers.get('content-type') || 'application/json' });
+    res.end(text);
+}
+
+/** Whether digests may be posted to `url` — only hosts the operator listed, never arbitrary ones. */
+function webhookAllowed(url, hosts) {
+    return /^https?:$/.test(url.protocol) && hosts.includes(url.hostname);
+}
+
+/**
+ * Posts a digest `{ webhookUrl, payload }` to the webhook. Only whether it was
+ * accepted is reported back — the webhook's reply is not passed through.
+ */
+async function relayDigest(req, res, config, quota, user) {
+    if (!config.webhookHosts.length) return sendError(res, 403, 'Proxy has no WEBHOOK_HOSTS configured — digest relay is disabled');
+    const exceeded = quota.exceeded(user, ['digestRequests']);
+    if (exceeded) return sendError(res, 429, `Daily ${exceeded} quota exhausted`);
+
+    const { webhookUrl, payload } = await readBody(req);
+    let url;
+    try {
+        url = new URL(webhookUrl);
+    } catch {
+        return sendError(res, 400, 'webhookUrl is not a valid URL');
+    }
+    if (!webhookAllowed(url, config.webhookHosts)) {
+        return sendError(res, 403, `Proxy does not relay digests to ${url.host}`);
+    }
+
+    quota.add(user, 'digestRequests');
+    const upstream = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload ?? {}),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    await upstream.body?.cancel();
+    if (!upstream.ok) return sendError(res, 502, `Webhook returned ${upstream.status}`);
+    sendJson(res, 200, { ok: true });
+}
+
+/**
+ * Creates (but does not start) the proxy HTTP server.
+ * Routes: GET /api/health, GET /api/quota, POST /api/monday, GET /api/llm/models, POST /api/llm/chat/completions,
+ * POST /api/digest
+ */
+export function createProxyServer(overrides = {}) {
+    const config = {
+        ...DEFAULT_CONFIG,
+        ...overrides,
+        quotas: { ...DEFAULT_CONFIG.quotas, ...overrides.quotas },
+    };
+    // Without access tokens anyone who can reach the proxy spends the server's credentials
+    if (!Object.keys(config.users).length && !config.openAccess) {
+        throw new Error('No proxy users configured — set PROXY_USERS, or PROXY_OPEN_ACCESS=1 to let anyone who can reach the proxy in');
+    }
+    const quota = overrides.quotaTracker || new QuotaTracker(config.quotas);
+
+    const server = http.createServer(async (req, res) => {
+        applyCors(req, res, config.allowedOrigins);
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        const path = new URL(req.url, 'http://localhost').pathname;
+        if (req.method === 'GET' && path === '/api/health') {
+            return sendJson(res, 200, {
+                ok: true,
+                monday: !!config.mondayToken,
+                llm: !!config.llmApiKey,
+                digest: config.webhookHosts.length > 0,
+            });
+        }
+
+        const user = authenticate(req, config.users, config.openAccess);
+        if (!user) return sendError(res, 401, 'Invalid or missing proxy access token');
+
+        try {
+            if (req.method === 'GET' && path === '/api/quota') return sendJson(res, 200, quota.report(user));
+            if (req.method === 'POST' && path === '/api/monday') {
+                if (!config.mondayToken) return sendError(res, 503, 'Proxy has no Monday.com token configured');
+                return await proxyMonday(req, res, config, quota, user);
+            }
+            if (req.method === 'GET' && path === '/api/llm/models') {
+                if (!config.llmApiKey) return sendError(res, 503, 'Proxy has no LLM API key configured');
+                return await proxyModels(res, config);
+            }
+            if (req.method === 'POST' && path === '/api/llm/chat/completions') {
+                if (!config.llmApiKey) return sendError(res, 503, 'Proxy has no LLM API key configured');
+                return await proxyChat(req, res, config, quota, user);
+            }
+            if (req.method === 'POST' && path === '/api/digest') return await relayDigest(req, res, config, quota, user);
+            sendError(res, 404, `No route for ${req.method} ${path}`);
+        } catch (err) {
+            if (res.headersSent) return res.destroy(err);
+            sendError(res, err.status || 502, err.status ? err.message : `Upstream request failed: ${err.message}`);
+        }
+    });
+
+    server.quota = quota;
+    server.config = config;
+    return server;
+}
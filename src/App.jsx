@@ -1,9 +1,40 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { MondayClient } from './lib/monday';
+import { MondayClient, itemUrl } from './lib/monday';
 import { cleanBoardData, dataToContext } from './lib/dataCleaner';
 import { BIAgent } from './lib/agent';
+import { importBoardFile } from './lib/fileImport';
+import { describeSnapshot, formatSnapshot, formatAge } from './lib/snapshot';
+import { getCachedBoard, putCachedBoard, mergeBoardChanges } from './lib/boardCache';
+import { loadImports, saveImports } from './lib/importStore';
+import { recordSnapshot } from './lib/history';
+import { PROVIDERS, BEARER_AUTH, getProvider, resolveProvider, listModels } from './lib/providers';
+import { linkBoards, loadLinkOverrides, saveLinkOverrides } from './lib/linker';
+import { BOARD_KINDS, resolveSchema, saveSchema } from './lib/schema';
+import { analyzeQuality } from './lib/dataQuality';
+import { applyChange } from './lib/writeBack';
+import { loadForecastConfig, saveForecastConfig } from './lib/forecast';
+import {
+    evaluateRules, trackAlerts, markAlertsSeen, loadRules, saveRules,
+    loadDigestConfig, saveDigestConfig, isDigestDue, sendDigest,
+} from './lib/alerts';
+import { listThreads, getThread, upsertThread, renameThread, deleteThread, newThreadId, deriveTitle } from './lib/threadStore';
+import ChartView from './components/ChartView';
+import ThreadSidebar from './components/ThreadSidebar';
+import ExportMenu from './components/ExportMenu';
+import LinkReview from './components/LinkReview';
+import SchemaMapping from './components/SchemaMapping';
+import DataQuality from './components/DataQuality';
+import ChangeProposal from './components/ChangeProposal';
+import ContextUsed from './components/ContextUsed';
+import VerificationBadge from './components/VerificationBadge';
+import CitationDrawer from './components/CitationDrawer';
+import { citationNumber, stripCitations } from './lib/citations';
+import WriteLog from './components/WriteLog';
+import Alerts from './components/Alerts';
+import Forecast from './components/Forecast';
+import Scorecards from './components/Scorecards';
 
 const SUGGESTED_QUERIES = [
     "How's our pipeline looking this quarter?",
@@ -14,63 +45,285 @@ const SUGGESTED_QUERIES = [
     "What's our collection efficiency?",
     "Top 10 deals by value that are still open",
     "Compare mining vs renewables performance",
+    "What moved since last week?",
 ];
 
 const STORAGE_KEY = 'monday_bi_settings';
 
 function loadSettings() {
+    const defaults = {
+        // Credentials belong on the proxy; direct keys are only ever typed in by the user, never built in
+        connection: 'proxy',
+        proxyUrl: import.meta.env.VITE_PROXY_URL || '',
+        proxyToken: '',
+        mondayToken: '',
+        llmProvider: import.meta.env.VITE_LLM_PROVIDER || 'groq',
+        llmBaseUrl: import.meta.env.VITE_LLM_BASE_URL || '',
+        llmApiKey: '',
+        llmModel: import.meta.env.VITE_LLM_MODEL || '',
+        llmMaxTokens: '',
+        llmContextBudget: '',
+        llmAuthHeader: '',
+        llmAuthPrefix: 'Bearer ',
+        dataSource: 'monday',
+        boards: [],             // [{ id, kind }] — kind is a board role from BOARD_KINDS
+        refreshMinutes: 15,
+    };
     try {
         const saved = localStorage.getItem(STORAGE_KEY);
-        if (saved) return JSON.parse(saved);
+        if (saved) {
+            const { groqKey, dealsBoardId, workOrdersBoardId, ...rest } = JSON.parse(saved);
+            // Settings saved before providers were configurable only had a Groq key
+            const llm = groqKey && !rest.llmApiKey ? { llmProvider: 'groq', llmApiKey: groqKey } : {};
+            // ...and before the proxy, every saved setup used direct keys
+            const connection = rest.connection || (rest.mondayToken || rest.llmApiKey || groqKey ? 'direct' : defaults.connection);
+            // ...and before multi-board support, exactly one Deals and one Work Orders board
+            const boards = rest.boards || [
+                dealsBoardId && { id: dealsBoardId, kind: 'deals' },
+                workOrdersBoardId && { id: workOrdersBoardId, kind: 'work_orders' },
+            ].filter(Boolean);
+            return { ...defaults, ...llm, ...rest, connection, boards };
+        }
     } catch { }
-    return {
-        mondayToken: import.meta.env.VITE_MONDAY_API_TOKEN || '',
-        groqKey: import.meta.env.VITE_GROQ_API_KEY || '',
-        dealsBoardId: '',
-        workOrdersBoardId: '',
-    };
+    return defaults;
 }
 
 function saveSettings(s) {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(s));
 }
 
+/**
+ * Boards to load as [{ id, kind }]. The id is the Monday board id, or
+ * file:<slot> for imports; it is also the key the column mapping is saved under.
+ */
+function boardSources(s) {
+    if (s.dataSource === 'file') {
+        return [{ id: 'file:deals', kind: 'deals', slot: 'deals' }, { id: 'file:workOrders', kind: 'work_orders', slot: 'workOrders' }];
+    }
+    return (s.boards || []).filter(b => b.id);
+}
+
+/**
+ * Tool board key: the kind for the first board of each kind ("deals" and
+ * "work_orders" are what linking and history build on), a slug of the name
+ * for custom boards, with _2, _3… for repeats.
+ */
+function boardKey(kind, name, used) {
+    const base = kind === 'generic'
+        ? (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'board'
+        : kind;
+    let key = base;
+    for (let n = 2; used.has(key); n++) key = `${base}_${n}`;
+    used.add(key);
+    return key;
+}
+
+/* In proxy mode credentials live on the server; the browser only holds a proxy access token */
+function proxyBase(s) {
+    return (s.proxyUrl || '').replace(/\/+$/, '');
+}
+
+function createMondayClient(s) {
+    if (s.connection === 'proxy') return new MondayClient(s.proxyToken, { apiUrl: `${proxyBase(s)}/api/monday` });
+    return new MondayClient(s.mondayToken);
+}
+
+/* Through the proxy the provider only contributes its model list and token limits */
+function llmEndpoint(s) {
+    const provider = resolveProvider(s);
+    if (s.connection === 'proxy') {
+        return { provider: { ...provider, baseUrl: `${proxyBase(s)}/api/llm`, auth: BEARER_AUTH }, apiKey: s.proxyToken };
+    }
+    return { provider, apiKey: s.llmApiKey };
+}
+
+function createAgent(s) {
+    const { provider, apiKey } = llmEndpoint(s);
+    return new BIAgent(apiKey, { provider });
+}
+
+function hasLlmAccess(s) {
+    if (s.connection === 'proxy') return true;
+    const provider = resolveProvider(s);
+    return !!provider.baseUrl && provider.models.length > 0 && (!provider.requiresKey || !!s.llmApiKey);
+}
+
+function hasMondayAccess(s) {
+    return s.connection === 'proxy' || !!s.mondayToken;
+}
+
+/**
+ * Loads one Monday.com board through the local cache.
+ * mode 'cache' serves the cached copy when present, 'incremental' fetches only
+ * items changed since the last sync, 'full' refetches everything.
+ */
+async function loadMondayBoard(client, boardId, mode) {
+    const cached = mode === 'full' ? null : await getCachedBoard(boardId).catch(() => null);
+    if (cached && mode === 'cache') {
+        return { raw: cached.raw, syncedAt: cached.syncedAt, fromCache: true, changed: 0 };
+    }
+
+    // Stamp the sync at its start so edits made while fetching are picked up next time
+    const syncedAt = new Date().toISOString();
+    let raw;
+    let changed;
+    if (cached) {
+        const changes = await client.fetchBoardChanges(boardId, cached.syncedAt);
+        const merged = mergeBoardChanges(cached.raw, changes);
+        raw = merged.raw;
+        changed = merged.changed + merged.removed;
+    } else {
+        raw = await client.fetchBoardData(boardId);
+        changed = raw.items.length;
+    }
+    await putCachedBoard(boardId, raw, syncedAt).catch(err => console.warn('Could not cache board:', err));
+    return { raw, syncedAt, fromCache: false, changed };
+}
+
+/**
+ * Fetches raw { name, columns, items } for every selected board from the
+ * configured source — Monday.com (via the local cache), or files imported
+ * through Settings. Returns [{ id, kind, raw }] plus when the oldest board was last synced.
+ */
+async function fetchRawBoards(s, onProgress, mode = 'cache') {
+    const sources = boardSources(s);
+    if (s.dataSource === 'file') {
+        const imports = await loadImports();
+        if (!imports?.deals || !imports?.workOrders) throw new Error('No imported files found — load both boards from file in Settings');
+        return {
+            boards: sources.map(b => ({ id: b.id, kind: b.kind, raw: imports[b.slot] })),
+            syncedAt: imports.importedAt,
+            fromCache: true,
+            changed: 0,
+        };
+    }
+    if (!sources.length) throw new Error('No boards selected — pick at least one board in Settings');
+    const client = createMondayClient(s);
+    const boards = [];
+    let syncedAt = null;
+    let fromCache = false;
+    let changed = 0;
+    for (const [i, source] of sources.entries()) {
+        onProgress(`Loading ${BOARD_KINDS[source.kind] || 'board'} board (${i + 1} of ${sources.length})...`);
+        const loaded = await loadMondayBoard(client, source.id, mode);
+        boards.push({ id: source.id, kind: source.kind, raw: loaded.raw });
+        if (!syncedAt || loaded.syncedAt < syncedAt) syncedAt = loaded.syncedAt;
+        fromCache = fromCache || loaded.fromCache;
+        changed += loaded.changed;
+    }
+    return { boards, syncedAt, fromCache, changed };
+}
+
+function freshnessColor(s, syncedAt, now) {
+    if (!syncedAt) return 'amber';
+    const age = now - Date.parse(syncedAt);
+    if (age <= (Number(s.refreshMinutes) || 15) * 60000) return 'green';
+    return age <= 24 * 60 * 60000 ? 'amber' : 'red';
+}
+
+function qualityColor(boards) {
+    const issues = boards.flatMap(b => b.quality.issues);
+    if (issues.some(i => i.severity === 'high')) return 'red';
+    return issues.some(i => i.severity === 'medium') ? 'amber' : 'green';
+}
+
+function alertColor(alerts) {
+    if (alerts.some(a => a.severity === 'high')) return 'red';
+    return alerts.length ? 'amber' : 'green';
+}
+
+// How often the digest schedule is checked while the app is open
+const DIGEST_CHECK_MS = 60000;
+
+function isStale(s, syncedAt) {
+    const minutes = Number(s.refreshMinutes) || 15;
+    return !syncedAt || Date.now() - Date.parse(syncedAt) > minutes * 60000;
+}
+
+function isConfigured(s) {
+    if (!hasLlmAccess(s)) return false;
+    // Imports live in IndexedDB; fetchRawBoards reports them if they have gone missing
+    if (s.dataSource === 'file') return true;
+    return !!(hasMondayAccess(s) && boardSources(s).length);
+}
+
 export default function App() {
     const [settings, setSettings] = useState(loadSettings);
     const [showSettings, setShowSettings] = useState(false);
     const [boards, setBoards] = useState([]);
     const [status, setStatus] = useState({ phase: 'init', message: '' });
-    const [dealsData, setDealsData] = useState(null);
-    const [workOrdersData, setWorkOrdersData] = useState(null);
+    const [loadedBoards, setLoadedBoards] = useState([]);
     const [messages, setMessages] = useState([]);
     const [input, setInput] = useState('');
     const [loading, setLoading] = useState(false);
     const [agent, setAgent] = useState(null);
+    const [snapshot, setSnapshot] = useState(null);
+    const [threads, setThreads] = useState([]);
+    const [threadId, setThreadId] = useState(null);
+    const [threadSnapshot, setThreadSnapshot] = useState(null);
+    const [showThreads, setShowThreads] = useState(false);
+    const [syncedAt, setSyncedAt] = useState(null);
+    const [syncing, setSyncing] = useState(false);
+    const [syncError, setSyncError] = useState(null);
+    const [now, setNow] = useState(Date.now());
+    const [linkOverrides, setLinkOverrides] = useState(loadLinkOverrides);
+    const [linkResult, setLinkResult] = useState(null);
+    const [showLinks, setShowLinks] = useState(false);
+    const [streamText, setStreamText] = useState('');
+    const [showQuality, setShowQuality] = useState(false);
+    const [mondaySlug, setMondaySlug] = useState(null);
+    const [showWriteLog, setShowWriteLog] = useState(false);
+    const [rules, setRules] = useState([]);
+    const [alerts, setAlerts] = useState([]);
+    const [alertNotes, setAlertNotes] = useState({});
+    const [showAlerts, setShowAlerts] = useState(false);
+    const [showForecast, setShowForecast] = useState(false);
+    const [showScorecards, setShowScorecards] = useState(false);
+    const [openCitation, setOpenCitation] = useState(null);
 
     const chatEndRef = useRef(null);
+    const agentRef = useRef(null);
+    const syncingRef = useRef(false);
+    const abortRef = useRef(null);
+    const rawBoardsRef = useRef(null);
+    const messagesRef = useRef(messages);
+    const alertsRef = useRef(alerts);
+
+    // Core boards — linking, history and the link review build on these
+    const dealsData = loadedBoards.find(b => b.key === 'deals')?.cleaned || null;
+    const workOrdersData = loadedBoards.find(b => b.key === 'work_orders')?.cleaned || null;
     const inputRef = useRef(null);
 
     // Check if we need to show settings
     useEffect(() => {
-        if (!settings.mondayToken || !settings.groqKey) {
+        if (settings.dataSource === 'file') {
+            if (!isConfigured(settings)) setShowSettings(true);
+            else loadImports().then(saved => (saved ? loadData() : setShowSettings(true)), () => setShowSettings(true));
+        } else if (!hasMondayAccess(settings) || !hasLlmAccess(settings)) {
             setShowSettings(true);
             setStatus({ phase: 'needSetup', message: 'Please configure your API keys' });
-        } else if (!settings.dealsBoardId || !settings.workOrdersBoardId) {
+        } else if (!boardSources(settings).length) {
             fetchBoards();
         } else {
             loadData();
         }
     }, []);
 
+    const refreshThreads = useCallback(() => {
+        listThreads().then(setThreads).catch(() => setThreads([]));
+    }, []);
+
+    useEffect(refreshThreads, [refreshThreads]);
+
     // Scroll to bottom
     useEffect(() => {
         chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-    }, [messages, loading]);
+    }, [messages, loading, streamText]);
 
     const fetchBoards = useCallback(async () => {
         setStatus({ phase: 'connecting', message: 'Connecting to Monday.com...' });
         try {
-            const client = new MondayClient(settings.mondayToken);
+            const client = createMondayClient(settings);
             const result = await client.testConnection();
             if (!result.success) throw new Error(result.error);
             const boardList = await client.fetchBoards();
@@ -81,36 +334,186 @@ export default function App() {
             setStatus({ phase: 'error', message: err.message });
             setShowSettings(true);
         }
-    }, [settings.mondayToken]);
+    }, [settings]);
 
-    const loadData = useCallback(async () => {
-        setStatus({ phase: 'loading', message: 'Fetching data from Monday.com...' });
+    useEffect(() => {
+        agentRef.current = agent;
+    }, [agent]);
+
+    useEffect(() => {
+        messagesRef.current = messages;
+    }, [messages]);
+
+    useEffect(() => {
+        alertsRef.current = alerts;
+    }, [alerts]);
+
+    /** Re-evaluates the alert rules (saved, or the starter rules) over freshly loaded boards. */
+    const runAlerts = useCallback(async (s, loaded, ruleList) => {
+        const boardMap = Object.fromEntries(loaded.map(b => [b.key, b.cleaned]));
+        const active = ruleList || loadRules(boardMap);
+        setRules(active);
         try {
-            const client = new MondayClient(settings.mondayToken);
-
-            setStatus({ phase: 'loading', message: 'Loading Deals board...' });
-            const dealsRaw = await client.fetchBoardData(settings.dealsBoardId);
-            const dealsCleaned = cleanBoardData(dealsRaw);
-            setDealsData(dealsCleaned);
-
-            setStatus({ phase: 'loading', message: 'Loading Work Orders board...' });
-            const woRaw = await client.fetchBoardData(settings.workOrdersBoardId);
-            const woCleaned = cleanBoardData(woRaw);
-            setWorkOrdersData(woCleaned);
-
-            // Init AI agent
-            const biAgent = new BIAgent(settings.groqKey);
-            biAgent.setDataContext(
-                dataToContext(dealsCleaned),
-                dataToContext(woCleaned)
+            const result = await evaluateRules(active, boardMap, { source: s.dataSource });
+            setAlerts(trackAlerts(result.alerts));
+            setAlertNotes(result.notes);
+        } catch (err) {
+            console.warn('Could not evaluate alerts:', err);
+        }
+    }, []);
+
+    /**
+     * Cleans raw boards and (re)initialises the agent. With keepChat the current
+     * agent keeps its conversation and just sees the refreshed data.
+     */
+    const applyBoards = useCallback((s, result, { keepChat = false } = {}) => {
+        rawBoardsRef.current = result;
+        const used = new Set();
+        const loaded = result.boards.map(({ id, kind, raw }) => {
+            const cleaned = cleanBoardData(raw, resolveSchema(id, raw, kind));
+            return { key: boardKey(kind, raw.name, used), id, kind, raw, cleaned, quality: analyzeQuality(cleaned, raw) };
+        });
+        setLoadedBoards(loaded);
+        const dealsCleaned = loaded.find(b => b.key === 'deals')?.cleaned;
+        const woCleaned = loaded.find(b => b.key === 'work_orders')?.cleaned;
+
+        const biAgent = keepChat && agentRef.current ? agentRef.current : createAgent(s);
+        const history = biAgent.conversationHistory;
+        biAgent.setDataContext(loaded.map(b => ({ key: b.key, kind: b.kind, context: dataToContext(b.cleaned) })));
+        if (keepChat) biAgent.restoreHistory(history);
+        const links = dealsCleaned && woCleaned ? linkBoards(dealsCleaned, woCleaned, loadLinkOverrides()) : null;
+        setLinkResult(links);
+        // Changes can only be proposed on boards that came from Monday.com
+        const writeTargets = s.dataSource === 'file'
+            ? null
+            : Object.fromEntries(loaded.map(b => [b.key, { boardId: b.id, raw: b.raw, schema: b.cleaned.schema }]));
+        biAgent.setBoards({ boards: Object.fromEntries(loaded.map(b => [b.key, b.cleaned])), links, writeTargets });
+        agentRef.current = biAgent;
+        setAgent(biAgent);
+        setSnapshot(describeSnapshot(s, loaded, result.syncedAt));
+        setSyncedAt(result.syncedAt);
+        runAlerts(s, loaded);
+
+        // History covers the core boards and is best-effort — a failed write must not block the loaded data
+        if (dealsCleaned || woCleaned) {
+            recordSnapshot(s.dataSource, dealsCleaned, woCleaned, result.syncedAt).catch(err =>
+                console.warn('Could not record history snapshot:', err)
             );
-            setAgent(biAgent);
+        }
+    }, [runAlerts]);
+
+    const refreshData = useCallback(async (s = settings, mode = 'incremental') => {
+        if (s.dataSource === 'file' || syncingRef.current) return;
+        syncingRef.current = true;
+        setSyncing(true);
+        setSyncError(null);
+        try {
+            const result = await fetchRawBoards(s, () => { }, mode);
+            applyBoards(s, result, { keepChat: true });
+        } catch (err) {
+            setSyncError(err.message);
+        } finally {
+            syncingRef.current = false;
+            setSyncing(false);
+        }
+    }, [settings, applyBoards]);
 
+    const loadData = useCallback(async (s = settings) => {
+        setStatus({ phase: 'loading', message: 'Fetching data from Monday.com...' });
+        try {
+            const result = await fetchRawBoards(s, message =>
+                setStatus({ phase: 'loading', message })
+            );
+            applyBoards(s, result);
             setStatus({ phase: 'ready', message: 'Connected' });
+
+            // Cached data is shown immediately; bring it up to date in the background
+            if (s.dataSource !== 'file' && Number(s.refreshMinutes) > 0 && result.fromCache && isStale(s, result.syncedAt)) {
+                refreshData(s);
+            }
         } catch (err) {
             setStatus({ phase: 'error', message: err.message });
         }
-    }, [settings]);
+    }, [settings, applyBoards, refreshData]);
+
+    // Scheduled refresh + staleness clock
+    useEffect(() => {
+        if (status.phase !== 'ready' || settings.dataSource === 'file' || !Number(settings.refreshMinutes)) return;
+        const timer = setInterval(() => refreshData(), Number(settings.refreshMinutes) * 60000);
+        return () => clearInterval(timer);
+    }, [status.phase, settings, refreshData]);
+
+    // Account slug for "Open in Monday" links; links are simply omitted if it can't be fetched
+    useEffect(() => {
+        if (status.phase !== 'ready' || settings.dataSource === 'file' || mondaySlug) return;
+        createMondayClient(settings).fetchAccountSlug().then(setMondaySlug).catch(() => { });
+    }, [status.phase, settings, mondaySlug]);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 30000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const alertHref = useCallback((alert) => {
+        const board = loadedBoards.find(b => b.key === alert.board);
+        return itemUrl(mondaySlug, settings.dataSource !== 'file' && board?.id, alert.itemId);
+    }, [loadedBoards, mondaySlug, settings.dataSource]);
+
+    const citationHref = useCallback((citation) => {
+        const board = loadedBoards.find(b => b.key === citation.board);
+        return itemUrl(mondaySlug, settings.dataSource !== 'file' && board?.id, citation.id);
+    }, [loadedBoards, mondaySlug, settings.dataSource]);
+
+    /** Markdown link renderer that turns an answer's citation links into buttons opening the item drawer. */
+    const citationLinks = (msg) => (msg.citations?.length ? {
+        a: ({ href, children, node, ...props }) => {
+            const citation = msg.citations.find(c => c.n === citationNumber(href));
+            if (!citation) return <a href={href} {...props}>{children}</a>;
+            return (
+                <button className="citation" title={citation.name || citation.id} onClick={() => setOpenCitation(citation)}>
+                    {children}
+                </button>
+            );
+        },
+    } : undefined);
+
+    const runDigest = useCallback(async ({ force = false } = {}) => {
+        const relay = settings.connection === 'proxy' ? { url: `${proxyBase(settings)}/api/digest`, token: settings.proxyToken } : null;
+        const result = await sendDigest(alertsRef.current, { itemHref: alertHref, relay, force });
+        alertsRef.current = result.alerts;
+        setAlerts(result.alerts);
+        return result;
+    }, [alertHref, settings]);
+
+    // Scheduled digest of new alerts to the configured webhook
+    useEffect(() => {
+        if (status.phase !== 'ready') return;
+        const check = () => {
+            if (isDigestDue(loadDigestConfig())) runDigest().catch(err => console.warn('Alert digest failed:', err));
+        };
+        const timer = setInterval(check, DIGEST_CHECK_MS);
+        return () => clearInterval(timer);
+    }, [status.phase, runDigest]);
+
+    const persistThread = useCallback(async (nextMessages) => {
+        const id = threadId || newThreadId();
+        const existing = threads.find(t => t.id === id);
+        try {
+            await upsertThread(id, {
+                title: existing?.title || deriveTitle(nextMessages),
+                messages: nextMessages,
+                history: agent.conversationHistory,
+                snapshot: threadSnapshot || snapshot,
+            });
+            if (!threadId) {
+                setThreadId(id);
+                setThreadSnapshot(snapshot);
+            }
+            refreshThreads();
+        } catch (err) {
+            console.warn('Could not save thread:', err);
+        }
+    }, [threadId, threads, agent, snapshot, threadSnapshot, refreshThreads]);
 
     const handleSend = useCallback(async () => {
         const text = input.trim();
@@ -118,28 +521,62 @@ export default function App() {
 
         setInput('');
         const userMsg = { role: 'user', content: text };
-        setMessages(prev => [...prev, userMsg]);
+        const withUser = [...messages, userMsg];
+        setMessages(withUser);
         setLoading(true);
+        setStreamText('');
+        const controller = new AbortController();
+        abortRef.current = controller;
 
+        let reply;
         try {
-            const history = messages.map(m => ({ role: m.role, content: m.content }));
-            const response = await agent.ask(text, []);
+            const response = await agent.ask(text, { onText: setStreamText, signal: controller.signal });
             if (response.success) {
-                setMessages(prev => [...prev, { role: 'assistant', content: response.message }]);
+                reply = {
+                    role: 'assistant',
+                    content: response.message,
+                    charts: response.charts,
+                    proposals: response.proposals,
+                    context: response.context,
+                    verification: response.verification,
+                    citations: response.citations,
+                };
             } else {
-                setMessages(prev => [
-                    ...prev,
-                    { role: 'assistant', content: `⚠️ Error: ${response.error}\n\nPlease try again or rephrase your question.` },
-                ]);
+                reply = { role: 'assistant', content: `⚠️ Error: ${response.error}\n\nPlease try again or rephrase your question.` };
             }
         } catch (err) {
-            setMessages(prev => [
-                ...prev,
-                { role: 'assistant', content: `⚠️ Something went wrong: ${err.message}` },
-            ]);
+            reply = { role: 'assistant', content: `⚠️ Something went wrong: ${err.message}` };
         }
+        abortRef.current = null;
+        const withReply = [...withUser, reply];
+        setMessages(withReply);
         setLoading(false);
-    }, [input, loading, agent, messages]);
+        setStreamText('');
+        persistThread(withReply);
+    }, [input, loading, agent, messages, persistThread]);
+
+    const handleStop = () => abortRef.current?.abort();
+
+    const setProposal = useCallback((msgIndex, proposal, { persist = true } = {}) => {
+        const next = messagesRef.current.map((m, i) => (i === msgIndex
+            ? { ...m, proposals: m.proposals.map(p => (p.id === proposal.id ? proposal : p)) }
+            : m));
+        messagesRef.current = next;
+        setMessages(next);
+        if (persist) persistThread(next);
+    }, [persistThread]);
+
+    /** Writes a confirmed proposal to Monday.com, then syncs so answers see the new value. */
+    const handleConfirmChange = async (msgIndex, proposal) => {
+        setProposal(msgIndex, { ...proposal, status: 'applying', error: undefined }, { persist: false });
+        const result = await applyChange(createMondayClient(settings), { ...proposal, error: undefined });
+        setProposal(msgIndex, result);
+        if (result.status === 'applied') refreshData(settings);
+    };
+
+    const handleDismissChange = (msgIndex, proposal) => {
+        setProposal(msgIndex, { ...proposal, status: 'dismissed' });
+    };
 
     const handleKeyDown = (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
@@ -155,43 +592,30 @@ export default function App() {
         }, 50);
     };
 
-    const handleSettingsSave = async (newSettings) => {
+    const handleSettingsSave = async (newSettings, imports) => {
+        if (imports) {
+            try {
+                await saveImports(imports);
+            } catch (err) {
+                setStatus({ phase: 'error', message: `Could not save the imported files: ${err.message}` });
+                return;
+            }
+        }
         setSettings(newSettings);
         saveSettings(newSettings);
         setShowSettings(false);
+        setMondaySlug(null);
 
-        if (newSettings.dealsBoardId && newSettings.workOrdersBoardId) {
+        if (newSettings.dataSource === 'file' || boardSources(newSettings).length) {
             // Reload data with new settings
-            setStatus({ phase: 'loading', message: 'Fetching data from Monday.com...' });
             setMessages([]);
+            setThreadId(null);
+            setThreadSnapshot(null);
             setAgent(null);
-            try {
-                const client = new MondayClient(newSettings.mondayToken);
-
-                setStatus({ phase: 'loading', message: 'Loading Deals board...' });
-                const dealsRaw = await client.fetchBoardData(newSettings.dealsBoardId);
-                const dealsCleaned = cleanBoardData(dealsRaw);
-                setDealsData(dealsCleaned);
-
-                setStatus({ phase: 'loading', message: 'Loading Work Orders board...' });
-                const woRaw = await client.fetchBoardData(newSettings.workOrdersBoardId);
-                const woCleaned = cleanBoardData(woRaw);
-                setWorkOrdersData(woCleaned);
-
-                const biAgent = new BIAgent(newSettings.groqKey);
-                biAgent.setDataContext(
-                    dataToContext(dealsCleaned),
-                    dataToContext(woCleaned)
-                );
-                setAgent(biAgent);
-
-                setStatus({ phase: 'ready', message: 'Connected' });
-            } catch (err) {
-                setStatus({ phase: 'error', message: err.message });
-            }
-        } else if (!newSettings.dealsBoardId || !newSettings.workOrdersBoardId) {
+            await loadData(newSettings);
+        } else {
             // Need to select boards
-            const client = new MondayClient(newSettings.mondayToken);
+            const client = createMondayClient(newSettings);
             try {
                 const boardList = await client.fetchBoards();
                 setBoards(boardList);
@@ -204,11 +628,65 @@ export default function App() {
         }
     };
 
+    const handleLinkOverrides = (next) => {
+        saveLinkOverrides(next);
+        setLinkOverrides(next);
+        const links = linkBoards(dealsData, workOrdersData, next);
+        setLinkResult(links);
+        agent?.setBoards({ boards: agent.boards, links, writeTargets: agent.writeTargets });
+    };
+
+    const handleSchemaSave = (mappings) => {
+        mappings.forEach(({ key, schema }) => saveSchema(key, schema));
+        setShowSettings(false);
+        if (rawBoardsRef.current) applyBoards(settings, rawBoardsRef.current, { keepChat: true });
+    };
+
+    const handleSaveRules = (next) => {
+        saveRules(next);
+        runAlerts(settings, loadedBoards, next);
+    };
+
+    // The deals summary in the agent's context includes the forecast, so rebuild it with the new weights
+    const handleSaveForecast = (config) => {
+        saveForecastConfig(config);
+        setShowForecast(false);
+        if (rawBoardsRef.current) applyBoards(settings, rawBoardsRef.current, { keepChat: true });
+    };
+
+    const handleCloseAlerts = () => {
+        setAlerts(markAlertsSeen(alerts));
+        setShowAlerts(false);
+    };
+
     const handleNewChat = () => {
         setMessages([]);
+        setThreadId(null);
+        setThreadSnapshot(null);
         agent?.resetChat();
     };
 
+    const handleOpenThread = async (id) => {
+        const thread = await getThread(id);
+        if (!thread) return;
+        setMessages(thread.messages || []);
+        setThreadId(thread.id);
+        setThreadSnapshot(thread.snapshot || null);
+        agent?.restoreHistory(thread.history);
+        setShowThreads(false);
+    };
+
+    const handleRenameThread = async (id, title) => {
+        await renameThread(id, title);
+        refreshThreads();
+    };
+
+    const handleDeleteThread = async (id) => {
+        await deleteThread(id);
+        if (id === threadId) handleNewChat();
+        refreshThreads();
+    };
+
     // Loading screen
     if (status.phase === 'loading') {
         return (
@@ -232,6 +710,25 @@ export default function App() {
                     </div>
                 </div>
                 <div className="header-actions">
+                    <button className="btn btn-sm" onClick={() => setShowThreads(true)}>☰ Threads</button>
+                    {dealsData && status.phase === 'ready' && (
+                        <button className="btn btn-sm" onClick={() => setShowForecast(true)}>◔ Forecast</button>
+                    )}
+                    {(dealsData || workOrdersData) && status.phase === 'ready' && (
+                        <button className="btn btn-sm" onClick={() => setShowScorecards(true)}>🏅 Scorecards</button>
+                    )}
+                    {settings.dataSource !== 'file' && status.phase === 'ready' && (
+                        <button className="btn btn-sm" onClick={() => setShowWriteLog(true)}>✎ Write Log</button>
+                    )}
+                    {messages.length > 0 && (
+                        <ExportMenu
+                            messages={messages}
+                            title={threads.find(t => t.id === threadId)?.title || deriveTitle(messages)}
+                            snapshot={threadSnapshot || snapshot}
+                            citationHref={citationHref}
+                            label="⤓ Export Thread"
+                        />
+                    )}
                     {messages.length > 0 && (
                         <button className="btn btn-sm" onClick={handleNewChat}>✦ New Chat</button>
                     )}
@@ -240,19 +737,50 @@ export default function App() {
             </header>
 
             {/* Status Bar */}
-            {status.phase === 'ready' && dealsData && workOrdersData && (
+            {status.phase === 'ready' && loadedBoards.length > 0 && (
                 <div className="status-bar">
                     <div className="status-item">
                         <span className="status-dot green" />
-                        Monday.com Connected
+                        {settings.dataSource === 'file' ? 'Offline (imported files)' : 'Monday.com Connected'}
                     </div>
+                    {loadedBoards.map(b => (
+                        <div key={b.key} className="status-item" title={`${b.cleaned.boardName} — board key "${b.key}"`}>
+                            <span className="status-dot green" />
+                            {BOARD_KINDS[b.kind]}{b.kind === 'generic' ? ` (${b.cleaned.boardName})` : ''}: {b.cleaned.stats.cleanedRows} rows ({b.cleaned.stats.completeness}% complete)
+                        </div>
+                    ))}
+                    {linkResult && (
+                        <div className="status-item">
+                            <span className={`status-dot ${linkResult.stats.needs_review ? 'amber' : 'green'}`} />
+                            Links: {linkResult.stats.linked_work_orders}/{linkResult.stats.work_orders} WOs
+                            <button className="btn btn-sm" onClick={() => setShowLinks(true)}>Review</button>
+                        </div>
+                    )}
                     <div className="status-item">
-                        <span className="status-dot green" />
-                        Deals: {dealsData.stats.cleanedRows} rows ({dealsData.stats.completeness}% complete)
+                        <span className={`status-dot ${alertColor(alerts)}`} />
+                        Alerts: {alerts.length}{alerts.some(a => !a.seenAt) ? ` (${alerts.filter(a => !a.seenAt).length} new)` : ''}
+                        <button className="btn btn-sm" onClick={() => setShowAlerts(true)}>Review</button>
                     </div>
                     <div className="status-item">
-                        <span className="status-dot green" />
-                        Work Orders: {workOrdersData.stats.cleanedRows} rows ({workOrdersData.stats.completeness}% complete)
+                        <span className={`status-dot ${qualityColor(loadedBoards)}`} />
+                        Quality: {loadedBoards.reduce((n, b) => n + b.quality.issues.length, 0)} issues
+                        <button className="btn btn-sm" onClick={() => setShowQuality(true)}>Review</button>
+                    </div>
+                    <div className="status-item status-freshness" title={syncedAt ? new Date(syncedAt).toLocaleString() : ''}>
+                        <span className={`status-dot ${syncError ? 'red' : freshnessColor(settings, syncedAt, now)}`} />
+                        {settings.dataSource === 'file'
+                            ? `Imported ${formatAge(syncedAt, now)}`
+                            : syncing ? 'Syncing…' : syncError ? `Sync failed: ${syncError}` : `Synced ${formatAge(syncedAt, now)}`}
+                        {settings.dataSource !== 'file' && (
+                            <button
+                                className="btn btn-sm"
+                                onClick={(e) => refreshData(settings, e.shiftKey ? 'full' : 'incremental')}
+                                disabled={syncing}
+                                title="Fetch changes since last sync (Shift+click for a full reload)"
+                            >
+                                ↻ Refresh
+                            </button>
+                        )}
                     </div>
                 </div>
             )}
@@ -264,6 +792,12 @@ export default function App() {
                 </div>
             )}
 
+            {threadId && threadSnapshot && snapshot && threadSnapshot.loadedAt !== snapshot.loadedAt && (
+                <div className="thread-snapshot-note">
+                    Earlier answers in this thread used {formatSnapshot(threadSnapshot)}. New answers use the data loaded now.
+                </div>
+            )}
+
             {/* Chat Area */}
             <div className="chat-area">
                 {messages.length === 0 && status.phase === 'ready' ? (
@@ -292,14 +826,38 @@ export default function App() {
                                 <div className="message-content">
                                     <div className="message-label">
                                         {msg.role === 'user' ? 'You' : 'BI Agent'}
+                                        {msg.verification && <VerificationBadge verification={msg.verification} />}
+                                        {msg.role === 'assistant' && (
+                                            <ExportMenu
+                                                messages={messages[i - 1]?.role === 'user' ? [messages[i - 1], msg] : [msg]}
+                                                title={deriveTitle(messages.slice(0, i))}
+                                                snapshot={threadSnapshot || snapshot}
+                                                citationHref={citationHref}
+                                            />
+                                        )}
                                     </div>
                                     <div className="message-body">
                                         {msg.role === 'user' ? (
                                             <p>{msg.content}</p>
                                         ) : (
-                                            <ReactMarkdown remarkPlugins={[remarkGfm]}>
-                                                {msg.content}
-                                            </ReactMarkdown>
+                                            <>
+                                                <ReactMarkdown remarkPlugins={[remarkGfm]} components={citationLinks(msg)}>
+                                                    {msg.content}
+                                                </ReactMarkdown>
+                                                {msg.charts?.map((chart, j) => (
+                                                    <ChartView key={j} chart={chart} />
+                                                ))}
+                                                {msg.proposals?.map(p => (
+                                                    <ChangeProposal
+                                                        key={p.id}
+                                                        proposal={p}
+                                                        href={itemUrl(mondaySlug, p.boardId, p.itemId)}
+                                                        onConfirm={() => handleConfirmChange(i, p)}
+                                                        onDismiss={() => handleDismissChange(i, p)}
+                                                    />
+                                                ))}
+                                                {msg.context && <ContextUsed context={msg.context} />}
+                                            </>
                                         )}
                                     </div>
                                 </div>
@@ -310,9 +868,17 @@ export default function App() {
                                 <div className="message-avatar ai">🤖</div>
                                 <div className="message-content">
                                     <div className="message-label">BI Agent</div>
-                                    <div className="typing-indicator">
-                                        <span /><span /><span />
-                                    </div>
+                                    {streamText ? (
+                                        <div className="message-body streaming">
+                                            <ReactMarkdown remarkPlugins={[remarkGfm]}>
+                                                {stripCitations(streamText)}
+                                            </ReactMarkdown>
+                                        </div>
+                                    ) : (
+                                        <div className="typing-indicator">
+                                            <span /><span /><span />
+                                        </div>
+                                    )}
                                 </div>
                             </div>
                         )}
@@ -337,9 +903,15 @@ export default function App() {
                                 disabled={loading}
                             />
                         </div>
-                        <button className="send-btn" onClick={handleSend} disabled={!input.trim() || loading}>
-                            ➤
-                        </button>
+                        {loading ? (
+                            <button className="send-btn stop-btn" onClick={handleStop} title="Stop — keeps the answer so far">
+                                ■
+                            </button>
+                        ) : (
+                            <button className="send-btn" onClick={handleSend} disabled={!input.trim()}>
+                                ➤
+                            </button>
+                        )}
                     </div>
                     <div className="input-hint">
                         Press Enter to send · Shift+Enter for new line
@@ -347,20 +919,116 @@ export default function App() {
                 </div>
             )}
 
+            {showThreads && (
+                <ThreadSidebar
+                    threads={threads}
+                    activeId={threadId}
+                    onOpen={handleOpenThread}
+                    onRename={handleRenameThread}
+                    onDelete={handleDeleteThread}
+                    onClose={() => setShowThreads(false)}
+                />
+            )}
+
+            {showLinks && linkResult && (
+                <LinkReview
+                    linkResult={linkResult}
+                    dealsBoard={dealsData}
+                    overrides={linkOverrides}
+                    onChange={handleLinkOverrides}
+                    onClose={() => setShowLinks(false)}
+                />
+            )}
+
+            {showQuality && loadedBoards.length > 0 && (
+                <DataQuality
+                    boards={loadedBoards.map(b => ({
+                        key: b.key,
+                        label: b.cleaned.boardName,
+                        quality: b.quality,
+                        itemHref: id => itemUrl(mondaySlug, settings.dataSource !== 'file' && b.id, id),
+                    }))}
+                    onClose={() => setShowQuality(false)}
+                />
+            )}
+
+            {showAlerts && (
+                <Alerts
+                    alerts={alerts}
+                    notes={alertNotes}
+                    rules={rules}
+                    boards={loadedBoards.map(b => ({
+                        key: b.key,
+                        label: b.cleaned.boardName,
+                        columns: Object.keys(b.cleaned.schema.columns),
+                    }))}
+                    digest={loadDigestConfig()}
+                    itemHref={alertHref}
+                    relayed={settings.connection === 'proxy'}
+                    onSaveRules={handleSaveRules}
+                    onSaveDigest={saveDigestConfig}
+                    onSendDigest={() => runDigest({ force: true })}
+                    onClose={handleCloseAlerts}
+                />
+            )}
+
+            {showForecast && dealsData && (
+                <Forecast
+                    deals={dealsData}
+                    config={loadForecastConfig()}
+                    itemHref={id => itemUrl(mondaySlug, settings.dataSource !== 'file' && loadedBoards.find(b => b.key === 'deals').id, id)}
+                    onSaveConfig={handleSaveForecast}
+                    onClose={() => setShowForecast(false)}
+                />
+            )}
+
+            {openCitation && (
+                <CitationDrawer
+                    citation={openCitation}
+                    board={loadedBoards.find(b => b.key === openCitation.board)}
+                    href={citationHref(openCitation)}
+                    onClose={() => setOpenCitation(null)}
+                />
+            )}
+
+            {showScorecards && (dealsData || workOrdersData) && (
+                <Scorecards
+                    deals={dealsData}
+                    workOrders={workOrdersData}
+                    links={linkResult}
+                    onClose={() => setShowScorecards(false)}
+                />
+            )}
+
+            {showWriteLog && (
+                <WriteLog
+                    itemHref={(boardId, itemId) => itemUrl(mondaySlug, boardId, itemId)}
+                    onClose={() => setShowWriteLog(false)}
+                />
+            )}
+
             {/* Settings Modal */}
             {showSettings && (
                 <SettingsModal
                     settings={settings}
                     boards={boards}
+                    loadedBoards={loadedBoards.length ? loadedBoards.map(b => ({
+                        key: b.id,
+                        label: b.cleaned.boardName,
+                        raw: b.raw,
+                        schema: b.cleaned.schema,
+                        dateParsing: b.cleaned.stats.dateParsing,
+                    })) : null}
                     onSave={handleSettingsSave}
+                    onSaveSchemas={handleSchemaSave}
                     onClose={() => {
-                        if (settings.mondayToken && settings.groqKey && settings.dealsBoardId && settings.workOrdersBoardId) {
+                        if (isConfigured(settings)) {
                             setShowSettings(false);
                         }
                     }}
-                    onFetchBoards={async (token) => {
+                    onFetchBoards={async (draft) => {
                         try {
-                            const client = new MondayClient(token);
+                            const client = createMondayClient(draft);
                             const result = await client.testConnection();
                             if (!result.success) throw new Error(result.error);
                             const boardList = await client.fetchBoards();
@@ -377,22 +1045,38 @@ export default function App() {
 }
 
 /* ============= Settings Modal Component ============= */
-function SettingsModal({ settings, boards: initialBoards, onSave, onClose, onFetchBoards }) {
+function SettingsModal({ settings, boards: initialBoards, loadedBoards, onSave, onSaveSchemas, onClose, onFetchBoards }) {
+    const [connection, setConnection] = useState(settings.connection);
+    const [proxyUrl, setProxyUrl] = useState(settings.proxyUrl);
+    const [proxyToken, setProxyToken] = useState(settings.proxyToken);
     const [mondayToken, setMondayToken] = useState(settings.mondayToken);
-    const [groqKey, setGroqKey] = useState(settings.groqKey);
-    const [dealsBoardId, setDealsBoardId] = useState(settings.dealsBoardId);
-    const [workOrdersBoardId, setWorkOrdersBoardId] = useState(settings.workOrdersBoardId);
+    const [llm, setLlm] = useState(() => pickLlmSettings(settings));
+    const [boardKinds, setBoardKinds] = useState(() => Object.fromEntries((settings.boards || []).map(b => [b.id, b.kind])));
+    const [refreshMinutes, setRefreshMinutes] = useState(settings.refreshMinutes);
     const [boards, setBoards] = useState(initialBoards);
     const [testing, setTesting] = useState(false);
     const [testResult, setTestResult] = useState(null);
+    const [imports, setImports] = useState({});
+    const [importError, setImportError] = useState(null);
     const [step, setStep] = useState(
-        initialBoards.length > 0 ? 'boards' : 'keys'
+        initialBoards.length > 0 ? 'boards' : settings.dataSource === 'file' ? 'files' : 'keys'
     );
+    const [backStep, setBackStep] = useState(null);
+
+    // Files picked before the saved imports arrive take precedence
+    useEffect(() => {
+        loadImports().then(saved => saved && setImports(prev => ({ ...saved, ...prev })), () => { });
+    }, []);
+
+    const openMapping = () => {
+        setBackStep(step);
+        setStep('schema');
+    };
 
     const handleTestConnection = async () => {
         setTesting(true);
         setTestResult(null);
-        const result = await onFetchBoards(mondayToken);
+        const result = await onFetchBoards(credentials);
         setTesting(false);
         if (result.success) {
             setTestResult({ success: true, message: `Connected as ${result.user}` });
@@ -410,43 +1094,96 @@ function SettingsModal({ settings, boards: initialBoards, onSave, onClose, onFet
         }
     }, [initialBoards]);
 
-    const canSave = mondayToken && groqKey && dealsBoardId && workOrdersBoardId;
+    const handleFileChange = async (role, file) => {
+        if (!file) return;
+        setImportError(null);
+        try {
+            const board = await importBoardFile(file);
+            setImports(prev => ({ ...prev, [role]: board }));
+        } catch (err) {
+            setImportError(`${file.name}: ${err.message}`);
+        }
+    };
+
+    const credentials = { connection, proxyUrl, proxyToken, mondayToken, ...llm };
+    // Previously selected boards keep their order; newly tagged ones follow in list order
+    const selectedBoards = [...new Set([...(settings.boards || []).map(b => b.id), ...boards.map(b => b.id)])]
+        .filter(id => boardKinds[id])
+        .map(id => ({ id, kind: boardKinds[id] }));
+    const canSave = hasMondayAccess(credentials) && hasLlmAccess(credentials) && selectedBoards.length > 0;
+    const canSaveFiles = hasLlmAccess(credentials) && imports.deals && imports.workOrders;
 
     return (
         <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
-            <div className="modal">
+            <div className={`modal ${step === 'schema' ? 'modal-wide' : ''}`}>
                 <h2>⚙️ Configuration</h2>
                 <p className="modal-desc">Connect to Monday.com and configure your AI agent.</p>
 
                 {step === 'keys' && (
                     <>
                         <div className="form-group">
-                            <label className="form-label">Monday.com API Token</label>
-                            <input
-                                className="form-input"
-                                type="password"
-                                placeholder="eyJhbGciOi..."
-                                value={mondayToken}
-                                onChange={e => setMondayToken(e.target.value)}
-                            />
-                            <div className="form-help">
-                                Get from: Monday.com → Avatar → Developers → My Access Tokens
+                            <label className="form-label">Connection</label>
+                            <div className="segmented">
+                                <button
+                                    className={`segmented-option ${connection === 'proxy' ? 'selected' : ''}`}
+                                    onClick={() => setConnection('proxy')}
+                                >
+                                    Backend proxy
+                                </button>
+                                <button
+                                    className={`segmented-option ${connection !== 'proxy' ? 'selected' : ''}`}
+                                    onClick={() => setConnection('direct')}
+                                >
+                                    Direct API keys
+                                </button>
                             </div>
                         </div>
 
-                        <div className="form-group">
-                            <label className="form-label">Groq API Key</label>
-                            <input
-                                className="form-input"
-                                type="password"
-                                placeholder="gsk_..."
-                                value={groqKey}
-                                onChange={e => setGroqKey(e.target.value)}
-                            />
-                            <div className="form-help">
-                                Free key from: console.groq.com → API Keys
-                            </div>
-                        </div>
+                        {connection === 'proxy' ? (
+                            <>
+                                <div className="form-group">
+                                    <label className="form-label">Proxy URL</label>
+                                    <input
+                                        className="form-input"
+                                        placeholder="https://bi-proxy.example.com (blank = same origin)"
+                                        value={proxyUrl}
+                                        onChange={e => setProxyUrl(e.target.value)}
+                                    />
+                                    <div className="form-help">
+                                        Monday.com and LLM credentials are held by the proxy (npm run proxy)
+                                    </div>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label">Proxy Access Token</label>
+                                    <input
+                                        className="form-input"
+                                        type="password"
+                                        placeholder="Issued by your proxy admin (PROXY_USERS)"
+                                        value={proxyToken}
+                                        onChange={e => setProxyToken(e.target.value)}
+                                    />
+                                </div>
+                            </>
+                        ) : (
+                            <>
+                                <div className="form-group">
+                                    <label className="form-label">Monday.com API Token</label>
+                                    <input
+                                        className="form-input"
+                                        type="password"
+                                        placeholder="eyJhbGciOi..."
+                                        value={mondayToken}
+                                        onChange={e => setMondayToken(e.target.value)}
+                                    />
+                                    <div className="form-help">
+                                        Get from: Monday.com → Avatar → Developers → My Access Tokens
+                                    </div>
+                                </div>
+                            </>
+                        )}
+
+                        <LlmSettings value={llm} onChange={setLlm} connection={connection} proxy={{ url: proxyUrl, token: proxyToken }} />
 
                         {testResult && (
                             <div className={`error-banner`} style={{
@@ -460,10 +1197,12 @@ function SettingsModal({ settings, boards: initialBoards, onSave, onClose, onFet
 
                         <div className="modal-actions">
                             <button className="btn" onClick={onClose}>Cancel</button>
+                            <button className="btn" onClick={() => setStep('files')}>Load from File</button>
+                            {loadedBoards && <button className="btn" onClick={openMapping}>Map Columns</button>}
                             <button
                                 className="btn btn-primary"
                                 onClick={handleTestConnection}
-                                disabled={!mondayToken || testing}
+                                disabled={!hasMondayAccess(credentials) || testing}
                             >
                                 {testing ? 'Testing...' : 'Connect & Fetch Boards →'}
                             </button>
@@ -474,50 +1213,259 @@ function SettingsModal({ settings, boards: initialBoards, onSave, onClose, onFet
                 {step === 'boards' && boards.length > 0 && (
                     <>
                         <div className="form-group">
-                            <label className="form-label">Select Deals Board</label>
-                            <div className="board-selector">
+                            <label className="form-label">Select Boards</label>
+                            <div className="board-selector board-selector-tall">
                                 {boards.map(b => (
-                                    <div
-                                        key={`deals-${b.id}`}
-                                        className={`board-option ${dealsBoardId === b.id ? 'selected' : ''}`}
-                                        onClick={() => setDealsBoardId(b.id)}
-                                    >
-                                        <span>📊</span> {b.name}
+                                    <div key={b.id} className={`board-option ${boardKinds[b.id] ? 'selected' : ''}`}>
+                                        <span>{boardKinds[b.id] ? '📊' : '▫️'}</span> {b.name}
                                         <span className="board-count">{b.items_count} items</span>
+                                        <select
+                                            className="form-input board-kind"
+                                            value={boardKinds[b.id] || ''}
+                                            onChange={e => setBoardKinds(prev => ({ ...prev, [b.id]: e.target.value || undefined }))}
+                                        >
+                                            <option value="">Not used</option>
+                                            {Object.entries(BOARD_KINDS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+                                        </select>
                                     </div>
                                 ))}
                             </div>
+                            <div className="form-help">
+                                Tag each board with its role. The first Deals and Work Orders boards are linked and tracked in history; every board can be queried by the agent.
+                            </div>
                         </div>
 
                         <div className="form-group">
-                            <label className="form-label">Select Work Orders Board</label>
-                            <div className="board-selector">
-                                {boards.map(b => (
-                                    <div
-                                        key={`wo-${b.id}`}
-                                        className={`board-option ${workOrdersBoardId === b.id ? 'selected' : ''}`}
-                                        onClick={() => setWorkOrdersBoardId(b.id)}
-                                    >
-                                        <span>📋</span> {b.name}
-                                        <span className="board-count">{b.items_count} items</span>
-                                    </div>
-                                ))}
+                            <label className="form-label">Auto-refresh</label>
+                            <select
+                                className="form-input"
+                                value={refreshMinutes}
+                                onChange={e => setRefreshMinutes(Number(e.target.value))}
+                            >
+                                <option value={0}>Off — manual refresh only</option>
+                                <option value={5}>Every 5 minutes</option>
+                                <option value={15}>Every 15 minutes</option>
+                                <option value={60}>Every hour</option>
+                            </select>
+                            <div className="form-help">
+                                Boards are cached locally; refreshes fetch only items changed since the last sync
                             </div>
                         </div>
 
                         <div className="modal-actions">
                             <button className="btn" onClick={() => setStep('keys')}>← Back</button>
+                            <button className="btn" onClick={() => setStep('files')}>Load from File</button>
+                            {loadedBoards && <button className="btn" onClick={openMapping}>Map Columns</button>}
                             <button
                                 className="btn btn-primary"
                                 disabled={!canSave}
-                                onClick={() => onSave({ mondayToken, groqKey, dealsBoardId, workOrdersBoardId })}
+                                onClick={() => onSave({ ...credentials, dataSource: 'monday', boards: selectedBoards, refreshMinutes })}
                             >
                                 Connect & Start →
                             </button>
                         </div>
                     </>
                 )}
+
+                {step === 'files' && (
+                    <>
+                        <LlmSettings value={llm} onChange={setLlm} connection={connection} proxy={{ url: proxyUrl, token: proxyToken }} />
+
+                        {[['deals', 'Deals File'], ['workOrders', 'Work Orders File']].map(([role, label]) => (
+                            <div className="form-group" key={role}>
+                                <label className="form-label">{label}</label>
+                                <input
+                                    className="form-input"
+                                    type="file"
+                                    accept=".csv,.xlsx"
+                                    onChange={e => handleFileChange(role, e.target.files[0])}
+                                />
+                                <div className="form-help">
+                                    {imports[role]
+                                        ? `✓ ${imports[role].name} — ${imports[role].items.length} rows, ${imports[role].columns.length} columns`
+                                        : 'CSV or XLSX export (e.g. Deal_funnel_Data.csv)'}
+                                </div>
+                            </div>
+                        ))}
+
+                        {importError && <div className="error-banner">✗ {importError}</div>}
+
+                        <div className="modal-actions">
+                            <button className="btn" onClick={() => setStep(boards.length > 0 ? 'boards' : 'keys')}>← Back</button>
+                            {loadedBoards && <button className="btn" onClick={openMapping}>Map Columns</button>}
+                            <button
+                                className="btn btn-primary"
+                                disabled={!canSaveFiles}
+                                onClick={() => onSave({ ...credentials, dataSource: 'file', boards: selectedBoards, refreshMinutes }, imports)}
+                            >
+                                Start Offline →
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {step === 'schema' && loadedBoards && (
+                    <SchemaMapping
+                        boards={loadedBoards}
+                        onSave={onSaveSchemas}
+                        onBack={() => setStep(backStep || 'keys')}
+                    />
+                )}
             </div>
         </div>
     );
 }
+
+const LLM_SETTING_KEYS = ['llmProvider', 'llmBaseUrl', 'llmApiKey', 'llmModel', 'llmMaxTokens', 'llmContextBudget', 'llmAuthHeader', 'llmAuthPrefix'];
+
+function pickLlmSettings(s) {
+    return Object.fromEntries(LLM_SETTING_KEYS.map(k => [k, s[k] ?? '']));
+}
+
+/* ============= LLM Provider Fields ============= */
+function LlmSettings({ value, onChange, connection, proxy }) {
+    const [fetched, setFetched] = useState(null);
+    const [fetching, setFetching] = useState(false);
+    const [fetchError, setFetchError] = useState(null);
+    const preset = getProvider(value.llmProvider);
+    const direct = connection !== 'proxy';
+    const set = (patch) => onChange({ ...value, ...patch });
+    const modelOptions = fetched || preset.models;
+
+    const handleProviderChange = (id) => {
+        setFetched(null);
+        setFetchError(null);
+        set({ llmProvider: id, llmBaseUrl: '', llmModel: '', llmMaxTokens: '' });
+    };
+
+    const handleFetchModels = async () => {
+        setFetching(true);
+        setFetchError(null);
+        try {
+            const { provider, apiKey } = llmEndpoint({ ...value, connection, proxyUrl: proxy.url, proxyToken: proxy.token });
+            const models = await listModels(provider, apiKey);
+            setFetched(models);
+            if (models.length && !models.includes(value.llmModel)) set({ llmModel: models[0] });
+        } catch (err) {
+            setFetchError(err.message);
+        } finally {
+            setFetching(false);
+        }
+    };
+
+    return (
+        <>
+            <div className="form-group">
+                <label className="form-label">AI Provider</label>
+                <select
+                    className="form-input"
+                    value={preset.id}
+                    onChange={e => handleProviderChange(e.target.value)}
+                >
+                    {PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                </select>
+                {!direct && (
+                    <div className="form-help">The proxy decides the endpoint; choose the provider it forwards to</div>
+                )}
+            </div>
+
+            {direct && (
+                <div className="form-group">
+                    <label className="form-label">Base URL</label>
+                    <input
+                        className="form-input"
+                        placeholder={preset.baseUrl || 'https://llm.example.com/v1'}
+                        value={value.llmBaseUrl}
+                        onChange={e => set({ llmBaseUrl: e.target.value })}
+                    />
+                    <div className="form-help">OpenAI-compatible endpoint up to /v1{preset.baseUrl ? ' — blank uses the default' : ''}</div>
+                </div>
+            )}
+
+            {direct && (
+                <div className="form-group">
+                    <label className="form-label">API Key{preset.requiresKey ? '' : ' (optional)'}</label>
+                    <input
+                        className="form-input"
+                        type="password"
+                        placeholder={preset.keyPlaceholder || ''}
+                        value={value.llmApiKey}
+                        onChange={e => set({ llmApiKey: e.target.value })}
+                    />
+                    {preset.keyHelp && <div className="form-help">{preset.keyHelp}</div>}
+                </div>
+            )}
+
+            {direct && preset.id === 'custom' && (
+                <div className="form-group form-row">
+                    <div>
+                        <label className="form-label">Auth Header</label>
+                        <input
+                            className="form-input"
+                            placeholder="Authorization"
+                            value={value.llmAuthHeader}
+                            onChange={e => set({ llmAuthHeader: e.target.value })}
+                        />
+                    </div>
+                    <div>
+                        <label className="form-label">Key Prefix</label>
+                        <input
+                            className="form-input"
+                            placeholder="Bearer "
+                            value={value.llmAuthPrefix}
+                            onChange={e => set({ llmAuthPrefix: e.target.value })}
+                        />
+                    </div>
+                </div>
+            )}
+
+            <div className="form-group form-row">
+                <div>
+                    <label className="form-label">Model</label>
+                    <input
+                        className="form-input"
+                        list="llm-models"
+                        placeholder={preset.models[0] || 'model id'}
+                        value={value.llmModel}
+                        onChange={e => set({ llmModel: e.target.value })}
+                    />
+                    <datalist id="llm-models">
+                        {modelOptions.map(m => <option key={m} value={m} />)}
+                    </datalist>
+                </div>
+                <div>
+                    <label className="form-label">Max Reply Tokens</label>
+                    <input
+                        className="form-input"
+                        type="number"
+                        min={256}
+                        placeholder={String(preset.maxTokens)}
+                        value={value.llmMaxTokens}
+                        onChange={e => set({ llmMaxTokens: e.target.value })}
+                    />
+                </div>
+            </div>
+            <div className="form-group">
+                <label className="form-label">Data Context Budget (tokens)</label>
+                <input
+                    className="form-input"
+                    type="number"
+                    min={500}
+                    step={500}
+                    placeholder="Fit the model's context window (up to 12000)"
+                    value={value.llmContextBudget}
+                    onChange={e => set({ llmContextBudget: e.target.value })}
+                />
+                <div className="form-help">Board summaries and rows sent with each question are picked to match it within this budget</div>
+            </div>
+            <div className="form-help form-help-row">
+                {fetchError
+                    ? <span className="form-error">✗ {fetchError}</span>
+                    : `Other ${preset.label} models are used as fallbacks when the chosen one is rate-limited`}
+                <button className="btn btn-sm" onClick={handleFetchModels} disabled={fetching}>
+                    {fetching ? 'Fetching…' : 'Fetch models'}
+                </button>
+            </div>
+        </>
+    );
+}
@@ -0,0 +1,305 @@
+import { useState } from 'react';
+import { RULE_OPS, SEVERITIES, UNARY_OPS, newRuleId } from '../lib/alerts';
+
+const TABS = [
+    ['feed', 'Feed'],
+    ['rules', 'Rules'],
+    ['digest', 'Digest'],
+];
+
+const DIGEST_INTERVALS = [
+    [0, 'Off'],
+    [1, 'Every hour'],
+    [6, 'Every 6 hours'],
+    [24, 'Daily'],
+    [168, 'Weekly'],
+];
+
+// Alerts rendered in the feed
+const MAX_ALERTS = 200;
+
+function describeCondition(c) {
+    const field = c.field === '_name' ? 'Name' : c.field;
+    if (UNARY_OPS.includes(c.op)) return `${field} ${RULE_OPS[c.op]}`;
+    if (RULE_OPS[c.op]?.includes('N days')) return `${field} ${RULE_OPS[c.op].replace('N', c.value)}`;
+    return `${field} ${RULE_OPS[c.op] || c.op} ${c.value}`;
+}
+
+function emptyRule(board) {
+    return { id: newRuleId(), name: '', board, severity: 'medium', enabled: true, conditions: [{ field: '', op: 'eq', value: '' }] };
+}
+
+function RuleEditor({ rule, boards, onSave, onCancel }) {
+    const [draft, setDraft] = useState(rule);
+    const columns = boards.find(b => b.key === draft.board)?.columns || [];
+
+    const set = (patch) => setDraft(prev => ({ ...prev, ...patch }));
+    const setCondition = (i, patch) => set({ conditions: draft.conditions.map((c, j) => (j === i ? { ...c, ...patch } : c)) });
+    const valid = draft.name.trim() && draft.conditions.length
+        && draft.conditions.every(c => c.field && (UNARY_OPS.includes(c.op) || String(c.value ?? '').trim()));
+
+    return (
+        <div className="alert-editor">
+            <div className="form-group">
+                <label className="form-label">Rule name</label>
+                <input
+                    className="form-input"
+                    placeholder="e.g. Receivable over ₹5L with no collection in 60 days"
+                    value={draft.name}
+                    onChange={e => set({ name: e.target.value })}
+                />
+            </div>
+            <div className="form-row">
+                <div className="form-group">
+                    <label className="form-label">Board</label>
+                    <select
+                        className="form-input"
+                        value={draft.board}
+                        onChange={e => set({ board: e.target.value, conditions: [{ field: '', op: 'eq', value: '' }] })}
+                    >
+                        {boards.map(b => <option key={b.key} value={b.key}>{b.label}</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label className="form-label">Severity</label>
+                    <select className="form-input" value={draft.severity} onChange={e => set({ severity: e.target.value })}>
+                        {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            <label className="form-label">Items match when all of these hold</label>
+            {draft.conditions.map((c, i) => (
+                <div key={i} className="alert-condition">
+                    <select className="form-input" value={c.field} onChange={e => setCondition(i, { field: e.target.value })}>
+                        <option value="">Column…</option>
+                        <option value="_name">Name</option>
+                        {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                    </select>
+                    <select className="form-input" value={c.op} onChange={e => setCondition(i, { op: e.target.value })}>
+                        {Object.entries(RULE_OPS).map(([op, label]) => <option key={op} value={op}>{label}</option>)}
+                    </select>
+                    <input
+                        className="form-input"
+                        placeholder={RULE_OPS[c.op]?.includes('N days') ? 'Days' : c.op === 'in' ? 'a, b, c' : 'Value'}
+                        value={UNARY_OPS.includes(c.op) ? '' : c.value ?? ''}
+                        disabled={UNARY_OPS.includes(c.op)}
+                        onChange={e => setCondition(i, { value: e.target.value })}
+                    />
+                    <button
+                        className="btn btn-icon btn-sm"
+                        title="Remove condition"
+                        onClick={() => set({ conditions: draft.conditions.filter((_, j) => j !== i) })}
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+            <button className="btn btn-sm" onClick={() => set({ conditions: [...draft.conditions, { field: '', op: 'eq', value: '' }] })}>
+                ＋ Condition
+            </button>
+            <div className="form-help">
+                "unchanged for N days" compares with the daily snapshot from N days ago, so it needs that much history on the Deals or Work Orders board.
+            </div>
+
+            <div className="modal-actions">
+                <button className="btn" onClick={onCancel}>Cancel</button>
+                <button className="btn btn-primary" disabled={!valid} onClick={() => onSave({ ...draft, name: draft.name.trim() })}>
+                    Save Rule
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Modal with the alert feed, the rule editor and the digest webhook settings.
+ * @param boards [{ key, label, columns }] — loaded boards and their column titles
+ * @param notes ruleId → why a rule could not be (fully) evaluated
+ * @param itemHref (alert) → Monday.com link or null
+ * @param relayed whether digests go through the backend proxy rather than straight from the browser
+ * @param onSendDigest () → Promise of { sent }
+ */
+export default function Alerts({ alerts, notes, rules, boards, digest, itemHref, relayed, onSaveRules, onSaveDigest, onSendDigest, onClose }) {
+    const [tab, setTab] = useState('feed');
+    const [editing, setEditing] = useState(null);
+    const [ruleFilter, setRuleFilter] = useState('');
+    const [webhookUrl, setWebhookUrl] = useState(digest.webhookUrl);
+    const [everyHours, setEveryHours] = useState(Number(digest.everyHours) || 0);
+    const [digestStatus, setDigestStatus] = useState(null);
+
+    const counts = {};
+    alerts.forEach(a => { counts[a.ruleId] = (counts[a.ruleId] || 0) + 1; });
+    const visible = alerts.filter(a => !ruleFilter || a.ruleId === ruleFilter);
+    const pending = alerts.filter(a => !a.digestedAt).length;
+
+    const saveRule = (rule) => {
+        const exists = rules.some(r => r.id === rule.id);
+        onSaveRules(exists ? rules.map(r => (r.id === rule.id ? rule : r)) : [...rules, rule]);
+        setEditing(null);
+    };
+
+    const sendNow = async () => {
+        onSaveDigest({ webhookUrl: webhookUrl.trim(), everyHours });
+        setDigestStatus({ sending: true });
+        try {
+            const { sent } = await onSendDigest();
+            setDigestStatus({ message: sent ? `Sent ${sent} new alerts` : 'Sent — nothing new since the last digest' });
+        } catch (err) {
+            setDigestStatus({ error: err.message });
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal modal-wide">
+                <h2>🔔 Alerts</h2>
+                <p className="modal-desc">
+                    {alerts.length} active alerts from {rules.filter(r => r.enabled).length} rules · {alerts.filter(a => !a.seenAt).length} new ·
+                    re-checked on every load and refresh
+                </p>
+
+                <div className="segmented">
+                    {TABS.map(([key, label]) => (
+                        <button
+                            key={key}
+                            className={`segmented-option ${tab === key ? 'selected' : ''}`}
+                            onClick={() => { setTab(key); setEditing(null); }}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                {tab === 'feed' && (
+                    <>
+                        <select className="form-input link-search" value={ruleFilter} onChange={e => setRuleFilter(e.target.value)}>
+                            <option value="">All rules</option>
+                            {rules.map(r => <option key={r.id} value={r.id}>{r.name} ({counts[r.id] || 0})</option>)}
+                        </select>
+                        <div className="link-list">
+                            {visible.length === 0 && <div className="thread-empty">No active alerts</div>}
+                            {visible.slice(0, MAX_ALERTS).map(a => (
+                                <div key={a.id} className="link-row">
+                                    <div className="link-main">
+                                        <div className="link-title">
+                                            <span className={`quality-badge ${a.severity}`}>{a.severity}</span>
+                                            {a.itemName || '(no name)'}
+                                            {!a.seenAt && <span className="link-badge">new</span>}
+                                        </div>
+                                        <div className="link-meta">{a.rule} · {a.detail}</div>
+                                        <div className="link-meta">First seen {new Date(a.firstSeen).toLocaleString()}</div>
+                                    </div>
+                                    {itemHref(a) && (
+                                        <a className="btn btn-sm" href={itemHref(a)} target="_blank" rel="noreferrer">Open ↗</a>
+                                    )}
+                                </div>
+                            ))}
+                            {visible.length > MAX_ALERTS && <div className="thread-empty">Showing {MAX_ALERTS} of {visible.length}</div>}
+                        </div>
+                    </>
+                )}
+
+                {tab === 'rules' && (editing ? (
+                    <RuleEditor rule={editing} boards={boards} onSave={saveRule} onCancel={() => setEditing(null)} />
+                ) : (
+                    <>
+                        <div className="link-list alert-rules">
+                            {rules.length === 0 && <div className="thread-empty">No rules yet</div>}
+                            {rules.map(r => (
+                                <div key={r.id} className="link-row">
+                                    <input
+                                        type="checkbox"
+                                        checked={r.enabled}
+                                        title={r.enabled ? 'Disable rule' : 'Enable rule'}
+                                        onChange={() => onSaveRules(rules.map(x => (x.id === r.id ? { ...x, enabled: !x.enabled } : x)))}
+                                    />
+                                    <div className="link-main">
+                                        <div className="link-title">
+                                            <span className={`quality-badge ${r.severity}`}>{r.severity}</span>
+                                            {r.name}
+                                        </div>
+                                        <div className="link-meta">
+                                            {boards.find(b => b.key === r.board)?.label || r.board} · {r.conditions.map(describeCondition).join(' and ')}
+                                        </div>
+                                        <div className="link-meta">
+                                            {r.enabled ? `${counts[r.id] || 0} matching items` : 'Disabled'}
+                                            {notes[r.id] && <span className="form-error"> · {notes[r.id]}</span>}
+                                        </div>
+                                    </div>
+                                    <button className="btn btn-sm" onClick={() => setEditing(r)}>Edit</button>
+                                    <button
+                                        className="btn btn-icon btn-sm"
+                                        title="Delete rule"
+                                        onClick={() => confirm(`Delete rule "${r.name}"?`) && onSaveRules(rules.filter(x => x.id !== r.id))}
+                                    >
+                                        🗑
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="modal-actions">
+                            <button className="btn" disabled={!boards.length} onClick={() => setEditing(emptyRule(boards[0]?.key))}>＋ New Rule</button>
+                            <button className="btn btn-primary" onClick={onClose}>Done</button>
+                        </div>
+                    </>
+                ))}
+
+                {tab === 'digest' && (
+                    <div className="alert-digest">
+                        <div className="form-group">
+                            <label className="form-label">Webhook URL</label>
+                            <input
+                                className="form-input"
+                                placeholder="https://hooks.slack.com/services/… or any endpoint accepting JSON"
+                                value={webhookUrl}
+                                onChange={e => setWebhookUrl(e.target.value)}
+                            />
+                            <div className="form-help">
+                                Receives a POST of {'{ text, generatedAt, alerts }'} listing alerts not included in an earlier digest.
+                                {relayed
+                                    ? 'Sent through the backend proxy.'
+                                    : 'Sent straight from the browser without CORS, so delivery can\'t be confirmed — use the backend proxy to see webhook errors.'}
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Schedule</label>
+                            <select className="form-input" value={everyHours} onChange={e => setEveryHours(Number(e.target.value))}>
+                                {DIGEST_INTERVALS.map(([hours, label]) => <option key={hours} value={hours}>{label}</option>)}
+                            </select>
+                            <div className="form-help">
+                                Digests are only sent while a tab with the app is open; a missed one goes out once the app is open again · {pending} alerts not yet sent
+                                {digest.lastRunAt && ` · last run ${new Date(digest.lastRunAt).toLocaleString()}`}
+                            </div>
+                            {digest.lastError && <div className="form-help form-error">Last digest failed: {digest.lastError}</div>}
+                        </div>
+                        {digestStatus && (
+                            <div className={`form-help ${digestStatus.error ? 'form-error' : ''}`}>
+                                {digestStatus.sending ? 'Sending…' : digestStatus.error || digestStatus.message}
+                            </div>
+                        )}
+                        <div className="modal-actions">
+                            <button className="btn" onClick={onClose}>Close</button>
+                            <button className="btn" disabled={!webhookUrl.trim() || digestStatus?.sending} onClick={sendNow}>Send Now</button>
+                            <button
+                                className="btn btn-primary"
+                                onClick={() => {
+                                    onSaveDigest({ webhookUrl: webhookUrl.trim(), everyHours });
+                                    setDigestStatus({ message: 'Saved' });
+                                }}
+                            >
+                                Save Digest
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {tab === 'feed' && (
+                    <div className="modal-actions">
+                        <button className="btn btn-primary" onClick={onClose}>Done</button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,60 @@
+const STATUS_LABELS = {
+    applying: 'Applying…',
+    applied: 'Applied',
+    failed: 'Failed',
+    dismissed: 'Dismissed',
+};
+
+/** The before → after of a proposal; updates have no "before", only the text to post. */
+export function ChangeDiff({ change }) {
+    if (change.action === 'post_update') {
+        return <div className="change-update">{change.body}</div>;
+    }
+    return (
+        <div className="change-diff">
+            <span className="change-column">{change.column}</span>
+            <del>{change.from || 'empty'}</del>
+            <span>→</span>
+            <ins>{change.to || 'empty'}</ins>
+        </div>
+    );
+}
+
+/**
+ * A change the agent proposed on a Monday.com item, shown under its answer.
+ * Nothing is written until Confirm; the card then shows the outcome.
+ * @param href link to the item on Monday.com, or null
+ */
+export default function ChangeProposal({ proposal, href, onConfirm, onDismiss }) {
+    const { status } = proposal;
+    return (
+        <div className={`change-card ${status}`}>
+            <div className="change-head">
+                <span>
+                    {proposal.action === 'post_update' ? '💬 Post update on ' : '✎ Change '}
+                    <strong>{proposal.itemName}</strong>
+                    <span className="chart-source"> · {proposal.boardName}</span>
+                </span>
+                {href && <a className="chart-source" href={href} target="_blank" rel="noreferrer">Open in Monday ↗</a>}
+            </div>
+            <ChangeDiff change={proposal} />
+            {proposal.reason && <div className="link-meta">{proposal.reason}</div>}
+            {proposal.error && <div className="change-error">{proposal.error}</div>}
+            <div className="change-actions">
+                {status === 'pending' ? (
+                    <>
+                        <button className="btn btn-sm" onClick={onDismiss}>Dismiss</button>
+                        <button className="btn btn-sm btn-primary" onClick={onConfirm}>Confirm</button>
+                    </>
+                ) : status === 'failed' ? (
+                    <>
+                        <span className={`change-status ${status}`}>{STATUS_LABELS[status]}</span>
+                        <button className="btn btn-sm" onClick={onConfirm}>Retry</button>
+                    </>
+                ) : (
+                    <span className={`change-status ${status}`}>{STATUS_LABELS[status]}</span>
+                )}
+            </div>
+        </div>
+    );
+}
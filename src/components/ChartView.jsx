@@ -0,0 +1,187 @@
+import { formatNum } from '../lib/dataCleaner';
+
+/**
+ * Inline SVG chart renderer for agent answers.
+ * Draws bar, pie, funnel and line specs produced by lib/charts.js.
+ */
+
+const PALETTE = ['#7c3aed', '#06b6d4', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#8b5cf6', '#14b8a6', '#eab308', '#64748b'];
+const WIDTH = 560;
+
+export function formatChartValue(v, unit) {
+    if (v === null || v === undefined) return '-';
+    return unit === 'inr' ? `₹${formatNum(v)}` : Number(v).toLocaleString('en-IN');
+}
+
+function truncate(label, max = 22) {
+    const s = String(label);
+    return s.length > max ? s.substring(0, max - 1) + '…' : s;
+}
+
+export default function ChartView({ chart }) {
+    const { type, title, board } = chart;
+    return (
+        <figure className="chart-card">
+            <figcaption className="chart-title">
+                {title}
+                <span className="chart-source">{board}</span>
+            </figcaption>
+            {type === 'pie' && <PieChart chart={chart} />}
+            {type === 'funnel' && <FunnelChart chart={chart} />}
+            {type === 'line' && <LineChart chart={chart} />}
+            {type === 'bar' && <BarChart chart={chart} />}
+            {chart.series.length > 1 && (
+                <div className="chart-legend">
+                    {chart.series.map((s, i) => (
+                        <span key={s.name}>
+                            <i style={{ background: PALETTE[i % PALETTE.length] }} /> {s.name}
+                        </span>
+                    ))}
+                </div>
+            )}
+        </figure>
+    );
+}
+
+function BarChart({ chart }) {
+    const { labels, series, unit } = chart;
+    const labelW = 150;
+    const valueW = 70;
+    const barH = series.length > 1 ? 10 : 16;
+    const rowH = barH * series.length + 10;
+    const max = Math.max(1, ...series.flatMap(s => s.values));
+    const plotW = WIDTH - labelW - valueW;
+    const height = labels.length * rowH;
+
+    return (
+        <svg className="chart-svg" viewBox={`0 0 ${WIDTH} ${height}`} role="img">
+            {labels.map((label, i) => (
+                <g key={label} transform={`translate(0, ${i * rowH})`}>
+                    <text x={labelW - 8} y={rowH / 2} className="chart-label" textAnchor="end" dominantBaseline="middle">
+                        {truncate(label)}
+                    </text>
+                    {series.map((s, j) => {
+                        const w = Math.max(1, (s.values[i] / max) * plotW);
+                        const y = 5 + j * barH;
+                        return (
+                            <g key={s.name}>
+                                <rect x={labelW} y={y} width={w} height={barH - 2} rx="3" fill={PALETTE[j % PALETTE.length]} />
+                                <text x={labelW + w + 6} y={y + barH / 2} className="chart-value" dominantBaseline="middle">
+                                    {formatChartValue(s.values[i], unit)}
+                                </text>
+                            </g>
+                        );
+                    })}
+                </g>
+            ))}
+        </svg>
+    );
+}
+
+function FunnelChart({ chart }) {
+    const { labels, series, unit } = chart;
+    const values = series[0].values;
+    const rowH = 28;
+    const max = Math.max(1, ...values);
+    const center = WIDTH / 2;
+
+    return (
+        <svg className="chart-svg" viewBox={`0 0 ${WIDTH} ${labels.length * rowH}`} role="img">
+            {labels.map((label, i) => {
+                const w = Math.max(24, (values[i] / max) * (WIDTH - 40));
+                return (
+                    <g key={label} transform={`translate(0, ${i * rowH})`}>
+                        <rect x={center - w / 2} y="2" width={w} height={rowH - 4} rx="4"
+                            fill={PALETTE[i % PALETTE.length]} opacity="0.85" />
+                        <text x={center} y={rowH / 2} className="chart-label chart-label-strong" textAnchor="middle" dominantBaseline="middle">
+                            {truncate(label, 34)} · {formatChartValue(values[i], unit)}
+                        </text>
+                    </g>
+                );
+            })}
+        </svg>
+    );
+}
+
+function PieChart({ chart }) {
+    const { labels, series, unit } = chart;
+    const values = series[0].values;
+    const total = values.reduce((s, v) => s + v, 0) || 1;
+    const r = 80;
+    const inner = 48;
+    const cx = 100;
+    const cy = 100;
+    let angle = -Math.PI / 2;
+
+    const arcs = values.map((v, i) => {
+        const sweep = (v / total) * Math.PI * 2;
+        const start = angle;
+        angle += sweep;
+        // A full circle cannot be drawn as a single arc
+        const end = sweep >= Math.PI * 2 ? start + Math.PI * 2 - 0.0001 : angle;
+        const large = end - start > Math.PI ? 1 : 0;
+        const p = (rad, a) => `${cx + rad * Math.cos(a)} ${cy + rad * Math.sin(a)}`;
+        const d = `M ${p(r, start)} A ${r} ${r} 0 ${large} 1 ${p(r, end)} L ${p(inner, end)} A ${inner} ${inner} 0 ${large} 0 ${p(inner, start)} Z`;
+        return <path key={labels[i]} d={d} fill={PALETTE[i % PALETTE.length]} />;
+    });
+
+    return (
+        <div className="chart-pie">
+            <svg viewBox="0 0 200 200" width="200" height="200" role="img">{arcs}</svg>
+            <ul className="chart-pie-legend">
+                {labels.map((label, i) => (
+                    <li key={label}>
+                        <i style={{ background: PALETTE[i % PALETTE.length] }} />
+                        <span className="chart-pie-label">{label}</span>
+                        <span className="chart-pie-value">
+                            {formatChartValue(values[i], unit)} · {((values[i] / total) * 100).toFixed(1)}%
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+function LineChart({ chart }) {
+    const { labels, series, unit } = chart;
+    const height = 200;
+    const pad = { l: 64, r: 16, t: 12, b: 28 };
+    const plotW = WIDTH - pad.l - pad.r;
+    const plotH = height - pad.t - pad.b;
+    const max = Math.max(1, ...series.flatMap(s => s.values));
+    const x = i => pad.l + (labels.length > 1 ? (i / (labels.length - 1)) * plotW : plotW / 2);
+    const y = v => pad.t + plotH - (v / max) * plotH;
+    const labelStep = Math.ceil(labels.length / 8);
+
+    return (
+        <svg className="chart-svg" viewBox={`0 0 ${WIDTH} ${height}`} role="img">
+            {[0, 0.5, 1].map(f => (
+                <g key={f}>
+                    <line x1={pad.l} x2={WIDTH - pad.r} y1={y(max * f)} y2={y(max * f)} className="chart-grid" />
+                    <text x={pad.l - 6} y={y(max * f)} className="chart-value" textAnchor="end" dominantBaseline="middle">
+                        {formatChartValue(max * f, unit)}
+                    </text>
+                </g>
+            ))}
+            {labels.map((label, i) => i % labelStep === 0 && (
+                <text key={label} x={x(i)} y={height - 8} className="chart-label" textAnchor="middle">{label}</text>
+            ))}
+            {series.map((s, j) => (
+                <g key={s.name}>
+                    <polyline
+                        points={s.values.map((v, i) => `${x(i)},${y(v)}`).join(' ')}
+                        fill="none"
+                        stroke={PALETTE[j % PALETTE.length]}
+                        strokeWidth="2"
+                    />
+                    {s.values.map((v, i) => (
+                        <circle key={i} cx={x(i)} cy={y(v)} r="3" fill={PALETTE[j % PALETTE.length]}>
+                            <title>{`${labels[i]}: ${formatChartValue(v, unit)}`}</title>
+                        </circle>
+                    ))}
+                </g>
+            ))}
+        </svg>
+    );
+}
@@ -0,0 +1,50 @@
+import { BOARD_KINDS } from '../lib/schema';
+
+const isEmpty = (v) => v === null || v === undefined || v === '';
+
+/**
+ * Side drawer for a cited item: every column of its cleaned row and a link to
+ * the item on Monday.com. Shows the row as the boards hold it now, or as it
+ * was when the answer cited it if the item is no longer loaded.
+ * @param board the loaded board the citation points at, if it is still loaded
+ * @param href Monday.com item link, or null (file imports, no account slug)
+ */
+export default function CitationDrawer({ citation, board, href, onClose }) {
+    const current = board?.cleaned.data.find(r => String(r._id) === citation.id);
+    const row = current || citation.row;
+    const columns = Object.keys(row).filter(k => !k.startsWith('_'));
+
+    return (
+        <div className="sidebar-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <aside className="sidebar citation-drawer">
+                <div className="sidebar-header">
+                    <span>[{citation.n}] {row._name || citation.id}</span>
+                    <button className="btn btn-icon btn-sm" onClick={onClose} title="Close">✕</button>
+                </div>
+                <div className="link-meta">
+                    {board ? board.raw.name : citation.board}
+                    {board && BOARD_KINDS[board.kind] && ` · ${BOARD_KINDS[board.kind]}`}
+                    {` · item ${citation.id}`}
+                </div>
+                {!current && (
+                    <div className="citation-stale">
+                        This item is not in the loaded boards — showing it as it was when cited.
+                    </div>
+                )}
+                {href && (
+                    <a className="btn btn-sm" href={href} target="_blank" rel="noreferrer">
+                        Open in Monday.com ↗
+                    </a>
+                )}
+                <dl className="citation-fields">
+                    {columns.map(k => (
+                        <div key={k} className="citation-field">
+                            <dt>{k}</dt>
+                            <dd className={isEmpty(row[k]) ? 'empty' : ''}>{isEmpty(row[k]) ? '—' : String(row[k])}</dd>
+                        </div>
+                    ))}
+                </dl>
+            </aside>
+        </div>
+    );
+}
@@ -0,0 +1,33 @@
+import { formatNum } from '../lib/dataCleaner';
+
+/**
+ * What board data an answer was given (see lib/retrieval.js): tokens used of the
+ * budget and, per board, the summary sections and rows picked for the question.
+ */
+export default function ContextUsed({ context }) {
+    const rows = context.boards.reduce((s, b) => s + b.rows, 0);
+    return (
+        <details className="context-used">
+            <summary>
+                Context: {formatNum(context.tokens)} of {formatNum(context.budget)} tokens · {rows} rows
+                {context.history_dropped > 0 && ` · ${context.history_dropped} older messages left out`}
+            </summary>
+            {context.terms.length > 0 && (
+                <div className="link-meta">Matched on: {context.terms.join(', ')}</div>
+            )}
+            {context.boards.map(b => (
+                <div key={b.key} className="context-board">
+                    <strong>{b.key}</strong>
+                    <span className="chart-source">
+                        {' '}
+                        {b.fallback_rows
+                            ? `${b.rows} largest of ${b.total_rows} rows (none matched)`
+                            : `${b.rows} of ${b.total_rows} rows${b.matched_rows > b.rows ? `, ${b.matched_rows - b.rows} more matched but over budget` : ''}`}
+                    </span>
+                    {b.sections.length > 0 && <div className="link-meta">Sections: {b.sections.join(' · ')}</div>}
+                    {b.omitted_sections.length > 0 && <div className="link-meta">Left out: {b.omitted_sections.join(' · ')}</div>}
+                </div>
+            ))}
+        </details>
+    );
+}
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { SEVERITIES } from '../lib/dataQuality';
+
+const VIEWS = [
+    ['issues', 'Issues'],
+    ['columns', 'Columns'],
+];
+
+// Affected items rendered per expanded issue
+const MAX_ITEMS = 100;
+
+/** Where to fix an item: its Monday.com link, or the line in the imported file. */
+function ItemLocation({ id, href }) {
+    if (href) return <a href={href} target="_blank" rel="noreferrer">Open in Monday ↗</a>;
+    const line = String(id).match(/^row-(\d+)$/);
+    return <span>{line ? `line ${line[1]}` : id}</span>;
+}
+
+function percent(v) {
+    return v === null ? '—' : `${v}%`;
+}
+
+/**
+ * Modal listing per-column diagnostics and data quality issues per board.
+ * @param boards [{ key, label, quality, itemHref }] — quality from analyzeQuality;
+ *   itemHref(id) returns a Monday.com link or null
+ */
+export default function DataQuality({ boards, onClose }) {
+    const [tab, setTab] = useState(0);
+    const [view, setView] = useState('issues');
+    const [open, setOpen] = useState(null);
+
+    const { quality, itemHref } = boards[tab];
+    const counts = Object.fromEntries(SEVERITIES.map(s => [s, quality.issues.filter(i => i.severity === s).length]));
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal modal-wide">
+                <h2>🩺 Data Quality</h2>
+                <p className="modal-desc">
+                    {quality.board}: {quality.rows} items · {quality.issues.length} issues
+                    ({SEVERITIES.map(s => `${counts[s]} ${s}`).join(', ')})
+                </p>
+
+                <div className="segmented">
+                    {boards.map((b, i) => (
+                        <button
+                            key={b.key}
+                            className={`segmented-option ${tab === i ? 'selected' : ''}`}
+                            onClick={() => { setTab(i); setOpen(null); }}
+                        >
+                            {b.label} ({b.quality.issues.length})
+                        </button>
+                    ))}
+                </div>
+                <div className="segmented quality-views">
+                    {VIEWS.map(([key, label]) => (
+                        <button
+                            key={key}
+                            className={`segmented-option ${view === key ? 'selected' : ''}`}
+                            onClick={() => setView(key)}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                {view === 'issues' ? (
+                    <div className="link-list">
+                        {quality.issues.length === 0 && <div className="thread-empty">No issues found</div>}
+                        {quality.issues.map(issue => (
+                            <div key={issue.id} className="quality-issue">
+                                <div className="link-row">
+                                    <div className="link-main">
+                                        <div className="link-title">
+                                            <span className={`quality-badge ${issue.severity}`}>{issue.severity}</span>
+                                            {issue.title}
+                                        </div>
+                                        <div className="link-meta">{issue.detail}</div>
+                                    </div>
+                                    <button className="btn btn-sm" onClick={() => setOpen(open === issue.id ? null : issue.id)}>
+                                        {issue.items.length} items {open === issue.id ? '▾' : '▸'}
+                                    </button>
+                                </div>
+                                {open === issue.id && (
+                                    <div className="quality-items">
+                                        {issue.items.slice(0, MAX_ITEMS).map((item, i) => (
+                                            <div key={`${item.id}-${i}`} className="quality-item">
+                                                <span className="quality-item-name">{item.name || '(no name)'}</span>
+                                                {item.value !== undefined && <span className="link-meta">{item.value ?? 'empty'}</span>}
+                                                <ItemLocation id={item.id} href={itemHref(item.id)} />
+                                            </div>
+                                        ))}
+                                        {issue.items.length > MAX_ITEMS && (
+                                            <div className="thread-empty">Showing {MAX_ITEMS} of {issue.items.length}</div>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                ) : (
+                    <div className="link-list">
+                        <table className="quality-table">
+                            <thead>
+                                <tr>
+                                    <th>Column</th>
+                                    <th>Type</th>
+                                    <th>Filled</th>
+                                    <th>Valid type</th>
+                                    <th>Outliers</th>
+                                    <th>Unknown values</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {quality.columns.map(c => (
+                                    <tr key={c.title}>
+                                        <td>
+                                            {c.title}
+                                            {c.role && <div className="link-meta">{c.role}</div>}
+                                        </td>
+                                        <td>{c.type}</td>
+                                        <td>{percent(c.fill_rate)}</td>
+                                        <td>{percent(c.conformance)}</td>
+                                        <td>{c.outliers || '—'}</td>
+                                        <td>{c.out_of_vocabulary || '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                <div className="modal-actions">
+                    <button className="btn btn-primary" onClick={onClose}>Done</button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,83 @@
+import { useState, useRef, useEffect } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import ChartView from './ChartView';
+import { exportDocument } from '../lib/export';
+import { formatSnapshot } from '../lib/snapshot';
+import { footnoteCitations } from '../lib/citations';
+
+const FORMATS = [
+    ['pdf', 'PDF (print)'],
+    ['docx', 'Word (.docx)'],
+    ['html', 'HTML'],
+    ['md', 'Markdown'],
+];
+
+/**
+ * Pre-renders chat messages into the export document consumed by lib/export.js.
+ * Citation links become numbered sources, since the in-app drawer they open is not exported.
+ */
+function buildExportDoc(messages, title, snapshot, citationHref) {
+    return {
+        title,
+        generatedAt: new Date().toISOString(),
+        snapshotLabel: formatSnapshot(snapshot),
+        entries: messages.map(m => {
+            const content = m.role === 'assistant' ? footnoteCitations(m.content, m.citations, citationHref) : m.content;
+            return {
+                role: m.role,
+                content,
+                html: m.role === 'assistant'
+                    ? renderToStaticMarkup(<ReactMarkdown remarkPlugins={[remarkGfm]}>{content}</ReactMarkdown>)
+                    : '',
+                charts: (m.charts || []).map(c => ({ ...c, svg: renderToStaticMarkup(<ChartView chart={c} />) })),
+            };
+        }),
+    };
+}
+
+/**
+ * Dropdown that exports the given messages as PDF / DOCX / HTML / Markdown.
+ * @param citationHref (citation) => Monday.com item link, or null
+ */
+export default function ExportMenu({ messages, title, snapshot, citationHref, label = '⤓ Export' }) {
+    const [open, setOpen] = useState(false);
+    const [error, setError] = useState(null);
+    const ref = useRef(null);
+
+    useEffect(() => {
+        if (!open) return;
+        const close = (e) => { if (!ref.current?.contains(e.target)) setOpen(false); };
+        document.addEventListener('mousedown', close);
+        return () => document.removeEventListener('mousedown', close);
+    }, [open]);
+
+    const handleExport = (format) => {
+        setOpen(false);
+        setError(null);
+        try {
+            exportDocument(buildExportDoc(messages, title, snapshot, citationHref), format);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="export-menu" ref={ref}>
+            <button className="btn btn-sm" onClick={() => setOpen(o => !o)} title={error || 'Export'}>
+                {label}
+            </button>
+            {open && (
+                <div className="export-dropdown">
+                    {FORMATS.map(([format, name]) => (
+                        <button key={format} className="export-option" onClick={() => handleExport(format)}>
+                            {name}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {error && <span className="export-error">{error}</span>}
+        </div>
+    );
+}
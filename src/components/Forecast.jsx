@@ -0,0 +1,241 @@
+import { useMemo, useState } from 'react';
+import { DEFAULT_FORECAST_CONFIG, forecastPipeline } from '../lib/forecast';
+import { formatNum } from '../lib/dataCleaner';
+import ChartView from './ChartView';
+
+const VIEWS = [
+    ['forecast', 'Forecast'],
+    ['weights', 'Weights'],
+];
+
+const BUCKETS = [
+    ['month', 'By month'],
+    ['quarter', 'By quarter'],
+];
+
+const inr = (n) => `₹${formatNum(n || 0)}`;
+const percent = (n) => (n === null || n === undefined ? '—' : `${Math.round(n * 100)}%`);
+
+/** One editable weight with its calibration evidence. */
+function WeightRow({ label, value, calibration, applied, onChange }) {
+    return (
+        <tr>
+            <td>{label}</td>
+            <td>
+                <input
+                    className="form-input forecast-weight"
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={value}
+                    onChange={e => onChange(Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)))}
+                />
+            </td>
+            <td>{calibration ? `${calibration.won} / ${calibration.dead}` : '—'}</td>
+            <td>{percent(calibration?.rate)}</td>
+            <td>{percent(calibration?.weight)}</td>
+            <td><strong>{percent(applied)}</strong></td>
+        </tr>
+    );
+}
+
+/**
+ * Weighted pipeline forecast for the deals board. Weight edits preview live
+ * and only persist (and reach the agent) on Save.
+ * @param itemHref (itemId) → Monday.com link or null
+ */
+export default function Forecast({ deals, config, itemHref, onSaveConfig, onClose }) {
+    const [view, setView] = useState('forecast');
+    const [bucket, setBucket] = useState('month');
+    const [draft, setDraft] = useState(config);
+
+    const { forecast, error } = useMemo(() => {
+        try {
+            return { forecast: forecastPipeline(deals, { config: draft, bucket }) };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }, [deals, draft, bucket]);
+
+    const setWeight = (group, key, value) => setDraft(d => ({ ...d, [group]: { ...d[group], [key]: value } }));
+    const dirty = JSON.stringify(draft) !== JSON.stringify(config);
+
+    const chart = forecast?.buckets.length ? {
+        type: 'bar',
+        title: `Expected revenue by ${bucket}`,
+        board: deals.boardName,
+        labels: forecast.buckets.map(b => b.period),
+        series: [
+            { name: 'Weighted', values: forecast.buckets.map(b => b.weighted) },
+            { name: 'Pipeline', values: forecast.buckets.map(b => b.pipeline) },
+        ],
+        unit: 'inr',
+    } : null;
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal modal-wide">
+                <h2>◔ Pipeline Forecast</h2>
+                <p className="modal-desc">
+                    {forecast
+                        ? `${inr(forecast.weighted_total)} expected from ${inr(forecast.total_pipeline)} open pipeline · ${forecast.open_deals} deals in stages A–H · ${forecast.calibrated ? `weights calibrated on ${forecast.calibration?.closed_deals ?? 0} closed deals` : 'configured weights'}`
+                        : error}
+                </p>
+
+                <div className="segmented">
+                    {VIEWS.map(([key, label]) => (
+                        <button key={key} className={`segmented-option ${view === key ? 'selected' : ''}`} onClick={() => setView(key)}>
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                {forecast && view === 'forecast' && (
+                    <>
+                        <div className="segmented quality-views">
+                            {BUCKETS.map(([key, label]) => (
+                                <button key={key} className={`segmented-option ${bucket === key ? 'selected' : ''}`} onClick={() => setBucket(key)}>
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        {chart && <ChartView chart={chart} />}
+                        <div className="link-list">
+                            <table className="quality-table">
+                                <thead>
+                                    <tr>
+                                        <th>Close {bucket}</th>
+                                        <th>Deals</th>
+                                        <th>Pipeline</th>
+                                        <th>Weighted</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {forecast.overdue.deals > 0 && (
+                                        <tr className="forecast-overdue">
+                                            <td>Overdue (close date passed)</td>
+                                            <td>{forecast.overdue.deals}</td>
+                                            <td>{inr(forecast.overdue.pipeline)}</td>
+                                            <td>{inr(forecast.overdue.weighted)}</td>
+                                        </tr>
+                                    )}
+                                    {forecast.buckets.map(b => (
+                                        <tr key={b.period}>
+                                            <td>{b.period}</td>
+                                            <td>{b.deals}</td>
+                                            <td>{inr(b.pipeline)}</td>
+                                            <td>{inr(b.weighted)}</td>
+                                        </tr>
+                                    ))}
+                                    {forecast.undated.deals > 0 && (
+                                        <tr>
+                                            <td>No tentative close date</td>
+                                            <td>{forecast.undated.deals}</td>
+                                            <td>{inr(forecast.undated.pipeline)}</td>
+                                            <td>{inr(forecast.undated.weighted)}</td>
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </table>
+
+                            <h3 className="forecast-heading">Top contributors</h3>
+                            {forecast.top_deals.length === 0 && <div className="thread-empty">No open deals with a value and a weight</div>}
+                            {forecast.top_deals.map(d => (
+                                <div key={d._id} className="link-row">
+                                    <div className="link-main">
+                                        <div className="link-title">{d._name}</div>
+                                        <div className="link-meta">
+                                            {d.stage || 'No stage'} · {d.probability || 'No probability'} · closes {d.close_date || 'undated'}
+                                        </div>
+                                    </div>
+                                    <span className="link-meta">{inr(d.value)} × {percent(d.weight)} = <strong>{inr(d.expected)}</strong></span>
+                                    {itemHref(d._id) && <a className="btn btn-sm" href={itemHref(d._id)} target="_blank" rel="noreferrer">Open ↗</a>}
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
+
+                {view === 'weights' && (
+                    <div className="link-list">
+                        <div className="form-row forecast-options">
+                            <label className="form-label">
+                                <input
+                                    type="checkbox"
+                                    checked={draft.useCalibration}
+                                    onChange={e => setDraft(d => ({ ...d, useCalibration: e.target.checked }))}
+                                />
+                                {' '}Use weights calibrated on Won / Dead history
+                            </label>
+                            <label className="form-label">
+                                Probability share of a deal's weight
+                                <input
+                                    className="form-input forecast-weight"
+                                    type="number"
+                                    min="0"
+                                    max="1"
+                                    step="0.1"
+                                    value={draft.blend}
+                                    onChange={e => setDraft(d => ({ ...d, blend: Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)) }))}
+                                />
+                            </label>
+                        </div>
+                        <div className="form-help">
+                            A deal's weight blends its Closure Probability weight and its stage weight (the stage gets the rest of the share).
+                            Calibrated weights are the historical win rate, pulled towards the configured weight when few deals have closed.
+                        </div>
+                        <table className="quality-table">
+                            <thead>
+                                <tr>
+                                    <th>Weight</th>
+                                    <th>Configured</th>
+                                    <th>Won / Dead</th>
+                                    <th>Win rate</th>
+                                    <th>Calibrated</th>
+                                    <th>Applied</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {Object.keys(draft.probability).map(k => (
+                                    <WeightRow
+                                        key={`p-${k}`}
+                                        label={`Probability: ${k}`}
+                                        value={draft.probability[k]}
+                                        calibration={forecast?.calibration?.probability[k]}
+                                        applied={forecast?.weights.probability[k]}
+                                        onChange={v => setWeight('probability', k, v)}
+                                    />
+                                ))}
+                                {Object.keys(draft.stage).map(k => (
+                                    <WeightRow
+                                        key={`s-${k}`}
+                                        label={`Stage ${k}`}
+                                        value={draft.stage[k]}
+                                        calibration={forecast?.calibration?.stage[k]}
+                                        applied={forecast?.weights.stage[k]}
+                                        onChange={v => setWeight('stage', k, v)}
+                                    />
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                <div className="modal-actions">
+                    {view === 'weights' && (
+                        <button className="btn" onClick={() => setDraft(DEFAULT_FORECAST_CONFIG)}>Reset to defaults</button>
+                    )}
+                    {dirty ? (
+                        <>
+                            <button className="btn" onClick={onClose}>Discard</button>
+                            <button className="btn btn-primary" onClick={() => onSaveConfig(draft)}>Save weights</button>
+                        </>
+                    ) : (
+                        <button className="btn btn-primary" onClick={onClose}>Done</button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
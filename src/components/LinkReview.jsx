@@ -0,0 +1,139 @@
+import { useMemo, useState } from 'react';
+import { needsReview } from '../lib/linker';
+import { formatNum } from '../lib/dataCleaner';
+import { roleColumns } from '../lib/schema';
+
+const TABS = [
+    ['review', 'Needs review'],
+    ['unmatched', 'Unmatched WOs'],
+    ['deals', 'Won, no WO'],
+    ['all', 'All links'],
+];
+
+const AUTO = '__auto__';
+const NONE = '__none__';
+// Each row carries a full deal <select>, so keep the rendered list short
+const MAX_ROWS = 50;
+
+/**
+ * Modal for reviewing Deal ↔ Work Order links and setting manual overrides.
+ */
+export default function LinkReview({ linkResult, dealsBoard, overrides, onChange, onClose }) {
+    const [tab, setTab] = useState('review');
+    const [query, setQuery] = useState('');
+    const deals = dealsBoard.data;
+
+    const dealOptions = useMemo(() => {
+        const roles = roleColumns(dealsBoard.schema);
+        return [...dealsBoard.data]
+            .sort((a, b) => (a._name || '').localeCompare(b._name || ''))
+            .map(d => ({ id: d._id, label: [d._name, d[roles.client], d[roles.deal_status]].filter(Boolean).join(' · ') }));
+    }, [dealsBoard]);
+
+    const rows = useMemo(() => {
+        const q = query.trim().toLowerCase();
+        const match = (...values) => !q || values.some(v => String(v || '').toLowerCase().includes(q));
+        if (tab === 'deals') {
+            return linkResult.unmatchedDeals
+                .filter(d => String(d.status || '').toLowerCase() === 'won' && match(d.name));
+        }
+        if (tab === 'unmatched') {
+            return linkResult.unmatchedWorkOrders
+                .filter(w => match(w.name))
+                .map(w => ({ work_order_id: w.id, work_order: w.name, reason: w.reason }));
+        }
+        return linkResult.links.filter(l =>
+            (tab === 'all' || needsReview(l)) && match(l.work_order, l.deal)
+        );
+    }, [tab, query, linkResult]);
+
+    const setOverride = (woId, value) => {
+        const next = { ...overrides };
+        if (value === AUTO) delete next[woId];
+        else if (value === NONE) next[woId] = { dealId: null };
+        else next[woId] = { dealId: value, dealName: deals.find(d => d._id === value)?._name };
+        onChange(next);
+    };
+
+    const selectValue = (woId) => {
+        const o = overrides[woId];
+        if (!o) return AUTO;
+        return o.dealId || NONE;
+    };
+
+    const { stats } = linkResult;
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal modal-wide">
+                <h2>🔗 Deal ↔ Work Order Links</h2>
+                <p className="modal-desc">
+                    {stats.linked_work_orders} of {stats.work_orders} work orders linked
+                    ({stats.exact} exact, {stats.fuzzy} fuzzy, {stats.manual} manual) · {stats.needs_review} need review ·{' '}
+                    {stats.won_deals_without_work_order} won deals have no work order
+                </p>
+
+                <div className="segmented">
+                    {TABS.map(([key, label]) => (
+                        <button
+                            key={key}
+                            className={`segmented-option ${tab === key ? 'selected' : ''}`}
+                            onClick={() => setTab(key)}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <input
+                    className="form-input link-search"
+                    placeholder="Filter by name..."
+                    value={query}
+                    onChange={e => setQuery(e.target.value)}
+                />
+
+                <div className="link-list">
+                    {rows.length === 0 && <div className="thread-empty">Nothing to show</div>}
+                    {tab === 'deals' ? rows.slice(0, MAX_ROWS).map(d => (
+                        <div key={d.id} className="link-row">
+                            <div className="link-main">
+                                <div className="link-title">{d.name}</div>
+                                <div className="link-meta">{d.stage || 'No stage'} · ₹{formatNum(d.value || 0)}</div>
+                            </div>
+                        </div>
+                    )) : rows.slice(0, MAX_ROWS).map(l => (
+                        <div key={l.work_order_id} className="link-row">
+                            <div className="link-main">
+                                <div className="link-title">
+                                    {l.work_order}
+                                    {l.method && (
+                                        <span className={`link-badge ${l.method}`}>
+                                            {l.method} · {Math.round(l.confidence * 100)}%
+                                        </span>
+                                    )}
+                                </div>
+                                <div className="link-meta">
+                                    {l.reason || l.reasons?.join(', ')}
+                                    {l.ambiguous_with && ' · another deal scores almost as high'}
+                                </div>
+                            </div>
+                            <select
+                                className="form-input link-select"
+                                value={selectValue(l.work_order_id)}
+                                onChange={e => setOverride(l.work_order_id, e.target.value)}
+                            >
+                                <option value={AUTO}>Auto{l.deal && !overrides[l.work_order_id] ? ` → ${l.deal}` : ''}</option>
+                                <option value={NONE}>No deal</option>
+                                {dealOptions.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                            </select>
+                        </div>
+                    ))}
+                    {rows.length > MAX_ROWS && <div className="thread-empty">Showing {MAX_ROWS} of {rows.length} — filter to narrow</div>}
+                </div>
+
+                <div className="modal-actions">
+                    <button className="btn btn-primary" onClick={onClose}>Done</button>
+                </div>
+            </div>
+        </div>
+    );
+}
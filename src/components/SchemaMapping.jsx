@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { BOARD_KINDS, COLUMN_TYPES, ROLES, proposeSchema } from '../lib/schema';
+import { DATE_ORDERS } from '../lib/dates';
+
+const NO_ROLE = '';
+
+function sampleValues(raw, title) {
+    const col = raw.columns.find(c => c.title === title);
+    if (!col) return [];
+    const seen = new Set();
+    for (const item of raw.items) {
+        const text = item.column_values.find(cv => cv.id === col.id)?.text;
+        if (text && text.trim()) seen.add(text.trim());
+        if (seen.size >= 3) break;
+    }
+    return [...seen];
+}
+
+/**
+ * Settings step for reviewing column roles and types per board.
+ * @param boards [{ key, label, raw, schema, dateParsing }] — the loaded raw boards, their current
+ *   mappings and the date parse stats from the last clean
+ */
+export default function SchemaMapping({ boards, onSave, onBack }) {
+    const [tab, setTab] = useState(0);
+    const [drafts, setDrafts] = useState(() => boards.map(b => b.schema));
+
+    const board = boards[tab];
+    const draft = drafts[tab];
+    const roles = ROLES[draft.kind] || [];
+
+    const update = (columns) => {
+        setDrafts(prev => prev.map((d, i) => (i === tab ? { ...d, columns } : d)));
+    };
+
+    // A role belongs to one column; giving it to another column frees it here
+    const setRole = (title, role) => {
+        const def = roles.find(r => r.role === role);
+        const columns = {};
+        Object.entries(draft.columns).forEach(([t, c]) => {
+            if (t === title) columns[t] = { role: role || null, type: def ? def.type : c.type };
+            else columns[t] = role && c.role === role ? { ...c, role: null } : c;
+        });
+        update(columns);
+    };
+
+    const setDateOrder = (dateOrder) => {
+        setDrafts(prev => prev.map((d, i) => (i === tab ? { ...d, dateOrder } : d)));
+    };
+
+    const setType = (title, type) => {
+        update({ ...draft.columns, [title]: { ...draft.columns[title], type } });
+    };
+
+    const reset = () => {
+        setDrafts(prev => prev.map((d, i) => (i === tab ? proposeSchema(board.raw, d.kind) : d)));
+    };
+
+    const mappedCount = Object.values(draft.columns).filter(c => c.role).length;
+
+    return (
+        <>
+            <div className="segmented">
+                {boards.map((b, i) => (
+                    <button
+                        key={b.key}
+                        className={`segmented-option ${tab === i ? 'selected' : ''}`}
+                        onClick={() => setTab(i)}
+                    >
+                        {b.label}
+                    </button>
+                ))}
+            </div>
+            <div className="schema-summary">
+                <span className="form-help">
+                    {board.raw.name} · {BOARD_KINDS[draft.kind]} · {mappedCount} of {roles.length} roles mapped
+                </span>
+                <select
+                    className="form-input schema-select"
+                    value={draft.dateOrder || 'auto'}
+                    onChange={e => setDateOrder(e.target.value)}
+                    title="How numeric dates such as 04/05/2025 are read"
+                >
+                    {Object.entries(DATE_ORDERS).map(([order, label]) => <option key={order} value={order}>{label}</option>)}
+                </select>
+            </div>
+
+            <div className="link-list">
+                {Object.entries(draft.columns).map(([title, col]) => (
+                    <div key={title} className="link-row">
+                        <div className="link-main">
+                            <div className="link-title">{title}</div>
+                            <div className="link-meta">
+                                {sampleValues(board.raw, title).join(' · ') || 'No values'}
+                                {board.dateParsing?.[title]?.filled > 0 && ` · ${board.dateParsing[title].parse_rate}% parsed as dates`}
+                            </div>
+                        </div>
+                        <select
+                            className="form-input schema-select"
+                            value={col.role || NO_ROLE}
+                            onChange={e => setRole(title, e.target.value)}
+                        >
+                            <option value={NO_ROLE}>No role</option>
+                            {roles.map(r => <option key={r.role} value={r.role}>{r.label}</option>)}
+                        </select>
+                        <select
+                            className="form-input schema-type"
+                            value={col.type}
+                            onChange={e => setType(title, e.target.value)}
+                        >
+                            {COLUMN_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                        </select>
+                    </div>
+                ))}
+            </div>
+
+            <div className="modal-actions">
+                <button className="btn" onClick={onBack}>← Back</button>
+                <button className="btn" onClick={reset}>Reset to Proposed</button>
+                <button className="btn btn-primary" onClick={() => onSave(boards.map((b, i) => ({ key: b.key, schema: drafts[i] })))}>
+                    Save Mapping
+                </button>
+            </div>
+        </>
+    );
+}
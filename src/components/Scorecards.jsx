@@ -0,0 +1,161 @@
+import { useMemo, useState } from 'react';
+import { SCORECARD_SORTS, ownerScorecards, scorecardMetric } from '../lib/scorecards';
+import { formatNum } from '../lib/dataCleaner';
+
+const inr = (n) => `₹${formatNum(n || 0)}`;
+const percent = (n) => (n === null || n === undefined ? '—' : `${n}%`);
+const iso = (d) => d.toISOString().substring(0, 10);
+
+/** Preset periods relative to today; the financial year runs April–March. */
+function presetPeriod(preset, now = new Date()) {
+    const y = now.getUTCFullYear();
+    const m = now.getUTCMonth();
+    if (preset === 'quarter') {
+        const start = new Date(Date.UTC(y, m - (m % 3), 1));
+        return { from: iso(start), to: iso(now) };
+    }
+    if (preset === 'fy') {
+        return { from: `${m >= 3 ? y : y - 1}-04-01`, to: iso(now) };
+    }
+    if (preset === '12m') {
+        return { from: iso(new Date(Date.UTC(y - 1, m, now.getUTCDate()))), to: iso(now) };
+    }
+    return {};
+}
+
+const PRESETS = [
+    ['all', 'All time'],
+    ['quarter', 'This quarter'],
+    ['fy', 'This FY'],
+    ['12m', 'Last 12 months'],
+    ['custom', 'Custom'],
+];
+
+/**
+ * Owner scorecards across the deals and work orders boards, with a period filter.
+ * @param links Deal ↔ WO links, or null when only one core board is loaded
+ */
+export default function Scorecards({ deals, workOrders, links, onClose }) {
+    const [preset, setPreset] = useState('all');
+    const [custom, setCustom] = useState({ from: '', to: '' });
+    const [sortBy, setSortBy] = useState('won_value');
+
+    const period = preset === 'custom' ? custom : presetPeriod(preset);
+    const { result, error } = useMemo(() => {
+        try {
+            return { result: ownerScorecards(deals, workOrders, { from: period.from || undefined, to: period.to || undefined, links }) };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }, [deals, workOrders, links, period.from, period.to]);
+
+    const owners = result ? [...result.owners].sort((a, b) => scorecardMetric(b, sortBy) - scorecardMetric(a, sortBy)) : [];
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal modal-wide modal-scorecards">
+                <h2>🏅 Owner Scorecards</h2>
+                <p className="modal-desc">
+                    Deals by Owner code and work orders by BD/KAM Personnel code
+                    {result && (result.period === 'all time' ? ' · all time' : ` · ${result.period.from || '…'} to ${result.period.to || '…'}`)}
+                    . Open pipeline is always current; the period filters deals created, deals closed and work orders by PO date.
+                </p>
+
+                <div className="segmented">
+                    {PRESETS.map(([key, label]) => (
+                        <button key={key} className={`segmented-option ${preset === key ? 'selected' : ''}`} onClick={() => setPreset(key)}>
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <div className="form-row scorecard-controls">
+                    {preset === 'custom' ? (
+                        <div className="scorecard-range">
+                            <input className="form-input" type="date" value={custom.from} onChange={e => setCustom(c => ({ ...c, from: e.target.value }))} />
+                            <span>to</span>
+                            <input className="form-input" type="date" value={custom.to} onChange={e => setCustom(c => ({ ...c, to: e.target.value }))} />
+                        </div>
+                    ) : <div />}
+                    <select className="form-input" value={sortBy} onChange={e => setSortBy(e.target.value)}>
+                        {Object.entries(SCORECARD_SORTS).map(([key, label]) => <option key={key} value={key}>Sort by {label.toLowerCase()}</option>)}
+                    </select>
+                </div>
+
+                {error && <div className="form-error">{error}</div>}
+                <div className="link-list">
+                    {result && owners.length === 0 && <div className="thread-empty">No owners in this period</div>}
+                    {owners.length > 0 && (
+                        <table className="quality-table scorecard-table">
+                            <thead>
+                                <tr>
+                                    <th>Owner</th>
+                                    {deals && <th>Won / Dead</th>}
+                                    {deals && <th>Win rate</th>}
+                                    {deals && <th>Won value</th>}
+                                    {deals && <th>Avg deal</th>}
+                                    {deals && <th>Cycle</th>}
+                                    {deals && <th>Open (weighted)</th>}
+                                    {workOrders && <th>Billed</th>}
+                                    {workOrders && <th>Collected</th>}
+                                    {workOrders && <th>Receivable (90+)</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {owners.map(({ owner, deals: d, work_orders: w }) => (
+                                    <tr key={owner}>
+                                        <td>
+                                            {owner}
+                                            <div className="link-meta">
+                                                {deals && `${d.created} created`}
+                                                {deals && workOrders && ' · '}
+                                                {workOrders && `${w.count} WOs`}
+                                            </div>
+                                        </td>
+                                        {deals && (
+                                            <td>
+                                                {d.won} / {d.dead}
+                                                {d.won_without_work_order > 0 && <div className="link-meta">{d.won_without_work_order} won without WO</div>}
+                                            </td>
+                                        )}
+                                        {deals && <td>{percent(d.win_rate)}</td>}
+                                        {deals && <td>{inr(d.won_value)}</td>}
+                                        {deals && <td>{d.avg_won_value === null ? '—' : inr(d.avg_won_value)}</td>}
+                                        {deals && <td>{d.median_cycle_days === null ? '—' : `${d.median_cycle_days}d`}</td>}
+                                        {deals && (
+                                            <td>
+                                                {inr(d.open_value)}
+                                                <div className="link-meta">{d.open} deals · {inr(d.weighted_open_value)}</div>
+                                            </td>
+                                        )}
+                                        {workOrders && (
+                                            <td>
+                                                {inr(w.billed)}
+                                                <div className="link-meta">of {inr(w.order_value)} ordered</div>
+                                            </td>
+                                        )}
+                                        {workOrders && (
+                                            <td>
+                                                {inr(w.collected)}
+                                                <div className="link-meta">{percent(w.collection_rate)}</div>
+                                            </td>
+                                        )}
+                                        {workOrders && (
+                                            <td>
+                                                {inr(w.receivable)}
+                                                {w.receivable_over_90_days > 0 && <div className="link-meta scorecard-overdue">{inr(w.receivable_over_90_days)} 90+</div>}
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                <div className="modal-actions">
+                    <button className="btn btn-primary" onClick={onClose}>Done</button>
+                </div>
+            </div>
+        </div>
+    );
+}
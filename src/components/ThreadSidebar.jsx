@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { searchThreads } from '../lib/threadStore';
+
+/**
+ * Slide-in list of saved threads with search, rename and delete.
+ */
+export default function ThreadSidebar({ threads, activeId, onOpen, onRename, onDelete, onClose }) {
+    const [query, setQuery] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [draft, setDraft] = useState('');
+
+    const visible = searchThreads(threads, query);
+
+    const startRename = (t) => {
+        setEditingId(t.id);
+        setDraft(t.title);
+    };
+
+    const commitRename = () => {
+        if (draft.trim()) onRename(editingId, draft.trim());
+        setEditingId(null);
+    };
+
+    return (
+        <div className="sidebar-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <aside className="sidebar">
+                <div className="sidebar-header">
+                    <span>Threads</span>
+                    <button className="btn btn-icon btn-sm" onClick={onClose} title="Close">✕</button>
+                </div>
+                <input
+                    className="form-input sidebar-search"
+                    placeholder="Search threads..."
+                    value={query}
+                    onChange={e => setQuery(e.target.value)}
+                />
+                <div className="thread-list">
+                    {visible.length === 0 && (
+                        <div className="thread-empty">{threads.length ? 'No matching threads' : 'No saved threads yet'}</div>
+                    )}
+                    {visible.map(t => (
+                        <div
+                            key={t.id}
+                            className={`thread-item ${t.id === activeId ? 'active' : ''}`}
+                            onClick={() => editingId !== t.id && onOpen(t.id)}
+                        >
+                            {editingId === t.id ? (
+                                <input
+                                    className="form-input"
+                                    value={draft}
+                                    autoFocus
+                                    onChange={e => setDraft(e.target.value)}
+                                    onBlur={commitRename}
+                                    onKeyDown={e => {
+                                        if (e.key === 'Enter') commitRename();
+                                        if (e.key === 'Escape') setEditingId(null);
+                                    }}
+                                />
+                            ) : (
+                                <>
+                                    <div className="thread-title">{t.title}</div>
+                                    <div className="thread-meta">
+                                        {new Date(t.updatedAt).toLocaleString()} · {t.messages?.length || 0} messages
+                                    </div>
+                                    <div className="thread-actions">
+                                        <button className="btn btn-sm" title="Rename" onClick={e => { e.stopPropagation(); startRename(t); }}>✎</button>
+                                        <button className="btn btn-sm" title="Delete" onClick={e => {
+                                            e.stopPropagation();
+                                            if (confirm(`Delete "${t.title}"?`)) onDelete(t.id);
+                                        }}>🗑</button>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </aside>
+        </div>
+    );
+}
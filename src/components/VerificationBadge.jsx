@@ -0,0 +1,25 @@
+const STATUS_ICON = { verified: '✓', mismatch: '⚠', unchecked: '·' };
+
+/**
+ * How the figures in an answer checked out against the board aggregates
+ * (see lib/verify.js). The tooltip lists each figure and what it matched.
+ */
+export default function VerificationBadge({ verification }) {
+    const { status, verified, mismatches, unchecked, figures, corrected } = verification;
+    if (!figures.length) return null;
+
+    let label;
+    if (status === 'verified') label = corrected ? '✓ Verified (corrected)' : '✓ Verified';
+    else if (status === 'mismatch') label = `⚠ ${mismatches} figure${mismatches === 1 ? '' : 's'} don't match`;
+    else if (status === 'partial') label = `${verified} of ${verified + unchecked} figures verified`;
+    else label = 'Figures unchecked';
+
+    const title = figures
+        .map(f => `${STATUS_ICON[f.status]} ${f.text}${f.label ? ` — ${f.label}` : ''}${f.expected ? ` (boards: ${f.expected})` : ''}`)
+        .join('\n');
+    return (
+        <span className={`verification-badge ${status}`} title={title}>
+            {label}
+        </span>
+    );
+}
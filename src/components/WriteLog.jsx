@@ -0,0 +1,53 @@
+import { useEffect, useState } from 'react';
+import { listWrites } from '../lib/writeBack';
+import { ChangeDiff } from './ChangeProposal';
+
+/**
+ * Modal listing every write made to Monday.com from the app, newest first.
+ * @param itemHref (boardId, itemId) → Monday.com link or null
+ */
+export default function WriteLog({ itemHref, onClose }) {
+    const [entries, setEntries] = useState(null);
+
+    useEffect(() => {
+        listWrites().then(setEntries).catch(() => setEntries([]));
+    }, []);
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal modal-wide">
+                <h2>✎ Write Log</h2>
+                <p className="modal-desc">
+                    Changes confirmed from the chat and sent to Monday.com{entries ? ` · ${entries.length} entries` : ''}
+                </p>
+
+                <div className="link-list">
+                    {entries?.length === 0 && <div className="thread-empty">Nothing has been written yet</div>}
+                    {entries?.map(e => (
+                        <div key={e.id} className="link-row">
+                            <div className="link-main">
+                                <div className="link-title">
+                                    <span className={`change-status ${e.status}`}>{e.status}</span>
+                                    {e.itemName} <span className="link-meta">· {e.boardName}</span>
+                                </div>
+                                <ChangeDiff change={e} />
+                                <div className="link-meta">
+                                    {new Date(e.at).toLocaleString()}
+                                    {e.reason && ` · ${e.reason}`}
+                                </div>
+                                {e.error && <div className="change-error">{e.error}</div>}
+                            </div>
+                            {itemHref(e.boardId, e.itemId) && (
+                                <a className="btn btn-sm" href={itemHref(e.boardId, e.itemId)} target="_blank" rel="noreferrer">Open ↗</a>
+                            )}
+                        </div>
+                    ))}
+                </div>
+
+                <div className="modal-actions">
+                    <button className="btn btn-primary" onClick={onClose}>Done</button>
+                </div>
+            </div>
+        </div>
+    );
+}
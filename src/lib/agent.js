@@ -1,10 +1,27 @@
 /**
- * BI Agent — Uses Groq API (OpenAI-compatible) with Llama 3.3 70B
+ * BI Agent — Talks to any OpenAI-compatible chat-completions provider (lib/providers.js).
+ * Numbers come from the local query engine via function calling.
  * Falls back gracefully on errors with user-friendly messages.
  */
 
+import { QUERY_TOOLS, executeTool, withBoardKeys } from './queryEngine';
+import { CHART_TOOL, buildChart, summarizeChart } from './charts';
+import { LINK_TOOL, executeLinkTool } from './linker';
+import { getProvider, authHeaders } from './providers';
+import { HISTORY_TOOLS, HISTORY_TOOL_NAMES, executeHistoryTool } from './history';
+import { WRITE_TOOL, buildProposal, describeChange } from './writeBack';
+import { FORECAST_TOOL, executeForecastTool } from './forecast';
+import { AR_TOOL, executeArTool } from './receivables';
+import { VELOCITY_TOOL, executeVelocityTool } from './velocity';
+import { SCORECARD_TOOL, executeScorecardTool } from './scorecards';
+import { estimateTokens, selectContext } from './retrieval';
+import { linkCitations } from './citations';
+import { annotateMismatches, correctionPrompt, knownFigures, verificationSummary, verifyAnswer } from './verify';
+
 const SYSTEM_PROMPT = `You are a senior Business Intelligence analyst for Skylark Drones, a drone services company.
-You have access to two live data sources from monday.com:
+You have access to live data from monday.com. The two core boards are described below; any other loaded
+boards (invoices, leads, custom) are listed with their summaries under LIVE DATA. LIVE DATA is picked for each
+question: the summary sections and rows most relevant to it, within a token budget.
 
 1. **DEALS BOARD** — Sales pipeline data. Key columns:
    - Deal Name (alias/code name), Owner code, Client Code
@@ -35,9 +52,25 @@ You have access to two live data sources from monday.com:
 5. If a question is ambiguous, ask ONE clarifying question
 6. For monetary values, format in INR lakhs/crores where appropriate (1 Cr = 10,000,000; 1 L = 100,000)
 7. When asked about "pipeline", focus on Open deals in active stages (A through H)
-8. Cross-reference deals and work orders when relevant
+8. Cross-reference deals and work orders when relevant — use \`linked_records\` for the join, and mention link confidence when it matters
 9. Keep responses concise but comprehensive
 
+**Tools — computing numbers:**
+- You have \`describe_board\` and \`query_board\` tools over the full cleaned rows of every loaded board — use the board keys listed under LIVE DATA (e.g. "deals", "work_orders").
+- EVERY total, count, average, percentage input or top-N list you report MUST come from a \`query_board\` result. Never add up or estimate numbers yourself.
+- The summary below is for orientation only, and its rows are a selection; re-query when the question needs a slice it does not show.
+- Figures in your answer are checked against the board totals. Name the slice a figure is for (e.g. "open Mining deals", not just "Mining") so it is checked against the right total.
+- If a column's values are unclear, call \`describe_board\` first. Tool values are raw INR — convert to L/Cr only when writing the answer.
+- Deals and work orders are joined by a linking layer (masked names repeat and client codes differ per board). Call \`linked_records\` for deal-to-cash questions such as won deals with no work order.
+- For "what changed / moved since…" questions call \`diff_snapshots\` (resolve relative dates like "last week" against the current date); for movement over time call \`snapshot_trend\`. Daily snapshots only exist from the first day the boards were loaded — say so if the requested date is older than \`list_snapshots\` shows.
+- For forecast / expected revenue / "what will close this quarter" questions call \`forecast_pipeline\`. Report the weighted (expected) figure next to the unweighted pipeline, call out overdue deals whose tentative close date has passed, and mention whether the weights were calibrated on past Won/Dead outcomes.
+- For receivables questions (who owes what, for how long, overdue collections, DSO) call \`ar_aging\`, grouped by customer, sector or owner as asked. Receivables without a Last invoice date can't be aged — report them separately rather than as current.
+- For how long deals take or sit (deal age, sales cycle, time-to-close, stuck or stale deals, stage conversion) call \`deal_velocity\`. Say when time-to-close relies on tentative close dates, and that time-in-stage is only measured from snapshots.
+- For sales reviews and owner / BD-KAM performance (win rate, deal size, cycle time, pipeline, billed and collected per owner) call \`owner_scorecards\`, with \`from\`/\`to\` for a quarter or financial year (April–March).
+- When you name a specific deal, work order or other item, cite it right after its name as [[board_key:item_id]] — e.g. [[deals:1234567890]] — with the \`_id\` (or \`deal_id\` / \`work_order_id\`) from a tool result or the Id column of the LIVE DATA rows. Cite several items as [[deals:123, work_orders:456]]. Only cite ids you were given; the markers become links to the item.
+- Call \`render_chart\` when a visual helps (stage funnels, sector mix, billed vs collected, monthly trends). Charts appear below your text — refer to them, don't redraw them as ASCII.
+- When the user wants to act on an analysis (e.g. mark a stale deal "On Hold", set AR Priority account, post an update on an item), call \`propose_change\` once per change if it is available. Nothing is written until the user confirms the diff shown below your answer — say the changes are proposed and awaiting confirmation, never that they are done.
+
 **Leadership Update Format** — When asked to prepare a leadership/board/exec update:
 ### 📊 Executive Summary
 - Pipeline health (total value, active deal count, stage distribution)
@@ -55,73 +88,330 @@ You have access to two live data sources from monday.com:
 Current date context: ${new Date().toISOString().split('T')[0]}
 `;
 
-const API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-const MODELS = ['llama-3.3-70b-versatile', 'llama-3.1-8b-instant'];
+const MAX_TOOL_ROUNDS = 6;
+const MAX_TOOL_RESULT_CHARS = 8000;
+// Data context budget when the provider sets none, if the context window has room for it
+const DEFAULT_CONTEXT_BUDGET = 12000;
+const MIN_CONTEXT_BUDGET = 500;
+// Kept free for the conversation so far when the budget is derived from the context window
+const HISTORY_RESERVE = 1500;
 
 export class BIAgent {
-    constructor(apiKey) {
+    /**
+     * @param apiKey provider key, or a proxy access token when the provider points at the backend proxy
+     * @param options.provider resolved provider config (see resolveProvider); defaults to the Groq preset
+     */
+    constructor(apiKey, { provider = getProvider() } = {}) {
         this.apiKey = apiKey;
+        this.provider = provider;
+        this.models = provider.models;
         this.modelIndex = 0;
-        this.dataContext = '';
+        this.contextSections = [];
+        this.boards = {};
+        this.links = null;
+        this.writeTargets = null;
         this.conversationHistory = [];
     }
 
-    setDataContext(dealsContext, workOrdersContext) {
-        this.dataContext = `\n---\n**LIVE DATA FROM MONDAY.COM:**\n\n${dealsContext}\n\n${workOrdersContext}\n---\n`;
+    /**
+     * Cleaned boards exposed to the query tools, keyed by tool board key
+     * ("deals" and "work_orders" for the core boards), plus the Deal ↔ WO links.
+     * @param writeTargets board key → { boardId, raw, schema } for boards changes can be proposed on (Monday.com only)
+     */
+    setBoards({ boards, links = null, writeTargets = null }) {
+        this.boards = boards;
+        this.links = links;
+        this.writeTargets = writeTargets && Object.keys(writeTargets).length ? writeTargets : null;
+    }
+
+    /**
+     * @param sections [{ key, kind, context }] — one summary per loaded board (dataToContext);
+     * what is sent is picked per question from these and the boards' rows (lib/retrieval.js)
+     */
+    setDataContext(sections) {
+        this.contextSections = sections;
         this.conversationHistory = [];
     }
 
-    async _callApi(messages, model) {
-        const response = await fetch(API_URL, {
+    /**
+     * Tokens the data context may use: the provider's `contextBudget`, capped by
+     * what the context window leaves after the prompt, tools, history reserve and reply.
+     */
+    _contextBudget(tools) {
+        const { contextWindow, maxTokens, contextBudget } = this.provider;
+        const fixed = estimateTokens(SYSTEM_PROMPT) + (tools ? estimateTokens(JSON.stringify(tools)) : 0);
+        const room = contextWindow ? contextWindow - maxTokens - fixed - HISTORY_RESERVE : Infinity;
+        return Math.max(MIN_CONTEXT_BUDGET, Math.min(contextBudget || DEFAULT_CONTEXT_BUDGET, room));
+    }
+
+    /**
+     * The data context for a question, picked from the board summaries and rows.
+     * The previous question is searched too, so follow-ups keep their subject.
+     */
+    _contextFor(userMessage, tools) {
+        const boards = this.contextSections
+            .filter(s => this.boards[s.key])
+            .map(s => ({ ...s, board: this.boards[s.key] }));
+        const previous = [...this.conversationHistory].reverse().find(m => m.role === 'user')?.content || '';
+        const { text, report } = selectContext(`${userMessage} ${previous}`, boards, { budget: this._contextBudget(tools) });
+        return { text: `\n---\n**LIVE DATA FROM MONDAY.COM:**\n\n${text}\n---\n`, report };
+    }
+
+    /**
+     * Conversation history that fits the context window next to `system`, dropping
+     * the oldest turns first. Returns the kept messages and how many were dropped.
+     */
+    _fitHistory(system, tools) {
+        const { contextWindow, maxTokens } = this.provider;
+        const history = this.conversationHistory;
+        if (!contextWindow) return { history, dropped: 0 };
+        let room = contextWindow - maxTokens - estimateTokens(system) - (tools ? estimateTokens(JSON.stringify(tools)) : 0);
+        let kept = 0;
+        // The question being asked is always sent
+        while (kept < history.length) {
+            const cost = estimateTokens(history[history.length - 1 - kept].content) + 4;
+            if (kept && cost > room) break;
+            room -= cost;
+            kept++;
+        }
+        return { history: history.slice(history.length - kept), dropped: history.length - kept };
+    }
+
+    /**
+     * Tools for the loaded boards: linking needs both core boards, history and
+     * scorecards at least one of them, forecasting and velocity a deals board, AR aging a work orders
+     * board, and write proposals a Monday.com source.
+     */
+    _tools() {
+        const keys = Object.keys(this.boards);
+        if (!this.provider.tools || !keys.length) return undefined;
+        const core = this.boards.deals || this.boards.work_orders;
+        return [
+            ...withBoardKeys(QUERY_TOOLS, keys),
+            ...(this.links ? [LINK_TOOL] : []),
+            ...(core ? [...HISTORY_TOOLS, SCORECARD_TOOL] : []),
+            ...(this.boards.deals ? [FORECAST_TOOL, VELOCITY_TOOL] : []),
+            ...(this.boards.work_orders ? [AR_TOOL] : []),
+            ...withBoardKeys([CHART_TOOL], keys),
+            ...(this.writeTargets ? withBoardKeys([WRITE_TOOL], Object.keys(this.writeTargets)) : []),
+        ];
+    }
+
+    /**
+     * One chat-completions call. With `onText` the reply is streamed and
+     * `onText` receives the accumulated text after every chunk; `signal`
+     * aborts the request.
+     */
+    async _callApi(messages, { model, tools, toolChoice = 'auto', onText, signal } = {}) {
+        const chosen = model || this.models[this.modelIndex];
+        if (!chosen) throw new Error(`No model configured for ${this.provider.label} — pick one in Settings`);
+        const stream = !!onText && this.provider.stream !== false;
+
+        const response = await fetch(`${this.provider.baseUrl}/chat/completions`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.apiKey}`,
+                ...authHeaders(this.provider, this.apiKey),
             },
             body: JSON.stringify({
-                model: model || MODELS[this.modelIndex],
+                model: chosen,
                 messages,
                 temperature: 0.3,
-                max_tokens: 4096,
+                max_tokens: this.provider.maxTokens,
+                ...(stream ? { stream: true } : {}),
+                ...(tools ? { tools, tool_choice: toolChoice } : {}),
             }),
+            signal,
         });
 
-        const data = await response.json();
+        if (stream && response.ok && response.body) return readStream(response, onText);
+
+        // Local servers may answer errors with plain text
+        const data = await response.json().catch(() => ({
+            error: { message: `${response.status} ${response.statusText || 'Unexpected response'} from ${this.provider.label}` },
+        }));
 
         if (data.error) {
             throw new Error(data.error.message || JSON.stringify(data.error));
         }
 
-        return data.choices[0].message.content;
+        const message = data.choices[0].message;
+        if (onText && message.content) onText(message.content);
+        return message;
+    }
+
+    /**
+     * Runs the tool-calling loop: the model may call query tools several
+     * times before producing its final answer. Charts and change proposals
+     * made along the way are collected in `outputs`, tool results in `evidence`.
+     */
+    async _complete(messages, outputs, { onText, signal, evidence } = {}) {
+        const working = [...messages];
+        let tools = this._tools();
+
+        for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+            let msg;
+            try {
+                msg = await this._callApi(working, { tools, onText, signal });
+            } catch (err) {
+                // Some local models reject the tools parameter — answer from the summary context instead
+                if (!tools || !/tool/i.test(err.message) || !/support/i.test(err.message)) throw err;
+                this.provider = { ...this.provider, tools: false };
+                tools = undefined;
+                msg = await this._callApi(working, { onText, signal });
+            }
+            if (!msg.tool_calls?.length) return msg.content || '';
+
+            // Any preamble streamed before the tool calls is not part of the answer
+            onText?.('');
+
+            working.push({ role: 'assistant', content: msg.content || '', tool_calls: msg.tool_calls });
+            for (const call of msg.tool_calls) {
+                let args;
+                try {
+                    args = JSON.parse(call.function.arguments || '{}');
+                } catch {
+                    args = null;
+                }
+                const result = args
+                    ? await this._runTool(call.function.name, args, outputs)
+                    : { error: 'Arguments were not valid JSON' };
+                if (!result.error) evidence?.push(result);
+                let content = JSON.stringify(result);
+                if (content.length > MAX_TOOL_RESULT_CHARS) {
+                    content = content.substring(0, MAX_TOOL_RESULT_CHARS) + '… [truncated — narrow the query or lower limit]';
+                }
+                working.push({ role: 'tool', tool_call_id: call.id, content });
+            }
+        }
+
+        // Out of tool rounds — force a written answer from what was gathered
+        const final = await this._callApi(working, { tools, toolChoice: 'none', onText, signal });
+        return final.content || '';
+    }
+
+    /**
+     * Completes and checks the answer's figures against the board aggregates
+     * (lib/verify.js). Mismatches get one corrective round; any left after it
+     * are annotated in the answer.
+     */
+    async _answer(userMessage, messages, outputs, stream) {
+        const evidence = [];
+        const known = () => knownFigures(this.boards, { texts: [messages[0].content, userMessage], results: evidence });
+        let reply = await this._complete(messages, outputs, { ...stream, evidence });
+        let verification = verifyAnswer(reply, known());
+        if (verification.status !== 'mismatch') return { reply, verification: verificationSummary(verification) };
+
+        const first = { reply, charts: [...outputs.charts], proposals: [...outputs.proposals] };
+        outputs.charts.length = 0;
+        outputs.proposals.length = 0;
+        stream.onText('');
+        try {
+            reply = await this._complete([
+                ...messages,
+                { role: 'assistant', content: reply },
+                { role: 'user', content: correctionPrompt(verification) },
+            ], outputs, { ...stream, evidence });
+            verification = verifyAnswer(reply, known());
+        } catch (err) {
+            if (stream.signal?.aborted || err?.name === 'AbortError') throw err;
+            // The correction failed — keep the first answer, annotated
+            reply = first.reply;
+            outputs.charts.splice(0, outputs.charts.length, ...first.charts);
+            outputs.proposals.splice(0, outputs.proposals.length, ...first.proposals);
+        }
+        if (verification.mismatches) {
+            reply = annotateMismatches(reply, verification);
+            stream.onText(reply);
+        }
+        return { reply, verification: verificationSummary(verification, { retried: true, corrected: !verification.mismatches }) };
+    }
+
+    async _runTool(name, args, { charts, proposals }) {
+        if (name === 'linked_records') return executeLinkTool(args, this.links);
+        if (name === 'propose_change') {
+            try {
+                const proposal = buildProposal(args, this.writeTargets);
+                proposals.push(proposal);
+                return { proposed: describeChange(proposal), status: 'awaiting user confirmation — not applied yet' };
+            } catch (err) {
+                return { error: err.message };
+            }
+        }
+        if (name === 'forecast_pipeline') return executeForecastTool(args, this.boards);
+        if (name === 'ar_aging') return executeArTool(args, this.boards);
+        if (name === 'deal_velocity') return executeVelocityTool(args, this.boards);
+        if (name === 'owner_scorecards') return executeScorecardTool(args, this.boards, this.links);
+        if (HISTORY_TOOL_NAMES.includes(name)) return executeHistoryTool(name, args, this.boards);
+        if (name !== 'render_chart') return executeTool(name, args, this.boards);
+        try {
+            const chart = buildChart(args, this.boards);
+            charts.push(chart);
+            return summarizeChart(chart, charts.length);
+        } catch (err) {
+            return { error: err.message };
+        }
     }
 
-    async ask(userMessage) {
+    /**
+     * @param options.onText receives the streamed answer so far; reset to '' whenever an attempt restarts
+     * @param options.signal AbortSignal — aborting keeps whatever was written so far
+     */
+    async ask(userMessage, { onText, signal } = {}) {
+        const tools = this._tools();
+        const { text, report } = this._contextFor(userMessage, tools);
         this.conversationHistory.push({ role: 'user', content: userMessage });
 
-        const messages = [
-            { role: 'system', content: SYSTEM_PROMPT + '\n\n' + this.dataContext },
-            ...this.conversationHistory,
-        ];
+        const system = SYSTEM_PROMPT + '\n\n' + text;
+        const { history, dropped } = this._fitHistory(system, tools);
+        const messages = [{ role: 'system', content: system }, ...history];
+        const context = { ...report, history_messages: history.length - 1, history_dropped: dropped };
+        const result = await this._reply(userMessage, messages, { onText, signal });
+        if (!result.message) return { ...result, context };
+        // The history keeps the raw markers, so follow-ups cite the same way
+        const { text: message, citations } = linkCitations(result.message, this.boards);
+        return { ...result, message, citations, context };
+    }
+
+    /** Answers with `messages`, falling back to other models or a shorter history on errors. */
+    async _reply(userMessage, messages, { onText, signal }) {
+        const outputs = { charts: [], proposals: [] };
+        let partial = '';
+        const stream = {
+            signal,
+            onText: (text) => {
+                partial = text;
+                onText?.(text);
+            },
+        };
+        const aborted = (err) => signal?.aborted || err?.name === 'AbortError';
 
         try {
-            const reply = await this._callApi(messages);
+            const { reply, verification } = await this._answer(userMessage, messages, outputs, stream);
             this.conversationHistory.push({ role: 'assistant', content: reply });
-            return { success: true, message: reply };
+            return { success: true, message: reply, ...outputs, verification };
         } catch (error) {
+            if (aborted(error)) return this._stopped(partial, outputs);
             const msg = error.message || '';
+            outputs.charts.length = 0;
+            outputs.proposals.length = 0;
+            stream.onText('');
 
             // Rate limit — try fallback model
             if (msg.includes('429') || msg.includes('rate') || msg.includes('limit') || msg.includes('quota')) {
-                if (this.modelIndex < MODELS.length - 1) {
+                if (this.modelIndex < this.models.length - 1) {
                     this.modelIndex++;
                     try {
-                        const reply = await this._callApi(messages);
+                        const { reply, verification } = await this._answer(userMessage, messages, outputs, stream);
                         this.conversationHistory.push({ role: 'assistant', content: reply });
                         return {
                             success: true,
-                            message: `> *Switched to ${MODELS[this.modelIndex]} due to rate limits.*\n\n${reply}`,
+                            message: `> *Switched to ${this.models[this.modelIndex]} due to rate limits.*\n\n${reply}`,
+                            ...outputs,
+                            verification,
                         };
                     } catch (retryErr) {
+                        if (aborted(retryErr)) return this._stopped(partial, outputs);
                         return {
                             success: true,
                             message: `⚠️ **Rate Limit Reached**\n\nAll models are currently rate-limited. Please wait a minute and try again.`,
@@ -138,7 +428,7 @@ export class BIAgent {
             if (msg.includes('401') || msg.includes('auth') || msg.includes('invalid')) {
                 return {
                     success: true,
-                    message: `⚠️ **Invalid API Key**\n\nPlease check your Groq API key in settings. Get a free key at [console.groq.com](https://console.groq.com).`,
+                    message: `⚠️ **Invalid API Key**\n\nPlease check your ${this.provider.label} API key in settings.${this.provider.keyHelp ? ` ${this.provider.keyHelp}.` : ''}`,
                 };
             }
 
@@ -150,13 +440,14 @@ export class BIAgent {
                     messages[messages.length - 1],
                 ];
                 try {
-                    const reply = await this._callApi(shortMessages);
+                    const { reply, verification } = await this._answer(userMessage, shortMessages, outputs, stream);
                     this.conversationHistory = [
                         { role: 'user', content: userMessage },
                         { role: 'assistant', content: reply },
                     ];
-                    return { success: true, message: reply };
-                } catch {
+                    return { success: true, message: reply, ...outputs, verification };
+                } catch (retryErr) {
+                    if (aborted(retryErr)) return this._stopped(partial, outputs);
                     return {
                         success: true,
                         message: `⚠️ **Error**\n\n${msg.substring(0, 200)}\n\nTry starting a new chat.`,
@@ -171,8 +462,74 @@ export class BIAgent {
         }
     }
 
+    /** Result for a stopped request; the partial answer stays in the history so follow-ups can refer to it. */
+    _stopped(partial, outputs) {
+        this.conversationHistory.push({ role: 'assistant', content: partial || '(stopped before answering)' });
+        return {
+            success: true,
+            stopped: true,
+            message: partial ? `${partial}\n\n*⏹ Stopped*` : '*⏹ Stopped before an answer was written.*',
+            ...outputs,
+        };
+    }
+
+    /** Replaces the conversation with a previously saved one (resumed thread). */
+    restoreHistory(history) {
+        this.conversationHistory = [...(history || [])];
+    }
+
     resetChat() {
         this.conversationHistory = [];
         this.modelIndex = 0;
     }
 }
+
+/**
+ * Reads an OpenAI-style SSE stream into a single assistant message,
+ * assembling content and tool-call fragments as they arrive.
+ */
+async function readStream(response, onText) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const toolCalls = [];
+    let buffer = '';
+    let content = '';
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') continue;
+
+            const chunk = JSON.parse(payload);
+            if (chunk.error) throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+            const delta = chunk.choices?.[0]?.delta;
+            if (!delta) continue;
+
+            if (delta.content) {
+                content += delta.content;
+                onText(content);
+            }
+            delta.tool_calls?.forEach(fragment => {
+                const i = fragment.index ?? toolCalls.length;
+                const call = toolCalls[i] || (toolCalls[i] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+                if (fragment.id) call.id = fragment.id;
+                if (fragment.function?.name) call.function.name += fragment.function.name;
+                if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+            });
+        }
+    }
+
+    return {
+        role: 'assistant',
+        content,
+        ...(toolCalls.length ? { tool_calls: toolCalls.filter(Boolean) } : {}),
+    };
+}
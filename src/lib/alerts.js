@@ -0,0 +1,371 @@
+/**
+ * Alerts — user-defined rules evaluated over the cleaned boards on every load
+ * and refresh, an alert feed that remembers when each alert first fired, and
+ * a scheduled digest of new alerts posted to a webhook.
+ *
+ * Rule shape: {
+ *   id, name, board,           // board key, e.g. "work_orders"
+ *   severity: 'high' | 'medium' | 'low',
+ *   conditions: [{ field, op, value }],   // all must match
+ *   enabled,
+ * }
+ *
+ * Besides the query engine's filter operators, conditions support
+ *   older_than_days     date column is more than N days in the past
+ *   not_within_days     no date in the last N days (empty counts)
+ *   unchanged_for_days  value is the same as in the snapshot N days ago (core boards only)
+ *
+ * Alert shape: { id, ruleId, rule, severity, board, itemId, itemName, detail, firstSeen, seenAt?, digestedAt? }
+ */
+
+import { matchesFilter } from './queryEngine';
+import { roleColumn } from './schema';
+import { listSnapshotDates, getSnapshot } from './history';
+
+const RULES_KEY = 'monday_bi_rules';
+const STATE_KEY = 'monday_bi_alert_state';
+const DAY_MS = 86400000;
+// Digest lines per rule; the rest are summarised as "+N more"
+const DIGEST_ITEMS_PER_RULE = 10;
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+export const RULE_OPS = {
+    eq: 'is',
+    neq: 'is not',
+    in: 'is one of',
+    contains: 'contains',
+    gt: '>',
+    gte: '≥',
+    lt: '<',
+    lte: '≤',
+    empty: 'is empty',
+    not_empty: 'is not empty',
+    older_than_days: 'is more than N days ago',
+    not_within_days: 'has no date in the last N days',
+    unchanged_for_days: 'unchanged for N days',
+};
+
+// Operators that take no value
+export const UNARY_OPS = ['empty', 'not_empty'];
+const DAY_OPS = ['older_than_days', 'not_within_days'];
+
+// Snapshot keys of the core boards (see history.js)
+const SNAPSHOT_BOARDS = { deals: 'deals', work_orders: 'workOrders' };
+
+/* ---------- Rules (localStorage) ---------- */
+
+/**
+ * Starter rules built from the loaded boards' column roles; only rules whose
+ * columns are all mapped are returned.
+ */
+export function defaultRules(boards) {
+    const deals = boards.deals?.schema;
+    const wo = boards.work_orders?.schema;
+    const col = (schema, role) => roleColumn(schema, role);
+    const rules = [
+        {
+            id: 'default-receivable',
+            name: 'Receivable over ₹5L with no collection in 60 days',
+            board: 'work_orders',
+            severity: 'high',
+            conditions: [
+                { field: col(wo, 'receivable'), op: 'gt', value: '500000' },
+                { field: col(wo, 'collection_date'), op: 'not_within_days', value: '60' },
+            ],
+        },
+        {
+            id: 'default-paused',
+            name: 'Work order Pause/struck for over 2 weeks',
+            board: 'work_orders',
+            severity: 'medium',
+            conditions: [
+                { field: col(wo, 'execution_status'), op: 'eq', value: 'Pause / struck' },
+                { field: col(wo, 'execution_status'), op: 'unchanged_for_days', value: '14' },
+            ],
+        },
+        {
+            id: 'default-overdue-deal',
+            name: 'Open High-probability deal past Tentative Close Date',
+            board: 'deals',
+            severity: 'medium',
+            conditions: [
+                { field: col(deals, 'deal_status'), op: 'eq', value: 'Open' },
+                { field: col(deals, 'probability'), op: 'eq', value: 'High' },
+                { field: col(deals, 'tentative_close_date'), op: 'older_than_days', value: '0' },
+            ],
+        },
+    ];
+    return rules
+        .filter(r => boards[r.board] && r.conditions.every(c => c.field))
+        .map(r => ({ ...r, enabled: true }));
+}
+
+/** Saved rules, or the starter rules until the user saves their own. */
+export function loadRules(boards) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(RULES_KEY));
+        if (Array.isArray(saved)) return saved;
+    } catch { }
+    return defaultRules(boards);
+}
+
+export function saveRules(rules) {
+    localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+}
+
+export function newRuleId() {
+    return `r_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/* ---------- Evaluation ---------- */
+
+/** Whole days from an ISO date (or the last day of a YYYY-MM month) to `today`; null if not a date. */
+function daysAgo(value, today) {
+    const v = String(value ?? '');
+    let day;
+    if (/^\d{4}-\d{2}-\d{2}/.test(v)) day = v.substring(0, 10);
+    else if (/^\d{4}-\d{2}$/.test(v)) day = new Date(Date.UTC(Number(v.substring(0, 4)), Number(v.substring(5, 7)), 0)).toISOString().substring(0, 10);
+    else return null;
+    return Math.floor((Date.parse(today) - Date.parse(day)) / DAY_MS);
+}
+
+function dateOp(row, { field, op, value }, today) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) throw new Error(`"${RULE_OPS[op]}" needs a number of days`);
+    const age = daysAgo(row[field], today);
+    if (op === 'older_than_days') return age !== null && age > n;
+    return age === null || age > n;
+}
+
+/** Latest snapshot taken on or before `date`, cached per date for one evaluation. */
+async function snapshotOnOrBefore(date, dates, cache) {
+    const onOrBefore = dates.filter(d => d <= date);
+    const pick = onOrBefore[onOrBefore.length - 1];
+    if (!pick) return null;
+    if (!cache.has(pick)) cache.set(pick, await getSnapshot(pick));
+    return cache.get(pick);
+}
+
+/**
+ * Evaluates every enabled rule.
+ * @param boards board key → cleaned board
+ * @param options.source 'monday' | 'file' — imported rows have no stable ids, so history is matched by name
+ * @returns {{ alerts, notes: { ruleId: message } }} — notes explain rules that errored or lack history
+ */
+export async function evaluateRules(rules, boards, { source, today = new Date().toISOString().substring(0, 10) } = {}) {
+    const alerts = [];
+    const notes = {};
+    const snapshotCache = new Map();
+    let dates = null;
+
+    for (const rule of rules.filter(r => r.enabled)) {
+        const board = boards[rule.board];
+        if (!board) {
+            notes[rule.id] = `Board "${rule.board}" is not loaded`;
+            continue;
+        }
+        try {
+            const keys = new Set(Object.keys(board.data[0] || {}));
+            const missing = rule.conditions.filter(c => c.field !== '_name' && !keys.has(c.field));
+            if (missing.length) throw new Error(`Unknown column ${missing.map(c => `"${c.field}"`).join(', ')}`);
+
+            // unchanged_for_days: the row's values in the snapshot N days back, by id — or by name for
+            // imported files, where masked names repeat, so any same-named row with the value counts
+            const history = {};
+            for (const c of rule.conditions.filter(c => c.op === 'unchanged_for_days')) {
+                const key = SNAPSHOT_BOARDS[rule.board];
+                if (!key) throw new Error('"unchanged for N days" needs snapshot history, which only the Deals and Work Orders boards have');
+                if (!Number.isFinite(Number(c.value))) throw new Error(`"${RULE_OPS[c.op]}" needs a number of days`);
+                dates = dates || await listSnapshotDates();
+                const since = new Date(Date.parse(today) - Number(c.value) * DAY_MS).toISOString().substring(0, 10);
+                const snapshot = await snapshotOnOrBefore(since, dates, snapshotCache);
+                if (!snapshot) {
+                    notes[rule.id] = dates.length
+                        ? `History starts ${dates[0]} — "${c.field}" can't be checked for ${c.value} days yet`
+                        : 'No snapshot history yet — "unchanged for N days" starts matching once history builds up';
+                }
+                const idKey = source === 'file' ? '_name' : '_id';
+                const before = new Map();
+                (snapshot?.[key] || []).forEach(r => {
+                    if (!before.has(r[idKey])) before.set(r[idKey], new Set());
+                    before.get(r[idKey]).add(String(r[c.field] ?? ''));
+                });
+                history[c.field] = { idKey, before };
+            }
+
+            board.data.forEach(row => {
+                const matched = rule.conditions.every(c => {
+                    if (c.op === 'unchanged_for_days') {
+                        const { idKey, before } = history[c.field];
+                        return !!before.get(row[idKey])?.has(String(row[c.field] ?? ''));
+                    }
+                    if (DAY_OPS.includes(c.op)) return dateOp(row, c, today);
+                    const value = c.op === 'in' ? String(c.value ?? '').split(',').map(s => s.trim()) : c.value;
+                    return matchesFilter(row, c.field, c.op, value);
+                });
+                if (!matched) return;
+                const fields = [...new Set(rule.conditions.map(c => c.field).filter(f => f !== '_name'))];
+                alerts.push({
+                    id: `${rule.id}:${row._id}`,
+                    ruleId: rule.id,
+                    rule: rule.name,
+                    severity: rule.severity,
+                    board: rule.board,
+                    itemId: row._id,
+                    itemName: row._name,
+                    detail: fields.map(f => `${f}: ${row[f] ?? 'empty'}`).join(' · '),
+                });
+            });
+        } catch (err) {
+            notes[rule.id] = err.message;
+        }
+    }
+    return { alerts, notes };
+}
+
+/* ---------- Feed state (localStorage) ---------- */
+
+function loadState() {
+    try {
+        return JSON.parse(localStorage.getItem(STATE_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+function saveState(state) {
+    localStorage.setItem(STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Merges evaluated alerts with what was tracked before: new alerts get a
+ * firstSeen stamp, alerts that stopped matching are forgotten.
+ * Returns the alerts with their firstSeen / seenAt / digestedAt, newest first.
+ */
+export function trackAlerts(alerts, now = new Date().toISOString()) {
+    const state = loadState();
+    const previous = state.alerts || {};
+    const tracked = {};
+    const out = alerts.map(a => {
+        const entry = previous[a.id] || { firstSeen: now };
+        tracked[a.id] = entry;
+        return { ...a, ...entry };
+    });
+    saveState({ ...state, alerts: tracked });
+    return out.sort((a, b) => b.firstSeen.localeCompare(a.firstSeen) || SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/** Stamps `field` ('seenAt' or 'digestedAt') on the given alerts; returns the updated list. */
+function stampAlerts(alerts, ids, field, now) {
+    const state = loadState();
+    const tracked = { ...state.alerts };
+    ids.forEach(id => {
+        if (tracked[id]) tracked[id] = { ...tracked[id], [field]: now };
+    });
+    saveState({ ...state, alerts: tracked });
+    return alerts.map(a => (ids.includes(a.id) ? { ...a, [field]: now } : a));
+}
+
+/** Marks every alert in the feed as seen. */
+export function markAlertsSeen(alerts, now = new Date().toISOString()) {
+    return stampAlerts(alerts, alerts.filter(a => !a.seenAt).map(a => a.id), 'seenAt', now);
+}
+
+/* ---------- Digest ---------- */
+
+/** { webhookUrl, everyHours, lastRunAt, lastError } */
+export function loadDigestConfig() {
+    return { webhookUrl: '', everyHours: 24, lastRunAt: null, lastError: null, ...loadState().digest };
+}
+
+export function saveDigestConfig(config) {
+    const state = loadState();
+    saveState({ ...state, digest: { ...state.digest, ...config } });
+}
+
+export function isDigestDue(config, now = Date.now()) {
+    if (!config.webhookUrl || !Number(config.everyHours)) return false;
+    return !config.lastRunAt || now - Date.parse(config.lastRunAt) >= Number(config.everyHours) * 3600000;
+}
+
+/** Plain-text digest (Slack-style markup) of alerts, grouped by rule. */
+export function formatDigest(alerts) {
+    const byRule = new Map();
+    alerts.forEach(a => {
+        if (!byRule.has(a.ruleId)) byRule.set(a.ruleId, []);
+        byRule.get(a.ruleId).push(a);
+    });
+    const lines = [`*Monday BI alerts — ${alerts.length} new*`];
+    byRule.forEach(group => {
+        const { rule, severity } = group[0];
+        lines.push('', `*${rule}* (${severity}, ${group.length})`);
+        group.slice(0, DIGEST_ITEMS_PER_RULE).forEach(a => {
+            lines.push(`• ${a.url ? `<${a.url}|${a.itemName}>` : a.itemName} — ${a.detail}`);
+        });
+        if (group.length > DIGEST_ITEMS_PER_RULE) lines.push(`• +${group.length - DIGEST_ITEMS_PER_RULE} more`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Posts `payload` to the webhook. Through the backend proxy the server makes
+ * the call, so the webhook needs no CORS support. Direct from the browser it
+ * is sent as text/plain with `no-cors` — no preflight, which Slack and most
+ * webhooks reject — and the opaque response can't be checked.
+ * @param relay { url, token } of the proxy's /api/digest route, or null
+ */
+function postWebhook(webhookUrl, payload, relay) {
+    if (relay) {
+        return fetch(relay.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(relay.token ? { 'Authorization': `Bearer ${relay.token}` } : {}),
+            },
+            body: JSON.stringify({ webhookUrl, payload }),
+        });
+    }
+    return fetch(webhookUrl, {
+        method: 'POST',
+        mode: 'no-cors',
+        headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+        body: JSON.stringify(payload),
+    });
+}
+
+/**
+ * Posts alerts not included in an earlier digest to the webhook as
+ * { text, generatedAt, alerts }, then marks them digested. With nothing new
+ * the run is recorded without posting unless `force` is set.
+ * @param itemHref (alert) → link to the item, or null
+ * @param relay { url, token } of the proxy's /api/digest route, or null to post from the browser
+ * @returns {{ sent, alerts }} — the number posted and the updated alert list
+ */
+export async function sendDigest(alerts, { itemHref = () => null, relay = null, force = false, now = new Date().toISOString() } = {}) {
+    const config = loadDigestConfig();
+    if (!config.webhookUrl) throw new Error('No webhook URL configured');
+    const pending = alerts.filter(a => !a.digestedAt).map(a => ({ ...a, url: itemHref(a) }));
+
+    if (pending.length || force) {
+        // A failed run still counts, so a broken webhook is retried on schedule rather than every check
+        const fail = (message) => {
+            saveDigestConfig({ lastRunAt: now, lastError: message });
+            return new Error(message);
+        };
+        const response = await postWebhook(config.webhookUrl, {
+            text: pending.length ? formatDigest(pending) : '*Monday BI alerts* — nothing new since the last digest',
+            generatedAt: now,
+            alerts: pending.map(({ id, rule, severity, board, itemId, itemName, detail, firstSeen, url }) =>
+                ({ id, rule, severity, board, itemId, itemName, detail, firstSeen, url })),
+        }, relay).catch(err => {
+            throw fail(`Webhook request failed: ${err.message}`);
+        });
+        if (response.type !== 'opaque' && !response.ok) {
+            const reason = await response.json().then(body => body.error?.message).catch(() => null);
+            throw fail(reason || `Webhook returned ${response.status} ${response.statusText}`.trim());
+        }
+    }
+    saveDigestConfig({ lastRunAt: now, lastError: null });
+    return { sent: pending.length, alerts: stampAlerts(alerts, pending.map(a => a.id), 'digestedAt', now) };
+}
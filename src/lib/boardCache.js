@@ -0,0 +1,44 @@
+/**
+ * Board Cache — keeps the last raw board payload per Monday.com board in
+ * IndexedDB so the app can start from cache and refresh incrementally.
+ *
+ * Entry shape: { key, boardId, raw: { name, columns, items }, syncedAt }
+ */
+
+import { STORES, withStore } from './db';
+
+export function getCachedBoard(boardId) {
+    return withStore(STORES.boardCache, 'readonly', store => store.get(String(boardId)));
+}
+
+export function putCachedBoard(boardId, raw, syncedAt) {
+    return withStore(STORES.boardCache, 'readwrite', store =>
+        store.put({ key: String(boardId), boardId: String(boardId), raw, syncedAt })
+    );
+}
+
+export function clearBoardCache() {
+    return withStore(STORES.boardCache, 'readwrite', store => store.clear());
+}
+
+/**
+ * Applies an incremental change set ({ name, columns, items, itemIds }) to a
+ * cached raw board: updated items replace their old versions, new items are
+ * appended and items no longer on the board are dropped.
+ */
+export function mergeBoardChanges(cachedRaw, changes) {
+    const changed = new Map(changes.items.map(i => [i.id, i]));
+    const alive = new Set(changes.itemIds);
+    const merged = cachedRaw.items
+        .filter(i => alive.has(i.id))
+        .map(i => changed.get(i.id) || i);
+    const known = new Set(merged.map(i => i.id));
+    changes.items.forEach(i => {
+        if (!known.has(i.id)) merged.push(i);
+    });
+    return {
+        raw: { name: changes.name, columns: changes.columns, items: merged },
+        changed: changes.items.length,
+        removed: cachedRaw.items.filter(i => !alive.has(i.id)).length,
+    };
+}
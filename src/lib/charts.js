@@ -0,0 +1,84 @@
+/**
+ * Charts — turns a chart request from the agent into a chart spec whose data
+ * is computed by the query engine from the cleaned boards, never by the model.
+ */
+
+import { QUERY_PARAMS, runQuery } from './queryEngine';
+
+const CHART_TYPES = ['bar', 'pie', 'funnel', 'line'];
+const MAX_POINTS = 15;
+
+export const CHART_TOOL = {
+    type: 'function',
+    function: {
+        name: 'render_chart',
+        description: 'Draw a chart inline in your answer. Data is computed from the board — you only describe the query. '
+            + 'Use "funnel" for Deal Stage progressions, "pie" for shares (e.g. sector mix), "bar" for comparisons '
+            + '(pass several sum metrics for side-by-side series such as billed vs collected), "line" for trends '
+            + '(group by a date column with bucket=month/quarter).',
+        parameters: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: CHART_TYPES },
+                title: { type: 'string' },
+                ...QUERY_PARAMS,
+                group_by: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Exactly one column — the chart categories',
+                },
+            },
+            required: ['type', 'title', 'board', 'group_by'],
+        },
+    },
+};
+
+/**
+ * Builds { type, title, labels, series: [{ name, values }], unit, board } from a
+ * render_chart call. Throws on invalid specs so the model can correct itself.
+ */
+export function buildChart(args, boards) {
+    const board = boards[args.board];
+    if (!board) throw new Error(`Unknown board "${args.board}"`);
+    if (!CHART_TYPES.includes(args.type)) throw new Error(`Unknown chart type "${args.type}"`);
+    const groupBy = Array.isArray(args.group_by) ? args.group_by.slice(0, 1) : [args.group_by];
+
+    // Funnels and trends follow category order (stage letters / dates), others follow value
+    const ordered = args.type === 'funnel' || args.type === 'line';
+    const result = runQuery(board, { ...args, group_by: groupBy, limit: undefined });
+    if (!result.groups.length) throw new Error('Query matched no rows — nothing to chart');
+    const groupCol = Object.keys(result.groups[0] || {})[0];
+    const metricKeys = Object.keys(result.totals);
+
+    let groups = result.groups;
+    if (ordered) {
+        groups = [...groups].sort((a, b) => String(a[groupCol]).localeCompare(String(b[groupCol])));
+        if (args.type === 'line') groups = groups.filter(g => g[groupCol] !== '(blank)');
+    }
+    groups = groups.slice(0, Math.min(args.limit || MAX_POINTS, MAX_POINTS));
+
+    // Pie and funnel charts show a single series
+    const seriesKeys = args.type === 'pie' || args.type === 'funnel' ? metricKeys.slice(0, 1) : metricKeys;
+
+    return {
+        type: args.type,
+        title: args.title || groupCol,
+        board: board.boardName,
+        labels: groups.map(g => g[groupCol]),
+        series: seriesKeys.map(k => ({ name: k, values: groups.map(g => g[k] ?? 0) })),
+        unit: seriesKeys.every(k => k.startsWith('count')) ? 'count' : 'inr',
+    };
+}
+
+/** Compact description returned to the model so it can cite the plotted values. */
+export function summarizeChart(chart, index) {
+    return {
+        chart_id: index,
+        rendered: true,
+        title: chart.title,
+        points: chart.labels.map((label, i) => ({
+            label,
+            ...Object.fromEntries(chart.series.map(s => [s.name, s.values[i]])),
+        })),
+    };
+}
@@ -0,0 +1,74 @@
+/**
+ * Source citations — the agent cites the items it names with markers like
+ * `[[deals:1234567890]]` (board key and the row's `_id`, as tool results and
+ * context rows give them). Once the answer is complete each marker that
+ * resolves to a loaded row becomes a numbered link, and the row is kept with
+ * the message so the citation still opens after the boards reload. Markers
+ * for ids that aren't on the board are dropped rather than shown broken.
+ */
+
+// One marker may cite several items: [[deals:123, work_orders:456]]
+const MARKER = /([ \t]?)\[\[([^\]\n]+)\]\]/g;
+const REF = /^\s*([A-Za-z_][\w]*)\s*:\s*#?(\S+?)\s*$/;
+const HREF_PREFIX = '#cite-';
+// A citation link as linkCitations writes it: [3](#cite-3)
+const LINK = /\[(\d+)\]\(#cite-\d+\)/g;
+
+/** Href of citation `n` inside the answer's markdown. */
+export function citationHref(n) {
+    return `${HREF_PREFIX}${n}`;
+}
+
+/** Citation number of a link href, or null when the link is not a citation. */
+export function citationNumber(href) {
+    return href?.startsWith(HREF_PREFIX) ? Number(href.slice(HREF_PREFIX.length)) || null : null;
+}
+
+/**
+ * Replaces the citation markers in `text` with numbered links.
+ * @param boards cleaned boards keyed by tool board key
+ * @returns { text, citations: [{ n, board, id, name, row }] } — the same item always gets the same number
+ */
+export function linkCitations(text, boards) {
+    const citations = [];
+    const numbered = new Map();
+    const cite = (key, id) => {
+        const row = boards[key]?.data.find(r => String(r._id) === id);
+        if (!row) return null;
+        const ref = `${key}:${id}`;
+        if (!numbered.has(ref)) {
+            citations.push({ n: citations.length + 1, board: key, id, name: row._name || null, row });
+            numbered.set(ref, citations.length);
+        }
+        return numbered.get(ref);
+    };
+    const linked = String(text || '').replace(MARKER, (marker, space, inner) => {
+        const refs = inner.split(/[,;]/).map(part => part.match(REF));
+        // Not a citation — leave [[text]] that isn't board:id as written
+        if (refs.some(m => !m)) return marker;
+        const links = [...new Set(refs.map(([, key, id]) => cite(key, id)).filter(n => n !== null))]
+            .map(n => `[${n}](${citationHref(n)})`);
+        return links.length ? `${space}${links.join(' ')}` : '';
+    });
+    return { text: linked, citations };
+}
+
+/** `text` without citation markers — for answers still streaming, before they can be resolved. */
+export function stripCitations(text) {
+    return String(text || '').replace(MARKER, (marker, space, inner) => (inner.split(/[,;]/).every(part => REF.test(part)) ? '' : marker));
+}
+
+/**
+ * `text` for export, where `#cite-n` anchors point nowhere: each citation
+ * link becomes a plain `[n]` and a numbered Sources list names the cited items.
+ * @param href (citation) => Monday.com item link, or null when there is none
+ */
+export function footnoteCitations(text, citations = [], href = () => null) {
+    const plain = String(text || '').replace(LINK, '[$1]');
+    if (!citations?.length) return plain;
+    const sources = citations.map(c => {
+        const link = href(c);
+        return `${c.n}. ${c.name || `Item ${c.id}`} (${c.board} · item ${c.id})${link ? ` — <${link}>` : ''}`;
+    });
+    return `${plain}\n\n**Sources**\n\n${sources.join('\n')}`;
+}
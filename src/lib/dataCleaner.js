@@ -1,9 +1,19 @@
 /**
  * Data Cleaner — handles messy data from Monday.com boards
  * Normalizes dates, numbers, text fields, and filters out junk rows.
+ * Value types and column roles come from the board's schema mapping (lib/schema.js);
+ * date and month columns are parsed column-at-a-time by lib/dates.js.
  */
 
-export function cleanBoardData(boardData) {
+import { proposeSchema, roleColumns } from './schema';
+import { DATE_ORDERS, parseDateColumn } from './dates';
+import { forecastPipeline } from './forecast';
+import { agingReport, billedForCollection, collectionRate } from './receivables';
+
+/**
+ * @param schema column roles/types for this board; proposed from the board itself when omitted
+ */
+export function cleanBoardData(boardData, schema = proposeSchema(boardData)) {
     const { name, columns, items } = boardData;
     const qualityIssues = [];
     let removedRows = 0;
@@ -14,12 +24,23 @@ export function cleanBoardData(boardData) {
         colMap[c.id] = c.title;
     });
 
+    // Date columns are parsed whole, so the day/month order can be detected per column
+    const dateColumns = {};
+    columns.forEach(c => {
+        const type = schema.columns[c.title]?.type;
+        if (type !== 'date' && type !== 'month') return;
+        const texts = items.map(item => item.column_values.find(cv => cv.id === c.id)?.text);
+        dateColumns[c.title] = parseDateColumn(texts, { order: schema.dateOrder, month: type === 'month', title: c.title });
+    });
+
     // Convert items to flat objects
-    const rows = items.map(item => {
+    const rows = items.map((item, i) => {
         const row = { _id: item.id, _name: item.name };
         item.column_values.forEach(cv => {
             const title = colMap[cv.id] || cv.id;
-            row[title] = cleanValue(cv.text, title);
+            row[title] = dateColumns[title]
+                ? dateColumns[title].values[i]
+                : cleanValue(cv.text, schema.columns[title]?.type);
         });
         return row;
     });
@@ -61,6 +82,17 @@ export function cleanBoardData(boardData) {
     if (missingFields > 0)
         qualityIssues.push(`${missingFields} of ${totalFields} field values are missing/null (${((missingFields / totalFields) * 100).toFixed(1)}%)`);
 
+    const dateParsing = {};
+    Object.entries(dateColumns).forEach(([title, { order, stats }]) => {
+        dateParsing[title] = { ...stats, order };
+        if (stats.unparsed.length)
+            qualityIssues.push(`"${title}": ${stats.filled - stats.parsed} of ${stats.filled} values are not dates and were dropped (e.g. ${stats.unparsed.map(v => `"${v}"`).join(', ')})`);
+        if (stats.ambiguous)
+            qualityIssues.push(`"${title}": ${stats.ambiguous} dates read either way (e.g. 04/05) — taken as ${DATE_ORDERS[order]}; set the date format in Settings → Map Columns if that is wrong`);
+        if (stats.swapped)
+            qualityIssues.push(`"${title}": ${stats.swapped} dates were only valid in the other day/month order and were read that way`);
+    });
+
     return {
         boardName: name,
         columns: columns.map(c => c.title).filter(t => t !== 'Name'),
@@ -72,51 +104,24 @@ export function cleanBoardData(boardData) {
             missingFields,
             totalFields,
             completeness: totalFields ? ((1 - missingFields / totalFields) * 100).toFixed(1) : '100',
+            dateParsing,
         },
         qualityIssues,
+        schema,
     };
 }
 
-function cleanValue(text, columnTitle) {
+function cleanValue(text, type) {
     if (text === null || text === undefined || text === '') return null;
     if (text === '#VALUE!') return null;
 
     const t = text.trim();
     if (t === '') return null;
 
-    // Normalise common date formats
-    const lower = columnTitle.toLowerCase();
-    if (lower.includes('date')) {
-        return normalizeDate(t);
-    }
-
-    // Normalise currency / numeric values
-    if (
-        lower.includes('amount') ||
-        lower.includes('value') ||
-        lower.includes('billed') ||
-        lower.includes('collected') ||
-        lower.includes('receivable')
-    ) {
-        return normalizeNumber(t);
-    }
-
+    if (type === 'number') return normalizeNumber(t);
     return t;
 }
 
-function normalizeDate(str) {
-    if (!str) return null;
-    // Already ISO-ish: 2025-01-15
-    if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.substring(0, 10);
-    // DD/MM/YYYY or DD-MM-YYYY
-    const dmy = str.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/);
-    if (dmy) return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
-    // MM/DD/YYYY
-    const mdy = str.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/);
-    if (mdy) return `${mdy[3]}-${mdy[1].padStart(2, '0')}-${mdy[2].padStart(2, '0')}`;
-    return str;
-}
-
 function normalizeNumber(str) {
     if (!str) return null;
     // Remove commas and currency symbols
@@ -130,34 +135,35 @@ function normalizeNumber(str) {
  * Uses aggregated summaries + compact row format to fit Groq's context limit.
  */
 export function dataToContext(cleanedBoard) {
-    const { boardName, data, stats, qualityIssues } = cleanedBoard;
+    const { boardName, data, stats, qualityIssues, schema } = cleanedBoard;
     if (!data.length) return `## ${boardName}\nNo data available.\n`;
 
     let ctx = `## ${boardName} (${stats.cleanedRows} rows, ${stats.completeness}% complete)\n`;
     if (qualityIssues.length)
         ctx += `Data notes: ${qualityIssues.join('; ')}\n`;
 
-    // Detect board type by columns
+    // Board type and columns come from the schema mapping
     const allKeys = Object.keys(data[0]).filter(k => !k.startsWith('_'));
-    const isDeals = allKeys.some(k => k.toLowerCase().includes('deal') || k.toLowerCase().includes('closure') || k.toLowerCase().includes('deal stage'));
-    const isWorkOrders = allKeys.some(k => k.toLowerCase().includes('execution') || k.toLowerCase().includes('billed') || k.toLowerCase().includes('serial'));
-
-    if (isDeals) {
-        ctx += buildDealsSummary(data, allKeys);
-    } else if (isWorkOrders) {
-        ctx += buildWorkOrdersSummary(data, allKeys);
+    const roles = roleColumns(schema);
+
+    if (schema?.kind === 'deals') {
+        ctx += buildDealsSummary(data, roles);
+        ctx += buildForecastSummary(cleanedBoard);
+    } else if (schema?.kind === 'work_orders') {
+        ctx += buildWorkOrdersSummary(data, roles);
+        ctx += buildAgingSummary(cleanedBoard);
+    } else if (schema?.kind === 'invoices') {
+        ctx += buildInvoicesSummary(data, roles);
+    } else if (schema?.kind === 'leads') {
+        ctx += buildLeadsSummary(data, roles);
     } else {
-        // Generic: send compact rows with key columns only
-        ctx += buildGenericCompact(data, allKeys);
+        // Custom boards: per-column profile from the schema types plus a sample of rows
+        ctx += buildGenericSummary(data, allKeys, schema);
     }
 
     return ctx;
 }
 
-function findCol(keys, ...patterns) {
-    return keys.find(k => patterns.some(p => k.toLowerCase().includes(p))) || null;
-}
-
 function groupBy(data, key) {
     const groups = {};
     data.forEach(row => {
@@ -173,67 +179,80 @@ function sumField(rows, key) {
     return rows.reduce((s, r) => s + (parseFloat(r[key]) || 0), 0);
 }
 
-function buildDealsSummary(data, keys) {
+/** [{ label, count, value }] per value of `key`, in the order the summary lists them. */
+function groupTotals(data, key, valueCol, order) {
+    const groups = Object.entries(groupBy(data, key));
+    if (order === 'count') groups.sort((a, b) => b[1].length - a[1].length);
+    if (order === 'label') groups.sort((a, b) => a[0].localeCompare(b[0]));
+    return groups.map(([label, rows]) => ({ label, count: rows.length, value: sumField(rows, valueCol), rows }));
+}
+
+/**
+ * The deals board's headline aggregates — what buildDealsSummary lists and
+ * what answers are verified against (lib/verify.js). Groups are
+ * [{ label, count, value, rows }] and absent when the column isn't mapped.
+ */
+export function dealsAggregates(data, roles) {
+    const valueCol = roles.deal_value;
+    return {
+        deals: data.length,
+        value: sumField(data, valueCol),
+        byStatus: roles.deal_status ? groupTotals(data, roles.deal_status, valueCol) : null,
+        bySector: roles.sector ? groupTotals(data, roles.sector, valueCol, 'count') : null,
+        byStage: roles.deal_stage ? groupTotals(data, roles.deal_stage, valueCol, 'label') : null,
+        byOwner: roles.owner ? groupTotals(data, roles.owner, valueCol, 'count') : null,
+        byProbability: roles.probability ? groupTotals(data, roles.probability, valueCol) : null,
+    };
+}
+
+function buildDealsSummary(data, roles) {
     let out = '\n### AGGREGATED SUMMARY\n';
 
-    const statusCol = findCol(keys, 'deal status', 'status');
-    const valueCol = findCol(keys, 'masked deal', 'deal value', 'value');
-    const sectorCol = findCol(keys, 'sector');
-    const stageCol = findCol(keys, 'deal stage', 'stage');
-    const ownerCol = findCol(keys, 'owner');
-    const probCol = findCol(keys, 'probability', 'closure prob');
-    const tentDateCol = findCol(keys, 'tentative close', 'tentative');
-    const createdCol = findCol(keys, 'created');
-    const clientCol = findCol(keys, 'client');
-    const productCol = findCol(keys, 'product');
+    const statusCol = roles.deal_status;
+    const valueCol = roles.deal_value;
+    const sectorCol = roles.sector;
+    const stageCol = roles.deal_stage;
+    const ownerCol = roles.owner;
+    const probCol = roles.probability;
+    const agg = dealsAggregates(data, roles);
 
     // By status
-    if (statusCol) {
+    if (agg.byStatus) {
         out += '\n**By Deal Status:**\n';
-        const byStatus = groupBy(data, statusCol);
-        Object.entries(byStatus).forEach(([status, rows]) => {
-            const total = sumField(rows, valueCol);
-            out += `- ${status}: ${rows.length} deals, total value: ₹${formatNum(total)}\n`;
+        agg.byStatus.forEach(g => {
+            out += `- ${g.label}: ${g.count} deals, total value: ₹${formatNum(g.value)}\n`;
         });
     }
 
     // By sector
-    if (sectorCol) {
+    if (agg.bySector) {
         out += '\n**By Sector:**\n';
-        const bySector = groupBy(data, sectorCol);
-        Object.entries(bySector).sort((a, b) => b[1].length - a[1].length).forEach(([sector, rows]) => {
-            const total = sumField(rows, valueCol);
-            out += `- ${sector}: ${rows.length} deals, value: ₹${formatNum(total)}\n`;
+        agg.bySector.forEach(g => {
+            out += `- ${g.label}: ${g.count} deals, value: ₹${formatNum(g.value)}\n`;
         });
     }
 
     // By stage
-    if (stageCol) {
+    if (agg.byStage) {
         out += '\n**By Deal Stage:**\n';
-        const byStage = groupBy(data, stageCol);
-        Object.entries(byStage).sort((a, b) => a[0].localeCompare(b[0])).forEach(([stage, rows]) => {
-            const total = sumField(rows, valueCol);
-            out += `- ${stage}: ${rows.length} deals, value: ₹${formatNum(total)}\n`;
+        agg.byStage.forEach(g => {
+            out += `- ${g.label}: ${g.count} deals, value: ₹${formatNum(g.value)}\n`;
         });
     }
 
     // By owner
-    if (ownerCol) {
+    if (agg.byOwner) {
         out += '\n**By Owner:**\n';
-        const byOwner = groupBy(data, ownerCol);
-        Object.entries(byOwner).sort((a, b) => b[1].length - a[1].length).forEach(([owner, rows]) => {
-            const total = sumField(rows, valueCol);
-            out += `- ${owner}: ${rows.length} deals, value: ₹${formatNum(total)}\n`;
+        agg.byOwner.forEach(g => {
+            out += `- ${g.label}: ${g.count} deals, value: ₹${formatNum(g.value)}\n`;
         });
     }
 
     // By probability
-    if (probCol) {
+    if (agg.byProbability) {
         out += '\n**By Closure Probability:**\n';
-        const byProb = groupBy(data, probCol);
-        Object.entries(byProb).forEach(([prob, rows]) => {
-            const total = sumField(rows, valueCol);
-            out += `- ${prob || 'Not set'}: ${rows.length} deals, value: ₹${formatNum(total)}\n`;
+        agg.byProbability.forEach(g => {
+            out += `- ${g.label || 'Not set'}: ${g.count} deals, value: ₹${formatNum(g.value)}\n`;
         });
     }
 
@@ -250,54 +269,82 @@ function buildDealsSummary(data, keys) {
     return out;
 }
 
-function buildWorkOrdersSummary(data, keys) {
+function buildForecastSummary(cleanedBoard) {
+    let forecast;
+    try {
+        forecast = forecastPipeline(cleanedBoard, { bucket: 'quarter' });
+    } catch {
+        return '';
+    }
+    let out = '\n### WEIGHTED FORECAST (open deals, stages A–H)\n';
+    out += `- Pipeline: ₹${formatNum(forecast.total_pipeline)} across ${forecast.open_deals} deals, weighted: ₹${formatNum(forecast.weighted_total)}`;
+    out += forecast.calibrated ? ` (weights calibrated on ${forecast.calibration?.closed_deals ?? 0} closed deals)\n` : ' (configured weights)\n';
+    if (forecast.overdue.deals) out += `- Overdue (close date passed): ${forecast.overdue.deals} deals, weighted ₹${formatNum(forecast.overdue.weighted)}\n`;
+    forecast.buckets.forEach(b => {
+        out += `- ${b.period}: ${b.deals} deals, weighted ₹${formatNum(b.weighted)} of ₹${formatNum(b.pipeline)}\n`;
+    });
+    return out;
+}
+
+/**
+ * The work orders board's headline aggregates — what buildWorkOrdersSummary
+ * lists and what answers are verified against. Rates are percentages, or null
+ * without a base to divide by.
+ */
+export function workOrdersAggregates(data, roles) {
+    const amtExcl = roles.order_value_excl;
+    const totals = {
+        work_orders: data.length,
+        order_value: sumField(data, amtExcl),
+        billed: sumField(data, roles.billed_excl),
+        collected: sumField(data, roles.collected),
+        receivable: sumField(data, roles.receivable),
+    };
+    totals.collection_rate = collectionRate(totals.collected, data.reduce((s, row) => s + billedForCollection(row, roles), 0));
+    totals.billing_rate = totals.order_value > 0 ? (totals.billed / totals.order_value) * 100 : null;
+    return {
+        totals,
+        byExecution: roles.execution_status ? groupTotals(data, roles.execution_status, amtExcl) : null,
+        bySector: roles.sector
+            ? groupTotals(data, roles.sector, amtExcl, 'count').map(g => ({ ...g, collected: sumField(g.rows, roles.collected) }))
+            : null,
+    };
+}
+
+function buildWorkOrdersSummary(data, roles) {
     let out = '\n### AGGREGATED SUMMARY\n';
 
-    const execCol = findCol(keys, 'execution status', 'execution');
-    const amtExcl = findCol(keys, 'amount in rupees (excl', 'amount.*excl');
-    const amtIncl = findCol(keys, 'amount in rupees (incl', 'amount.*incl');
-    const billedExcl = findCol(keys, 'billed value in rupees (excl', 'billed.*excl');
-    const billedIncl = findCol(keys, 'billed value in rupees (incl', 'billed.*incl');
-    const collectedCol = findCol(keys, 'collected amount', 'collected');
-    const receivableCol = findCol(keys, 'amount receivable', 'receivable');
-    const sectorCol = findCol(keys, 'sector');
-    const typeCol = findCol(keys, 'type of work');
-    const ownerCol = findCol(keys, 'bd/kam', 'personnel');
-    const natureCol = findCol(keys, 'nature of work', 'nature');
-    const customerCol = findCol(keys, 'customer');
-    const serialCol = findCol(keys, 'serial');
-    const woStatusCol = findCol(keys, 'wo status');
-    const billingStatusCol = findCol(keys, 'billing status');
-    const datePoCol = findCol(keys, 'date of po', 'po/loi');
+    const execCol = roles.execution_status;
+    const amtExcl = roles.order_value_excl;
+    const collectedCol = roles.collected;
+    const receivableCol = roles.receivable;
+    const sectorCol = roles.sector;
+    const natureCol = roles.nature_of_work;
+    const customerCol = roles.customer;
+    const { totals, byExecution, bySector } = workOrdersAggregates(data, roles);
 
     // Financial totals
-    const totalAmt = sumField(data, amtExcl);
-    const totalBilled = sumField(data, billedExcl);
-    const totalCollected = sumField(data, collectedCol);
-    const totalReceivable = sumField(data, receivableCol);
     out += `\n**Financial Overview:**\n`;
-    out += `- Total Order Value (Excl GST): ₹${formatNum(totalAmt)}\n`;
-    out += `- Total Billed (Excl GST): ₹${formatNum(totalBilled)}\n`;
-    out += `- Total Collected: ₹${formatNum(totalCollected)}\n`;
-    out += `- Total Receivable: ₹${formatNum(totalReceivable)}\n`;
-    if (totalBilled > 0) out += `- Collection Rate: ${((totalCollected / totalBilled) * 100).toFixed(1)}%\n`;
-    if (totalAmt > 0) out += `- Billing Rate: ${((totalBilled / totalAmt) * 100).toFixed(1)}%\n`;
+    out += `- Total Order Value (Excl GST): ₹${formatNum(totals.order_value)}\n`;
+    out += `- Total Billed (Excl GST): ₹${formatNum(totals.billed)}\n`;
+    out += `- Total Collected: ₹${formatNum(totals.collected)}\n`;
+    out += `- Total Receivable: ₹${formatNum(totals.receivable)}\n`;
+    if (totals.collection_rate !== null) out += `- Collection Rate: ${totals.collection_rate.toFixed(1)}%\n`;
+    if (totals.billing_rate !== null) out += `- Billing Rate: ${totals.billing_rate.toFixed(1)}%\n`;
 
     // By execution status
-    if (execCol) {
+    if (byExecution) {
         out += '\n**By Execution Status:**\n';
-        const byExec = groupBy(data, execCol);
-        Object.entries(byExec).forEach(([status, rows]) => {
-            out += `- ${status}: ${rows.length} WOs, value: ₹${formatNum(sumField(rows, amtExcl))}\n`;
+        byExecution.forEach(g => {
+            out += `- ${g.label}: ${g.count} WOs, value: ₹${formatNum(g.value)}\n`;
         });
     }
 
     // By sector
-    if (sectorCol) {
+    if (bySector) {
         out += '\n**By Sector:**\n';
-        const bySector = groupBy(data, sectorCol);
-        Object.entries(bySector).sort((a, b) => b[1].length - a[1].length).forEach(([sector, rows]) => {
-            out += `- ${sector}: ${rows.length} WOs, value: ₹${formatNum(sumField(rows, amtExcl))}, collected: ₹${formatNum(sumField(rows, collectedCol))}\n`;
+        bySector.forEach(g => {
+            out += `- ${g.label}: ${g.count} WOs, value: ₹${formatNum(g.value)}, collected: ₹${formatNum(g.collected)}\n`;
         });
     }
 
@@ -320,17 +367,178 @@ function buildWorkOrdersSummary(data, keys) {
     return out;
 }
 
-function buildGenericCompact(data, keys) {
-    let out = '\n### DATA\n';
-    out += `Name | ${keys.slice(0, 8).join(' | ')}\n`;
-    data.forEach(row => {
-        const vals = keys.slice(0, 8).map(k => (row[k] ?? '-'));
-        out += `${row._name || '-'} | ${vals.join(' | ')}\n`;
+function buildAgingSummary(cleanedBoard) {
+    let aging;
+    try {
+        aging = agingReport(cleanedBoard, { groupBy: 'customer', limit: 5 });
+    } catch {
+        return '';
+    }
+    if (!aging.open_items) return '';
+    let out = `\n### AR AGING (as of ${aging.as_of}, by last invoice date)\n`;
+    aging.buckets.filter(b => b.items).forEach(b => {
+        out += `- ${b.bucket}: ₹${formatNum(b.receivable)} across ${b.items} WOs\n`;
+    });
+    if (aging.avg_days_outstanding !== null) out += `- Average days outstanding: ${aging.avg_days_outstanding}\n`;
+    if (aging.dso && aging.dso.days !== null) out += `- DSO (last ${aging.dso.period_days} days of billing): ${aging.dso.days} days\n`;
+    if (aging.priority_accounts.items) {
+        out += `- AR Priority accounts: ₹${formatNum(aging.priority_accounts.receivable)} across ${aging.priority_accounts.items} WOs, ₹${formatNum(aging.priority_accounts.over_90_days)} over 90 days\n`;
+    }
+    out += '\n**Largest customer balances:**\n';
+    aging.groups.forEach(g => {
+        out += `- ${g.group}: ₹${formatNum(g.receivable)} (${g.items} WOs, 90+: ₹${formatNum(g.buckets['90+'])})\n`;
+    });
+    return out;
+}
+
+function countLines(rows, key, valueCol, unit, limit = 15) {
+    let out = '';
+    Object.entries(groupBy(rows, key))
+        .sort((a, b) => b[1].length - a[1].length)
+        .slice(0, limit)
+        .forEach(([label, group]) => {
+            out += `- ${label}: ${group.length} ${unit}`;
+            if (valueCol) out += `, value: ₹${formatNum(sumField(group, valueCol))}`;
+            out += '\n';
+        });
+    return out;
+}
+
+function topRowsTable(data, cols, sortCol, title, limit = 20) {
+    let out = `\n### ${title}\n`;
+    out += `Name | ${cols.join(' | ')}\n`;
+    const sorted = [...data].sort((a, b) => (parseFloat(b[sortCol]) || 0) - (parseFloat(a[sortCol]) || 0));
+    sorted.slice(0, limit).forEach(row => {
+        out += `${row._name || '-'} | ${cols.map(c => row[c] ?? '-').join(' | ')}\n`;
+    });
+    return out;
+}
+
+function buildInvoicesSummary(data, roles) {
+    let out = '\n### AGGREGATED SUMMARY\n';
+
+    const statusCol = roles.invoice_status;
+    const amountCol = roles.amount;
+    const paidCol = roles.paid_amount;
+    const outstandingCol = roles.outstanding;
+    const dueCol = roles.due_date;
+    const customerCol = roles.customer;
+
+    // Outstanding falls back to amount − paid when the board has no balance column
+    const outstandingOf = (row) => (outstandingCol
+        ? parseFloat(row[outstandingCol]) || 0
+        : Math.max(0, (parseFloat(row[amountCol]) || 0) - (parseFloat(row[paidCol]) || 0)));
+    const today = new Date().toISOString().substring(0, 10);
+    const overdue = dueCol ? data.filter(r => r[dueCol] && r[dueCol] < today && outstandingOf(r) > 0) : [];
+
+    out += '\n**Invoice Totals:**\n';
+    if (amountCol) out += `- Total Invoiced: ₹${formatNum(sumField(data, amountCol))}\n`;
+    if (paidCol) out += `- Total Paid: ₹${formatNum(sumField(data, paidCol))}\n`;
+    if (outstandingCol || (amountCol && paidCol)) {
+        out += `- Total Outstanding: ₹${formatNum(data.reduce((s, r) => s + outstandingOf(r), 0))}\n`;
+    }
+    if (dueCol) out += `- Overdue: ${overdue.length} invoices, ₹${formatNum(overdue.reduce((s, r) => s + outstandingOf(r), 0))} outstanding\n`;
+
+    if (statusCol) out += '\n**By Status:**\n' + countLines(data, statusCol, amountCol, 'invoices');
+
+    if (customerCol) {
+        out += '\n**Outstanding by Customer (top 10):**\n';
+        Object.entries(groupBy(data, customerCol))
+            .map(([customer, rows]) => [customer, rows.reduce((s, r) => s + outstandingOf(r), 0), rows.length])
+            .filter(([, owed]) => owed > 0)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .forEach(([customer, owed, n]) => { out += `- ${customer}: ₹${formatNum(owed)} across ${n} invoices\n`; });
+    }
+
+    const cols = [customerCol, statusCol, roles.invoice_date, dueCol, amountCol, paidCol, outstandingCol].filter(Boolean);
+    out += topRowsTable(data, cols, outstandingCol || amountCol, `TOP 20 INVOICES BY ${outstandingCol ? 'OUTSTANDING' : 'AMOUNT'}`);
+    return out;
+}
+
+function buildLeadsSummary(data, roles) {
+    let out = '\n### AGGREGATED SUMMARY\n';
+
+    const statusCol = roles.lead_status;
+    const valueCol = roles.lead_value;
+    const createdCol = roles.created_date;
+    const followCol = roles.next_follow_up;
+
+    out += `\n**Leads:** ${data.length}`;
+    if (valueCol) out += `, estimated value: ₹${formatNum(sumField(data, valueCol))}`;
+    out += '\n';
+
+    if (statusCol) out += '\n**By Status:**\n' + countLines(data, statusCol, valueCol, 'leads');
+    if (roles.source) out += '\n**By Source:**\n' + countLines(data, roles.source, valueCol, 'leads');
+    if (roles.owner) out += '\n**By Owner:**\n' + countLines(data, roles.owner, valueCol, 'leads');
+    if (roles.sector) out += '\n**By Sector:**\n' + countLines(data, roles.sector, valueCol, 'leads');
+
+    if (createdCol) {
+        out += '\n**New Leads by Month (last 6):**\n';
+        const months = {};
+        data.forEach(r => {
+            if (!/^\d{4}-\d{2}/.test(r[createdCol] || '')) return;
+            const month = r[createdCol].substring(0, 7);
+            months[month] = (months[month] || 0) + 1;
+        });
+        Object.entries(months).sort((a, b) => a[0].localeCompare(b[0])).slice(-6)
+            .forEach(([month, n]) => { out += `- ${month}: ${n} leads\n`; });
+    }
+
+    if (followCol) {
+        const today = new Date().toISOString().substring(0, 10);
+        const due = data.filter(r => r[followCol] && r[followCol] <= today);
+        out += `\n**Follow-ups due or overdue:** ${due.length}\n`;
+    }
+
+    const cols = [roles.company, statusCol, roles.source, roles.owner, valueCol, createdCol, followCol].filter(Boolean);
+    out += topRowsTable(data, cols, valueCol, valueCol ? 'TOP 20 LEADS BY VALUE' : 'LEADS (first 20)');
+    return out;
+}
+
+// Custom boards: rows sent in full up to this many; the agent queries for the rest
+const GENERIC_SAMPLE_ROWS = 40;
+
+function buildGenericSummary(data, keys, schema) {
+    let out = '\n### COLUMN PROFILE\n';
+    const typeOf = (k) => schema?.columns[k]?.type || 'text';
+
+    keys.forEach(k => {
+        const vals = data.map(r => r[k]).filter(v => v !== null && v !== undefined && v !== '');
+        if (!vals.length) {
+            out += `- ${k}: empty\n`;
+            return;
+        }
+        const type = typeOf(k);
+        if (type === 'number') {
+            const nums = vals.map(Number).filter(n => !isNaN(n));
+            const total = nums.reduce((s, n) => s + n, 0);
+            out += `- ${k} (number, ${vals.length} filled): total ${formatNum(total)}, avg ${formatNum(total / (nums.length || 1))}, min ${formatNum(Math.min(...nums))}, max ${formatNum(Math.max(...nums))}\n`;
+        } else if (type === 'date' || type === 'month') {
+            const sorted = [...vals].sort();
+            out += `- ${k} (${type}, ${vals.length} filled): ${sorted[0]} → ${sorted[sorted.length - 1]}\n`;
+        } else {
+            const counts = {};
+            vals.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+            const distinct = Object.keys(counts).length;
+            if (type === 'category' || distinct <= 12) {
+                const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 8);
+                out += `- ${k} (${distinct} values): ${top.map(([v, n]) => `${v} ${n}`).join(', ')}${distinct > 8 ? ', …' : ''}\n`;
+            } else {
+                out += `- ${k} (text, ${vals.length} filled, ${distinct} distinct)\n`;
+            }
+        }
+    });
+
+    out += `\n### ROWS${data.length > GENERIC_SAMPLE_ROWS ? ` (first ${GENERIC_SAMPLE_ROWS} of ${data.length} — query the board for the rest)` : ''}\n`;
+    out += `Name | ${keys.join(' | ')}\n`;
+    data.slice(0, GENERIC_SAMPLE_ROWS).forEach(row => {
+        out += `${row._name || '-'} | ${keys.map(k => row[k] ?? '-').join(' | ')}\n`;
     });
     return out;
 }
 
-function formatNum(n) {
+export function formatNum(n) {
     if (n >= 10000000) return (n / 10000000).toFixed(2) + ' Cr';
     if (n >= 100000) return (n / 100000).toFixed(2) + ' L';
     if (n >= 1000) return (n / 1000).toFixed(1) + 'K';
@@ -0,0 +1,271 @@
+/**
+ * Data Quality — per-column diagnostics for a cleaned board, with every
+ * issue carrying the items it affects so they can be fixed at the source.
+ *
+ * Checks: fill rate, type conformance (raw text the cleaner could not read
+ * as the column's type), numeric and date outliers, duplicate items,
+ * out-of-vocabulary status/stage values (vocabularies live on the schema
+ * roles) and values that flag a row for follow-up (FLAGGED_VALUES).
+ */
+
+import { roleDef } from './schema';
+
+// Values that mean someone has to act on the row
+const FLAGGED_VALUES = [
+    { role: 'billing_status', value: 'Update Required' },
+    { role: 'billing_status', value: 'Stuck' },
+    { role: 'invoice_status', value: 'Stuck' },
+];
+
+// Mapped columns filled below this get a "missing values" issue
+const FILL_WARN = 0.8;
+// Tukey "far out" fences — money columns are heavily skewed, so 1.5×IQR would flag too much
+const IQR_FENCE = 3;
+const MIN_OUTLIER_SAMPLE = 10;
+const MIN_YEAR = 2000;
+const MAX_YEARS_AHEAD = 5;
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+function isEmpty(v) {
+    return v === null || v === undefined || v === '';
+}
+
+function toNumber(v) {
+    if (isEmpty(v)) return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+}
+
+function quantile(sorted, q) {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function plural(n, word) {
+    return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+function formatBound(n) {
+    return Math.round(n).toLocaleString('en-IN');
+}
+
+function ref(row, column) {
+    return { id: row._id, name: row._name, value: column ? row[column] : undefined };
+}
+
+/** Raw cell text by item id and column title. */
+function rawTextIndex(raw) {
+    const titles = Object.fromEntries(raw.columns.map(c => [c.id, c.title]));
+    const index = new Map();
+    raw.items.forEach(item => {
+        const texts = {};
+        item.column_values.forEach(cv => { texts[titles[cv.id] || cv.id] = (cv.text || '').trim(); });
+        index.set(item.id, texts);
+    });
+    return index;
+}
+
+function outlierRows(rows, title, type) {
+    if (type === 'number') {
+        const values = rows.map(r => toNumber(r[title])).filter(n => n !== null).sort((a, b) => a - b);
+        if (values.length < MIN_OUTLIER_SAMPLE) return { rows: [], bounds: null };
+        const q1 = quantile(values, 0.25);
+        const q3 = quantile(values, 0.75);
+        const low = q1 - IQR_FENCE * (q3 - q1);
+        const high = q3 + IQR_FENCE * (q3 - q1);
+        if (high === low) return { rows: [], bounds: null };
+        return {
+            rows: rows.filter(r => { const n = toNumber(r[title]); return n !== null && (n < low || n > high); }),
+            bounds: [low, high],
+        };
+    }
+    if (type === 'date') {
+        const maxYear = new Date().getFullYear() + MAX_YEARS_AHEAD;
+        return {
+            rows: rows.filter(r => {
+                if (!/^\d{4}/.test(r[title] || '')) return false;
+                const year = Number(String(r[title]).substring(0, 4));
+                return year < MIN_YEAR || year > maxYear;
+            }),
+            bounds: [MIN_YEAR, maxYear],
+        };
+    }
+    return { rows: [], bounds: null };
+}
+
+function duplicateIssues(rows, columns, schema) {
+    const issues = [];
+    const groups = new Map();
+    rows.forEach(r => {
+        const key = JSON.stringify([r._name, ...columns.map(c => r[c] ?? null)]);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(r);
+    });
+    const dupes = [...groups.values()].filter(g => g.length > 1);
+    if (dupes.length) {
+        issues.push({
+            id: 'duplicates',
+            severity: 'high',
+            check: 'duplicates',
+            column: null,
+            title: `${dupes.reduce((s, g) => s + g.length, 0)} items are exact duplicates (${dupes.length} groups)`,
+            detail: 'Same name and identical values in every column',
+            items: dupes.flat().map(r => ref(r)),
+        });
+    }
+
+    // Identifier roles should be unique
+    const serial = Object.entries(schema.columns).find(([, c]) => c.role === 'serial')?.[0];
+    if (serial) {
+        const byValue = new Map();
+        rows.forEach(r => {
+            if (isEmpty(r[serial])) return;
+            if (!byValue.has(r[serial])) byValue.set(r[serial], []);
+            byValue.get(r[serial]).push(r);
+        });
+        const repeated = [...byValue.values()].filter(g => g.length > 1);
+        if (repeated.length) {
+            issues.push({
+                id: `duplicate-key:${serial}`,
+                severity: 'high',
+                check: 'duplicates',
+                column: serial,
+                title: `${plural(repeated.length, `"${serial}" value`)} used by more than one item`,
+                detail: repeated.slice(0, 5).map(g => g[0][serial]).join(', '),
+                items: repeated.flat().map(r => ref(r, serial)),
+            });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Diagnostics for one board.
+ * @param cleaned result of cleanBoardData (rows, schema)
+ * @param raw the raw board it was cleaned from, used to spot values the cleaner had to drop
+ * @returns {{ board, rows, columns: [{ title, role, type, filled, fill_rate, conformance, outliers, out_of_vocabulary }], issues }}
+ */
+export function analyzeQuality(cleaned, raw) {
+    const { boardName, data: rows, schema } = cleaned;
+    const texts = raw ? rawTextIndex(raw) : new Map();
+    const titles = Object.keys(schema.columns);
+    const issues = [];
+
+    const columns = titles.map(title => {
+        const { role, type } = schema.columns[title];
+        const def = role ? roleDef(schema.kind, role) : null;
+        const label = def && def.label.toLowerCase() !== title.toLowerCase() ? `${title} (${def.label})` : title;
+
+        const filledRows = rows.filter(r => !isEmpty(r[title]));
+        const emptyRows = rows.filter(r => isEmpty(r[title]));
+        const fillRate = rows.length ? filledRows.length / rows.length : 1;
+        if (role && fillRate < FILL_WARN && emptyRows.length) {
+            issues.push({
+                id: `missing:${title}`,
+                severity: 'low',
+                check: 'fill',
+                column: title,
+                title: `${label} is empty on ${emptyRows.length} of ${rows.length} items`,
+                detail: `${Math.round(fillRate * 100)}% filled`,
+                items: emptyRows.map(r => ref(r)),
+            });
+        }
+
+        // Non-conforming: there was text, but the cleaner could not read it as this type
+        let conformance = null;
+        if (type === 'number' || type === 'date' || type === 'month') {
+            const bad = rows.filter(r => {
+                const text = texts.get(r._id)?.[title];
+                if (isEmpty(r[title])) return !!text;
+                return type === 'number' && toNumber(r[title]) === null;
+            });
+            const attempted = filledRows.length + bad.filter(r => isEmpty(r[title])).length;
+            conformance = attempted ? (attempted - bad.length) / attempted : 1;
+            if (bad.length) {
+                issues.push({
+                    id: `type:${title}`,
+                    severity: 'high',
+                    check: 'type',
+                    column: title,
+                    title: `${plural(bad.length, `"${title}" value`)} ${bad.length === 1 ? 'is' : 'are'} not a valid ${type}`,
+                    detail: [...new Set(bad.map(r => texts.get(r._id)?.[title] || r[title]))].slice(0, 5).map(v => `"${v}"`).join(', '),
+                    items: bad.map(r => ({ ...ref(r), value: texts.get(r._id)?.[title] || r[title] })),
+                });
+            }
+        }
+
+        const outliers = outlierRows(rows, title, type);
+        if (outliers.rows.length) {
+            const [low, high] = outliers.bounds;
+            const below = type === 'number' && outliers.rows.some(r => toNumber(r[title]) < low);
+            issues.push({
+                id: `outliers:${title}`,
+                severity: 'medium',
+                check: 'outliers',
+                column: title,
+                title: `${plural(outliers.rows.length, 'outlier')} in "${title}"`,
+                detail: type === 'date'
+                    ? `Dates before ${low} or after ${high}`
+                    : below
+                        ? `Outside ${formatBound(low)} – ${formatBound(high)} (${IQR_FENCE}×IQR)`
+                        : `Above ${formatBound(high)} (${IQR_FENCE}×IQR)`,
+                items: outliers.rows.map(r => ref(r, title)),
+            });
+        }
+
+        const oov = {};
+        if (def?.values) {
+            const vocab = new Set(def.values);
+            filledRows.forEach(r => {
+                const v = String(r[title]);
+                if (vocab.has(v)) return;
+                (oov[v] = oov[v] || []).push(r);
+            });
+            Object.entries(oov).forEach(([value, affected]) => {
+                const near = def.values.find(v => v.toLowerCase() === value.toLowerCase());
+                issues.push({
+                    id: `vocab:${title}:${value}`,
+                    severity: 'high',
+                    check: 'vocabulary',
+                    column: title,
+                    title: `${label} = "${value}" is not a known value (${plural(affected.length, 'item')})`,
+                    detail: near ? `Casing differs from "${near}"` : `Expected one of: ${def.values.join(', ')}`,
+                    items: affected.map(r => ref(r, title)),
+                });
+            });
+        }
+
+        FLAGGED_VALUES.filter(f => f.role === role).forEach(flag => {
+            const flagged = filledRows.filter(r => String(r[title]).toLowerCase() === flag.value.toLowerCase());
+            if (!flagged.length) return;
+            issues.push({
+                id: `flag:${title}:${flag.value}`,
+                severity: 'medium',
+                check: 'flagged',
+                column: title,
+                title: `${plural(flagged.length, 'item')} ${flagged.length === 1 ? 'has' : 'have'} ${title} = "${flag.value}"`,
+                detail: 'Needs follow-up on the board',
+                items: flagged.map(r => ref(r, title)),
+            });
+        });
+
+        return {
+            title,
+            role,
+            type,
+            filled: filledRows.length,
+            fill_rate: Math.round(fillRate * 1000) / 10,
+            conformance: conformance === null ? null : Math.round(conformance * 1000) / 10,
+            outliers: outliers.rows.length,
+            out_of_vocabulary: Object.values(oov).reduce((s, g) => s + g.length, 0),
+        };
+    });
+
+    issues.push(...duplicateIssues(rows, titles, schema));
+    issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || b.items.length - a.items.length);
+
+    return { board: boardName, rows: rows.length, columns, issues };
+}
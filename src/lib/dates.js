@@ -0,0 +1,194 @@
+/**
+ * Dates — parses the date formats found in board exports into ISO strings.
+ *
+ * Numeric dates like 04/05/2025 depend on the board's date order: 'dmy',
+ * 'mdy', or 'auto' (the order is detected per column from values such as
+ * 25/04/2025 that only read one way, falling back to day-first).
+ *
+ * Normalized values:
+ *   YYYY-MM-DD  full dates (ISO, numeric, "15 Jan 2026", "Jan 15, 2026", Excel serials)
+ *   YYYY-MM     month-only values ("Jan 2026", "01/2026", "2026-01")
+ *   January     month names without a year ("Jan", "June")
+ */
+
+export const DATE_ORDERS = {
+    auto: 'Detect per column',
+    dmy: 'Day first (DD/MM/YYYY)',
+    mdy: 'Month first (MM/DD/YYYY)',
+};
+
+// Used by 'auto' when a column has no value that settles the order (the sample boards are Indian exports)
+export const DEFAULT_DATE_ORDER = 'dmy';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Excel serials accepted as dates: 1954-10-03 .. 2119-01-09
+const SERIAL_MIN = 20000;
+const SERIAL_MAX = 80000;
+
+const NUMERIC = /^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{2}|\d{4})(?:[T\s].*)?$/;
+
+export function excelSerialToISO(serial) {
+    // Excel epoch is 1899-12-30 (accounts for the 1900 leap-year bug)
+    const ms = Math.round((serial - 25569) * 86400000);
+    return new Date(ms).toISOString().substring(0, 10);
+}
+
+/** 1-12 for a month name or abbreviation ("jan", "Sept", "December"), else 0. */
+function monthNumber(word) {
+    const w = word.toLowerCase();
+    if (w.length < 3) return 0;
+    const i = MONTH_NAMES.findIndex(m => m.toLowerCase().startsWith(w.substring(0, 3)) && (w.length <= 4 || m.toLowerCase() === w));
+    return i + 1;
+}
+
+function fullYear(y) {
+    const n = Number(y);
+    if (y.length === 4) return n;
+    return n < 70 ? 2000 + n : 1900 + n;
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function isoDay(y, m, d) {
+    if (m < 1 || m > 12 || d < 1) return null;
+    if (d > new Date(Date.UTC(y, m, 0)).getUTCDate()) return null;
+    return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+function isoMonth(y, m) {
+    return m >= 1 && m <= 12 ? `${y}-${pad(m)}` : null;
+}
+
+/**
+ * Parses one value.
+ * @param order 'dmy' | 'mdy' — how to read numeric dates
+ * @returns {{ value, granularity: 'day' | 'month' | 'month_of_year', ambiguous?, swapped? } | null}
+ *   ambiguous — a numeric date that reads validly either way (04/05/2025)
+ *   swapped   — only valid in the other order (12/25/2025 under 'dmy')
+ */
+export function parseDate(text, { order = DEFAULT_DATE_ORDER } = {}) {
+    const t = String(text ?? '').trim();
+    if (!t) return null;
+    let m;
+
+    // ISO and other year-first forms: 2025-01-15, 2025/1/15, 2025-01-15T10:00:00Z
+    if ((m = t.match(/^(\d{4})[/\-.](\d{1,2})[/\-.](\d{1,2})(?:[T\s].*)?$/))) {
+        const value = isoDay(Number(m[1]), Number(m[2]), Number(m[3]));
+        return value && { value, granularity: 'day' };
+    }
+    if ((m = t.match(/^(\d{4})[/\-.](\d{1,2})$/))) {
+        const value = isoMonth(Number(m[1]), Number(m[2]));
+        return value && { value, granularity: 'month' };
+    }
+
+    // Numeric day/month/year in either order
+    if ((m = t.match(NUMERIC))) {
+        const a = Number(m[1]);
+        const b = Number(m[2]);
+        const y = fullYear(m[3]);
+        const dmy = isoDay(y, b, a);
+        const mdy = isoDay(y, a, b);
+        const preferred = order === 'mdy' ? mdy : dmy;
+        const other = order === 'mdy' ? dmy : mdy;
+        if (preferred) return { value: preferred, granularity: 'day', ambiguous: !!other && a !== b };
+        return other && { value: other, granularity: 'day', swapped: true };
+    }
+    if ((m = t.match(/^(\d{1,2})[/\-.](\d{4})$/))) {
+        const value = isoMonth(Number(m[2]), Number(m[1]));
+        return value && { value, granularity: 'month' };
+    }
+
+    // Month names: 15 Jan 2026, 15-Jan-26, Jan 15, 2026, Jan 2026, Jan-26, January
+    if ((m = t.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s\-/.]+([a-z]+)\.?,?[\s\-/.]+(\d{2}|\d{4})$/i))) {
+        const month = monthNumber(m[2]);
+        const value = month && isoDay(fullYear(m[3]), month, Number(m[1]));
+        return value ? { value, granularity: 'day' } : null;
+    }
+    if ((m = t.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i))) {
+        const month = monthNumber(m[1]);
+        const value = month && isoDay(Number(m[3]), month, Number(m[2]));
+        return value ? { value, granularity: 'day' } : null;
+    }
+    if ((m = t.match(/^([a-z]+)\.?[\s\-/,']+(\d{2}|\d{4})$/i))) {
+        const month = monthNumber(m[1]);
+        return month ? { value: isoMonth(fullYear(m[2]), month), granularity: 'month' } : null;
+    }
+    if ((m = t.match(/^([a-z]+)\.?$/i))) {
+        const month = monthNumber(m[1]);
+        return month ? { value: MONTH_NAMES[month - 1], granularity: 'month_of_year' } : null;
+    }
+
+    // Excel serial day numbers
+    if (/^\d+(\.\d+)?$/.test(t)) {
+        const serial = Number(t);
+        if (serial >= SERIAL_MIN && serial <= SERIAL_MAX) return { value: excelSerialToISO(Math.floor(serial)), granularity: 'day' };
+    }
+    return null;
+}
+
+/** 'dmy' or 'mdy' when the column's unambiguous numeric dates point one way (majority wins), else null. */
+export function detectDateOrder(texts) {
+    let dmy = 0;
+    let mdy = 0;
+    texts.forEach(text => {
+        const m = String(text ?? '').trim().match(NUMERIC);
+        if (!m) return;
+        if (Number(m[1]) > 12 && Number(m[2]) <= 12) dmy++;
+        else if (Number(m[2]) > 12 && Number(m[1]) <= 12) mdy++;
+    });
+    if (dmy === mdy) return null;
+    return dmy > mdy ? 'dmy' : 'mdy';
+}
+
+/**
+ * Parses a whole column. Values that can't be parsed become null and are
+ * counted; a value equal to the column title is kept as-is so embedded
+ * header rows can still be recognised and dropped by the cleaner.
+ * @param order 'auto' | 'dmy' | 'mdy'
+ * @param month true for month columns — full dates are reduced to YYYY-MM
+ * @returns {{ values, order, stats: { filled, parsed, parse_rate, ambiguous, swapped, unparsed } }}
+ *   parse_rate is a percentage, null for an empty column
+ */
+export function parseDateColumn(texts, { order = 'auto', month = false, title } = {}) {
+    const detected = order === 'auto' ? detectDateOrder(texts) : null;
+    const effective = order === 'auto' ? detected || DEFAULT_DATE_ORDER : order;
+    // Ambiguity only matters when nothing (user setting or the column itself) settled the order
+    const settled = order !== 'auto' || !!detected;
+
+    let filled = 0;
+    let parsed = 0;
+    let ambiguous = 0;
+    let swapped = 0;
+    const unparsed = [];
+    const values = texts.map(text => {
+        const t = String(text ?? '').trim();
+        if (!t) return null;
+        if (title && t === title) return t;
+        filled++;
+        const p = parseDate(t, { order: effective });
+        if (!p) {
+            unparsed.push(t);
+            return null;
+        }
+        parsed++;
+        if (p.ambiguous && !settled) ambiguous++;
+        if (p.swapped) swapped++;
+        return month && p.granularity === 'day' ? p.value.substring(0, 7) : p.value;
+    });
+
+    return {
+        values,
+        order: effective,
+        stats: {
+            filled,
+            parsed,
+            parse_rate: filled ? Math.round((parsed / filled) * 1000) / 10 : null,
+            ambiguous,
+            swapped,
+            unparsed: [...new Set(unparsed)].slice(0, 5),
+        },
+    };
+}
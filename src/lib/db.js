@@ -0,0 +1,64 @@
+/**
+ * IndexedDB — shared connection and a promise wrapper for single-store
+ * transactions. Each store is created in its own schema version step.
+ */
+
+const DB_NAME = 'monday_bi';
+const DB_VERSION = 5;
+
+export const STORES = {
+    threads: 'threads',
+    boardCache: 'boardCache',
+    snapshots: 'snapshots',
+    snapshotIndex: 'snapshotIndex',
+    writeLog: 'writeLog',
+    imports: 'imports',
+};
+
+let dbPromise = null;
+
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (e) => {
+                const db = req.result;
+                if (e.oldVersion < 1) {
+                    const threads = db.createObjectStore(STORES.threads, { keyPath: 'id' });
+                    threads.createIndex('updatedAt', 'updatedAt');
+                }
+                if (e.oldVersion < 2) {
+                    db.createObjectStore(STORES.boardCache, { keyPath: 'key' });
+                }
+                if (e.oldVersion < 3) {
+                    db.createObjectStore(STORES.snapshots, { keyPath: 'date' });
+                    db.createObjectStore(STORES.snapshotIndex, { keyPath: 'date' });
+                }
+                if (e.oldVersion < 4) {
+                    db.createObjectStore(STORES.writeLog, { keyPath: 'id' });
+                }
+                if (e.oldVersion < 5) {
+                    db.createObjectStore(STORES.imports, { keyPath: 'slot' });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                dbPromise = null;
+                reject(req.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/** Runs `fn(store)` in a transaction and resolves with the request's result once it commits. */
+export async function withStore(storeName, mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
@@ -0,0 +1,385 @@
+/**
+ * Export — turns assistant answers (or whole threads) into branded
+ * Markdown, HTML, PDF (via the browser's print dialog) and DOCX documents.
+ *
+ * Works on an export document:
+ * {
+ *   title, generatedAt, snapshotLabel,
+ *   entries: [{ role, content, html, charts: [{ ...chart, svg }] }],
+ * }
+ * where `html` / `svg` are pre-rendered by the UI layer.
+ */
+
+import { formatNum } from './dataCleaner';
+
+const BRAND = 'Skylark Drones';
+
+function escapeHtml(s) {
+    return String(s ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function chartValue(v, unit) {
+    return unit === 'inr' ? `₹${formatNum(v)}` : String(v);
+}
+
+function slugify(s) {
+    return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 50) || 'export';
+}
+
+export function exportFileName(doc, ext) {
+    return `skylark-${slugify(doc.title)}-${doc.generatedAt.substring(0, 10)}.${ext}`;
+}
+
+/* ============= Markdown ============= */
+
+function chartToMarkdown(chart) {
+    let out = `**📊 ${chart.title}** *(${chart.board})*\n\n`;
+    out += `| ${['Category', ...chart.series.map(s => s.name)].join(' | ')} |\n`;
+    out += `|${' --- |'.repeat(chart.series.length + 1)}\n`;
+    chart.labels.forEach((label, i) => {
+        out += `| ${[label, ...chart.series.map(s => chartValue(s.values[i], chart.unit))].join(' | ')} |\n`;
+    });
+    return out;
+}
+
+export function toMarkdown(doc) {
+    let out = `# ${BRAND} — ${doc.title}\n\n`;
+    out += `*Generated ${new Date(doc.generatedAt).toLocaleString()} · Data: ${doc.snapshotLabel}*\n\n---\n\n`;
+    doc.entries.forEach(e => {
+        if (e.role === 'user') {
+            out += `> **Question:** ${e.content}\n\n`;
+            return;
+        }
+        out += `${e.content}\n\n`;
+        (e.charts || []).forEach(c => { out += chartToMarkdown(c) + '\n'; });
+        out += '---\n\n';
+    });
+    return out;
+}
+
+/* ============= HTML / PDF ============= */
+
+const EXPORT_CSS = `
+body { font-family: Inter, -apple-system, 'Segoe UI', sans-serif; color: #1e1b2e; max-width: 820px; margin: 0 auto; padding: 32px 28px; line-height: 1.6; font-size: 14px; }
+.brand { display: flex; align-items: center; gap: 12px; border-bottom: 3px solid #7c3aed; padding-bottom: 14px; margin-bottom: 8px; }
+.brand-logo { width: 40px; height: 40px; border-radius: 10px; background: linear-gradient(135deg, #7c3aed, #06b6d4); color: white; font-weight: 700; font-size: 20px; display: flex; align-items: center; justify-content: center; }
+.brand-name { font-size: 12px; letter-spacing: 0.08em; text-transform: uppercase; color: #7c3aed; font-weight: 600; }
+.brand-title { font-size: 20px; font-weight: 700; }
+.meta { font-size: 12px; color: #64748b; margin-bottom: 24px; }
+.question { border-left: 3px solid #06b6d4; background: #f0fdff; padding: 8px 14px; margin: 20px 0 12px; font-size: 13px; }
+.answer { margin-bottom: 24px; padding-bottom: 16px; border-bottom: 1px solid #e2e8f0; }
+h1, h2, h3, h4 { margin: 18px 0 8px; line-height: 1.3; }
+h3 { color: #6d28d9; }
+table { width: 100%; border-collapse: collapse; margin: 10px 0; font-size: 12px; }
+th, td { border: 1px solid #e2e8f0; padding: 6px 10px; text-align: left; }
+th { background: #f5f3ff; color: #5b21b6; }
+blockquote { border-left: 3px solid #7c3aed; background: #faf5ff; margin: 10px 0; padding: 6px 14px; color: #475569; }
+code { font-family: 'JetBrains Mono', monospace; font-size: 12px; background: #f1f5f9; padding: 1px 5px; border-radius: 4px; }
+.chart-card { border: 1px solid #e2e8f0; border-radius: 10px; padding: 12px 14px; margin: 14px 0; page-break-inside: avoid; }
+.chart-title { display: flex; justify-content: space-between; font-weight: 600; font-size: 13px; margin-bottom: 8px; }
+.chart-source { font-weight: 400; font-size: 11px; color: #64748b; }
+.chart-svg { width: 100%; height: auto; }
+.chart-label { font-size: 11px; fill: #334155; }
+.chart-label-strong { fill: white; font-weight: 500; }
+.chart-value { font-size: 10px; fill: #64748b; }
+.chart-grid { stroke: #e2e8f0; stroke-dasharray: 3 3; }
+.chart-legend, .chart-pie-legend { font-size: 11px; color: #334155; list-style: none; padding: 0; margin: 6px 0 0; display: flex; flex-wrap: wrap; gap: 6px 14px; }
+.chart-pie { display: flex; align-items: center; gap: 20px; }
+.chart-pie-legend { flex-direction: column; }
+.chart-legend i, .chart-pie-legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+.chart-pie-value { margin-left: 8px; color: #64748b; }
+.footer { margin-top: 32px; font-size: 11px; color: #94a3b8; text-align: center; }
+@media print { body { padding: 0; } .answer { page-break-inside: auto; } }
+`;
+
+export function toHtml(doc) {
+    const body = doc.entries.map(e => {
+        if (e.role === 'user') return `<div class="question"><strong>Question:</strong> ${escapeHtml(e.content)}</div>`;
+        return `<section class="answer">${e.html}${(e.charts || []).map(c => c.svg).join('')}</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(`${BRAND} — ${doc.title}`)}</title>
+<style>${EXPORT_CSS}</style>
+</head>
+<body>
+<header class="brand">
+  <div class="brand-logo">S</div>
+  <div><div class="brand-name">${BRAND}</div><div class="brand-title">${escapeHtml(doc.title)}</div></div>
+</header>
+<div class="meta">Generated ${escapeHtml(new Date(doc.generatedAt).toLocaleString())} · Data snapshot: ${escapeHtml(doc.snapshotLabel)}</div>
+${body}
+<div class="footer">${BRAND} · Monday BI Agent · Figures computed from cleaned board data</div>
+</body>
+</html>`;
+}
+
+/** Opens the HTML document in a new window and triggers the print dialog (Save as PDF). */
+export function printPdf(doc) {
+    const win = window.open('', '_blank');
+    if (!win) throw new Error('Pop-up blocked — allow pop-ups to export PDF');
+    win.document.open();
+    win.document.write(toHtml(doc));
+    win.document.close();
+    let printed = false;
+    const print = () => {
+        if (printed) return;
+        printed = true;
+        win.focus();
+        win.print();
+    };
+    win.onload = print;
+    // Some browsers never fire onload for document.write content
+    setTimeout(print, 500);
+}
+
+/* ============= DOCX ============= */
+
+function xmlEscape(s) {
+    return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function run(text, { bold, italic, mono, color } = {}) {
+    if (!text) return '';
+    const props = [
+        bold && '<w:b/>',
+        italic && '<w:i/>',
+        mono && '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/>',
+        color && `<w:color w:val="${color}"/>`,
+    ].filter(Boolean).join('');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${xmlEscape(text)}</w:t></w:r>`;
+}
+
+function paragraph(runs, style, extra = '') {
+    const pPr = style || extra ? `<w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ''}${extra}</w:pPr>` : '';
+    return `<w:p>${pPr}${runs}</w:p>`;
+}
+
+/** Flattens inline HTML nodes into Word runs, carrying bold/italic/code formatting. */
+function inlineRuns(node, fmt = {}) {
+    let out = '';
+    node.childNodes.forEach(child => {
+        if (child.nodeType === 3) {
+            out += run(child.textContent.replace(/\s+/g, ' '), fmt);
+        } else if (child.nodeType === 1) {
+            const tag = child.tagName.toLowerCase();
+            if (tag === 'br') out += '<w:r><w:br/></w:r>';
+            else out += inlineRuns(child, {
+                ...fmt,
+                bold: fmt.bold || tag === 'strong' || tag === 'b' || tag === 'th',
+                italic: fmt.italic || tag === 'em' || tag === 'i',
+                mono: fmt.mono || tag === 'code',
+            });
+        }
+    });
+    return out;
+}
+
+function table(rows) {
+    const cols = Math.max(...rows.map(r => r.length));
+    const grid = `<w:tblGrid>${'<w:gridCol/>'.repeat(cols)}</w:tblGrid>`;
+    const body = rows.map((cells, i) => `<w:tr>${cells.map(c =>
+        `<w:tc><w:tcPr>${i === 0 ? '<w:shd w:val="clear" w:color="auto" w:fill="F5F3FF"/>' : ''}</w:tcPr>${paragraph(c)}</w:tc>`
+    ).join('')}</w:tr>`).join('');
+    return `<w:tbl><w:tblPr><w:tblStyle w:val="ExportTable"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>${grid}${body}</w:tbl>${paragraph('')}`;
+}
+
+function htmlToDocxBody(html) {
+    const root = new DOMParser().parseFromString(`<div>${html}</div>`, 'text/html').body.firstChild;
+    let out = '';
+    const walk = (el, listDepth = 0) => {
+        el.childNodes.forEach(node => {
+            if (node.nodeType === 3) {
+                if (node.textContent.trim()) out += paragraph(run(node.textContent.trim()));
+                return;
+            }
+            if (node.nodeType !== 1) return;
+            const tag = node.tagName.toLowerCase();
+            if (/^h[1-4]$/.test(tag)) out += paragraph(inlineRuns(node), `Heading${Math.min(Number(tag[1]) + 1, 4)}`);
+            else if (tag === 'p') out += paragraph(inlineRuns(node));
+            else if (tag === 'blockquote') walkQuote(node);
+            else if (tag === 'pre') out += paragraph(run(node.textContent, { mono: true }));
+            else if (tag === 'hr') out += paragraph('', null, '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="CBD5E1"/></w:pBdr>');
+            else if (tag === 'ul' || tag === 'ol') {
+                [...node.children].forEach((li, i) => {
+                    const marker = tag === 'ol' ? `${i + 1}. ` : '• ';
+                    const inline = document.createElement('span');
+                    [...li.childNodes].filter(c => !['UL', 'OL'].includes(c.tagName)).forEach(c => inline.appendChild(c.cloneNode(true)));
+                    out += paragraph(run(marker) + inlineRuns(inline), null, `<w:ind w:left="${360 * (listDepth + 1)}" w:hanging="240"/>`);
+                    [...li.children].filter(c => ['UL', 'OL'].includes(c.tagName)).forEach(sub => walk({ childNodes: [sub] }, listDepth + 1));
+                });
+            } else if (tag === 'table') {
+                const rows = [...node.querySelectorAll('tr')].map(tr =>
+                    [...tr.children].map(cell => inlineRuns(cell, { bold: cell.tagName === 'TH' }))
+                );
+                if (rows.length) out += table(rows);
+            } else {
+                walk(node, listDepth);
+            }
+        });
+    };
+    const walkQuote = (node) => {
+        out += paragraph(run(node.textContent.trim(), { italic: true, color: '475569' }), 'Quote');
+    };
+    walk(root);
+    return out;
+}
+
+function chartToDocx(chart) {
+    const header = ['Category', ...chart.series.map(s => s.name)].map(h => run(h, { bold: true }));
+    const rows = chart.labels.map((label, i) => [
+        run(String(label)),
+        ...chart.series.map(s => run(chartValue(s.values[i], chart.unit))),
+    ]);
+    return paragraph(run(`📊 ${chart.title}`, { bold: true }) + run(`  (${chart.board})`, { italic: true, color: '64748B' })) + table([header, ...rows]);
+}
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri"/><w:sz w:val="21"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:rPr><w:b/><w:color w:val="1E1B2E"/><w:sz w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Brand"><w:name w:val="Brand"/><w:rPr><w:b/><w:caps/><w:color w:val="7C3AED"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Meta"><w:name w:val="Meta"/><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="12" w:space="4" w:color="7C3AED"/></w:pBdr><w:spacing w:after="240"/></w:pPr><w:rPr><w:color w:val="64748B"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:pPr><w:spacing w:before="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="30"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:pPr><w:spacing w:before="200"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading4"><w:name w:val="heading 4"/><w:pPr><w:spacing w:before="160"/></w:pPr><w:rPr><w:b/><w:color w:val="6D28D9"/><w:sz w:val="23"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:pPr><w:ind w:left="360"/><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="06B6D4"/></w:pBdr></w:pPr></w:style>
+<w:style w:type="table" w:styleId="ExportTable"><w:name w:val="Export Table"/><w:tblPr><w:tblBorders>
+<w:top w:val="single" w:sz="4" w:color="E2E8F0"/><w:left w:val="single" w:sz="4" w:color="E2E8F0"/><w:bottom w:val="single" w:sz="4" w:color="E2E8F0"/>
+<w:right w:val="single" w:sz="4" w:color="E2E8F0"/><w:insideH w:val="single" w:sz="4" w:color="E2E8F0"/><w:insideV w:val="single" w:sz="4" w:color="E2E8F0"/>
+</w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+export function toDocx(doc) {
+    let body = paragraph(run(BRAND), 'Brand')
+        + paragraph(run(doc.title), 'Title')
+        + paragraph(run(`Generated ${new Date(doc.generatedAt).toLocaleString()} · Data snapshot: ${doc.snapshotLabel}`), 'Meta');
+
+    doc.entries.forEach(e => {
+        if (e.role === 'user') {
+            body += paragraph(run('Question: ', { bold: true }) + run(e.content), 'Quote');
+            return;
+        }
+        body += htmlToDocxBody(e.html);
+        (e.charts || []).forEach(c => { body += chartToDocx(c); });
+    });
+
+    const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+
+    return createZip([
+        ['[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`],
+        ['_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`],
+        ['word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`],
+        ['word/document.xml', documentXml],
+        ['word/styles.xml', STYLES_XML],
+    ], 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+}
+
+/* ============= Zip (stored, no compression) ============= */
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZip(files, mimeType) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(([name, content]) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(8, 0, true); // stored
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        parts.push(local, nameBytes, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = central.reduce((s, p) => s + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: mimeType });
+}
+
+/* ============= Download ============= */
+
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Exports `doc` in the given format: 'md' | 'html' | 'pdf' | 'docx'. */
+export function exportDocument(doc, format) {
+    if (format === 'pdf') return printPdf(doc);
+    if (format === 'md') return downloadBlob(new Blob([toMarkdown(doc)], { type: 'text/markdown' }), exportFileName(doc, 'md'));
+    if (format === 'html') return downloadBlob(new Blob([toHtml(doc)], { type: 'text/html' }), exportFileName(doc, 'html'));
+    if (format === 'docx') return downloadBlob(toDocx(doc), exportFileName(doc, 'docx'));
+    throw new Error(`Unknown export format "${format}"`);
+}
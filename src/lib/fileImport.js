@@ -0,0 +1,225 @@
+/**
+ * File Import — offline alternative to MondayClient.fetchBoardData
+ * Parses CSV / XLSX exports into the same { name, columns, items } shape
+ * so the rest of the pipeline (cleanBoardData, dataToContext) is unchanged.
+ */
+
+import { excelSerialToISO } from './dates';
+
+export async function importBoardFile(file) {
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    const ext = (file.name.split('.').pop() || '').toLowerCase();
+
+    let rows;
+    if (ext === 'xlsx') {
+        rows = await parseXLSX(await file.arrayBuffer());
+    } else if (ext === 'csv' || ext === 'txt') {
+        rows = parseCSV(await file.text());
+    } else {
+        throw new Error(`Unsupported file type ".${ext}" — use .csv or .xlsx`);
+    }
+
+    return rowsToBoard(rows, baseName.replace(/[_-]+/g, ' '));
+}
+
+/**
+ * Converts a 2D array of cell strings to a Monday-style board.
+ * Leading blank rows (e.g. the Work Orders export's all-comma first line)
+ * are skipped; the first non-blank row is the header. The first column
+ * becomes the item name, mirroring Monday's "Name" column.
+ */
+export function rowsToBoard(rows, name) {
+    const isBlank = r => r.every(c => (c ?? '').trim() === '');
+    const headerIdx = rows.findIndex(r => !isBlank(r));
+    if (headerIdx === -1) throw new Error('File contains no data');
+
+    const header = rows[headerIdx].map(h => (h ?? '').trim());
+    // Drop trailing unnamed header cells
+    while (header.length && !header[header.length - 1]) header.pop();
+
+    const usedIds = new Set(['name']);
+    const columns = [{ id: 'name', title: 'Name', type: 'name' }];
+    header.slice(1).forEach((title, i) => {
+        const colTitle = title || `Column ${i + 2}`;
+        let id = colTitle.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || `col_${i + 2}`;
+        while (usedIds.has(id)) id += '_';
+        usedIds.add(id);
+        columns.push({ id, title: colTitle, type: 'text' });
+    });
+
+    const items = rows.slice(headerIdx + 1)
+        .filter(r => !isBlank(r))
+        .map((r, i) => ({
+            id: `row-${headerIdx + i + 2}`,
+            name: (r[0] ?? '').trim(),
+            column_values: columns.slice(1).map((c, j) => {
+                const text = (r[j + 1] ?? '').trim();
+                return { id: c.id, text, value: text ? JSON.stringify(text) : null, type: c.type };
+            }),
+        }));
+
+    columns.slice(1).forEach((c, j) => {
+        c.type = inferColumnType(items.map(it => it.column_values[j].text));
+        items.forEach(it => { it.column_values[j].type = c.type; });
+    });
+
+    return { name, columns, items };
+}
+
+function inferColumnType(values) {
+    const filled = values.filter(Boolean);
+    if (!filled.length) return 'text';
+    if (filled.every(v => /^\d{4}-\d{2}-\d{2}/.test(v))) return 'date';
+    if (filled.every(v => !isNaN(parseFloat(v.replace(/[₹$,\s]/g, ''))) && /^[₹$\s\d,.\-]+$/.test(v))) return 'numbers';
+    return 'text';
+}
+
+/** RFC 4180 CSV parser — handles quoted fields, escaped quotes and embedded newlines. */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (src[i + 1] === '"') { field += '"'; i++; }
+                else inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/* ============= XLSX (first worksheet only) ============= */
+
+// Built-in number formats that render as dates
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+export async function parseXLSX(buffer) {
+    const zip = readZipEntries(buffer);
+    const readText = async (path) => (zip[path] ? await inflateEntry(buffer, zip[path]) : null);
+    const parseXml = (xml) => new DOMParser().parseFromString(xml, 'application/xml');
+
+    const sharedStrings = [];
+    const ssXml = await readText('xl/sharedStrings.xml');
+    if (ssXml) {
+        parseXml(ssXml).querySelectorAll('si').forEach(si => {
+            sharedStrings.push([...si.getElementsByTagName('t')].map(t => t.textContent).join(''));
+        });
+    }
+
+    const dateStyles = new Set();
+    const stylesXml = await readText('xl/styles.xml');
+    if (stylesXml) {
+        const doc = parseXml(stylesXml);
+        const customDateFmts = new Set(
+            [...doc.querySelectorAll('numFmts numFmt')]
+                .filter(f => /[dmy]/i.test((f.getAttribute('formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '')))
+                .map(f => Number(f.getAttribute('numFmtId')))
+        );
+        [...doc.querySelectorAll('cellXfs xf')].forEach((xf, i) => {
+            const id = Number(xf.getAttribute('numFmtId'));
+            if (DATE_FORMAT_IDS.has(id) || customDateFmts.has(id)) dateStyles.add(i);
+        });
+    }
+
+    const sheetPath = await resolveFirstSheet(readText, parseXml) || 'xl/worksheets/sheet1.xml';
+    const sheetXml = await readText(sheetPath);
+    if (!sheetXml) throw new Error('Workbook has no worksheets');
+
+    const rows = [];
+    parseXml(sheetXml).querySelectorAll('sheetData row').forEach(rowEl => {
+        const rowIdx = Number(rowEl.getAttribute('r')) - 1;
+        const row = [];
+        rowEl.querySelectorAll('c').forEach(c => {
+            const colIdx = columnIndex(c.getAttribute('r'));
+            const type = c.getAttribute('t');
+            const v = c.getElementsByTagName('v')[0]?.textContent ?? '';
+            let text;
+            if (type === 's') text = sharedStrings[Number(v)] ?? '';
+            else if (type === 'inlineStr') text = [...c.getElementsByTagName('t')].map(t => t.textContent).join('');
+            else if (type === 'b') text = v === '1' ? 'TRUE' : 'FALSE';
+            else if (v !== '' && dateStyles.has(Number(c.getAttribute('s')))) text = excelSerialToISO(Number(v));
+            else text = v;
+            row[colIdx] = text;
+        });
+        rows[rowIdx] = Array.from(row, c => c ?? '');
+    });
+    return Array.from(rows, r => r ?? []);
+}
+
+async function resolveFirstSheet(readText, parseXml) {
+    const wbXml = await readText('xl/workbook.xml');
+    const relsXml = await readText('xl/_rels/workbook.xml.rels');
+    if (!wbXml || !relsXml) return null;
+    const sheet = parseXml(wbXml).getElementsByTagName('sheet')[0];
+    const rid = sheet?.getAttribute('r:id');
+    const rel = [...parseXml(relsXml).getElementsByTagName('Relationship')].find(r => r.getAttribute('Id') === rid);
+    if (!rel) return null;
+    const target = rel.getAttribute('Target');
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+function columnIndex(ref) {
+    const letters = (ref || 'A').match(/^[A-Z]+/)[0];
+    return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw new Error('Not a valid .xlsx file');
+
+    const count = view.getUint16(eocd + 10, true);
+    let ptr = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        const method = view.getUint16(ptr + 10, true);
+        const compressedSize = view.getUint32(ptr + 20, true);
+        const nameLen = view.getUint16(ptr + 28, true);
+        const extraLen = view.getUint16(ptr + 30, true);
+        const commentLen = view.getUint16(ptr + 32, true);
+        const localOffset = view.getUint32(ptr + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLen));
+        entries[name] = { method, compressedSize, localOffset };
+        ptr += 46 + nameLen + extraLen + commentLen;
+    }
+    return entries;
+}
+
+async function inflateEntry(buffer, entry) {
+    const view = new DataView(buffer);
+    const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+    const bytes = new Uint8Array(buffer, start, entry.compressedSize);
+    if (entry.method === 0) return new TextDecoder().decode(bytes);
+    if (entry.method !== 8) throw new Error(`Unsupported compression method ${entry.method} in .xlsx`);
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
@@ -0,0 +1,278 @@
+/**
+ * Weighted pipeline forecast — expected revenue from open deals, weighted by
+ * Closure Probability and Deal Stage and bucketed by Tentative Close Date.
+ *
+ * Weights are configurable (localStorage) and can be calibrated against the
+ * board's own history: the win rate of closed (Won/Dead) deals per probability
+ * value and per stage reached, shrunk towards the configured weight when a
+ * group has few closed deals.
+ */
+
+import { roleColumns } from './schema';
+import { bucketDate, resolveField } from './queryEngine';
+
+const CONFIG_KEY = 'monday_bi_forecast';
+// Closed deals needed before a calibrated rate counts as much as the configured weight
+const PRIOR_STRENGTH = 10;
+const TOP_DEALS = 10;
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Stages a deal is still being worked in; later letters are delivery, lost or parked
+export const ACTIVE_STAGES = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+// Dead deals parked in these stages no longer record how far they got
+const TERMINAL_STAGES = ['L', 'M', 'N', 'O'];
+
+export const DEFAULT_FORECAST_CONFIG = {
+    probability: { High: 0.7, Medium: 0.4, Low: 0.15 },
+    stage: { A: 0.05, B: 0.1, C: 0.2, D: 0.3, E: 0.4, F: 0.6, G: 0.9, H: 0.95 },
+    // Share of a deal's weight taken from its probability; the rest comes from its stage
+    blend: 0.5,
+    useCalibration: true,
+};
+
+export function loadForecastConfig() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG_KEY)) || {};
+        return {
+            ...DEFAULT_FORECAST_CONFIG,
+            ...saved,
+            probability: { ...DEFAULT_FORECAST_CONFIG.probability, ...saved.probability },
+            stage: { ...DEFAULT_FORECAST_CONFIG.stage, ...saved.stage },
+        };
+    } catch {
+        return DEFAULT_FORECAST_CONFIG;
+    }
+}
+
+export function saveForecastConfig(config) {
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+}
+
+/** "E. Proposal/Commercials Sent" → "E" */
+export function stageLetter(stage) {
+    const m = /^\s*([A-Z])\s*[.)]/.exec(stage || '');
+    return m ? m[1] : null;
+}
+
+/**
+ * Index in ACTIVE_STAGES of the furthest stage a deal is known to have reached, or -1.
+ * Won deals passed every active stage; other deals reached the stage they sit in,
+ * and deals parked in a lost / on-hold / not-relevant stage only A.
+ */
+export function stageReached(status, letter) {
+    if (status === 'Won') return ACTIVE_STAGES.length - 1;
+    if (!letter) return -1;
+    if (TERMINAL_STAGES.includes(letter)) return 0;
+    return Math.min(letter.charCodeAt(0) - 65, ACTIVE_STAGES.length - 1);
+}
+
+function shrink(won, n, prior) {
+    return (won + PRIOR_STRENGTH * prior) / (n + PRIOR_STRENGTH);
+}
+
+function round(n, digits = 2) {
+    const f = 10 ** digits;
+    return Math.round(n * f) / f;
+}
+
+/**
+ * Historical win rates from closed deals.
+ * Probability: Won / (Won + Dead) per Closure Probability value.
+ * Stage: a Won deal passed every active stage; a Dead deal reached the stage
+ * it is parked in (only A when it sits in a lost / on-hold / not-relevant stage).
+ * The win rate at stage X is Won / (Won + Dead that reached X).
+ */
+export function calibrate(dealsBoard, config = loadForecastConfig()) {
+    const roles = roleColumns(dealsBoard.schema);
+    const statusCol = roles.deal_status;
+    if (!statusCol) return null;
+    const closed = dealsBoard.data.filter(r => r[statusCol] === 'Won' || r[statusCol] === 'Dead');
+    const won = closed.filter(r => r[statusCol] === 'Won').length;
+
+    const probability = {};
+    if (roles.probability) {
+        Object.keys(config.probability).forEach(value => {
+            const rows = closed.filter(r => r[roles.probability] === value);
+            const wins = rows.filter(r => r[statusCol] === 'Won').length;
+            probability[value] = {
+                won: wins,
+                dead: rows.length - wins,
+                rate: rows.length ? round(wins / rows.length) : null,
+                weight: round(shrink(wins, rows.length, config.probability[value])),
+            };
+        });
+    }
+
+    const stage = {};
+    if (roles.deal_stage) {
+        const deadReached = ACTIVE_STAGES.map(() => 0);
+        closed.filter(r => r[statusCol] === 'Dead').forEach(r => {
+            const reached = stageReached('Dead', stageLetter(r[roles.deal_stage]));
+            for (let i = 0; i <= reached; i++) deadReached[i]++;
+        });
+        ACTIVE_STAGES.forEach((letter, i) => {
+            const n = won + deadReached[i];
+            stage[letter] = {
+                won,
+                dead: deadReached[i],
+                rate: n ? round(won / n) : null,
+                weight: round(shrink(won, n, config.stage[letter] ?? 0)),
+            };
+        });
+    }
+
+    return { closed_deals: closed.length, probability, stage };
+}
+
+/** The probability and stage weights actually applied, calibrated or as configured. */
+export function effectiveWeights(config, calibration) {
+    const pick = (group) => Object.fromEntries(Object.entries(config[group]).map(([k, w]) => [
+        k,
+        config.useCalibration && calibration?.[group]?.[k] ? calibration[group][k].weight : w,
+    ]));
+    return { probability: pick('probability'), stage: pick('stage'), blend: config.blend };
+}
+
+/** Whether calibration supplied any weight — it needs closed deals with a probability or stage to learn from. */
+function usedCalibration(config, calibration) {
+    if (!config.useCalibration || !calibration) return false;
+    return [calibration.probability, calibration.stage].some(group => Object.values(group).some(c => c.rate !== null));
+}
+
+/** Weight of one deal: the blend of its probability and stage weights, or whichever is known. */
+function dealWeight(probWeight, stageWeight, blend) {
+    if (probWeight === undefined && stageWeight === undefined) return null;
+    if (probWeight === undefined) return stageWeight;
+    if (stageWeight === undefined) return probWeight;
+    return blend * probWeight + (1 - blend) * stageWeight;
+}
+
+/**
+ * Expected revenue from open deals.
+ * @param options.bucket 'month' | 'quarter'
+ * @param options.from / options.to only deals closing in these months (YYYY-MM) count, in every total;
+ *        undated deals are left out when either is set
+ * @param options.groupBy optional column to break the weighted total down by
+ * @param options.today ISO date; close dates before its month count as overdue
+ */
+export function forecastPipeline(dealsBoard, { config = loadForecastConfig(), bucket = 'month', from, to, groupBy, today } = {}) {
+    const roles = roleColumns(dealsBoard.schema);
+    const { deal_status: statusCol, deal_value: valueCol, tentative_close_date: dateCol } = roles;
+    if (!statusCol || !valueCol) throw new Error('The deals board needs Deal Status and Deal Value columns mapped to forecast');
+    const keys = dealsBoard.data.length ? Object.keys(dealsBoard.data[0]).filter(k => !k.startsWith('_')) : [];
+    const groupCol = groupBy ? resolveField(keys, groupBy) : null;
+    if (groupBy && !groupCol) throw new Error(`Unknown column "${groupBy}". Available: ${keys.join(', ')}`);
+    if (from && !MONTH.test(from)) throw new Error('"from" must be a month (YYYY-MM)');
+    if (to && !MONTH.test(to)) throw new Error('"to" must be a month (YYYY-MM)');
+    if (from && to && from > to) throw new Error('"from" must not be after "to"');
+    if ((from || to) && !dateCol) throw new Error('The deals board needs a Tentative Close Date column mapped to forecast a date range');
+
+    const calibration = calibrate(dealsBoard, config);
+    const weights = effectiveWeights(config, calibration);
+    const thisMonth = (today || new Date().toISOString()).substring(0, 7);
+
+    const buckets = new Map();
+    const groups = new Map();
+    const overdue = { deals: 0, pipeline: 0, weighted: 0 };
+    const undated = { deals: 0, pipeline: 0, weighted: 0 };
+    const excluded = { not_active_stage: 0, no_value: 0, no_weight: 0, ...(from || to ? { outside_range: 0 } : {}) };
+    const contributors = [];
+    let openDeals = 0;
+    let pipeline = 0;
+    let weighted = 0;
+
+    const add = (target, value, expected) => {
+        target.deals++;
+        target.pipeline += value;
+        target.weighted += expected;
+    };
+
+    dealsBoard.data.filter(r => r[statusCol] === 'Open').forEach(row => {
+        const letter = roles.deal_stage ? stageLetter(row[roles.deal_stage]) : null;
+        if (roles.deal_stage && !ACTIVE_STAGES.includes(letter)) return excluded.not_active_stage++;
+        const value = parseFloat(row[valueCol]);
+        if (!value) return excluded.no_value++;
+        const weight = dealWeight(weights.probability[row[roles.probability]], weights.stage[letter], weights.blend);
+        if (weight === null) return excluded.no_weight++;
+        const date = dateCol ? row[dateCol] : null;
+        const month = date ? date.substring(0, 7) : null;
+        if ((from || to) && (!month || (from && month < from) || (to && month > to))) return excluded.outside_range++;
+
+        const expected = value * weight;
+        openDeals++;
+        pipeline += value;
+        weighted += expected;
+        contributors.push({
+            _id: row._id,
+            _name: row._name,
+            stage: row[roles.deal_stage] ?? null,
+            probability: row[roles.probability] || null,
+            close_date: row[dateCol] || null,
+            value,
+            weight: round(weight),
+            expected: round(expected, 0),
+        });
+
+        if (groupCol) {
+            const key = row[groupCol] || 'Not set';
+            if (!groups.has(key)) groups.set(key, { group: key, deals: 0, pipeline: 0, weighted: 0 });
+            add(groups.get(key), value, expected);
+        }
+
+        if (!date) return add(undated, value, expected);
+        if (month < thisMonth) return add(overdue, value, expected);
+        const period = bucketDate(date, bucket);
+        if (!buckets.has(period)) buckets.set(period, { period, deals: 0, pipeline: 0, weighted: 0 });
+        add(buckets.get(period), value, expected);
+    });
+
+    const tidy = (b) => ({ ...b, pipeline: round(b.pipeline, 0), weighted: round(b.weighted, 0) });
+    return {
+        weights,
+        calibrated: usedCalibration(config, calibration),
+        ...(from || to ? { range: { from: from || null, to: to || null } } : {}),
+        calibration,
+        open_deals: openDeals,
+        total_pipeline: round(pipeline, 0),
+        weighted_total: round(weighted, 0),
+        buckets: [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period)).map(tidy),
+        overdue: tidy(overdue),
+        undated: tidy(undated),
+        ...(groupCol ? { by_group: [...groups.values()].sort((a, b) => b.weighted - a.weighted).map(tidy) } : {}),
+        excluded,
+        top_deals: contributors.sort((a, b) => b.expected - a.expected).slice(0, TOP_DEALS),
+    };
+}
+
+export const FORECAST_TOOL = {
+    type: 'function',
+    function: {
+        name: 'forecast_pipeline',
+        description: 'Weighted forecast of open deals: each deal\'s value times a weight from its Closure Probability and Deal Stage (calibrated on past Won/Dead outcomes), bucketed by Tentative Close Date. Returns expected revenue per month or quarter, overdue (close date already passed) and undated totals, the weights used and the top contributing deals. Values are raw INR.',
+        parameters: {
+            type: 'object',
+            properties: {
+                bucket: { type: 'string', enum: ['month', 'quarter'] },
+                from: { type: 'string', description: 'First close month to include, YYYY-MM. Every total then covers only deals closing in the range' },
+                to: { type: 'string', description: 'Last close month to include, YYYY-MM' },
+                group_by: { type: 'string', description: 'Optional column to break the weighted total down by, e.g. Sector or Owner' },
+            },
+        },
+    },
+};
+
+/** Runs the forecast tool; returns `{ error }` instead of throwing, like executeTool. */
+export function executeForecastTool(args, boards) {
+    if (!boards.deals) return { error: 'No deals board is loaded' };
+    try {
+        const { calibration, ...result } = forecastPipeline(boards.deals, {
+            bucket: args.bucket,
+            from: args.from,
+            to: args.to,
+            groupBy: args.group_by,
+        });
+        return { ...result, closed_deals_used_for_calibration: calibration?.closed_deals ?? 0 };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
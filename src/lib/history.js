@@ -0,0 +1,191 @@
+/**
+ * History — dated snapshots of both cleaned boards kept in IndexedDB, one
+ * per day (the latest load of the day wins), so the agent can answer
+ * "what moved since last week?" questions.
+ *
+ * Stores:
+ *   snapshots     { date, takenAt, source, deals, workOrders }  — full rows
+ *   snapshotIndex { date, takenAt, source, metrics }            — small, read for listings and trends
+ */
+
+import { STORES, withStore } from './db';
+import { diffDeals, diffWorkOrders, snapshotMetrics, TREND_METRICS } from './snapshotDiff';
+
+// Daily snapshots are kept this long; older ones thin out to one per month
+const DAILY_RETENTION_DAYS = 90;
+
+function dayOf(iso) {
+    return (iso || new Date().toISOString()).substring(0, 10);
+}
+
+/** Saves today's snapshot of the cleaned boards and prunes old ones. */
+export async function recordSnapshot(source, dealsCleaned, woCleaned, takenAt = new Date().toISOString()) {
+    const date = dayOf(takenAt);
+    const deals = dealsCleaned?.data || [];
+    const workOrders = woCleaned?.data || [];
+    await withStore(STORES.snapshots, 'readwrite', store =>
+        store.put({ date, takenAt, source, deals, workOrders })
+    );
+    await withStore(STORES.snapshotIndex, 'readwrite', store =>
+        store.put({ date, takenAt, source, metrics: snapshotMetrics(dealsCleaned, woCleaned) })
+    );
+    await pruneSnapshots(date);
+}
+
+async function pruneSnapshots(today) {
+    const cutoff = new Date(Date.parse(today) - DAILY_RETENTION_DAYS * 86400000).toISOString().substring(0, 10);
+    const dates = await listSnapshotDates();
+    const keptMonths = new Set();
+    const stale = dates.filter(date => {
+        if (date >= cutoff) return false;
+        const month = date.substring(0, 7);
+        if (keptMonths.has(month)) return true;
+        keptMonths.add(month);
+        return false;
+    });
+    for (const date of stale) {
+        await withStore(STORES.snapshots, 'readwrite', store => store.delete(date));
+        await withStore(STORES.snapshotIndex, 'readwrite', store => store.delete(date));
+    }
+}
+
+/** Snapshot dates (YYYY-MM-DD), oldest first. */
+export async function listSnapshotDates() {
+    const keys = await withStore(STORES.snapshotIndex, 'readonly', store => store.getAllKeys());
+    return (keys || []).sort();
+}
+
+/** Index entries (date, takenAt, source, metrics), oldest first. */
+export async function listSnapshotIndex() {
+    const all = await withStore(STORES.snapshotIndex, 'readonly', store => store.getAll());
+    return (all || []).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function getSnapshot(date) {
+    return withStore(STORES.snapshots, 'readonly', store => store.get(date));
+}
+
+export async function clearSnapshots() {
+    await withStore(STORES.snapshots, 'readwrite', store => store.clear());
+    await withStore(STORES.snapshotIndex, 'readwrite', store => store.clear());
+}
+
+/** Latest snapshot taken on or before `date`; falls back to the oldest one. */
+async function findSnapshot(date, dates) {
+    const onOrBefore = dates.filter(d => d <= date);
+    const pick = onOrBefore.length ? onOrBefore[onOrBefore.length - 1] : dates[0];
+    return pick ? getSnapshot(pick) : null;
+}
+
+/**
+ * Diffs the snapshot at `since` against the snapshot at `until`, or against
+ * the currently loaded boards when `until` is omitted. Columns are read
+ * through the current boards' schema mappings.
+ */
+export async function diffSince(boards, { since, until, board = 'both', limit } = {}) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(since || '')) throw new Error('"since" must be a date (YYYY-MM-DD)');
+    const dates = await listSnapshotDates();
+    if (!dates.length) throw new Error('No snapshots have been recorded yet — history starts from the first day the boards were loaded');
+
+    const base = await findSnapshot(since, dates);
+    let target;
+    if (until) {
+        target = await findSnapshot(until, dates);
+    } else {
+        target = {
+            date: 'current',
+            source: base.source,
+            deals: boards.deals?.data || [],
+            workOrders: boards.work_orders?.data || [],
+        };
+    }
+
+    const byName = base.source === 'file' || target.source === 'file';
+    const result = {
+        from: base.date,
+        to: target.date,
+        ...(base.date > since ? { note: `No snapshot on or before ${since}; compared from the oldest one (${base.date})` } : {}),
+    };
+    if (board !== 'work_orders') {
+        result.deals = diffDeals(base.deals, target.deals, { schema: boards.deals?.schema, byName, limit });
+    }
+    if (board !== 'deals') {
+        result.work_orders = diffWorkOrders(base.workOrders, target.workOrders, { schema: boards.work_orders?.schema, byName, limit });
+    }
+    return result;
+}
+
+/** Metric series across snapshots, optionally limited to a date range. */
+export async function snapshotTrend({ metrics = TREND_METRICS, from, to } = {}) {
+    const unknown = metrics.filter(m => !TREND_METRICS.includes(m));
+    if (unknown.length) throw new Error(`Unknown metric(s): ${unknown.join(', ')}. Use: ${TREND_METRICS.join(', ')}`);
+    const index = await listSnapshotIndex();
+    return {
+        points: index
+            .filter(e => (!from || e.date >= from) && (!to || e.date <= to))
+            .map(e => ({
+                date: e.date,
+                ...Object.fromEntries(metrics.map(m => [m, e.metrics[m] ?? null])),
+            })),
+    };
+}
+
+export const HISTORY_TOOLS = [
+    {
+        type: 'function',
+        function: {
+            name: 'list_snapshots',
+            description: 'List the dates of stored daily snapshots of both boards. History only goes back to the first day the boards were loaded in this app.',
+            parameters: { type: 'object', properties: {} },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'diff_snapshots',
+            description: 'What changed between a past snapshot and now (or another snapshot): deals that changed stage or status, new / won / lost / removed deals, deal value changes, and work orders whose billed or collected amounts or execution status moved. Use for "what moved since…" questions. Values are raw INR.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    since: { type: 'string', description: 'Baseline date YYYY-MM-DD; the latest snapshot on or before it is used' },
+                    until: { type: 'string', description: 'Optional end date YYYY-MM-DD; omit to compare against the current data' },
+                    board: { type: 'string', enum: ['deals', 'work_orders', 'both'] },
+                    limit: { type: 'integer', description: 'Max items per change list (default 25); summary counts are complete' },
+                },
+                required: ['since'],
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'snapshot_trend',
+            description: 'Headline metrics for every stored snapshot, oldest first — use for trends over time (pipeline value, won value, billed, collected, receivable, open deals by stage). Values are raw INR.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    metrics: { type: 'array', items: { type: 'string', enum: TREND_METRICS } },
+                    from: { type: 'string', description: 'YYYY-MM-DD' },
+                    to: { type: 'string', description: 'YYYY-MM-DD' },
+                },
+            },
+        },
+    },
+];
+
+export const HISTORY_TOOL_NAMES = HISTORY_TOOLS.map(t => t.function.name);
+
+/** Runs a history tool; returns `{ error }` instead of throwing, like executeTool. */
+export async function executeHistoryTool(name, args, boards) {
+    try {
+        if (name === 'list_snapshots') {
+            const index = await listSnapshotIndex();
+            return { snapshots: index.map(e => ({ date: e.date, taken_at: e.takenAt, source: e.source })) };
+        }
+        if (name === 'diff_snapshots') return await diffSince(boards, args);
+        if (name === 'snapshot_trend') return await snapshotTrend(args);
+        return { error: `Unknown tool "${name}"` };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * Import Store — boards loaded from files in Settings, kept in IndexedDB
+ * (whole boards outgrow localStorage's quota). One entry per board slot.
+ *
+ * Entry shape: { slot, raw: { name, columns, items }, importedAt }
+ */
+
+import { STORES, withStore } from './db';
+
+// Where imports were kept before they moved to IndexedDB
+const LEGACY_KEY = 'monday_bi_imports';
+
+/** Saves { <slot>: raw, … } as the current imports, replacing earlier ones. */
+export function saveImports(imports, importedAt = new Date().toISOString()) {
+    return withStore(STORES.imports, 'readwrite', store => {
+        store.clear();
+        Object.entries(imports)
+            .filter(([slot, raw]) => slot !== 'importedAt' && raw)
+            .forEach(([slot, raw]) => store.put({ slot, raw, importedAt }));
+    });
+}
+
+/** Imports saved before the move to IndexedDB, copied over once and then dropped. */
+async function migrateLegacyImports() {
+    let legacy = null;
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_KEY));
+    } catch { }
+    if (!legacy) return null;
+    const { importedAt, ...imports } = legacy;
+    await saveImports(imports, importedAt);
+    localStorage.removeItem(LEGACY_KEY);
+    return legacy;
+}
+
+/** The saved imports as { <slot>: raw, importedAt }, or null when none are saved. */
+export async function loadImports() {
+    const entries = await withStore(STORES.imports, 'readonly', store => store.getAll());
+    if (!entries?.length) return migrateLegacyImports();
+    const imports = { importedAt: entries[0].importedAt };
+    entries.forEach(e => { imports[e.slot] = e.raw; });
+    return imports;
+}
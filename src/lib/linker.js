@@ -0,0 +1,337 @@
+/**
+ * Linker — joins Work Orders to the Deals they came from.
+ *
+ * Deal names are masked aliases that repeat across deals and client codes
+ * use different namespaces on each board (COMPANY089 vs WOCOMPANY_002), so
+ * no single column is a key. Each work order is scored against candidate
+ * deals by name (exact or fuzzy) plus corroborating columns — owner, sector,
+ * value, status, dates and, in a second pass, the client code mapping learnt
+ * from the confident links. Manual overrides always win.
+ */
+
+import { roleColumns } from './schema';
+
+const OVERRIDES_KEY = 'monday_bi_links';
+const FUZZY_MIN = 0.8;          // name similarity needed to consider a fuzzy candidate
+const MIN_CONFIDENCE = 0.55;    // below this a work order stays unmatched
+const REVIEW_CONFIDENCE = 0.75; // links below this are flagged for review
+const AMBIGUITY_MARGIN = 0.05;  // runner-up this close makes a link ambiguous
+const DEFAULT_LIMIT = 25;
+
+// Corroborating evidence; weights are renormalised over the features a pair actually has
+const WEIGHTS = { client: 0.3, owner: 0.2, sector: 0.2, value: 0.15, status: 0.1, date: 0.05 };
+
+/* ---------- Manual overrides (localStorage) ---------- */
+
+/** Overrides keyed by work order id: { dealId, dealName } or { dealId: null } for "no deal". */
+export function loadLinkOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(OVERRIDES_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+export function saveLinkOverrides(overrides) {
+    localStorage.setItem(OVERRIDES_KEY, JSON.stringify(overrides));
+}
+
+/* ---------- Scoring ---------- */
+
+function normalizeName(s) {
+    return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function bigrams(s) {
+    const grams = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+        const g = s.substring(i, i + 2);
+        grams.set(g, (grams.get(g) || 0) + 1);
+    }
+    return grams;
+}
+
+/** Dice coefficient over character bigrams of the normalised names (1 = identical). */
+export function nameSimilarity(a, b) {
+    const x = normalizeName(a);
+    const y = normalizeName(b);
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+    if (x.length < 2 || y.length < 2) return 0;
+    const gx = bigrams(x);
+    const gy = bigrams(y);
+    let overlap = 0;
+    gx.forEach((n, g) => { overlap += Math.min(n, gy.get(g) || 0); });
+    return (2 * overlap) / (x.length - 1 + y.length - 1);
+}
+
+function same(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function present(v) {
+    return v !== null && v !== undefined && v !== '';
+}
+
+function linkColumns(dealsSchema, woSchema) {
+    const d = roleColumns(dealsSchema);
+    const w = roleColumns(woSchema);
+    return {
+        deal: {
+            client: d.client,
+            owner: d.owner,
+            sector: d.sector,
+            value: d.deal_value,
+            status: d.deal_status,
+            stage: d.deal_stage,
+            created: d.created_date,
+        },
+        wo: {
+            customer: w.customer,
+            owner: w.owner,
+            sector: w.sector,
+            value: w.order_value_excl,
+            poDate: w.po_date,
+        },
+    };
+}
+
+/** Feature scores (0..1) for the columns both rows have values in. */
+function features(wo, deal, cols, clientMap) {
+    const f = {};
+    const { deal: d, wo: w } = cols;
+    const mappedClient = w.customer && clientMap[wo[w.customer]];
+    if (mappedClient && d.client && present(deal[d.client])) f.client = same(mappedClient, deal[d.client]) ? 1 : 0;
+    if (w.owner && d.owner && present(wo[w.owner]) && present(deal[d.owner])) f.owner = same(wo[w.owner], deal[d.owner]) ? 1 : 0;
+    if (w.sector && d.sector && present(wo[w.sector]) && present(deal[d.sector])) f.sector = same(wo[w.sector], deal[d.sector]) ? 1 : 0;
+    if (w.value && d.value) {
+        const a = parseFloat(wo[w.value]);
+        const b = parseFloat(deal[d.value]);
+        if (a > 0 && b > 0) f.value = Math.min(a, b) / Math.max(a, b);
+    }
+    if (d.status && present(deal[d.status])) {
+        const s = String(deal[d.status]).toLowerCase();
+        f.status = s === 'won' ? 1 : s === 'open' || s === 'on hold' ? 0.5 : 0;
+    }
+    if (w.poDate && d.created && present(wo[w.poDate]) && present(deal[d.created])) {
+        f.date = String(wo[w.poDate]) >= String(deal[d.created]).substring(0, 10) ? 1 : 0;
+    }
+    return f;
+}
+
+function score(nameSim, f) {
+    const keys = Object.keys(f);
+    const totalWeight = keys.reduce((s, k) => s + WEIGHTS[k], 0);
+    const evidence = totalWeight ? keys.reduce((s, k) => s + WEIGHTS[k] * f[k], 0) / totalWeight : 0;
+    return 0.5 * nameSim + 0.5 * evidence;
+}
+
+function reasonsFor(nameSim, f) {
+    const reasons = [nameSim === 1 ? 'same name' : `similar name (${Math.round(nameSim * 100)}%)`];
+    if (f.client === 1) reasons.push('client code');
+    if (f.owner === 1) reasons.push('owner');
+    if (f.sector === 1) reasons.push('sector');
+    if (f.value >= 0.8) reasons.push('value');
+    if (f.status === 1) reasons.push('deal won');
+    return reasons;
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/** Best-scoring deal for each work order; candidates are deals whose name is similar enough. */
+function matchAll(deals, workOrders, cols, clientMap) {
+    const simCache = new Map();
+    const similarity = (a, b) => {
+        const key = `${a}\u0000${b}`;
+        if (!simCache.has(key)) simCache.set(key, nameSimilarity(a, b));
+        return simCache.get(key);
+    };
+
+    return workOrders.map(wo => {
+        const scored = [];
+        deals.forEach(deal => {
+            const nameSim = similarity(wo._name, deal._name);
+            if (nameSim < FUZZY_MIN) return;
+            const f = features(wo, deal, cols, clientMap);
+            scored.push({ deal, nameSim, f, confidence: score(nameSim, f) });
+        });
+        scored.sort((a, b) => b.confidence - a.confidence);
+        return { wo, best: scored[0] || null, runnerUp: scored[1] || null, candidates: scored.length };
+    });
+}
+
+/** Majority deal client code per work-order customer code, learnt from confident links. */
+function learnClientMap(matches, cols) {
+    if (!cols.wo.customer || !cols.deal.client) return {};
+    const votes = {};
+    matches.forEach(({ wo, best }) => {
+        if (!best || best.confidence < REVIEW_CONFIDENCE) return;
+        const from = wo[cols.wo.customer];
+        const to = best.deal[cols.deal.client];
+        if (!present(from) || !present(to)) return;
+        votes[from] = votes[from] || {};
+        votes[from][to] = (votes[from][to] || 0) + 1;
+    });
+    const map = {};
+    Object.entries(votes).forEach(([from, counts]) => {
+        const total = Object.values(counts).reduce((s, n) => s + n, 0);
+        const [top, n] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        if (n / total >= 0.6) map[from] = top;
+    });
+    return map;
+}
+
+/**
+ * Links every work order to at most one deal (a deal may have several work orders).
+ * @param dealsBoard / woBoard cleaned boards; columns are read through their schema mappings
+ * @param overrides manual links from loadLinkOverrides()
+ * @returns {{ links, unmatchedWorkOrders, unmatchedDeals, clientCodeMap, stats }}
+ */
+export function linkBoards(dealsBoard, woBoard, overrides = {}) {
+    const deals = dealsBoard.data;
+    const workOrders = woBoard.data;
+    const cols = linkColumns(dealsBoard.schema, woBoard.schema);
+    const dealsById = new Map(deals.map(d => [d._id, d]));
+
+    const firstPass = matchAll(deals, workOrders, cols, {});
+    const clientCodeMap = learnClientMap(firstPass, cols);
+    const matches = Object.keys(clientCodeMap).length ? matchAll(deals, workOrders, cols, clientCodeMap) : firstPass;
+
+    const links = [];
+    const unmatchedWorkOrders = [];
+    matches.forEach(({ wo, best, runnerUp, candidates }) => {
+        const base = { work_order_id: wo._id, work_order: wo._name };
+        const override = overrides[wo._id];
+        if (override) {
+            const deal = override.dealId ? dealsById.get(override.dealId) : null;
+            if (deal) {
+                links.push({ ...base, deal_id: deal._id, deal: deal._name, method: 'manual', confidence: 1, reasons: ['manual override'] });
+                return;
+            }
+            if (!override.dealId) {
+                unmatchedWorkOrders.push({ id: wo._id, name: wo._name, reason: 'marked as having no deal' });
+                return;
+            }
+            // Overridden deal no longer exists — fall through to automatic matching
+        }
+
+        if (!best || best.confidence < MIN_CONFIDENCE) {
+            unmatchedWorkOrders.push({
+                id: wo._id,
+                name: wo._name,
+                reason: candidates ? 'only weak candidates' : 'no deal with a similar name',
+            });
+            return;
+        }
+
+        const ambiguous = !!runnerUp && best.confidence - runnerUp.confidence < AMBIGUITY_MARGIN;
+        links.push({
+            ...base,
+            deal_id: best.deal._id,
+            deal: best.deal._name,
+            method: best.nameSim === 1 ? 'exact' : 'fuzzy',
+            confidence: round2(ambiguous ? best.confidence * 0.85 : best.confidence),
+            reasons: reasonsFor(best.nameSim, best.f),
+            ...(ambiguous ? { ambiguous_with: runnerUp.deal._id } : {}),
+        });
+    });
+
+    const linkedDeals = new Set(links.map(l => l.deal_id));
+    const unmatchedDeals = deals
+        .filter(d => !linkedDeals.has(d._id))
+        .map(d => ({
+            id: d._id,
+            name: d._name,
+            status: cols.deal.status ? d[cols.deal.status] ?? null : null,
+            stage: cols.deal.stage ? d[cols.deal.stage] ?? null : null,
+            value: cols.deal.value ? parseFloat(d[cols.deal.value]) || 0 : null,
+        }));
+
+    const count = method => links.filter(l => l.method === method).length;
+    return {
+        links,
+        unmatchedWorkOrders,
+        unmatchedDeals,
+        clientCodeMap,
+        stats: {
+            work_orders: workOrders.length,
+            deals: deals.length,
+            linked_work_orders: links.length,
+            linked_deals: linkedDeals.size,
+            exact: count('exact'),
+            fuzzy: count('fuzzy'),
+            manual: count('manual'),
+            needs_review: links.filter(l => l.confidence < REVIEW_CONFIDENCE || l.ambiguous_with).length,
+            unmatched_work_orders: unmatchedWorkOrders.length,
+            unmatched_deals: unmatchedDeals.length,
+            won_deals_without_work_order: unmatchedDeals.filter(d => same(d.status || '', 'won')).length,
+        },
+    };
+}
+
+/** True when a link should be shown to the user for confirmation. */
+export function needsReview(link) {
+    return link.method !== 'manual' && (link.confidence < REVIEW_CONFIDENCE || !!link.ambiguous_with);
+}
+
+/* ---------- Agent tool ---------- */
+
+export const LINK_TOOL = {
+    type: 'function',
+    function: {
+        name: 'linked_records',
+        description: 'Deal ↔ work order links (exact, fuzzy or manual, with confidence) for deal-to-cash questions, e.g. won deals with no work order, work orders with no deal, or which work orders belong to a deal. Values are raw INR.',
+        parameters: {
+            type: 'object',
+            properties: {
+                view: {
+                    type: 'string',
+                    enum: ['summary', 'links', 'unmatched_deals', 'unmatched_work_orders'],
+                    description: 'summary = counts and client code mapping; links = matched pairs; unmatched_* = records with no counterpart',
+                },
+                deal_status: { type: 'string', description: 'For unmatched_deals: only deals with this status, e.g. "Won"' },
+                name: { type: 'string', description: 'Only records whose deal or work order name contains this text' },
+                min_confidence: { type: 'number', description: 'For links: minimum confidence 0..1' },
+                limit: { type: 'integer', description: `Max records to return (default ${DEFAULT_LIMIT})` },
+            },
+            required: ['view'],
+        },
+    },
+};
+
+/** Runs the linked_records tool against the result of linkBoards(). */
+export function executeLinkTool(args, linkResult) {
+    if (!linkResult) return { error: 'Deal ↔ work order links are not available' };
+    const limit = Math.max(1, Math.min(Number(args.limit) || DEFAULT_LIMIT, 200));
+    const name = String(args.name || '').toLowerCase();
+    const byName = (...values) => !name || values.some(v => String(v || '').toLowerCase().includes(name));
+
+    switch (args.view) {
+        case 'summary':
+            return { ...linkResult.stats, client_code_map: linkResult.clientCodeMap };
+        case 'links': {
+            const rows = linkResult.links
+                .filter(l => byName(l.deal, l.work_order))
+                .filter(l => args.min_confidence === undefined || l.confidence >= args.min_confidence);
+            return { total: rows.length, links: rows.slice(0, limit) };
+        }
+        case 'unmatched_deals': {
+            const rows = linkResult.unmatchedDeals
+                .filter(d => byName(d.name))
+                .filter(d => !args.deal_status || same(d.status || '', args.deal_status));
+            return {
+                total: rows.length,
+                total_value: round2(rows.reduce((s, d) => s + (d.value || 0), 0)),
+                deals: rows.slice(0, limit),
+            };
+        }
+        case 'unmatched_work_orders': {
+            const rows = linkResult.unmatchedWorkOrders.filter(w => byName(w.name));
+            return { total: rows.length, work_orders: rows.slice(0, limit) };
+        }
+        default:
+            return { error: `Unknown view "${args.view}"` };
+    }
+}
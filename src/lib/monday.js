@@ -1,84 +1,357 @@
 const MONDAY_API_URL = 'https://api.monday.com/v2';
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 4;
+const BASE_DELAY_MS = 500;
+// Longest wait worth retrying after; a longer Retry-After (e.g. a daily proxy quota) fails straight away
+const MAX_DELAY_MS = 60000;
+const PAGE_SIZE = 500;
+const ITEM_FIELDS = 'id name column_values { id text value type }';
+// GraphQL error codes Monday.com uses when a request was rejected for load, not for what it asked
+const RATE_LIMIT_CODES = ['COMPLEXITY_BUDGET_EXHAUSTED', 'ComplexityException', 'RATE_LIMIT_EXCEEDED', 'maxConcurrencyExceeded', 'DAILY_LIMIT_EXCEEDED'];
+
+/** Link that opens an item on Monday.com; null without the account slug. */
+export function itemUrl(slug, boardId, itemId) {
+    if (!slug || !boardId || !itemId) return null;
+    return `https://${slug}.monday.com/boards/${boardId}/pulses/${itemId}`;
+}
+
+/* ---------- Errors ---------- */
+
+/** Any failure talking to Monday.com. `retryable` says whether sending the same request again may succeed. */
+export class MondayApiError extends Error {
+    constructor(message, { status = null, code = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'MondayApiError';
+        this.status = status;
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+/** The token was rejected (401 / 403). */
+export class MondayAuthError extends MondayApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'MondayAuthError';
+    }
+}
+
+/** Rate limit or complexity budget exhausted; `retryAfterMs` is Monday's hint when it sent one. */
+export class MondayRateLimitError extends MondayApiError {
+    constructor(message, { retryAfterMs = null, ...options } = {}) {
+        super(message, { ...options, retryable: true });
+        this.name = 'MondayRateLimitError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/** The query itself was rejected (bad field, unknown board, invalid value) — retrying won't help. */
+export class MondayGraphQLError extends MondayApiError {
+    constructor(errors) {
+        super(`Monday.com GraphQL: ${errors.map(e => e.message).join(', ')}`, { code: errors[0]?.extensions?.code || null });
+        this.name = 'MondayGraphQLError';
+        this.errors = errors;
+    }
+}
+
+/** No response within the client's timeout. */
+export class MondayTimeoutError extends MondayApiError {
+    constructor(timeoutMs) {
+        super(`Monday.com did not respond within ${timeoutMs / 1000}s`, { code: 'TIMEOUT', retryable: true });
+        this.name = 'MondayTimeoutError';
+    }
+}
+
+/** Waits `ms`, rejecting early with an AbortError when `signal` aborts. */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/** Seconds from a Retry-After header, a retry_in_seconds extension or a "reset in N seconds" message, as ms. */
+function retryAfterMs(response, errors = []) {
+    const header = Number(response.headers.get('retry-after'));
+    if (header > 0) return header * 1000;
+    for (const e of errors) {
+        const seconds = e.extensions?.retry_in_seconds ?? Number(/reset in (\d+) seconds?/i.exec(e.message || '')?.[1]);
+        if (seconds > 0) return seconds * 1000;
+    }
+    return null;
+}
+
+/** Typed error for a response, or null when it carries data. */
+function responseError(response, body, text) {
+    const status = response.status;
+    // Older API versions report some failures as top-level error_code / error_message
+    const errors = body?.errors || (body?.error_message ? [{ message: body.error_message, extensions: { code: body.error_code } }] : null);
+    const message = errors?.map(e => e.message).join(', ') || body?.error?.message || text || response.statusText;
+    const code = errors?.[0]?.extensions?.code || null;
+
+    if (status === 401 || status === 403) return new MondayAuthError(`Monday.com rejected the token (${status}): ${message}`, { status, code });
+    const limited = status === 429 || errors?.some(e => RATE_LIMIT_CODES.includes(e.extensions?.code) || /complexity budget|rate limit/i.test(e.message));
+    if (limited) {
+        return new MondayRateLimitError(`Monday.com rate limit (${status}): ${message}`, { status, code, retryAfterMs: retryAfterMs(response, errors || []) });
+    }
+    if (!response.ok) return new MondayApiError(`Monday.com API error (${status}): ${message}`, { status, code, retryable: status >= 500 });
+    if (errors) return new MondayGraphQLError(errors);
+    if (!body?.data) return new MondayApiError('Monday.com returned a response without data', { status, retryable: true });
+    return null;
+}
+
+/** Adds Monday's complexity field to an operation so every response reports the remaining budget. */
+function withComplexity(query) {
+    return query.replace(/\}\s*$/, '  complexity { before query after reset_in_x_seconds }\n}');
+}
 
 export class MondayClient {
-    constructor(apiToken) {
+    /**
+     * @param apiToken Monday.com token, or a proxy access token when `apiUrl` points at the backend proxy
+     * @param options.apiUrl GraphQL endpoint (defaults to Monday.com)
+     * @param options.timeoutMs per-attempt timeout
+     * @param options.maxRetries retries after the first attempt for transient failures
+     * @param options.fetch fetch implementation (defaults to the global one)
+     */
+    constructor(apiToken, { apiUrl = MONDAY_API_URL, timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES, fetch: fetchImpl } = {}) {
         this.apiToken = apiToken;
+        this.apiUrl = apiUrl;
+        this.timeoutMs = timeoutMs;
+        this.maxRetries = maxRetries;
+        this.fetch = fetchImpl || ((...args) => fetch(...args));
+        // Last complexity reading: { remaining, resetAt } — shared by every query this client sends
+        this.budget = null;
+        // Highest complexity seen per query text, to know whether the next call fits the budget
+        this.costs = new Map();
+    }
+
+    /**
+     * Runs a GraphQL operation. Transient failures (network errors, timeouts, 5xx,
+     * rate limits, exhausted complexity budget) are retried with exponential backoff
+     * and full jitter, honouring Monday's retry hints. Mutations are only retried when
+     * Monday.com rejected them unprocessed (rate limits), so nothing is written twice.
+     * @param options.signal AbortSignal — aborting stops waits and the request in flight
+     */
+    async query(graphqlQuery, variables = {}, { signal } = {}) {
+        const mutation = /^\s*mutation\b/.test(graphqlQuery);
+        const body = JSON.stringify({ query: withComplexity(graphqlQuery), variables });
+
+        for (let attempt = 0; ; attempt++) {
+            await this._waitForBudget(graphqlQuery, signal);
+            try {
+                const { complexity, ...data } = await this._send(body, signal);
+                this._recordComplexity(graphqlQuery, complexity);
+                return data;
+            } catch (err) {
+                if (signal?.aborted || !(err instanceof MondayApiError)) throw err;
+                const delay = this._retryDelay(err, attempt);
+                const resendable = !mutation || err instanceof MondayRateLimitError;
+                if (!err.retryable || !resendable || attempt >= this.maxRetries || delay === null) throw err;
+                await sleep(delay, signal);
+            }
+        }
     }
 
-    async query(graphqlQuery, variables = {}) {
-        const response = await fetch(MONDAY_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': this.apiToken,
-                'API-Version': '2024-10',
-            },
-            body: JSON.stringify({ query: graphqlQuery, variables }),
-        });
-
-        if (!response.ok) {
-            const text = await response.text();
-            throw new Error(`Monday.com API error (${response.status}): ${text}`);
+    /** One attempt, aborted after `timeoutMs`. Resolves with the response's `data`. */
+    async _send(body, signal) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            let response;
+            let text;
+            try {
+                response = await this.fetch(this.apiUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': this.apiToken,
+                        'API-Version': '2024-10',
+                    },
+                    body,
+                    signal: controller.signal,
+                });
+                text = await response.text();
+            } catch (err) {
+                if (signal?.aborted) throw err;
+                if (controller.signal.aborted) throw new MondayTimeoutError(this.timeoutMs);
+                throw new MondayApiError(`Could not reach Monday.com: ${err.message}`, { code: 'NETWORK', retryable: true });
+            }
+
+            let parsed = null;
+            try {
+                parsed = JSON.parse(text);
+            } catch {
+                // Gateways answer some errors with HTML; the status decides below
+            }
+            const error = responseError(response, parsed, text);
+            if (error) {
+                if (error instanceof MondayRateLimitError) this._exhaustBudget(error.retryAfterMs);
+                throw error;
+            }
+            return parsed.data;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
         }
+    }
 
-        const data = await response.json();
-        if (data.errors) {
-            throw new Error(`Monday.com GraphQL: ${data.errors.map(e => e.message).join(', ')}`);
+    /** Backoff before retry `attempt` + 1, or null when Monday asked for a longer wait than is worth it. */
+    _retryDelay(err, attempt) {
+        if (err.retryAfterMs) {
+            if (err.retryAfterMs > MAX_DELAY_MS) return null;
+            return err.retryAfterMs + Math.random() * BASE_DELAY_MS;
         }
-        return data.data;
+        return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+    }
+
+    _recordComplexity(query, complexity) {
+        if (!complexity) return;
+        this.budget = { remaining: complexity.after, resetAt: Date.now() + (complexity.reset_in_x_seconds || 0) * 1000 };
+        const cost = complexity.query ?? complexity.before - complexity.after;
+        this.costs.set(query, Math.max(this.costs.get(query) || 0, cost));
+    }
+
+    /** After a rate-limit error nothing is sent until the window resets. */
+    _exhaustBudget(retryAfterMs) {
+        if (retryAfterMs && retryAfterMs <= MAX_DELAY_MS) this.budget = { remaining: 0, resetAt: Date.now() + retryAfterMs };
+    }
+
+    /** Throttles: waits for the budget to reset when the last reading can't cover this query's known cost. */
+    async _waitForBudget(query, signal) {
+        const budget = this.budget;
+        if (!budget || Date.now() >= budget.resetAt) return;
+        const cost = this.costs.get(query) || 0;
+        if (budget.remaining > cost) return;
+        await sleep(budget.resetAt - Date.now(), signal);
+        this.budget = null;
     }
 
     async fetchBoards() {
-        const data = await this.query(`{
-      boards(limit: 50) {
+        const data = await this.query(`query ($limit: Int) {
+      boards(limit: $limit) {
         id
         name
         columns { id title type }
         items_count
       }
-    }`);
+    }`, { limit: 50 });
         return data.boards;
     }
 
     async fetchBoardData(boardId) {
-        const firstData = await this.query(`{
-      boards(ids: [${boardId}]) {
+        const firstData = await this.query(`query ($boardId: [ID!], $limit: Int!) {
+      boards(ids: $boardId) {
         name
         columns { id title type }
-        items_page(limit: 500) {
+        items_page(limit: $limit) {
           cursor
-          items {
-            id
-            name
-            column_values { id text value type }
-          }
+          items { ${ITEM_FIELDS} }
         }
       }
-    }`);
+    }`, { boardId: [String(boardId)], limit: PAGE_SIZE });
 
         const board = firstData.boards[0];
         if (!board) throw new Error(`Board ${boardId} not found`);
+        const items = await this._drainPages(board.items_page, ITEM_FIELDS);
+        return { name: board.name, columns: board.columns, items };
+    }
+
+    /**
+     * Incremental sync: items updated at or after `since` (ISO timestamp), plus the
+     * ids of every item still on the board so deletions can be pruned from a cache.
+     */
+    async fetchBoardChanges(boardId, since) {
+        // The UPDATED_AT rule compares at day granularity, so this returns a superset
+        const rules = [{
+            column_id: '__last_updated__',
+            compare_value: ['EXACT', since.substring(0, 10)],
+            operator: 'greater_than_or_equals',
+            compare_attribute: 'UPDATED_AT',
+        }];
+        const changedData = await this.query(`query ($boardId: [ID!], $rules: [ItemsQueryRule!], $limit: Int!) {
+      boards(ids: $boardId) {
+        name
+        columns { id title type }
+        items_page(limit: $limit, query_params: { rules: $rules }) {
+          cursor
+          items { updated_at ${ITEM_FIELDS} }
+        }
+      }
+    }`, { boardId: [String(boardId)], rules, limit: PAGE_SIZE });
+
+        const board = changedData.boards[0];
+        if (!board) throw new Error(`Board ${boardId} not found`);
+        const items = await this._drainPages(board.items_page, `updated_at ${ITEM_FIELDS}`);
 
-        const columns = board.columns;
-        let allItems = [...board.items_page.items];
-        let cursor = board.items_page.cursor;
+        const idData = await this.query(`query ($boardId: [ID!], $limit: Int!) {
+      boards(ids: $boardId) {
+        items_page(limit: $limit) { cursor items { id } }
+      }
+    }`, { boardId: [String(boardId)], limit: PAGE_SIZE });
+        const idItems = await this._drainPages(idData.boards[0].items_page, 'id');
 
+        return {
+            name: board.name,
+            columns: board.columns,
+            items,
+            itemIds: idItems.map(i => i.id),
+        };
+    }
+
+    /**
+     * Follows next_items_page cursors until exhausted and returns all items.
+     * @param itemFields field selection for each item (a fixed fragment, never user data)
+     */
+    async _drainPages(firstPage, itemFields) {
+        let allItems = [...firstPage.items];
+        let cursor = firstPage.cursor;
         while (cursor) {
-            const nextData = await this.query(`{
-        next_items_page(limit: 500, cursor: "${cursor}") {
+            const nextData = await this.query(`query ($cursor: String!, $limit: Int!) {
+        next_items_page(limit: $limit, cursor: $cursor) {
           cursor
-          items {
-            id
-            name
-            column_values { id text value type }
-          }
+          items { ${itemFields} }
         }
-      }`);
+      }`, { cursor, limit: PAGE_SIZE });
             allItems = [...allItems, ...nextData.next_items_page.items];
             cursor = nextData.next_items_page.cursor;
         }
+        return allItems;
+    }
+
+    /**
+     * Sets one column on an item.
+     * @param value the column's JSON value, e.g. { label: 'On Hold' } for a status column (see columnValue in writeBack.js)
+     */
+    async changeColumnValue(boardId, itemId, columnId, value) {
+        const data = await this.query(`mutation ($boardId: ID!, $itemId: ID!, $columnId: String!, $value: JSON!) {
+      change_column_value(board_id: $boardId, item_id: $itemId, column_id: $columnId, value: $value) { id }
+    }`, { boardId: String(boardId), itemId: String(itemId), columnId, value: JSON.stringify(value) });
+        return data.change_column_value;
+    }
+
+    /** Posts an update (comment) on an item. */
+    async createUpdate(itemId, body) {
+        const data = await this.query(`mutation ($itemId: ID!, $body: String!) {
+      create_update(item_id: $itemId, body: $body) { id }
+    }`, { itemId: String(itemId), body });
+        return data.create_update;
+    }
 
-        return { name: board.name, columns, items: allItems };
+    /** Account subdomain, needed to build links to items (see itemUrl). */
+    async fetchAccountSlug() {
+        const data = await this.query(`{ me { account { slug } } }`);
+        return data.me.account.slug;
     }
 
     async testConnection() {
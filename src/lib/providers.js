@@ -0,0 +1,126 @@
+/**
+ * LLM Providers — presets for OpenAI-compatible chat-completions endpoints.
+ * BIAgent only talks to `${baseUrl}/chat/completions`, so any server that
+ * speaks that API (hosted or a local Ollama / llama.cpp) can back the agent.
+ *
+ * Provider config: {
+ *   id, label,
+ *   baseUrl,        // up to and including /v1
+ *   models,         // first is the default; the rest are rate-limit fallbacks
+ *   auth,           // { header, prefix } — prefix is prepended to the key
+ *   requiresKey,
+ *   maxTokens,      // reply token cap sent as max_tokens
+ *   contextWindow,  // prompt + reply tokens the models accept
+ *   contextBudget,  // tokens of board data sent with each question (null: fit the window, up to 12K)
+ *   tools,          // whether the endpoint supports function calling
+ * }
+ */
+
+export const BEARER_AUTH = { header: 'Authorization', prefix: 'Bearer ' };
+
+export const PROVIDERS = [
+    {
+        id: 'groq',
+        label: 'Groq',
+        baseUrl: 'https://api.groq.com/openai/v1',
+        models: ['llama-3.3-70b-versatile', 'llama-3.1-8b-instant'],
+        auth: BEARER_AUTH,
+        requiresKey: true,
+        maxTokens: 4096,
+        contextWindow: 128000,
+        tools: true,
+        keyPlaceholder: 'gsk_...',
+        keyHelp: 'Free key from: console.groq.com → API Keys',
+    },
+    {
+        id: 'openai',
+        label: 'OpenAI',
+        baseUrl: 'https://api.openai.com/v1',
+        models: ['gpt-4o-mini', 'gpt-4o'],
+        auth: BEARER_AUTH,
+        requiresKey: true,
+        maxTokens: 4096,
+        contextWindow: 128000,
+        tools: true,
+        keyPlaceholder: 'sk-...',
+        keyHelp: 'From: platform.openai.com → API keys',
+    },
+    {
+        id: 'ollama',
+        label: 'Ollama (local)',
+        baseUrl: 'http://localhost:11434/v1',
+        models: ['llama3.1:8b', 'qwen2.5:14b'],
+        auth: BEARER_AUTH,
+        requiresKey: false,
+        maxTokens: 2048,
+        contextWindow: 32768,
+        tools: true,
+        keyHelp: 'Not needed — start the server with OLLAMA_ORIGINS set to this app\'s origin',
+    },
+    {
+        id: 'llamacpp',
+        label: 'llama.cpp server (local)',
+        baseUrl: 'http://localhost:8080/v1',
+        models: ['local-model'],
+        auth: BEARER_AUTH,
+        requiresKey: false,
+        maxTokens: 2048,
+        contextWindow: 8192,
+        tools: true,
+        keyHelp: 'Only needed if the server was started with --api-key; run with --jinja for tool calling',
+    },
+    {
+        id: 'custom',
+        label: 'Custom (OpenAI-compatible)',
+        baseUrl: '',
+        models: [],
+        auth: BEARER_AUTH,
+        requiresKey: false,
+        maxTokens: 4096,
+        contextWindow: 32768,
+        tools: true,
+        keyHelp: 'Sent in the auth header below',
+    },
+];
+
+export const DEFAULT_PROVIDER_ID = 'groq';
+
+export function getProvider(id) {
+    return PROVIDERS.find(p => p.id === id) || PROVIDERS.find(p => p.id === DEFAULT_PROVIDER_ID);
+}
+
+/**
+ * Builds the effective provider config from settings — the preset plus the
+ * user's overrides (llmBaseUrl, llmModel, llmMaxTokens, llmContextBudget, llmAuthHeader, llmAuthPrefix).
+ * The chosen model goes first; the preset's other models stay as fallbacks.
+ */
+export function resolveProvider(s) {
+    const preset = getProvider(s.llmProvider);
+    const model = (s.llmModel || '').trim();
+    const models = model ? [model, ...preset.models.filter(m => m !== model)] : preset.models;
+    const auth = preset.id === 'custom' && s.llmAuthHeader
+        ? { header: s.llmAuthHeader.trim(), prefix: s.llmAuthPrefix ?? '' }
+        : preset.auth;
+    return {
+        ...preset,
+        baseUrl: ((s.llmBaseUrl || '').trim() || preset.baseUrl).replace(/\/+$/, ''),
+        models,
+        auth,
+        maxTokens: Number(s.llmMaxTokens) || preset.maxTokens,
+        contextBudget: Number(s.llmContextBudget) || null,
+    };
+}
+
+/** Request headers carrying the API key, or none when there is no key. */
+export function authHeaders(provider, apiKey) {
+    if (!apiKey) return {};
+    return { [provider.auth.header]: `${provider.auth.prefix || ''}${apiKey}` };
+}
+
+/** Model ids advertised by the endpoint's GET /models (OpenAI, Ollama and llama.cpp all serve it). */
+export async function listModels(provider, apiKey) {
+    const response = await fetch(`${provider.baseUrl}/models`, { headers: authHeaders(provider, apiKey) });
+    if (!response.ok) throw new Error(`${provider.label} returned ${response.status} for /models`);
+    const data = await response.json();
+    return (data.data || data.models || []).map(m => m.id || m.name).filter(Boolean);
+}
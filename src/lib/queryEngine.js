@@ -0,0 +1,359 @@
+/**
+ * Query Engine — deterministic filter / group-by / aggregate over cleaned rows.
+ * Exposed to the LLM as function-calling tools so every number in an answer
+ * is computed here rather than estimated by the model.
+ */
+
+const MAX_ROWS = 200;
+const DEFAULT_ROWS = 25;
+
+/**
+ * Resolves a (possibly approximate) field name to an actual column key.
+ * Tries exact, case-insensitive, then substring matches.
+ */
+export function resolveField(keys, field) {
+    if (!field) return null;
+    if (field === 'Name' || field === '_name') return '_name';
+    if (keys.includes(field)) return field;
+    const lower = field.toLowerCase().trim();
+    return keys.find(k => k.toLowerCase() === lower)
+        || keys.find(k => k.toLowerCase().includes(lower))
+        || keys.find(k => lower.includes(k.toLowerCase()))
+        || null;
+}
+
+function toNumber(v) {
+    if (v === null || v === undefined || v === '') return null;
+    const n = parseFloat(v);
+    return isNaN(n) ? null : n;
+}
+
+function normalize(v) {
+    return String(v ?? '').trim().toLowerCase();
+}
+
+export function matchesFilter(row, field, op, value) {
+    const v = row[field];
+    switch (op) {
+        case 'eq': return normalize(v) === normalize(value);
+        case 'neq': return normalize(v) !== normalize(value);
+        case 'in': return (Array.isArray(value) ? value : [value]).some(x => normalize(v) === normalize(x));
+        case 'not_in': return !(Array.isArray(value) ? value : [value]).some(x => normalize(v) === normalize(x));
+        case 'contains': return normalize(v).includes(normalize(value));
+        case 'starts_with': return normalize(v).startsWith(normalize(value));
+        case 'empty': return v === null || v === undefined || v === '';
+        case 'not_empty': return !(v === null || v === undefined || v === '');
+        case 'gt': case 'gte': case 'lt': case 'lte': {
+            const n = toNumber(v);
+            const target = toNumber(value);
+            if (n === null || target === null) return false;
+            if (op === 'gt') return n > target;
+            if (op === 'gte') return n >= target;
+            if (op === 'lt') return n < target;
+            return n <= target;
+        }
+        default:
+            throw new Error(`Unknown filter operator "${op}"`);
+    }
+}
+
+/** Month-only values (YYYY-MM) match when any day of the month is in range. */
+export function inDateRange(row, field, from, to) {
+    const v = row[field];
+    if (!v || !/^\d{4}-\d{2}/.test(v)) return false;
+    const month = !/^\d{4}-\d{2}-\d{2}/.test(v);
+    const start = month ? `${v.substring(0, 7)}-01` : v.substring(0, 10);
+    const end = month ? `${v.substring(0, 7)}-31` : start;
+    if (from && end < from) return false;
+    if (to && start > to) return false;
+    return true;
+}
+
+function computeMetric(rows, { op, field }) {
+    if (op === 'count') {
+        return field ? rows.filter(r => r[field] !== null && r[field] !== undefined && r[field] !== '').length : rows.length;
+    }
+    const nums = rows.map(r => toNumber(r[field])).filter(n => n !== null);
+    switch (op) {
+        case 'sum': return round(nums.reduce((s, n) => s + n, 0));
+        case 'avg': return nums.length ? round(nums.reduce((s, n) => s + n, 0) / nums.length) : null;
+        case 'min': return nums.length ? Math.min(...nums) : null;
+        case 'max': return nums.length ? Math.max(...nums) : null;
+        case 'count_distinct': return new Set(rows.map(r => r[field]).filter(v => v !== null && v !== '')).size;
+        default:
+            throw new Error(`Unknown metric "${op}"`);
+    }
+}
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/** Truncates an ISO date to its month / quarter / year bucket label. */
+export function bucketDate(value, unit) {
+    if (!value || !/^\d{4}-\d{2}/.test(value)) return value;
+    const year = value.substring(0, 4);
+    const month = Number(value.substring(5, 7));
+    if (unit === 'year') return year;
+    if (unit === 'quarter') return `${year}-Q${Math.ceil(month / 3)}`;
+    return value.substring(0, 7);
+}
+
+function metricAlias(m) {
+    return m.field ? `${m.op}(${m.field})` : m.op;
+}
+
+/**
+ * Runs a structured query over a cleaned board.
+ *
+ * spec: {
+ *   filters:    [{ field, op, value }],
+ *   date_range: { field, from, to },           // ISO dates, inclusive
+ *   group_by:   field | [field, ...],
+ *   bucket:     'month' | 'quarter' | 'year' — truncates date group columns
+ *   metrics:    [{ op: count|sum|avg|min|max|count_distinct, field }],
+ *   sort_by:    metric alias or field, order: 'asc' | 'desc',
+ *   limit:      top-N groups / rows,
+ *   fields:     columns to return when listing rows
+ * }
+ */
+export function runQuery(cleanedBoard, spec = {}) {
+    const { data } = cleanedBoard;
+    const keys = data.length ? Object.keys(data[0]).filter(k => !k.startsWith('_')) : [];
+    const resolve = (f) => {
+        const col = resolveField(keys, f);
+        if (!col) throw new Error(`Unknown column "${f}". Available: ${keys.join(', ')}`);
+        return col;
+    };
+
+    let rows = data;
+
+    (spec.filters || []).forEach(f => {
+        const col = resolve(f.field);
+        rows = rows.filter(r => matchesFilter(r, col, f.op || 'eq', f.value));
+    });
+
+    if (spec.date_range?.field) {
+        const col = resolve(spec.date_range.field);
+        rows = rows.filter(r => inDateRange(r, col, spec.date_range.from, spec.date_range.to));
+    }
+
+    const metrics = (spec.metrics?.length ? spec.metrics : [{ op: 'count' }])
+        .map(m => ({ op: m.op, field: m.field ? resolve(m.field) : undefined }));
+    const order = spec.order === 'asc' ? 1 : -1;
+    const limit = Math.min(spec.limit || (spec.group_by ? MAX_ROWS : DEFAULT_ROWS), MAX_ROWS);
+
+    // Grouped aggregation
+    if (spec.group_by) {
+        const groupCols = (Array.isArray(spec.group_by) ? spec.group_by : [spec.group_by]).map(resolve);
+        const groups = new Map();
+        rows.forEach(r => {
+            const key = JSON.stringify(groupCols.map(c =>
+                spec.bucket ? bucketDate(r[c], spec.bucket) ?? '(blank)' : r[c] ?? '(blank)'
+            ));
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(r);
+        });
+
+        let result = [...groups.entries()].map(([key, groupRows]) => {
+            const out = {};
+            const parts = JSON.parse(key);
+            groupCols.forEach((c, i) => { out[c] = parts[i]; });
+            metrics.forEach(m => { out[metricAlias(m)] = computeMetric(groupRows, m); });
+            return out;
+        });
+
+        const sortKey = (result[0] && resolveField(Object.keys(result[0]), spec.sort_by)) || metricAlias(metrics[0]);
+        result.sort((a, b) => {
+            const av = a[sortKey], bv = b[sortKey];
+            if (typeof av === 'number' && typeof bv === 'number') return (av - bv) * order;
+            return String(av).localeCompare(String(bv)) * order;
+        });
+
+        const totals = {};
+        metrics.forEach(m => { totals[metricAlias(m)] = computeMetric(rows, m); });
+
+        return {
+            matched_rows: rows.length,
+            group_count: result.length,
+            groups: result.slice(0, limit),
+            totals,
+        };
+    }
+
+    // Scalar aggregates
+    const totals = {};
+    metrics.forEach(m => { totals[metricAlias(m)] = computeMetric(rows, m); });
+
+    // Row listing (top-N)
+    const result = { matched_rows: rows.length, totals };
+    if (spec.fields?.length || spec.sort_by || spec.limit) {
+        const fieldCols = (spec.fields || []).map(resolve);
+        let listed = [...rows];
+        if (spec.sort_by) {
+            const col = resolve(spec.sort_by);
+            listed.sort((a, b) => {
+                const an = toNumber(a[col]), bn = toNumber(b[col]);
+                if (an !== null && bn !== null) return (an - bn) * order;
+                if (an !== null || bn !== null) return an === null ? 1 : -1;
+                return String(a[col] ?? '').localeCompare(String(b[col] ?? '')) * order;
+            });
+        }
+        result.rows = listed.slice(0, limit).map(r => {
+            const out = { _id: r._id, Name: r._name };
+            (fieldCols.length ? fieldCols : keys).forEach(c => { out[c] = r[c] ?? null; });
+            return out;
+        });
+    }
+    return result;
+}
+
+/**
+ * Lists columns with inferred types and the distinct values of
+ * low-cardinality columns, so the model can build valid filters.
+ */
+export function describeBoard(cleanedBoard) {
+    const { boardName, data, schema, stats } = cleanedBoard;
+    const keys = data.length ? Object.keys(data[0]).filter(k => !k.startsWith('_')) : [];
+    return {
+        board: boardName,
+        row_count: data.length,
+        columns: keys.map(k => {
+            const vals = data.map(r => r[k]).filter(v => v !== null && v !== undefined && v !== '');
+            const distinct = [...new Set(vals)];
+            const mapped = schema?.columns[k];
+            let type = mapped?.type;
+            if (!type) {
+                const numeric = vals.length > 0 && vals.every(v => toNumber(v) !== null && /^-?[\d.]+$/.test(v));
+                const date = vals.length > 0 && vals.every(v => /^\d{4}-\d{2}-\d{2}/.test(v));
+                type = date ? 'date' : numeric ? 'number' : 'text';
+            }
+            const col = { name: k, type, filled: vals.length };
+            if (mapped?.role) col.role = mapped.role;
+            const parsing = stats?.dateParsing?.[k];
+            if (parsing?.filled) col.parse_rate = parsing.parse_rate;
+            if ((type === 'text' || type === 'category') && distinct.length <= 20) col.values = distinct;
+            return col;
+        }),
+    };
+}
+
+/** JSON-schema properties shared by every tool that runs a query. */
+export const QUERY_PARAMS = {
+    board: { type: 'string', enum: ['deals', 'work_orders'] },
+    filters: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                field: { type: 'string', description: 'Column name' },
+                op: { type: 'string', enum: ['eq', 'neq', 'in', 'not_in', 'contains', 'starts_with', 'gt', 'gte', 'lt', 'lte', 'empty', 'not_empty'] },
+                value: { description: 'Comparison value (array for in/not_in)' },
+            },
+            required: ['field', 'op'],
+        },
+    },
+    date_range: {
+        type: 'object',
+        properties: {
+            field: { type: 'string' },
+            from: { type: 'string', description: 'YYYY-MM-DD inclusive' },
+            to: { type: 'string', description: 'YYYY-MM-DD inclusive' },
+        },
+        required: ['field'],
+    },
+    group_by: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Columns to group by',
+    },
+    bucket: {
+        type: 'string',
+        enum: ['month', 'quarter', 'year'],
+        description: 'Bucket date group-by columns (for trends)',
+    },
+    metrics: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                op: { type: 'string', enum: ['count', 'sum', 'avg', 'min', 'max', 'count_distinct'] },
+                field: { type: 'string' },
+            },
+            required: ['op'],
+        },
+    },
+    sort_by: { type: 'string', description: 'Metric alias like "sum(Masked Deal value)" or a column name' },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: { type: 'integer', description: 'Top-N groups or rows to return' },
+};
+
+export const QUERY_TOOLS = [
+    {
+        type: 'function',
+        function: {
+            name: 'describe_board',
+            description: 'List the columns of a board with their types, semantic roles (e.g. deal_value, billed_excl) and, for categorical columns, the allowed values. Call this before filtering on a column whose values you are unsure of.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    board: { type: 'string', enum: ['deals', 'work_orders'] },
+                },
+                required: ['board'],
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'query_board',
+            description: 'Filter, group and aggregate rows of a board. Use this for EVERY number you report (totals, counts, averages, top-N lists). Values are in raw INR.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    ...QUERY_PARAMS,
+                    fields: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Columns to include when listing individual rows',
+                    },
+                },
+                required: ['board'],
+            },
+        },
+    },
+];
+
+/** Copies of `tools` whose `board` parameter is restricted to the loaded board keys. */
+export function withBoardKeys(tools, keys) {
+    return tools.map(tool => {
+        const { parameters } = tool.function;
+        if (!parameters.properties.board) return tool;
+        return {
+            ...tool,
+            function: {
+                ...tool.function,
+                parameters: {
+                    ...parameters,
+                    properties: { ...parameters.properties, board: { ...parameters.properties.board, enum: keys } },
+                },
+            },
+        };
+    });
+}
+
+/**
+ * Executes a tool call against the given boards map (tool board key → cleaned board).
+ * Errors are returned as { error } so the model can correct its call.
+ */
+export function executeTool(name, args, boards) {
+    try {
+        const board = boards[args.board];
+        if (!board) return { error: `Unknown board "${args.board}". Use one of: ${Object.keys(boards).join(', ')}` };
+        if (name === 'describe_board') return describeBoard(board);
+        if (name === 'query_board') return runQuery(board, args);
+        return { error: `Unknown tool "${name}"` };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Accounts receivable — aging of the Amount Receivable on work orders, who
+ * owes it (customer / sector / BD-KAM owner) and DSO-style collection metrics.
+ *
+ * A work order's receivable is aged from its Last invoice date, falling back
+ * to the end of its Actual Billing Month. Collection Date / Actual Collection
+ * Month record the latest payment; they don't reset the age of what is still
+ * owed, but are reported alongside it.
+ */
+
+import { roleColumns } from './schema';
+
+const DAY_MS = 86400000;
+// Receivables below one rupee are rounding left over from masking
+const MIN_OUTSTANDING = 1;
+const DEFAULT_LIMIT = 15;
+
+export const AGING_BUCKETS = [
+    { bucket: '0-30', max: 30 },
+    { bucket: '31-60', max: 60 },
+    { bucket: '61-90', max: 90 },
+    { bucket: '90+', max: Infinity },
+];
+const UNDATED = 'no invoice date';
+
+// group_by names accepted by the tool → field of an open receivable
+export const AR_GROUPS = {
+    customer: 'customer',
+    sector: 'sector',
+    owner: 'owner',
+    collection_status: 'collection_status',
+    ar_priority: 'priority',
+};
+
+/**
+ * Billed column collections are measured against, chosen once per board.
+ * Collected Amount includes GST, so billed incl GST; billed excl GST only when
+ * the board has no incl-GST column — never mixed row by row.
+ */
+export function billedColumn(roles) {
+    return roles.billed_incl || roles.billed_excl || null;
+}
+
+/** A work order's billed amount in the billedColumn; an empty value counts as 0. */
+export function billedForCollection(row, roles) {
+    const col = billedColumn(roles);
+    return col ? parseFloat(row[col]) || 0 : 0;
+}
+
+/** Collection rate — collected ÷ billed (see billedForCollection) as a percentage to one decimal, or null with nothing billed. */
+export function collectionRate(collected, billed) {
+    return billed > 0 ? Math.round((collected / billed) * 1000) / 10 : null;
+}
+
+/** Last day of a YYYY-MM month; month names without a year can't be placed and give null. */
+function monthEnd(month) {
+    if (!/^\d{4}-\d{2}$/.test(month || '')) return null;
+    const [y, m] = month.split('-').map(Number);
+    return new Date(Date.UTC(y, m, 0)).toISOString().substring(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.floor((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function bucketFor(age) {
+    if (age === null) return UNDATED;
+    return AGING_BUCKETS.find(b => Math.max(0, age) <= b.max).bucket;
+}
+
+function round(n) {
+    return Math.round(n);
+}
+
+function emptyBuckets() {
+    return Object.fromEntries([...AGING_BUCKETS.map(b => b.bucket), UNDATED].map(b => [b, 0]));
+}
+
+function roundBuckets(buckets) {
+    return Object.fromEntries(Object.entries(buckets).map(([b, v]) => [b, round(v)]));
+}
+
+/**
+ * Open receivables of a work orders board, one entry per work order that
+ * still has money owed, with its age as of `asOf`.
+ */
+export function openReceivables(woBoard, asOf = new Date().toISOString().substring(0, 10)) {
+    const roles = roleColumns(woBoard.schema);
+    if (!roles.receivable) throw new Error('The work orders board needs an Amount Receivable column mapped for AR aging');
+
+    return woBoard.data
+        .filter(row => (parseFloat(row[roles.receivable]) || 0) >= MIN_OUTSTANDING)
+        .map(row => {
+            const invoiced = row[roles.last_invoice_date] || monthEnd(row[roles.actual_billing_month]);
+            const collected = row[roles.collection_date] || monthEnd(row[roles.actual_collection_month]);
+            const age = invoiced ? daysBetween(invoiced, asOf) : null;
+            return {
+                _id: row._id,
+                _name: row._name,
+                customer: row[roles.customer] ?? null,
+                sector: row[roles.sector] ?? null,
+                owner: row[roles.owner] ?? null,
+                receivable: parseFloat(row[roles.receivable]),
+                invoice_date: invoiced || null,
+                age_days: age,
+                bucket: bucketFor(age),
+                last_collection: collected || null,
+                days_since_collection: collected ? daysBetween(collected, asOf) : null,
+                collection_status: row[roles.collection_status] || null,
+                priority: !!row[roles.ar_priority],
+            };
+        });
+}
+
+/**
+ * Days sales outstanding over the `periodDays` before `asOf`:
+ * receivable ÷ amount billed (incl GST) on invoices dated in the period × period length.
+ * Billed values are cumulative per work order, so this is an approximation.
+ */
+function dso(woBoard, receivable, asOf, periodDays) {
+    const roles = roleColumns(woBoard.schema);
+    const billedCol = billedColumn(roles);
+    if (!billedCol || !roles.last_invoice_date) return null;
+    const billed = woBoard.data
+        .filter(row => {
+            const date = row[roles.last_invoice_date];
+            if (!date) return false;
+            const age = daysBetween(date, asOf);
+            return age >= 0 && age < periodDays;
+        })
+        .reduce((s, row) => s + (parseFloat(row[billedCol]) || 0), 0);
+    return {
+        days: billed ? round((receivable / billed) * periodDays) : null,
+        period_days: periodDays,
+        billed_in_period: round(billed),
+    };
+}
+
+/**
+ * AR aging report.
+ * @param options.asOf ISO date ages are measured to (default today)
+ * @param options.groupBy one of AR_GROUPS — receivable per group split into aging buckets
+ * @param options.priorityOnly only AR Priority accounts
+ * @param options.minAgeDays only receivables at least this old
+ * @param options.periodDays DSO window
+ */
+export function agingReport(woBoard, { asOf, groupBy, priorityOnly = false, minAgeDays, periodDays = 90, limit = DEFAULT_LIMIT } = {}) {
+    const today = asOf || new Date().toISOString().substring(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(today)) throw new Error('"as_of" must be a date (YYYY-MM-DD)');
+    if (groupBy && !AR_GROUPS[groupBy]) throw new Error(`Unknown group_by "${groupBy}". Use: ${Object.keys(AR_GROUPS).join(', ')}`);
+
+    const all = openReceivables(woBoard, today);
+    const items = all.filter(i => (!priorityOnly || i.priority) && (!minAgeDays || (i.age_days ?? -1) >= minAgeDays));
+    const total = items.reduce((s, i) => s + i.receivable, 0);
+
+    const buckets = emptyBuckets();
+    const counts = emptyBuckets();
+    items.forEach(i => {
+        buckets[i.bucket] += i.receivable;
+        counts[i.bucket]++;
+    });
+
+    const dated = items.filter(i => i.age_days !== null);
+    const datedTotal = dated.reduce((s, i) => s + i.receivable, 0);
+    const roles = roleColumns(woBoard.schema);
+    const billed = woBoard.data.reduce((s, row) => s + billedForCollection(row, roles), 0);
+    const collected = woBoard.data.reduce((s, row) => s + (parseFloat(row[roles.collected]) || 0), 0);
+    const priority = all.filter(i => i.priority);
+
+    const result = {
+        as_of: today,
+        total_receivable: round(total),
+        open_items: items.length,
+        buckets: Object.keys(buckets).map(b => ({ bucket: b, receivable: round(buckets[b]), items: counts[b] })),
+        // Amount-weighted age of the dated receivables
+        avg_days_outstanding: datedTotal ? round(dated.reduce((s, i) => s + i.receivable * Math.max(0, i.age_days), 0) / datedTotal) : null,
+        dso: dso(woBoard, all.reduce((s, i) => s + i.receivable, 0), today, periodDays),
+        collection_rate: collectionRate(collected, billed),
+        priority_accounts: {
+            receivable: round(priority.reduce((s, i) => s + i.receivable, 0)),
+            items: priority.length,
+            over_90_days: round(priority.filter(i => i.bucket === '90+').reduce((s, i) => s + i.receivable, 0)),
+        },
+    };
+
+    if (groupBy) {
+        const groups = new Map();
+        items.forEach(i => {
+            const value = i[AR_GROUPS[groupBy]];
+            const key = typeof value === 'boolean' ? (value ? 'Priority' : 'Not priority') : value || 'Not set';
+            if (!groups.has(key)) groups.set(key, { group: key, receivable: 0, items: 0, buckets: emptyBuckets(), oldest_days: null });
+            const g = groups.get(key);
+            g.receivable += i.receivable;
+            g.items++;
+            g.buckets[i.bucket] += i.receivable;
+            if (i.age_days !== null) g.oldest_days = Math.max(g.oldest_days ?? 0, i.age_days);
+        });
+        const sorted = [...groups.values()].sort((a, b) => b.receivable - a.receivable);
+        result.groups = sorted.slice(0, limit).map(g => ({ ...g, receivable: round(g.receivable), buckets: roundBuckets(g.buckets) }));
+        if (sorted.length > limit) result.groups_omitted = sorted.length - limit;
+    }
+
+    // Oldest first, then largest — the accounts to chase
+    result.items = [...items]
+        .sort((a, b) => (b.age_days ?? -1) - (a.age_days ?? -1) || b.receivable - a.receivable)
+        .slice(0, limit)
+        .map(i => ({ ...i, receivable: round(i.receivable) }));
+    return result;
+}
+
+export const AR_TOOL = {
+    type: 'function',
+    function: {
+        name: 'ar_aging',
+        description: 'Accounts receivable aging on the work orders board: Amount Receivable split into 0-30 / 31-60 / 61-90 / 90+ day buckets by Last invoice date, optionally per customer, sector, BD/KAM owner, collection status or AR Priority account. Also returns average days outstanding, DSO over a recent billing window, the collection rate, AR Priority totals and the oldest open items with their last collection. Values are raw INR.',
+        parameters: {
+            type: 'object',
+            properties: {
+                group_by: { type: 'string', enum: Object.keys(AR_GROUPS) },
+                priority_only: { type: 'boolean', description: 'Only AR Priority accounts' },
+                min_age_days: { type: 'integer', description: 'Only receivables invoiced at least this many days ago' },
+                as_of: { type: 'string', description: 'Date YYYY-MM-DD to age to (default today)' },
+                period_days: { type: 'integer', description: 'DSO window in days (default 90)' },
+                limit: { type: 'integer', description: 'Max groups and items returned (default 15)' },
+            },
+        },
+    },
+};
+
+/** Runs the AR tool; returns `{ error }` instead of throwing, like executeTool. */
+export function executeArTool(args, boards) {
+    if (!boards.work_orders) return { error: 'No work orders board is loaded' };
+    try {
+        return agingReport(boards.work_orders, {
+            asOf: args.as_of,
+            groupBy: args.group_by,
+            priorityOnly: args.priority_only,
+            minAgeDays: args.min_age_days,
+            periodDays: args.period_days || undefined,
+            limit: args.limit || undefined,
+        });
+    } catch (err) {
+        return { error: err.message };
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * Context retrieval — picks the board data sent with each question instead of
+ * one fixed summary. Every board's summary (dataToContext) is split into
+ * sections, and the sections and cleaned rows are ranked against the question
+ * with BM25, then packed into a token budget: the board headers first, then
+ * sections and rows that match the question, the remaining sections, and
+ * finally the largest rows of boards nothing matched on.
+ *
+ * Token counts are estimates — close enough to keep a request inside the
+ * model's context window without shipping a tokenizer per provider.
+ */
+
+import { BOARD_KINDS, roleColumns } from './schema';
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+// Rows scoring below this share of the best match are noise ("open", "won")
+const MIN_RELATIVE_SCORE = 0.25;
+const MAX_MATCHED_ROWS = 100;
+// Rows sent for a board the question matched nothing on, like the old top-20 tables
+const FALLBACK_ROWS = 20;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const STOPWORDS = new Set([
+    'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'get', 'has', 'have',
+    'how', 'in', 'is', 'it', 'its', 'like', 'looking', 'me', 'my', 'of', 'on', 'or', 'our', 'please', 'should', 'so', 'that', 'the',
+    'their', 'them', 'there', 'these', 'they', 'this', 'those', 'to', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+    'whom', 'why', 'will', 'with', 'would', 'you', 'your',
+    // Words every question about these boards uses
+    'all', 'any', 'board', 'count', 'deal', 'deals', 'give', 'list', 'many', 'much', 'number', 'order', 'orders', 'show', 'tell',
+    'total', 'value', 'wo', 'wos', 'work',
+]);
+
+/** Rough token count: ~4 letters per token, ~3 digits per token, one per symbol. */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    let tokens = 0;
+    for (const [run] of String(text).matchAll(/[A-Za-z]+|\d+|[^\sA-Za-z\d]/g)) {
+        tokens += /^[A-Za-z]/.test(run) ? Math.ceil(run.length / 4) : /^\d/.test(run) ? Math.ceil(run.length / 3) : 1;
+    }
+    return tokens;
+}
+
+/** Lower-cased search terms; a trailing plural "s" is dropped so "deals" meets "deal". */
+export function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9_]+/g) || [])
+        .filter(t => t.length > 1 && !STOPWORDS.has(t))
+        .map(t => (t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+}
+
+/** BM25 index over token lists; `score(queryTerms)` returns one score per document. */
+function bm25(docs) {
+    const df = new Map();
+    const freqs = docs.map(terms => {
+        const tf = new Map();
+        terms.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+        tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1));
+        return tf;
+    });
+    const avgLength = docs.reduce((s, d) => s + d.length, 0) / (docs.length || 1) || 1;
+    return (queryTerms) => {
+        const terms = [...new Set(queryTerms)].filter(t => df.has(t));
+        return freqs.map((tf, i) => terms.reduce((score, t) => {
+            const f = tf.get(t) || 0;
+            if (!f) return score;
+            const idf = Math.log(1 + (docs.length - df.get(t) + 0.5) / (df.get(t) + 0.5));
+            return score + idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * docs[i].length / avgLength));
+        }, 0));
+    };
+}
+
+/**
+ * Splits a dataToContext summary into its header (board line and data notes)
+ * and sections — each `### …` heading or `**…:**` block. Row tables are left
+ * out; rows are retrieved separately.
+ */
+export function splitSections(context) {
+    const lines = context.split('\n');
+    const isHeading = (line) => /^###\s/.test(line) || /^\*\*[^*]+:\*\*/.test(line);
+    const start = lines.findIndex(isHeading);
+    const header = (start === -1 ? lines : lines.slice(0, start)).join('\n').trim();
+    const sections = [];
+    let current = null;
+    (start === -1 ? [] : lines.slice(start)).forEach(line => {
+        if (isHeading(line)) {
+            current = { title: line.replace(/^###\s*|\*\*/g, '').replace(/:.*$/, '').trim(), lines: [line] };
+            sections.push(current);
+        } else if (line.trim()) {
+            current.lines.push(line);
+        }
+    });
+    return {
+        header,
+        sections: sections
+            .filter(s => s.lines.length > 1 || /:\*\*\s*\S/.test(s.lines[0]))
+            .filter(s => !/^Name \|/.test(s.lines[1] || ''))
+            .map(s => ({ title: s.title, text: s.lines.join('\n') })),
+    };
+}
+
+/** Column used to rank a board's rows by size when nothing matched. */
+function sizeColumn(board) {
+    const r = roleColumns(board.schema);
+    return r.deal_value || r.order_value_excl || r.outstanding || r.amount || r.lead_value || null;
+}
+
+/** Search terms of one value: text as is, dates as their year and month name, numbers none. */
+function valueTerms(value, type) {
+    if (value === null || value === undefined || value === '' || type === 'number') return [];
+    if ((type === 'date' || type === 'month') && /^\d{4}-\d{2}/.test(value)) {
+        return [value.substring(0, 4), MONTHS[Number(value.substring(5, 7)) - 1]];
+    }
+    return tokenize(value);
+}
+
+function rowTerms(row, keys, schema) {
+    return [...tokenize(row._name), ...keys.flatMap(k => valueTerms(row[k], schema?.columns[k]?.type))];
+}
+
+/**
+ * Columns shown for a board's rows: the mapped (role) columns plus any column
+ * a matching row matched the question on. Boards with few mapped columns show them all.
+ */
+function rowColumns(board, keys, matches, queryTerms) {
+    const mapped = new Set(Object.values(roleColumns(board.schema)));
+    if (mapped.size < 3) return keys;
+    const wanted = new Set(queryTerms);
+    return keys.filter(k => mapped.has(k)
+        || matches.some(m => valueTerms(m.row[k], board.schema?.columns[k]?.type).some(t => wanted.has(t))));
+}
+
+/** A row as a table line; the Id is what the agent cites the item by. */
+function rowLine(row, cols) {
+    return `${row._name || '-'} | ${row._id ?? '-'} | ${cols.map(c => row[c] ?? '-').join(' | ')}`;
+}
+
+/** Table of `rows`, leaving out columns that are empty in every one of them. */
+function rowsTable(title, rows, keys) {
+    const cols = keys.filter(k => rows.some(r => r[k] !== null && r[k] !== undefined && r[k] !== ''));
+    return [`### ${title}`, `Name | Id | ${cols.join(' | ')}`, ...rows.map(r => rowLine(r, cols))].join('\n');
+}
+
+/**
+ * Picks the context for one question.
+ * @param question the question, optionally with the previous one for follow-ups
+ * @param boards [{ key, kind, context, board }] — context from dataToContext, board the cleaned board
+ * @param options.budget tokens the data context may use
+ * @returns { text, report } — report lists what each board contributed, for display under the answer
+ */
+export function selectContext(question, boards, { budget }) {
+    const queryTerms = tokenize(question);
+    let used = 0;
+    const fits = (text) => used + estimateTokens(text) + 1 <= budget;
+    const take = (text) => { used += estimateTokens(text) + 1; };
+
+    const indexed = boards.map(({ key, kind, context, board }) => {
+        const keys = board.data.length ? Object.keys(board.data[0]).filter(k => !k.startsWith('_')) : [];
+        return {
+            key,
+            kind,
+            context,
+            board,
+            keys,
+            rowScores: bm25(board.data.map(row => rowTerms(row, keys, board.schema)))(queryTerms),
+        };
+    });
+    // Scores are compared across boards — the same question, terms weighted by each board's rarity
+    const best = Math.max(0, ...indexed.flatMap(b => b.rowScores));
+
+    const parts = indexed.map(({ key, kind, context, board, keys, rowScores }) => {
+        const { header, sections } = splitSections(context);
+        const sectionScores = bm25(sections.map(s => [...tokenize(s.title), ...tokenize(s.title), ...tokenize(s.text)]))(queryTerms);
+        const matches = best
+            ? board.data.map((row, i) => ({ row, index: i, score: rowScores[i] / best })).filter(m => m.score >= MIN_RELATIVE_SCORE)
+            : [];
+        return {
+            key,
+            kind,
+            board,
+            cols: rowColumns(board, keys, matches, queryTerms),
+            header: `**Board key \`${key}\`** (${BOARD_KINDS[kind] || kind})\n${header}`,
+            sections: sections.map((s, i) => ({ ...s, index: i, score: sectionScores[i], included: false })),
+            matches,
+            rows: [],
+            fallback: false,
+        };
+    });
+
+    // 1. Every board's header, so the model always knows what is loaded
+    parts.forEach(p => take(p.header));
+
+    // 2. Sections that match the question, best first
+    const relevant = parts.flatMap(p => p.sections.filter(s => s.score > 0).map(s => ({ p, s })))
+        .sort((a, b) => b.s.score - a.s.score);
+    relevant.forEach(({ s }) => {
+        if (fits(s.text)) {
+            take(s.text);
+            s.included = true;
+        }
+    });
+
+    // 3. Matching rows across boards, best first (each board's table header is paid once)
+    const matches = parts.flatMap(p => p.matches.map(m => ({ p, m })))
+        .sort((a, b) => b.m.score - a.m.score)
+        .slice(0, MAX_MATCHED_ROWS);
+    for (const { p, m } of matches) {
+        const line = rowLine(m.row, p.cols) + (p.rows.length ? '' : `\n### RELEVANT ROWS\nName | Id | ${p.cols.join(' | ')}`);
+        if (!fits(line)) break;
+        take(line);
+        p.rows.push(m);
+    }
+
+    // 4. The rest of the summaries, in their usual order
+    parts.forEach(p => p.sections.filter(s => !s.included).forEach(s => {
+        if (fits(s.text)) {
+            take(s.text);
+            s.included = true;
+        }
+    }));
+
+    // 5. Largest rows of boards the question matched no rows on
+    parts.filter(p => !p.rows.length).forEach(p => {
+        const col = sizeColumn(p.board);
+        const sorted = col ? [...p.board.data].sort((a, b) => (parseFloat(b[col]) || 0) - (parseFloat(a[col]) || 0)) : p.board.data;
+        for (const [i, row] of sorted.slice(0, FALLBACK_ROWS).entries()) {
+            const line = rowLine(row, p.cols) + (i ? '' : `\n### TOP ROWS\nName | Id | ${p.cols.join(' | ')}`);
+            if (!fits(line)) break;
+            take(line);
+            p.rows.push({ row, index: p.board.data.indexOf(row) });
+        }
+        p.fallback = p.rows.length > 0;
+    });
+
+    const text = parts.map(p => {
+        const blocks = [p.header, ...p.sections.filter(s => s.included).map(s => s.text)];
+        if (p.rows.length) {
+            const rows = p.fallback ? p.rows : [...p.rows].sort((a, b) => a.index - b.index);
+            const col = sizeColumn(p.board);
+            const title = p.fallback
+                ? `TOP ${rows.length} ROWS${col ? ` BY ${col}` : ''} (no rows matched the question — query the board for others)`
+                : `ROWS MATCHING THE QUESTION (${rows.length} of ${p.board.data.length} — query the board for the rest)`;
+            blocks.push(rowsTable(title, rows.map(r => r.row), p.cols));
+        }
+        return blocks.join('\n\n');
+    }).join('\n\n');
+
+    return {
+        text,
+        report: {
+            budget,
+            tokens: estimateTokens(text),
+            terms: [...new Set(queryTerms)],
+            boards: parts.map(p => ({
+                key: p.key,
+                kind: p.kind,
+                sections: p.sections.filter(s => s.included).map(s => s.title),
+                omitted_sections: p.sections.filter(s => !s.included).map(s => s.title),
+                rows: p.rows.length,
+                total_rows: p.board.data.length,
+                // Rows that matched the question; more than `rows` when the budget ran out
+                matched_rows: p.matches.length,
+                fallback_rows: p.fallback,
+            })),
+        },
+    };
+}
@@ -0,0 +1,264 @@
+/**
+ * Schema Mapping — assigns each board column a semantic role (deal value,
+ * stage, billed excl GST, …) and a value type. Proposals come from the column
+ * title, the Monday.com column type and sampled values; users can override
+ * them in Settings, and the result is saved per board.
+ *
+ * Schema shape: {
+ *   kind,      // board role — 'deals' | 'work_orders' | 'invoices' | 'leads' | 'generic' (custom)
+ *   dateOrder, // 'auto' | 'dmy' | 'mdy' — how numeric dates are read (lib/dates.js)
+ *   columns,   // { [column title]: { role: string | null, type: 'text' | 'number' | 'date' | 'month' | 'category' } }
+ * }
+ */
+
+import { parseDate } from './dates';
+
+const SCHEMAS_KEY = 'monday_bi_schemas';
+
+export const COLUMN_TYPES = ['text', 'number', 'date', 'month', 'category'];
+
+export const BOARD_KINDS = {
+    deals: 'Deals',
+    work_orders: 'Work Orders',
+    invoices: 'Invoices',
+    leads: 'Leads',
+    generic: 'Custom',
+};
+
+/*
+ * Roles per board kind, in claiming order: each role takes the first
+ * still-unclaimed column whose title matches, so specific roles come first.
+ * `values` is the expected vocabulary of a status/stage role; anything else
+ * is reported as out-of-vocabulary by the data quality view.
+ */
+export const ROLES = {
+    deals: [
+        { role: 'deal_status', label: 'Deal status', type: 'category', match: /deal status|^status$/i, values: ['Open', 'Won', 'Dead', 'On Hold'] },
+        {
+            role: 'deal_stage', label: 'Deal stage', type: 'category', match: /stage/i,
+            values: [
+                'A. Lead Generated', 'B. Sales Qualified Leads', 'C. Demo Done', 'D. Feasibility',
+                'E. Proposal/Commercials Sent', 'F. Negotiations', 'G. Project Won', 'H. Work Order Received',
+                'I. POC', 'J. Invoice sent', 'K. Amount Accrued', 'L. Project Lost', 'M. Projects On Hold',
+                'N. Not relevant at the moment', 'O. Not Relevant at all',
+            ],
+        },
+        { role: 'deal_value', label: 'Deal value', type: 'number', match: /deal value|^value$|amount/i },
+        { role: 'probability', label: 'Closure probability', type: 'category', match: /probab/i, values: ['High', 'Medium', 'Low'] },
+        { role: 'tentative_close_date', label: 'Tentative close date', type: 'date', match: /tentative/i },
+        { role: 'close_date', label: 'Actual close date', type: 'date', match: /close date/i },
+        { role: 'created_date', label: 'Created date', type: 'date', match: /created/i },
+        { role: 'owner', label: 'Owner', type: 'category', match: /owner/i },
+        { role: 'client', label: 'Client', type: 'category', match: /client|customer/i },
+        { role: 'sector', label: 'Sector', type: 'category', match: /sector/i },
+        { role: 'product', label: 'Product', type: 'category', match: /product/i },
+    ],
+    work_orders: [
+        {
+            role: 'execution_status', label: 'Execution status', type: 'category', match: /execution status/i,
+            values: ['Not Started', 'Ongoing', 'Executed until current month', 'Partial Completed', 'Completed', 'Pause / struck', 'Details pending from Client'],
+        },
+        { role: 'to_bill_excl', label: 'To be billed (excl GST)', type: 'number', match: /to be billed.*\(ex(c)?l/i },
+        { role: 'to_bill_incl', label: 'To be billed (incl GST)', type: 'number', match: /to be billed.*\(incl/i },
+        { role: 'billed_excl', label: 'Billed (excl GST)', type: 'number', match: /billed value.*\(ex(c)?l/i },
+        { role: 'billed_incl', label: 'Billed (incl GST)', type: 'number', match: /billed value.*\(incl/i },
+        { role: 'order_value_excl', label: 'Order value (excl GST)', type: 'number', match: /^amount.*\(ex(c)?l/i },
+        { role: 'order_value_incl', label: 'Order value (incl GST)', type: 'number', match: /^amount.*\(incl/i },
+        { role: 'collected', label: 'Collected amount', type: 'number', match: /collected amount|^collected/i },
+        { role: 'receivable', label: 'Amount receivable', type: 'number', match: /receivable/i },
+        { role: 'customer', label: 'Customer', type: 'category', match: /customer/i },
+        { role: 'serial', label: 'Serial #', type: 'text', match: /serial/i },
+        { role: 'nature_of_work', label: 'Nature of work', type: 'category', match: /nature of work/i },
+        { role: 'type_of_work', label: 'Type of work', type: 'category', match: /type of work/i },
+        { role: 'po_date', label: 'PO / LOI date', type: 'date', match: /date of po|po\/loi/i },
+        { role: 'start_date', label: 'Start date', type: 'date', match: /start date/i },
+        { role: 'end_date', label: 'End date', type: 'date', match: /end date/i },
+        { role: 'delivery_date', label: 'Data delivery date', type: 'date', match: /delivery date/i },
+        { role: 'owner', label: 'BD / KAM owner', type: 'category', match: /bd\/kam|personnel|owner/i },
+        { role: 'sector', label: 'Sector', type: 'category', match: /^sector/i },
+        { role: 'wo_status', label: 'WO status', type: 'category', match: /wo status/i, values: ['Open', 'Closed'] },
+        {
+            role: 'billing_status', label: 'Billing status', type: 'category', match: /billing status/i,
+            values: ['Billed', 'Partially Billed', 'Not Billable', 'Update Required', 'Stuck'],
+        },
+        {
+            role: 'invoice_status', label: 'Invoice status', type: 'category', match: /invoice status/i,
+            values: ['Fully Billed', 'Partially Billed', 'Not billed yet', 'Stuck'],
+        },
+        { role: 'collection_status', label: 'Collection status', type: 'category', match: /collection status/i },
+        { role: 'ar_priority', label: 'AR priority account', type: 'category', match: /ar priority/i, values: ['Priority'] },
+        { role: 'collection_date', label: 'Collection date', type: 'date', match: /collection date/i },
+        { role: 'last_invoice_date', label: 'Last invoice date', type: 'date', match: /last invoice date/i },
+        { role: 'expected_billing_month', label: 'Expected billing month', type: 'month', match: /expected billing month/i },
+        { role: 'actual_billing_month', label: 'Actual billing month', type: 'month', match: /actual billing month/i },
+        { role: 'actual_collection_month', label: 'Actual collection month', type: 'month', match: /collection month/i },
+    ],
+    invoices: [
+        { role: 'invoice_status', label: 'Invoice status', type: 'category', match: /status/i },
+        { role: 'invoice_number', label: 'Invoice number', type: 'text', match: /invoice (no|num|#|id)|^number$/i },
+        { role: 'due_date', label: 'Due date', type: 'date', match: /due date|^due$/i },
+        { role: 'paid_date', label: 'Payment date', type: 'date', match: /paid (on|date)|payment date/i },
+        { role: 'invoice_date', label: 'Invoice date', type: 'date', match: /invoice date|issue|^date$/i },
+        { role: 'outstanding', label: 'Outstanding amount', type: 'number', match: /outstanding|balance|receivable|amount due/i },
+        { role: 'paid_amount', label: 'Paid amount', type: 'number', match: /paid|received|collected/i },
+        { role: 'amount', label: 'Invoice amount', type: 'number', match: /amount|total|value/i },
+        { role: 'customer', label: 'Customer', type: 'category', match: /customer|client|company/i },
+        { role: 'owner', label: 'Owner', type: 'category', match: /owner|kam|person|manager/i },
+        { role: 'sector', label: 'Sector', type: 'category', match: /sector/i },
+    ],
+    leads: [
+        { role: 'lead_status', label: 'Lead status', type: 'category', match: /status|stage/i },
+        { role: 'source', label: 'Lead source', type: 'category', match: /source|channel/i },
+        { role: 'next_follow_up', label: 'Next follow-up', type: 'date', match: /follow/i },
+        { role: 'created_date', label: 'Created date', type: 'date', match: /created|added|received/i },
+        { role: 'lead_value', label: 'Estimated value', type: 'number', match: /value|amount|budget|estimate/i },
+        { role: 'owner', label: 'Owner', type: 'category', match: /owner|assigned|rep\b|person/i },
+        { role: 'company', label: 'Company', type: 'category', match: /company|account|client|organi[sz]ation/i },
+        { role: 'sector', label: 'Sector', type: 'category', match: /sector|industry/i },
+        { role: 'contact', label: 'Contact', type: 'text', match: /contact|email|phone/i },
+    ],
+    generic: [],
+};
+
+// Columns that identify a board kind when detecting it from titles alone
+const KIND_MARKERS = {
+    deals: ['deal_status', 'deal_stage', 'deal_value', 'probability'],
+    work_orders: ['execution_status', 'billed_excl', 'collected', 'serial'],
+    invoices: ['invoice_number', 'due_date', 'paid_amount', 'outstanding'],
+    leads: ['source', 'next_follow_up', 'company', 'contact'],
+};
+
+const MONDAY_TYPES = {
+    numbers: 'number',
+    date: 'date',
+    status: 'category',
+    dropdown: 'category',
+    people: 'category',
+    color: 'category',
+};
+
+const NUMBER_LIKE = /^[₹$]?\s*-?[\d,]+(\.\d+)?$/;
+
+/** Role definition by name for a board kind. */
+export function roleDef(kind, role) {
+    return (ROLES[kind] || []).find(r => r.role === role) || null;
+}
+
+/** Column title mapped to `role`, or null. */
+export function roleColumn(schema, role) {
+    if (!schema) return null;
+    const entry = Object.entries(schema.columns).find(([, c]) => c.role === role);
+    return entry ? entry[0] : null;
+}
+
+/** { role: column title } for every mapped role. */
+export function roleColumns(schema) {
+    const out = {};
+    Object.entries(schema?.columns || {}).forEach(([title, c]) => {
+        if (c.role) out[c.role] = title;
+    });
+    return out;
+}
+
+function inferType(title, mondayType, samples) {
+    // File imports tag Excel serial dates as numbers, so a date-like title defers to the samples
+    const numericDate = mondayType === 'numbers' && /date/i.test(title);
+    if (MONDAY_TYPES[mondayType] && !numericDate) return MONDAY_TYPES[mondayType];
+    const values = samples.filter(v => v !== null && v !== undefined && String(v).trim() !== '').map(v => String(v).trim());
+    if (values.length) {
+        const share = (re) => values.filter(v => re.test(v)).length / values.length;
+        const dates = values.map(v => parseDate(v));
+        const dateShare = (granularity) => dates.filter(d => d && d.granularity === granularity).length / values.length;
+        // Excel serials look numeric; only a date-like title turns them into dates
+        if (share(NUMBER_LIKE) >= 0.8 && !(/date/i.test(title) && dateShare('day') >= 0.8)) return 'number';
+        if (dateShare('day') >= 0.8) return 'date';
+        if (dateShare('month') + dateShare('month_of_year') >= 0.8) return 'month';
+        const distinct = new Set(values.map(v => v.toLowerCase())).size;
+        if (values.length >= 10 && distinct <= Math.max(3, values.length / 5) && distinct <= 25) return 'category';
+    }
+    if (/date/i.test(title)) return 'date';
+    if (/month/i.test(title)) return 'month';
+    return 'text';
+}
+
+/** Guesses the board kind from column titles. */
+export function detectBoardKind(titles) {
+    const scores = Object.fromEntries(Object.entries(KIND_MARKERS).map(([kind, markers]) => [
+        kind,
+        markers.filter(role => titles.some(t => roleDef(kind, role).match.test(t))).length,
+    ]));
+    const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return score >= 2 ? best : 'generic';
+}
+
+/**
+ * Proposes roles and types for a raw board ({ columns, items }).
+ * @param kind board kind; detected from the titles when omitted
+ */
+export function proposeSchema(board, kind) {
+    const columns = board.columns.filter(c => c.type !== 'name' && c.title !== 'Name');
+    const titles = columns.map(c => c.title);
+    const boardKind = kind || detectBoardKind(titles);
+
+    const samplesFor = (id) => board.items.slice(0, 200).map(item => item.column_values.find(cv => cv.id === id)?.text);
+    const claimed = new Map();
+    (ROLES[boardKind] || []).forEach(def => {
+        const title = titles.find(t => !claimed.has(t) && def.match.test(t));
+        if (title) claimed.set(title, def);
+    });
+
+    const schemaColumns = {};
+    columns.forEach(c => {
+        const def = claimed.get(c.title);
+        schemaColumns[c.title] = {
+            role: def ? def.role : null,
+            type: def ? def.type : inferType(c.title, c.type, samplesFor(c.id)),
+        };
+    });
+    return { kind: boardKind, dateOrder: 'auto', columns: schemaColumns };
+}
+
+/**
+ * Saved mapping for the board's current columns; columns that are new since
+ * it was saved get proposed roles (unless another column already holds them).
+ */
+export function resolveSchema(key, board, kind) {
+    const proposed = proposeSchema(board, kind);
+    const saved = loadSchemas()[key];
+    if (!saved || (kind && saved.kind !== kind)) return proposed;
+
+    const columns = {};
+    const taken = new Set();
+    Object.keys(proposed.columns).forEach(title => {
+        if (saved.columns[title]) {
+            columns[title] = saved.columns[title];
+            if (columns[title].role) taken.add(columns[title].role);
+        }
+    });
+    Object.entries(proposed.columns).forEach(([title, col]) => {
+        if (columns[title]) return;
+        columns[title] = col.role && taken.has(col.role) ? { ...col, role: null } : col;
+    });
+    return { kind: saved.kind, dateOrder: saved.dateOrder || 'auto', columns };
+}
+
+/** Saved schemas keyed by board key (Monday board id, or file:<role> for imports). */
+export function loadSchemas() {
+    try {
+        return JSON.parse(localStorage.getItem(SCHEMAS_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+export function saveSchema(key, schema) {
+    const all = loadSchemas();
+    all[key] = { ...schema, updatedAt: new Date().toISOString() };
+    localStorage.setItem(SCHEMAS_KEY, JSON.stringify(all));
+}
+
+export function deleteSchema(key) {
+    const all = loadSchemas();
+    delete all[key];
+    localStorage.setItem(SCHEMAS_KEY, JSON.stringify(all));
+}
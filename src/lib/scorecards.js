@@ -0,0 +1,209 @@
+/**
+ * Owner scorecards — one row per owner code across both core boards: deals
+ * created, won and lost, win rate, deal size and sales cycle from the deals
+ * board, the open pipeline (plain and forecast-weighted), and what the same
+ * code's work orders (BD/KAM Personnel code) billed, collected and still owe.
+ *
+ * A period limits deals created and deals closed (actual close date, else the
+ * tentative one) to the range, and work orders to those with a PO date in it.
+ * The open pipeline is always the current one.
+ */
+
+import { roleColumns } from './schema';
+import { inDateRange } from './queryEngine';
+import { forecastPipeline } from './forecast';
+import { billedForCollection, collectionRate, openReceivables } from './receivables';
+
+const DAY_MS = 86400000;
+const NO_OWNER = 'No owner';
+
+export const SCORECARD_SORTS = {
+    won_value: 'Won value',
+    win_rate: 'Win rate',
+    open_value: 'Open pipeline',
+    billed: 'Billed',
+    collected: 'Collected',
+    receivable: 'Receivable',
+};
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function toNumber(v) {
+    return parseFloat(v) || 0;
+}
+
+/** { from, to } as inclusive ISO days; YYYY-MM bounds cover the whole month. */
+export function normalizePeriod({ from, to } = {}) {
+    const check = (v, name) => {
+        if (v && !/^\d{4}-\d{2}(-\d{2})?$/.test(v)) throw new Error(`"${name}" must be YYYY-MM-DD or YYYY-MM`);
+    };
+    check(from, 'from');
+    check(to, 'to');
+    return {
+        from: from ? (from.length === 7 ? `${from}-01` : from) : null,
+        to: to ? (to.length === 7 ? `${to}-31` : to) : null,
+    };
+}
+
+function emptyCard(owner) {
+    return {
+        owner,
+        deals: {
+            created: 0, created_value: 0,
+            won: 0, dead: 0, win_rate: null, won_value: 0, avg_won_value: null, median_cycle_days: null,
+            open: 0, open_value: 0, weighted_open_value: 0,
+            won_without_work_order: null,
+        },
+        work_orders: {
+            count: 0, order_value: 0, billed: 0, collected: 0, receivable: 0, receivable_over_90_days: 0, collection_rate: null,
+        },
+    };
+}
+
+/**
+ * Scorecards for every owner code on either board.
+ * @param options.from / options.to period bounds (YYYY-MM-DD or YYYY-MM)
+ * @param options.links Deal ↔ WO links (linkBoards) — adds won deals with no work order
+ * @param options.today ISO date receivables are aged to
+ */
+export function ownerScorecards(dealsBoard, woBoard, { from, to, links, today } = {}) {
+    const period = normalizePeriod({ from, to });
+    const bounded = !!(period.from || period.to);
+    const inPeriod = (value) => !bounded || inDateRange({ value }, 'value', period.from, period.to);
+    const cards = new Map();
+    const card = (owner) => {
+        const key = owner || NO_OWNER;
+        if (!cards.has(key)) cards.set(key, emptyCard(key));
+        return cards.get(key);
+    };
+
+    if (dealsBoard) {
+        const r = roleColumns(dealsBoard.schema);
+        const cycles = new Map();
+        const linkedDeals = links ? new Set(links.links.map(l => l.deal_id)) : null;
+        dealsBoard.data.forEach(row => {
+            const c = card(row[r.owner]).deals;
+            const value = toNumber(row[r.deal_value]);
+            const status = row[r.deal_status];
+            if (inPeriod(row[r.created_date])) {
+                c.created++;
+                c.created_value += value;
+            }
+            if (status === 'Open') {
+                c.open++;
+                c.open_value += value;
+                return;
+            }
+            if (status !== 'Won' && status !== 'Dead') return;
+            const closed = row[r.close_date] || row[r.tentative_close_date];
+            if (!inPeriod(closed)) return;
+            if (status === 'Dead') return c.dead++;
+            c.won++;
+            c.won_value += value;
+            if (linkedDeals && !linkedDeals.has(row._id)) c.won_without_work_order = (c.won_without_work_order || 0) + 1;
+            const days = row[r.created_date] && closed ? Math.floor((Date.parse(closed) - Date.parse(row[r.created_date])) / DAY_MS) : -1;
+            if (days >= 0) {
+                const key = row[r.owner] || NO_OWNER;
+                if (!cycles.has(key)) cycles.set(key, []);
+                cycles.get(key).push(days);
+            }
+        });
+
+        // Weighted open pipeline from the forecast, per owner
+        if (r.owner) {
+            try {
+                forecastPipeline(dealsBoard, { groupBy: r.owner }).by_group.forEach(g => {
+                    card(g.group === 'Not set' ? null : g.group).deals.weighted_open_value = g.weighted;
+                });
+            } catch {
+                // No status / value mapping — the weighted pipeline stays 0
+            }
+        }
+        cards.forEach((c, owner) => {
+            const d = c.deals;
+            d.win_rate = d.won + d.dead ? Math.round((d.won / (d.won + d.dead)) * 1000) / 10 : null;
+            d.avg_won_value = d.won ? Math.round(d.won_value / d.won) : null;
+            d.median_cycle_days = median(cycles.get(owner) || []);
+            if (linkedDeals && d.won_without_work_order === null) d.won_without_work_order = 0;
+        });
+    }
+
+    if (woBoard) {
+        const r = roleColumns(woBoard.schema);
+        const inScope = new Set();
+        woBoard.data.forEach(row => {
+            if (!inPeriod(row[r.po_date])) return;
+            inScope.add(row._id);
+            const c = card(row[r.owner]).work_orders;
+            c.count++;
+            c.order_value += toNumber(row[r.order_value_excl]);
+            c.billed += billedForCollection(row, r);
+            c.collected += toNumber(row[r.collected]);
+            c.receivable += toNumber(row[r.receivable]);
+        });
+        if (r.receivable) {
+            openReceivables(woBoard, today).forEach(i => {
+                if (inScope.has(i._id) && i.bucket === '90+') card(i.owner).work_orders.receivable_over_90_days += i.receivable;
+            });
+        }
+        cards.forEach(c => {
+            const w = c.work_orders;
+            w.collection_rate = collectionRate(w.collected, w.billed);
+        });
+    }
+
+    // Rates are already to one decimal; amounts are whole rupees
+    const roundAmounts = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, typeof v === 'number' && !k.endsWith('rate') ? Math.round(v) : v]));
+    return {
+        period: bounded ? period : 'all time',
+        owners: [...cards.values()].map(c => ({ owner: c.owner, deals: roundAmounts(c.deals), work_orders: roundAmounts(c.work_orders) })),
+    };
+}
+
+/** Value a scorecard is sorted by. */
+export function scorecardMetric(card, sortBy) {
+    if (sortBy === 'win_rate') return card.deals.win_rate ?? -1;
+    if (sortBy === 'open_value') return card.deals.open_value;
+    if (sortBy in card.work_orders) return card.work_orders[sortBy];
+    return card.deals.won_value;
+}
+
+export const SCORECARD_TOOL = {
+    type: 'function',
+    function: {
+        name: 'owner_scorecards',
+        description: 'Per-owner sales scorecards across both boards, matched on owner code (deal Owner code = work order BD/KAM Personnel code): deals created, won and dead, win rate, won value, average won deal, median sales cycle in days, current open and forecast-weighted pipeline, and the owner\'s work orders — order value, billed, collected, receivable (and over 90 days) and collection rate. A period filters deals created, deals closed and work orders by PO date. Values are raw INR.',
+        parameters: {
+            type: 'object',
+            properties: {
+                owner: { type: 'string', description: 'Only this owner code, e.g. OWNER_003' },
+                from: { type: 'string', description: 'Period start YYYY-MM-DD or YYYY-MM' },
+                to: { type: 'string', description: 'Period end YYYY-MM-DD or YYYY-MM' },
+                sort_by: { type: 'string', enum: Object.keys(SCORECARD_SORTS) },
+                limit: { type: 'integer', description: 'Max owners returned (default all)' },
+            },
+        },
+    },
+};
+
+/** Runs the scorecard tool; returns `{ error }` instead of throwing, like executeTool. */
+export function executeScorecardTool(args, boards, links) {
+    if (!boards.deals && !boards.work_orders) return { error: 'Neither a deals nor a work orders board is loaded' };
+    try {
+        const result = ownerScorecards(boards.deals, boards.work_orders, { from: args.from, to: args.to, links });
+        let owners = result.owners;
+        if (args.owner) {
+            owners = owners.filter(c => c.owner.toLowerCase() === String(args.owner).trim().toLowerCase());
+            if (!owners.length) return { error: `No owner "${args.owner}". Owners: ${result.owners.map(c => c.owner).join(', ')}` };
+        }
+        owners = [...owners].sort((a, b) => scorecardMetric(b, args.sort_by) - scorecardMetric(a, args.sort_by));
+        return { ...result, owners: args.limit ? owners.slice(0, args.limit) : owners };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * Snapshot — identifies which board data an answer was computed against.
+ */
+
+/**
+ * @param boards loaded boards [{ key, id, cleaned }] — id is the Monday board id (or file:<slot>)
+ */
+export function describeSnapshot(s, boards, syncedAt) {
+    return {
+        source: s.dataSource === 'file' ? 'file' : 'monday',
+        loadedAt: syncedAt || new Date().toISOString(),
+        boards: boards.map(b => ({
+            key: b.key,
+            boardId: s.dataSource === 'file' ? null : b.id,
+            name: b.cleaned.boardName,
+            rows: b.cleaned.stats.cleanedRows,
+        })),
+    };
+}
+
+export function formatSnapshot(snap) {
+    if (!snap) return 'unknown data';
+    // Threads saved before multi-board support recorded just deals + work orders
+    const boards = snap.boards || [snap.deals, snap.workOrders].filter(Boolean);
+    return `${boards.map(b => `${b.name} (${b.rows})`).join(' + ')}, loaded ${new Date(snap.loadedAt).toLocaleString()}`;
+}
+
+/** Human-friendly age of an ISO timestamp, e.g. "just now", "12 min ago", "3 h ago". */
+export function formatAge(iso, now = Date.now()) {
+    if (!iso) return 'never';
+    const mins = Math.floor((now - Date.parse(iso)) / 60000);
+    if (mins < 1) return 'just now';
+    if (mins < 60) return `${mins} min ago`;
+    const hours = Math.floor(mins / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.floor(hours / 24)} d ago`;
+}
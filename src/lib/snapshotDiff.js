@@ -0,0 +1,255 @@
+/**
+ * Snapshot Diff — compares two dated snapshots of the cleaned boards and
+ * reports what moved: stage / status changes, new, won, lost and removed
+ * deals, deal value changes, and work orders whose billed or collected
+ * amounts changed. Also reduces a snapshot to the headline metrics used
+ * for trends.
+ */
+
+import { roleColumns } from './schema';
+
+const DEFAULT_LIMIT = 25;
+
+function toNumber(v) {
+    const n = parseFloat(v);
+    return isNaN(n) ? 0 : n;
+}
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function isStatus(value, ...names) {
+    const v = String(value || '').trim().toLowerCase();
+    return names.some(n => v === n);
+}
+
+/** Deal / work order columns the diff and metrics read, from the board's schema mapping. */
+export function snapshotColumns(schema) {
+    const roles = roleColumns(schema);
+    return {
+        stage: roles.deal_stage || null,
+        status: roles.deal_status || null,
+        value: roles.deal_value || null,
+        execution: roles.execution_status || null,
+        orderValue: roles.order_value_excl || null,
+        billed: roles.billed_excl || null,
+        collected: roles.collected || null,
+        receivable: roles.receivable || null,
+    };
+}
+
+function rowContent(row) {
+    return JSON.stringify(Object.entries(row).filter(([k]) => !k.startsWith('_')));
+}
+
+/**
+ * Pairs rows of two snapshots. Monday item ids are stable across snapshots;
+ * rows imported from files are numbered by position and deal names repeat,
+ * so those are grouped by name, identical rows are paired first and the
+ * rest of each group in order.
+ */
+function pairRows(before, after, byName) {
+    const added = [];
+    const removed = [];
+    const both = [];
+
+    if (!byName) {
+        const old = new Map(before.map(r => [r._id, r]));
+        const ids = new Set(after.map(r => r._id));
+        after.forEach(row => (old.has(row._id) ? both.push([old.get(row._id), row]) : added.push(row)));
+        before.forEach(row => { if (!ids.has(row._id)) removed.push(row); });
+        return { added, removed, both };
+    }
+
+    const groupByName = rows => rows.reduce((groups, row) => {
+        const key = String(row._name || '').trim().toLowerCase();
+        (groups.get(key) || groups.set(key, []).get(key)).push(row);
+        return groups;
+    }, new Map());
+    const oldGroups = groupByName(before);
+    groupByName(after).forEach((rows, name) => {
+        const pool = oldGroups.get(name) || [];
+        oldGroups.delete(name);
+        const unmatched = [];
+        rows.forEach(row => {
+            const i = pool.findIndex(r => rowContent(r) === rowContent(row));
+            if (i >= 0) both.push([pool.splice(i, 1)[0], row]);
+            else unmatched.push(row);
+        });
+        unmatched.forEach(row => (pool.length ? both.push([pool.shift(), row]) : added.push(row)));
+        removed.push(...pool);
+    });
+    oldGroups.forEach(rows => removed.push(...rows));
+    return { added, removed, both };
+}
+
+function byAbsDelta(a, b) {
+    return Math.abs(b.delta) - Math.abs(a.delta);
+}
+
+/**
+ * Deal-level changes between two row sets of the Deals board.
+ * @param options.schema the Deals board schema (column roles)
+ * @param options.byName match rows by name (file imports) instead of item id
+ * @param options.limit max entries per list; summary counts are never truncated
+ */
+export function diffDeals(before, after, { schema, byName = false, limit = DEFAULT_LIMIT } = {}) {
+    const cols = snapshotColumns(schema);
+    const { added, removed, both } = pairRows(before, after, byName);
+    const describe = row => ({
+        id: row._id,
+        name: row._name,
+        stage: cols.stage ? row[cols.stage] ?? null : null,
+        status: cols.status ? row[cols.status] ?? null : null,
+        value: cols.value ? toNumber(row[cols.value]) : null,
+    });
+
+    const stageChanges = [];
+    const statusChanges = [];
+    const valueChanges = [];
+    both.forEach(([was, now]) => {
+        const base = { id: now._id, name: now._name };
+        if (cols.stage && (was[cols.stage] ?? null) !== (now[cols.stage] ?? null)) {
+            stageChanges.push({ ...base, from: was[cols.stage] ?? null, to: now[cols.stage] ?? null, value: toNumber(now[cols.value]) });
+        }
+        if (cols.status && (was[cols.status] ?? null) !== (now[cols.status] ?? null)) {
+            statusChanges.push({ ...base, from: was[cols.status] ?? null, to: now[cols.status] ?? null, value: toNumber(now[cols.value]) });
+        }
+        if (cols.value) {
+            const from = toNumber(was[cols.value]);
+            const to = toNumber(now[cols.value]);
+            if (from !== to) valueChanges.push({ ...base, from, to, delta: round(to - from) });
+        }
+    });
+
+    const won = statusChanges.filter(c => isStatus(c.to, 'won'));
+    const lost = statusChanges.filter(c => isStatus(c.to, 'dead', 'lost'));
+    const openValue = rows => rows
+        .filter(r => isStatus(r[cols.status], 'open'))
+        .reduce((s, r) => s + toNumber(r[cols.value]), 0);
+    valueChanges.sort(byAbsDelta);
+
+    return {
+        summary: {
+            deals_before: before.length,
+            deals_after: after.length,
+            new: added.length,
+            removed: removed.length,
+            stage_changes: stageChanges.length,
+            status_changes: statusChanges.length,
+            won: won.length,
+            won_value: round(won.reduce((s, c) => s + c.value, 0)),
+            lost: lost.length,
+            lost_value: round(lost.reduce((s, c) => s + c.value, 0)),
+            value_changes: valueChanges.length,
+            open_pipeline_before: cols.status ? round(openValue(before)) : null,
+            open_pipeline_after: cols.status ? round(openValue(after)) : null,
+        },
+        new_deals: added.slice(0, limit).map(describe),
+        removed_deals: removed.slice(0, limit).map(describe),
+        won_deals: won.slice(0, limit),
+        lost_deals: lost.slice(0, limit),
+        stage_changes: stageChanges.slice(0, limit),
+        status_changes: statusChanges.slice(0, limit),
+        value_changes: valueChanges.slice(0, limit),
+    };
+}
+
+/** Work-order-level changes: billed / collected movements, execution status, new and removed WOs. */
+export function diffWorkOrders(before, after, { schema, byName = false, limit = DEFAULT_LIMIT } = {}) {
+    const cols = snapshotColumns(schema);
+    const { added, removed, both } = pairRows(before, after, byName);
+    const describe = row => ({
+        id: row._id,
+        name: row._name,
+        execution_status: cols.execution ? row[cols.execution] ?? null : null,
+        order_value: toNumber(row[cols.orderValue]),
+        billed: toNumber(row[cols.billed]),
+        collected: toNumber(row[cols.collected]),
+    });
+
+    const moneyChanges = [];
+    const statusChanges = [];
+    both.forEach(([was, now]) => {
+        const billedFrom = toNumber(was[cols.billed]);
+        const billedTo = toNumber(now[cols.billed]);
+        const collectedFrom = toNumber(was[cols.collected]);
+        const collectedTo = toNumber(now[cols.collected]);
+        if ((cols.billed && billedFrom !== billedTo) || (cols.collected && collectedFrom !== collectedTo)) {
+            const billedDelta = round(billedTo - billedFrom);
+            const collectedDelta = round(collectedTo - collectedFrom);
+            moneyChanges.push({
+                id: now._id,
+                name: now._name,
+                billed_from: billedFrom,
+                billed_to: billedTo,
+                billed_delta: billedDelta,
+                collected_from: collectedFrom,
+                collected_to: collectedTo,
+                collected_delta: collectedDelta,
+                delta: Math.abs(billedDelta) + Math.abs(collectedDelta),
+            });
+        }
+        if (cols.execution && (was[cols.execution] ?? null) !== (now[cols.execution] ?? null)) {
+            statusChanges.push({ id: now._id, name: now._name, from: was[cols.execution] ?? null, to: now[cols.execution] ?? null });
+        }
+    });
+    moneyChanges.sort(byAbsDelta);
+
+    return {
+        summary: {
+            work_orders_before: before.length,
+            work_orders_after: after.length,
+            new: added.length,
+            removed: removed.length,
+            billing_or_collection_changes: moneyChanges.length,
+            billed_delta: round(moneyChanges.reduce((s, c) => s + c.billed_delta, 0)),
+            collected_delta: round(moneyChanges.reduce((s, c) => s + c.collected_delta, 0)),
+            execution_status_changes: statusChanges.length,
+        },
+        new_work_orders: added.slice(0, limit).map(describe),
+        removed_work_orders: removed.slice(0, limit).map(describe),
+        billing_changes: moneyChanges.slice(0, limit).map(({ delta, ...c }) => c),
+        execution_status_changes: statusChanges.slice(0, limit),
+    };
+}
+
+/** Headline numbers for one snapshot (two cleaned boards), stored alongside it for trend queries. */
+export function snapshotMetrics(dealsBoard, woBoard) {
+    const deals = dealsBoard?.data || [];
+    const workOrders = woBoard?.data || [];
+    const d = snapshotColumns(dealsBoard?.schema);
+    const w = snapshotColumns(woBoard?.schema);
+    const sum = (rows, col) => (col ? round(rows.reduce((s, r) => s + toNumber(r[col]), 0)) : null);
+    const withStatus = (...names) => deals.filter(r => isStatus(r[d.status], ...names));
+    const open = withStatus('open');
+
+    const openByStage = {};
+    open.forEach(r => {
+        const stage = r[d.stage] || 'Unknown';
+        openByStage[stage] = openByStage[stage] || { count: 0, value: 0 };
+        openByStage[stage].count++;
+        openByStage[stage].value = round(openByStage[stage].value + toNumber(r[d.value]));
+    });
+
+    return {
+        deals_count: deals.length,
+        open_deals: open.length,
+        open_pipeline_value: sum(open, d.value),
+        won_deals: withStatus('won').length,
+        won_value: sum(withStatus('won'), d.value),
+        dead_deals: withStatus('dead', 'lost').length,
+        open_by_stage: openByStage,
+        work_orders_count: workOrders.length,
+        order_value: sum(workOrders, w.orderValue),
+        billed: sum(workOrders, w.billed),
+        collected: sum(workOrders, w.collected),
+        receivable: sum(workOrders, w.receivable),
+    };
+}
+
+export const TREND_METRICS = [
+    'deals_count', 'open_deals', 'open_pipeline_value', 'won_deals', 'won_value', 'dead_deals',
+    'open_by_stage', 'work_orders_count', 'order_value', 'billed', 'collected', 'receivable',
+];
@@ -0,0 +1,71 @@
+/**
+ * Thread Store — persists conversation threads in IndexedDB so chats survive
+ * refreshes and can be resumed with their agent history intact.
+ *
+ * Thread shape: {
+ *   id, title, createdAt, updatedAt,
+ *   messages,   // rendered chat messages (role, content, charts)
+ *   history,    // BIAgent.conversationHistory
+ *   snapshot,   // which board data the answers were computed against
+ * }
+ */
+
+import { STORES, withStore as withDbStore } from './db';
+
+function withStore(mode, fn) {
+    return withDbStore(STORES.threads, mode, fn);
+}
+
+export function newThreadId() {
+    return `t_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** All threads, most recently updated first. */
+export async function listThreads() {
+    const all = await withStore('readonly', store => store.getAll());
+    return (all || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function getThread(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+/** Merges `patch` into the stored thread, creating it if it does not exist yet. */
+export async function upsertThread(id, patch) {
+    const existing = await getThread(id);
+    const now = new Date().toISOString();
+    const thread = {
+        id,
+        title: 'New thread',
+        createdAt: now,
+        ...existing,
+        ...patch,
+        updatedAt: now,
+    };
+    await withStore('readwrite', store => store.put(thread));
+    return thread;
+}
+
+export function renameThread(id, title) {
+    return upsertThread(id, { title });
+}
+
+export function deleteThread(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+/** Case-insensitive match on the title and message text. */
+export function searchThreads(threads, query) {
+    const q = query.trim().toLowerCase();
+    if (!q) return threads;
+    return threads.filter(t =>
+        t.title.toLowerCase().includes(q) ||
+        t.messages?.some(m => m.content?.toLowerCase().includes(q))
+    );
+}
+
+/** Title from the first user message. */
+export function deriveTitle(messages) {
+    const first = messages.find(m => m.role === 'user')?.content || 'New thread';
+    return first.length > 60 ? first.substring(0, 57) + '…' : first;
+}
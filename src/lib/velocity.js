@@ -0,0 +1,248 @@
+/**
+ * Deal velocity — how long deals sit in the pipeline: the age of open deals,
+ * time-to-close of Won and Dead deals, stale deals per stage and
+ * stage-to-stage conversion. With daily snapshots (lib/history.js) it also
+ * measures true time-in-stage from the dates deals were seen changing stage.
+ */
+
+import { roleColumns } from './schema';
+import { ACTIVE_STAGES, stageLetter, stageReached } from './forecast';
+import { getSnapshot, listSnapshotDates } from './history';
+
+const DAY_MS = 86400000;
+const DEFAULT_STALE_DAYS = 90;
+const DEFAULT_LIMIT = 20;
+
+function daysBetween(from, to) {
+    return Math.floor((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function durationStats(days) {
+    return {
+        deals: days.length,
+        median_days: median(days),
+        avg_days: days.length ? Math.round(days.reduce((s, d) => s + d, 0) / days.length) : null,
+        max_days: days.length ? Math.max(...days) : null,
+    };
+}
+
+/**
+ * Created → close days for deals with `status`. The actual close date is used
+ * when set, otherwise the tentative one (counted as estimated).
+ */
+function timeToClose(rows, roles, status) {
+    const days = [];
+    let estimated = 0;
+    let undated = 0;
+    rows.filter(r => r[roles.deal_status] === status).forEach(r => {
+        const created = r[roles.created_date];
+        const closed = r[roles.close_date] || r[roles.tentative_close_date];
+        const d = created && closed ? daysBetween(created, closed) : null;
+        if (d === null || d < 0) return undated++;
+        if (!r[roles.close_date]) estimated++;
+        days.push(d);
+    });
+    return { ...durationStats(days), estimated_close_dates: estimated, without_usable_dates: undated };
+}
+
+/**
+ * Share of deals reaching each active stage that went on to reach the next.
+ * Reach follows stageReached: Won deals passed every stage, Open and Dead deals
+ * reached the stage they sit in.
+ */
+function stageConversion(rows, roles) {
+    const reached = ACTIVE_STAGES.map(() => 0);
+    rows.forEach(r => {
+        const index = stageReached(r[roles.deal_status], stageLetter(r[roles.deal_stage]));
+        for (let i = 0; i <= index; i++) reached[i]++;
+    });
+    return ACTIVE_STAGES.slice(0, -1).map((letter, i) => ({
+        from: letter,
+        to: ACTIVE_STAGES[i + 1],
+        reached_from: reached[i],
+        reached_to: reached[i + 1],
+        rate: reached[i] ? Math.round((reached[i + 1] / reached[i]) * 1000) / 10 : null,
+    }));
+}
+
+/**
+ * Stage stints reconstructed from snapshots, oldest first, plus today's rows.
+ * A deal is matched by item id (by name for file imports, skipping names that
+ * repeat). A stint starts on the first date a deal is seen in a stage; stints
+ * already running in the first snapshot are left-censored (their start is unknown).
+ */
+function stageStints(observations, stageCol, byName) {
+    const keyOf = (row) => (byName ? row._name : row._id);
+    const current = new Map();
+    const completed = [];
+
+    observations.forEach(({ date, rows }, index) => {
+        const counts = new Map();
+        if (byName) rows.forEach(r => counts.set(r._name, (counts.get(r._name) || 0) + 1));
+        rows.forEach(row => {
+            const key = keyOf(row);
+            if (!key || (byName && counts.get(key) > 1)) return;
+            const stage = row[stageCol] || null;
+            const stint = current.get(key);
+            if (stint && stint.stage === stage) return;
+            if (stint) completed.push({ ...stint, to: date, days: daysBetween(stint.since, date) });
+            current.set(key, { key, stage, since: date, censored: index === 0 });
+        });
+    });
+    return { completed, current };
+}
+
+/**
+ * Time-in-stage from stored snapshots and the current boards. Returns null when
+ * there are no snapshots to compare against.
+ */
+async function timeInStage(dealsBoard, roles, asOf) {
+    const dates = (await listSnapshotDates()).filter(d => d < asOf);
+    if (!dates.length || !roles.deal_stage) return null;
+    const snapshots = [];
+    for (const date of dates) {
+        const snap = await getSnapshot(date);
+        if (snap?.deals?.length) snapshots.push(snap);
+    }
+    if (!snapshots.length) return null;
+    const byName = snapshots.some(s => s.source === 'file');
+    const observations = [
+        ...snapshots.map(s => ({ date: s.date, rows: s.deals })),
+        { date: asOf, rows: dealsBoard.data },
+    ];
+    const { completed, current } = stageStints(observations, roles.deal_stage, byName);
+
+    const known = completed.filter(s => !s.censored && s.stage);
+    return {
+        from: snapshots[0].date,
+        snapshots: snapshots.length,
+        matched_by: byName ? 'name' : 'item id',
+        by_stage: [...new Set(known.map(s => s.stage))].sort().map(stage => ({
+            stage,
+            ...durationStats(known.filter(s => s.stage === stage).map(s => s.days)),
+        })),
+        // Days each deal has been in its current stage, as of asOf
+        current: new Map([...current.values()].map(s => [s.key, { since: s.since, days: daysBetween(s.since, asOf), censored: s.censored }])),
+    };
+}
+
+/**
+ * Velocity metrics for a deals board.
+ * @param options.asOf ISO date ages are measured to (default today)
+ * @param options.staleDays open deals older than this — or longer in their stage when snapshots tell — are stale
+ * @param options.stage only list stale deals in this stage (letter or full name)
+ * @param options.withHistory measure time-in-stage from snapshots
+ */
+export async function dealVelocity(dealsBoard, { asOf, staleDays = DEFAULT_STALE_DAYS, stage, withHistory = true, limit = DEFAULT_LIMIT } = {}) {
+    const today = asOf || new Date().toISOString().substring(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(today)) throw new Error('"as_of" must be a date (YYYY-MM-DD)');
+    const roles = roleColumns(dealsBoard.schema);
+    if (!roles.deal_status || !roles.created_date) {
+        throw new Error('The deals board needs Deal Status and Created Date columns mapped for velocity metrics');
+    }
+    const rows = dealsBoard.data;
+    const history = withHistory ? await timeInStage(dealsBoard, roles, today) : null;
+    const byName = history?.matched_by === 'name';
+
+    const open = rows
+        .filter(r => r[roles.deal_status] === 'Open')
+        .map(r => {
+            const inStage = history?.current.get(byName ? r._name : r._id);
+            return {
+                _id: r._id,
+                _name: r._name,
+                stage: r[roles.deal_stage] || 'No stage',
+                owner: r[roles.owner] ?? null,
+                value: parseFloat(r[roles.deal_value]) || 0,
+                created: r[roles.created_date] || null,
+                age_days: r[roles.created_date] ? daysBetween(r[roles.created_date], today) : null,
+                days_in_stage: inStage ? inStage.days : null,
+                ...(inStage?.censored ? { in_stage_at_least: true } : {}),
+                tentative_close: r[roles.tentative_close_date] || null,
+                close_date_passed: !!r[roles.tentative_close_date] && r[roles.tentative_close_date] < today,
+            };
+        });
+
+    // Time in the current stage when snapshots saw the deal enter it, otherwise age since creation
+    const staleness = (d) => (d.days_in_stage !== null && !d.in_stage_at_least ? d.days_in_stage : d.age_days);
+    const isStale = (d) => staleness(d) !== null && staleness(d) > staleDays;
+
+    const stages = [...new Set(open.map(d => d.stage))].sort();
+    const byStage = stages.map(s => {
+        const deals = open.filter(d => d.stage === s);
+        const ages = deals.map(d => d.age_days).filter(a => a !== null);
+        return {
+            stage: s,
+            deals: deals.length,
+            median_age_days: median(ages),
+            max_age_days: ages.length ? Math.max(...ages) : null,
+            stale: deals.filter(isStale).length,
+            close_date_passed: deals.filter(d => d.close_date_passed).length,
+        };
+    });
+
+    const stageFilter = stage ? String(stage).trim().toLowerCase() : null;
+    const stale = open
+        .filter(isStale)
+        .filter(d => !stageFilter || d.stage.toLowerCase() === stageFilter || stageLetter(d.stage)?.toLowerCase() === stageFilter)
+        .sort((a, b) => staleness(b) - staleness(a));
+
+    const ages = open.map(d => d.age_days).filter(a => a !== null);
+    return {
+        as_of: today,
+        stale_after_days: staleDays,
+        open_deals: { ...durationStats(ages), by_stage: byStage },
+        time_to_close: {
+            won: timeToClose(rows, roles, 'Won'),
+            dead: timeToClose(rows, roles, 'Dead'),
+        },
+        stage_conversion: roles.deal_stage ? stageConversion(rows, roles) : null,
+        stale_deals: {
+            count: stale.length,
+            basis: history ? 'days in current stage (from snapshots), else age since creation' : 'age since creation',
+            deals: stale.slice(0, limit),
+        },
+        time_in_stage: history
+            ? { from: history.from, snapshots: history.snapshots, matched_by: history.matched_by, by_stage: history.by_stage }
+            : { note: 'No snapshots yet — time-in-stage needs the daily history recorded from the first day the boards were loaded' },
+    };
+}
+
+export const VELOCITY_TOOL = {
+    type: 'function',
+    function: {
+        name: 'deal_velocity',
+        description: 'Deal velocity on the deals board: age of open deals (overall and per stage), time-to-close for Won and Dead deals (Created Date → Close Date, falling back to Tentative Close Date), stage-to-stage conversion rates A→H, stale open deals, and true time-in-stage measured from daily snapshots when history exists.',
+        parameters: {
+            type: 'object',
+            properties: {
+                stale_days: { type: 'integer', description: 'Open deals older than this (or longer in their current stage, when snapshots show it) are stale; default 90' },
+                stage: { type: 'string', description: 'Only list stale deals in this stage, e.g. "E" or "E. Proposal/Commercials Sent"' },
+                as_of: { type: 'string', description: 'Date YYYY-MM-DD to measure ages to (default today)' },
+                limit: { type: 'integer', description: 'Max stale deals listed (default 20); the count is complete' },
+            },
+        },
+    },
+};
+
+/** Runs the velocity tool; returns `{ error }` instead of throwing, like executeTool. */
+export async function executeVelocityTool(args, boards) {
+    if (!boards.deals) return { error: 'No deals board is loaded' };
+    try {
+        return await dealVelocity(boards.deals, {
+            asOf: args.as_of,
+            staleDays: args.stale_days || undefined,
+            stage: args.stage,
+            limit: args.limit || undefined,
+        });
+    } catch (err) {
+        return { error: err.message };
+    }
+}
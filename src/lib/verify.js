@@ -0,0 +1,306 @@
+/**
+ * Answer verification — checks the figures an answer quotes (₹ amounts in
+ * K / L / Cr, counts of deals or work orders, percentages) against the
+ * headline aggregates the board summaries are built from (dealsAggregates /
+ * workOrdersAggregates), the data context the model was sent and the tool
+ * results it received.
+ *
+ * A figure is verified when it matches a known number within the precision it
+ * was written with. It is a mismatch only when its clause (or line) names
+ * exactly one aggregate group — a status, sector, stage, owner or probability,
+ * or a work order total such as "collected" — and neither that group nor a
+ * tool result matches it. Figures for slices the aggregates don't cover (open
+ * Mining deals, the top 10 Open deals, deals closed in January) that no tool
+ * returned stay unchecked rather than wrong.
+ */
+
+import { roleColumns } from './schema';
+import { dealsAggregates, formatNum, workOrdersAggregates } from './dataCleaner';
+
+const UNITS = { cr: 1e7, crore: 1e7, crores: 1e7, l: 1e5, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, k: 1e3 };
+const MONEY = /(₹\s?)?(\d{1,3}(?:,\d{2,3})+|\d+)(?:\.(\d+))?(?:\s?(cr|crores?|l|lakhs?|lacs?|k)\b)?/gi;
+const COUNT = /\b(\d{1,3}(?:,\d{3})*|\d+)\s+(?:[a-z-]+\s+)?(deals?|work orders?|wos?|items?|invoices?|leads?|customers?|clients?|accounts?|projects?)\b/gi;
+const PERCENT = /(\d+(?:\.\d+)?)\s?%/g;
+// Clause boundaries within a line: "Win rate is 40% and collection rate 84%" holds two claims
+const CLAUSE_BREAK = /;|\||\.\s|\s+and\s+/g;
+// Figures written this roughly ("₹3 Cr") could match almost any number, so only their own group checks them
+const MAX_POOL_TOLERANCE = 0.05;
+// Lines naming these are about work orders when a label exists on both boards
+const WORK_ORDER_HINT = /work orders?|\bwos?\b|billed|collected|collection|receivable|invoice/i;
+const DEALS_HINT = /\bdeals?\b|pipeline|won\b|dead\b/i;
+// Wording that makes a figure about part of the group it names, so the group's total can't prove it wrong:
+// a selection ("top 10", "5 of"), a period ("in January", "this quarter"), an event ("closed", "created")
+// or a condition ("overdue", "over ₹1 Cr")
+const SELECTION_BEFORE = /\b(top|first|last|bottom|next|largest|biggest|smallest|oldest|newest|latest)\s+$/i;
+const SELECTION_AFTER = /^\s*(of|out of)\b/i;
+const PERIOD = new RegExp([
+    '\\b(january|february|march|april|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)\\b',
+    '\\bq[1-4]\\b', '\\bfy\\s?\\d{2}', '\\b(19|20)\\d{2}\\b',
+    '\\b(this|last|next|past|previous)\\s+(\\d+\\s+)?(days?|weeks?|months?|quarters?|years?)\\b',
+    '\\b(since|during|between|until|ytd|qtd|mtd|yesterday|today)\\b',
+].join('|'), 'i');
+const EVENT = /\b(closed|closing|created|added|signed|converted|moved|slipped|stalled|entered|progressed|dropped|lost|invoiced|delivered|started|booked|raised|received|updated|changed)\b/i;
+const CONDITION = /\b(overdue|stale|stuck|aging|ageing|older|newer|over|above|below|under|more than|less than|at least|at most|without|with no|unbilled|unlinked|high-value|low-value)\b/i;
+
+/** Whole-word, case-insensitive matcher for a group label. */
+function labelPattern(label) {
+    const escaped = label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^A-Za-z0-9_])${escaped}(?=$|[^A-Za-z0-9_])`, 'i');
+}
+
+/**
+ * Numeric figures in `text`: [{ kind, value, tolerance, text, start, end, line, clause, before, after }] —
+ * `clause` is the part of the line around the figure, `before` / `after` the clause either side of it.
+ */
+export function extractClaims(text) {
+    const claims = [];
+    let offset = 0;
+    text.split('\n').forEach(line => {
+        const taken = [];
+        const breaks = [...line.matchAll(CLAUSE_BREAK)].map(m => [m.index, m.index + m[0].length]);
+        const add = (claim, start, length) => {
+            if (taken.some(([s, e]) => start < e && start + length > s)) return;
+            taken.push([start, start + length]);
+            const from = Math.max(0, ...breaks.filter(([, e]) => e <= start).map(([, e]) => e));
+            const to = Math.min(line.length, ...breaks.filter(([s]) => s >= start + length).map(([s]) => s));
+            claims.push({
+                ...claim,
+                text: line.substr(start, length),
+                start: offset + start,
+                end: offset + start + length,
+                line,
+                clause: line.slice(from, to),
+                before: line.slice(from, start),
+                after: line.slice(start + length, to),
+            });
+        };
+        for (const m of line.matchAll(PERCENT)) {
+            const decimals = m[1].split('.')[1]?.length || 0;
+            add({ kind: 'percent', value: parseFloat(m[1]), tolerance: Math.max(0.5 * 10 ** -decimals, 0.1) }, m.index, m[0].length);
+        }
+        for (const m of line.matchAll(MONEY)) {
+            const unit = m[4] ? UNITS[m[4].toLowerCase()] : 1;
+            // Bare numbers are only money with a ₹ sign or a unit
+            if (!m[1] && !m[4]) continue;
+            const decimals = m[3]?.length || 0;
+            const value = parseFloat(`${m[2].replace(/,/g, '')}.${m[3] || 0}`) * unit;
+            add({ kind: 'inr', value, tolerance: 0.5 * 10 ** -decimals * unit }, m.index, m[0].trimEnd().length);
+        }
+        for (const m of line.matchAll(COUNT)) {
+            add({ kind: 'count', value: parseInt(m[1].replace(/,/g, ''), 10), tolerance: 0 }, m.index, m[1].length);
+        }
+        // Bare whole numbers in a markdown table row are counts (deals per sector and the like)
+        if (/^\s*\|/.test(line)) {
+            let cellStart = 0;
+            line.split('|').forEach(cell => {
+                const trimmed = cell.trim();
+                if (/^\d{1,3}(,\d{3})*$|^\d+$/.test(trimmed)) {
+                    add({ kind: 'count', value: parseInt(trimmed.replace(/,/g, ''), 10), tolerance: 0 }, cellStart + cell.indexOf(trimmed), trimmed.length);
+                }
+                cellStart += cell.length + 1;
+            });
+        }
+        offset += line.length + 1;
+    });
+    return claims.sort((a, b) => a.start - b.start);
+}
+
+/** Labelled facts from a group list: its count and value, and its share of the board. */
+function groupFacts(board, dimension, groups, total) {
+    return (groups || []).filter(g => g.label && String(g.label).length > 1).map(g => ({
+        board,
+        dimension,
+        label: String(g.label),
+        pattern: labelPattern(String(g.label).replace(/^[A-Z]\.\s*/, '')),
+        count: [g.count],
+        inr: [g.value, ...(g.collected !== undefined ? [g.collected] : [])],
+        // Shares are known figures, but not flagged when they differ — the percentage may be of something else
+        share: [total.count ? (g.count / total.count) * 100 : null, total.value ? (g.value / total.value) * 100 : null].filter(v => v !== null),
+        percent: [],
+    }));
+}
+
+/**
+ * Everything an answer may legitimately quote: labelled aggregate facts, plus
+ * a pool of `{ kind, value }` numbers from the texts (context, question) and
+ * tool results. Tool numbers have no kind — a count and an amount look alike in JSON.
+ * @param boards cleaned boards keyed by tool board key
+ */
+export function knownFigures(boards, { texts = [], results = [] } = {}) {
+    const facts = [];
+    const deals = boards.deals;
+    if (deals) {
+        const agg = dealsAggregates(deals.data, roleColumns(deals.schema));
+        const total = { count: agg.deals, value: agg.value };
+        facts.push(
+            ...groupFacts('deals', 'status', agg.byStatus, total),
+            ...groupFacts('deals', 'sector', agg.bySector, total),
+            ...groupFacts('deals', 'stage', agg.byStage, total),
+            ...groupFacts('deals', 'owner', agg.byOwner, total),
+            ...groupFacts('deals', 'probability', agg.byProbability, total),
+        );
+        const won = agg.byStatus?.find(g => g.label === 'Won')?.count || 0;
+        const dead = agg.byStatus?.find(g => g.label === 'Dead')?.count || 0;
+        if (won + dead) {
+            facts.push({ board: 'deals', dimension: 'rate', label: 'win rate', pattern: /win rate/i, count: [], inr: [], share: [], percent: [(won / (won + dead)) * 100] });
+        }
+    }
+    const wo = boards.work_orders;
+    if (wo) {
+        const { totals, byExecution, bySector } = workOrdersAggregates(wo.data, roleColumns(wo.schema));
+        const total = { count: totals.work_orders, value: totals.order_value };
+        const totalFact = (label, pattern, values) => ({ board: 'work_orders', dimension: 'total', label, pattern, count: [], inr: [], share: [], percent: [], ...values });
+        facts.push(
+            totalFact('order value', /order value|order book/i, { inr: [totals.order_value] }),
+            totalFact('billed', /\bbilled\b/i, { inr: [totals.billed] }),
+            totalFact('collected', /\bcollected\b|collections\b/i, { inr: [totals.collected] }),
+            totalFact('receivable', /receivable|outstanding/i, { inr: [totals.receivable] }),
+            ...(totals.collection_rate !== null ? [totalFact('collection rate', /collection (rate|efficiency)/i, { percent: [totals.collection_rate] })] : []),
+            ...(totals.billing_rate !== null ? [totalFact('billing rate', /billing rate/i, { percent: [totals.billing_rate] })] : []),
+            ...groupFacts('work_orders', 'execution', byExecution, total),
+            ...groupFacts('work_orders', 'sector', bySector, total),
+        );
+    }
+
+    const pool = [];
+    const add = (kind, values) => values.forEach(value => pool.push({ kind, value }));
+    facts.forEach(f => {
+        add('count', f.count);
+        add('inr', f.inr);
+        add('percent', [...f.share, ...f.percent]);
+    });
+    texts.forEach(text => {
+        extractClaims(text || '').forEach(c => pool.push({ kind: c.kind, value: c.value }));
+        // Raw amounts in row tables; shorter bare numbers are mostly date parts
+        for (const m of String(text || '').matchAll(/\b\d{4,}(?:\.\d+)?\b/g)) pool.push({ kind: 'inr', value: parseFloat(m[0]) });
+    });
+    const walk = (v) => {
+        if (typeof v === 'number') pool.push({ kind: null, value: v, tool: true });
+        else if (Array.isArray(v)) v.forEach(walk);
+        else if (v && typeof v === 'object') Object.values(v).forEach(walk);
+    };
+    results.forEach(walk);
+    return { facts, pool };
+}
+
+function matches(claim, value) {
+    return Math.abs(claim.value - value) <= claim.tolerance + 1e-9 * Math.abs(value);
+}
+
+/**
+ * Facts a claim is unambiguously about — named in its clause, else in its line —
+ * or null when it names none or several.
+ */
+function labelledFacts(claim, facts) {
+    let named = facts.filter(f => f.pattern.test(claim.clause));
+    if (!named.length) named = facts.filter(f => f.pattern.test(claim.line));
+    if (!named.length) return null;
+    // A group named with a total or rate ("Mining billed ₹2 Cr") is a slice no aggregate covers
+    const groups = named.filter(f => f.dimension !== 'total' && f.dimension !== 'rate');
+    if (groups.length && groups.length < named.length) return null;
+    const labels = new Set(named.map(f => f.label.toLowerCase()));
+    const dimensions = new Set(named.map(f => f.dimension));
+    if (labels.size > 1 || dimensions.size > 1) return null;
+    const onWorkOrders = named.filter(f => f.board === 'work_orders');
+    const onDeals = named.filter(f => f.board === 'deals');
+    if (onWorkOrders.length && onDeals.length) {
+        if (WORK_ORDER_HINT.test(claim.line)) return onWorkOrders;
+        if (DEALS_HINT.test(claim.line)) return onDeals;
+    }
+    return named;
+}
+
+/**
+ * Whether a claim is about part of the group it names rather than all of it.
+ * The clause (or line) it was labelled from is checked with the labels taken out,
+ * so a stage such as "H. Work Order Received" doesn't read as an event.
+ */
+function narrowed(claim, facts) {
+    const scope = facts.some(f => f.pattern.test(claim.clause)) ? claim.clause : claim.line;
+    const rest = facts.reduce((text, f) => text.replace(new RegExp(f.pattern.source, 'gi'), ' '), scope);
+    return SELECTION_BEFORE.test(claim.before) || SELECTION_AFTER.test(claim.after)
+        || PERIOD.test(rest) || EVENT.test(rest) || CONDITION.test(rest);
+}
+
+/**
+ * Checks every figure in `answer`.
+ * @param known from knownFigures
+ * @returns { status, claims, verified, mismatches, unchecked } — status is
+ *   'verified' (every figure matched), 'partial', 'mismatch' or 'unchecked' (nothing to match)
+ */
+export function verifyAnswer(answer, known) {
+    const inPool = (claim, from) => from.some(p => (p.kind === null || p.kind === claim.kind) && matches(claim, p.value));
+    const toolNumbers = known.pool.filter(p => p.tool);
+    const claims = extractClaims(answer || '').map(claim => {
+        const precise = claim.kind === 'count' || claim.tolerance <= MAX_POOL_TOLERANCE * claim.value;
+        const labelled = labelledFacts(claim, known.facts);
+        const values = (facts) => facts.flatMap(f => (claim.kind === 'percent' ? [...f.percent, ...f.share] : f[claim.kind]));
+        if (labelled && values(labelled).some(v => matches(claim, v))) {
+            return { ...claim, status: 'verified', label: labelled[0].label };
+        }
+        // Only the group's own count, value or rate can prove a figure wrong. A tool may have computed a
+        // narrower slice, and the context quotes amounts (forecast, aging) for slices too — but its
+        // counts are too small and too many to tell a slice from a typo
+        const slice = inPool(claim, toolNumbers) || (claim.kind !== 'count' && precise && inPool(claim, known.pool));
+        // A figure for part of a group ("top 10 Open deals", "closed 12 in January") only a tool can confirm
+        if (labelled && narrowed(claim, labelled)) return { ...claim, status: slice ? 'verified' : 'unchecked' };
+        const expected = labelled ? labelled.flatMap(f => (claim.kind === 'percent' ? f.percent : f[claim.kind])) : [];
+        if (expected.length) {
+            if (slice) return { ...claim, status: 'verified' };
+            const closest = expected.reduce((a, b) => (Math.abs(b - claim.value) < Math.abs(a - claim.value) ? b : a));
+            return { ...claim, status: 'mismatch', label: labelled[0].label, expected: closest };
+        }
+        return { ...claim, status: precise && inPool(claim, known.pool) ? 'verified' : 'unchecked' };
+    });
+    const count = (status) => claims.filter(c => c.status === status).length;
+    const verified = count('verified');
+    const mismatches = count('mismatch');
+    const unchecked = count('unchecked');
+    let status = 'unchecked';
+    if (mismatches) status = 'mismatch';
+    else if (verified && !unchecked) status = 'verified';
+    else if (verified) status = 'partial';
+    return { status, claims, verified, mismatches, unchecked };
+}
+
+/** A figure the way the answer would write it. */
+export function formatFigure(kind, value) {
+    if (kind === 'inr') return `₹${formatNum(value)}`;
+    if (kind === 'percent') return `${Math.round(value * 10) / 10}%`;
+    return String(Math.round(value));
+}
+
+/** Message asking the model to fix the figures that disagree with the boards. */
+export function correctionPrompt(verification) {
+    const lines = verification.claims
+        .filter(c => c.status === 'mismatch')
+        .map(c => `- "${c.text}" (${c.label}): the boards give ${formatFigure(c.kind, c.expected)}`);
+    return `Some figures in your answer don't match the board data:\n${lines.join('\n')}\n`
+        + 'Recompute them with query_board (or the matching tool) and rewrite the whole answer. '
+        + 'If a figure is for a narrower slice than the label suggests, say which slice it is.';
+}
+
+/** The answer with each mismatched figure followed by what the boards say. */
+export function annotateMismatches(answer, verification) {
+    return verification.claims
+        .filter(c => c.status === 'mismatch')
+        .sort((a, b) => b.end - a.end)
+        .reduce((text, c) => `${text.slice(0, c.end)} ⚠️ *(boards: ${formatFigure(c.kind, c.expected)})*${text.slice(c.end)}`, answer);
+}
+
+/** Verification without the per-figure detail that only matters while checking. */
+export function verificationSummary(verification, extra = {}) {
+    return {
+        status: verification.status,
+        verified: verification.verified,
+        mismatches: verification.mismatches,
+        unchecked: verification.unchecked,
+        figures: verification.claims.map(c => ({
+            text: c.text,
+            status: c.status,
+            ...(c.label ? { label: c.label } : {}),
+            ...(c.status === 'mismatch' ? { expected: formatFigure(c.kind, c.expected) } : {}),
+        })),
+        ...extra,
+    };
+}
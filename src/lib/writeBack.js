@@ -0,0 +1,201 @@
+/**
+ * Write-back — changes the agent proposes to Monday.com items. The model only
+ * proposes; nothing is written until the user confirms the diff in the chat,
+ * and every write attempt (applied or failed) is kept in the write log.
+ *
+ * Proposal shape: {
+ *   id, action: 'set_column' | 'post_update',
+ *   board, boardId, boardName, itemId, itemName,
+ *   column, columnId, columnType, from, to, value,   // set_column
+ *   body,                                            // post_update
+ *   reason, status: 'pending' | 'applied' | 'failed' | 'dismissed', error?
+ * }
+ *
+ * Write log entry: { id, proposalId, at, status: 'applied' | 'failed', error?, ...proposal fields }
+ */
+
+import { STORES, withStore } from './db';
+import { roleDef } from './schema';
+import { parseDate } from './dates';
+
+const ACTIONS = ['set_column', 'post_update'];
+const STATUS_TYPES = ['status', 'color'];
+// Monday column types this feature can write; the rest (formula, mirror, people...) are read-only here
+const WRITABLE_TYPES = [...STATUS_TYPES, 'dropdown', 'text', 'long_text', 'numbers', 'date'];
+const MAX_UPDATE_CHARS = 2000;
+const MAX_LOG_ENTRIES = 500;
+
+export const WRITE_TOOL = {
+    type: 'function',
+    function: {
+        name: 'propose_change',
+        description: 'Propose a change to one Monday.com item: set a column (e.g. Deal Status → "On Hold", AR Priority account) '
+            + 'or post an update on the item. The change is NOT applied — the user reviews a diff and confirms it. '
+            + 'Call once per item and change; only propose changes the user asked for or agreed to.',
+        parameters: {
+            type: 'object',
+            properties: {
+                board: { type: 'string', description: 'Board key' },
+                item: { type: 'string', description: 'Item id, or its exact name' },
+                action: { type: 'string', enum: ACTIONS },
+                column: { type: 'string', description: 'For set_column: column title' },
+                value: { type: 'string', description: 'For set_column: new value — a status label, text, number or YYYY-MM-DD date; empty clears the column' },
+                body: { type: 'string', description: 'For post_update: the update text' },
+                reason: { type: 'string', description: 'One line on why, shown to the user with the diff' },
+            },
+            required: ['board', 'item', 'action', 'reason'],
+        },
+    },
+};
+
+let proposalCount = 0;
+
+function newId(prefix) {
+    proposalCount++;
+    return `${prefix}_${Date.now().toString(36)}_${proposalCount}`;
+}
+
+function findItem(raw, item) {
+    const key = String(item ?? '').trim();
+    const byId = raw.items.find(i => String(i.id) === key);
+    if (byId) return byId;
+    const byName = raw.items.filter(i => (i.name || '').trim().toLowerCase() === key.toLowerCase());
+    if (byName.length > 1) {
+        throw new Error(`${byName.length} items are named "${key}" — pass the item id instead (${byName.map(i => i.id).join(', ')})`);
+    }
+    if (!byName.length) throw new Error(`No item "${key}" on this board — pass an item id or exact name`);
+    return byName[0];
+}
+
+function cellText(item, columnId) {
+    return (item.column_values.find(cv => cv.id === columnId)?.text || '').trim();
+}
+
+/** Known labels of a status/dropdown column: values already on the board plus the role's vocabulary. */
+function knownLabels(target, column) {
+    const labels = new Set(target.raw.items.map(i => cellText(i, column.id)).filter(Boolean));
+    const role = target.schema?.columns[column.title]?.role;
+    roleDef(target.schema?.kind, role)?.values?.forEach(v => labels.add(v));
+    return [...labels];
+}
+
+/**
+ * The JSON value change_column_value expects for a column type.
+ * Returns { value, text } — text is how the value reads in the diff.
+ * @param labels allowed labels for status and dropdown columns
+ * @param dateOrder how to read numeric dates ('dmy' | 'mdy')
+ */
+export function columnValue(column, input, { labels = [], dateOrder = 'dmy' } = {}) {
+    const text = String(input ?? '').trim();
+    if (!text) return { value: column.type === 'text' ? '' : {}, text: '' };
+
+    if (STATUS_TYPES.includes(column.type) || column.type === 'dropdown') {
+        const label = labels.find(l => l.toLowerCase() === text.toLowerCase());
+        if (!label) throw new Error(`"${text}" is not a label of "${column.title}" — use one of: ${labels.join(', ')}`);
+        return { value: column.type === 'dropdown' ? { labels: [label] } : { label }, text: label };
+    }
+    if (column.type === 'numbers') {
+        const n = Number(text.replace(/[,\s₹]/g, ''));
+        if (!Number.isFinite(n)) throw new Error(`"${column.title}" is a number column — "${text}" is not a number`);
+        return { value: String(n), text: String(n) };
+    }
+    if (column.type === 'date') {
+        const parsed = parseDate(text, { order: dateOrder });
+        if (!parsed || parsed.granularity !== 'day') throw new Error(`"${column.title}" needs a full date (YYYY-MM-DD), got "${text}"`);
+        return { value: { date: parsed.value }, text: parsed.value };
+    }
+    if (column.type === 'long_text') return { value: { text }, text };
+    return { value: text, text };
+}
+
+/**
+ * Validates a propose_change call against the raw board and turns it into a
+ * pending proposal. Throws on anything that could not be written.
+ * @param targets board key → { boardId, raw, schema } for boards that accept writes
+ */
+export function buildProposal(args, targets) {
+    const target = targets?.[args.board];
+    if (!target) throw new Error(`Board "${args.board}" does not accept changes (only Monday.com boards do)`);
+    if (!ACTIONS.includes(args.action)) throw new Error(`Unknown action "${args.action}" — use ${ACTIONS.join(' or ')}`);
+    const item = findItem(target.raw, args.item);
+    const base = {
+        id: newId('chg'),
+        action: args.action,
+        board: args.board,
+        boardId: String(target.boardId),
+        boardName: target.raw.name,
+        itemId: String(item.id),
+        itemName: item.name,
+        reason: args.reason || '',
+        status: 'pending',
+    };
+
+    if (args.action === 'post_update') {
+        const body = String(args.body || '').trim();
+        if (!body) throw new Error('post_update needs a body');
+        if (body.length > MAX_UPDATE_CHARS) throw new Error(`Update is too long (${body.length} chars, max ${MAX_UPDATE_CHARS})`);
+        return { ...base, body };
+    }
+
+    const title = String(args.column || '').trim().toLowerCase();
+    const column = target.raw.columns.find(c => c.title.toLowerCase() === title);
+    if (!column) throw new Error(`No column "${args.column}" on ${target.raw.name}`);
+    if (!WRITABLE_TYPES.includes(column.type)) throw new Error(`"${column.title}" is a ${column.type} column and cannot be changed from here`);
+
+    const from = cellText(item, column.id);
+    const { value, text } = columnValue(column, args.value, {
+        labels: knownLabels(target, column),
+        dateOrder: target.schema?.dateOrder === 'mdy' ? 'mdy' : 'dmy',
+    });
+    if (text === from) throw new Error(`"${column.title}" is already "${from}" on ${item.name} — nothing to change`);
+    return { ...base, column: column.title, columnId: column.id, columnType: column.type, from, to: text, value };
+}
+
+/** One-line description of a proposal for the model and the write log. */
+export function describeChange(p) {
+    if (p.action === 'post_update') return `Post update on ${p.itemName} (${p.boardName})`;
+    return `${p.itemName} (${p.boardName}): ${p.column} "${p.from || 'empty'}" → "${p.to || 'empty'}"`;
+}
+
+/** The write log entry for an attempted proposal. */
+export function writeLogEntry(proposal) {
+    const { id, ...fields } = proposal;
+    return { ...fields, id: newId('w'), proposalId: id, at: new Date().toISOString() };
+}
+
+/**
+ * Runs a confirmed proposal through the Monday client and logs the attempt.
+ * Returns the proposal with its new status; failures are returned, not thrown.
+ * @param options.log (entry) → Promise that stores a write log entry; the IndexedDB write log by default
+ */
+export async function applyChange(client, proposal, { log = logWrite } = {}) {
+    let result;
+    try {
+        if (proposal.action === 'post_update') await client.createUpdate(proposal.itemId, proposal.body);
+        else await client.changeColumnValue(proposal.boardId, proposal.itemId, proposal.columnId, proposal.value);
+        result = { ...proposal, status: 'applied', appliedAt: new Date().toISOString() };
+    } catch (err) {
+        result = { ...proposal, status: 'failed', error: err.message };
+    }
+    await log(writeLogEntry(result)).catch(err => console.warn('Could not log write:', err));
+    return result;
+}
+
+/* ---------- Write log (IndexedDB) ---------- */
+
+async function logWrite(entry) {
+    await withStore(STORES.writeLog, 'readwrite', store => store.put(entry));
+    const entries = await listWrites();
+    if (entries.length > MAX_LOG_ENTRIES) {
+        const stale = entries.slice(MAX_LOG_ENTRIES);
+        await withStore(STORES.writeLog, 'readwrite', store => {
+            stale.forEach(e => store.delete(e.id));
+        });
+    }
+}
+
+/** Every logged write attempt, newest first. */
+export async function listWrites() {
+    const all = await withStore(STORES.writeLog, 'readonly', store => store.getAll());
+    return (all || []).sort((a, b) => b.at.localeCompare(a.at));
+}
@@ -0,0 +1,26 @@
+/**
+ * Exported answers carry their citations as numbered sources — the `#cite-n`
+ * anchors only mean something inside the app.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { footnoteCitations, linkCitations } from '../src/lib/citations.js';
+
+const boards = {
+    deals: { data: [{ _id: '101', _name: 'Acme rollout' }, { _id: '102', _name: null }] },
+};
+
+test('citation links become plain numbers with a sources list', () => {
+    const { text, citations } = linkCitations('Acme is the largest deal [[deals:101]], then [[deals:102]].', boards);
+    const href = c => (c.id === '101' ? 'https://acme.monday.com/boards/1/pulses/101' : null);
+    const exported = footnoteCitations(text, citations, href);
+    assert.ok(!exported.includes('#cite-'));
+    assert.match(exported, /largest deal \[1\], then \[2\]\./);
+    assert.match(exported, /^1\. Acme rollout \(deals · item 101\) — <https:\/\/acme\.monday\.com\/boards\/1\/pulses\/101>$/m);
+    assert.match(exported, /^2\. Item 102 \(deals · item 102\)$/m);
+});
+
+test('answers without citations export unchanged', () => {
+    assert.equal(footnoteCitations('No items named.', undefined), 'No items named.');
+});
@@ -0,0 +1,38 @@
+/**
+ * The collection rate is one figure wherever it is reported: the board
+ * summary, the ar_aging tool, owner scorecards and the answer verifier.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseCSV, rowsToBoard } from '../src/lib/fileImport.js';
+import { proposeSchema, roleColumns } from '../src/lib/schema.js';
+import { cleanBoardData, dataToContext, workOrdersAggregates } from '../src/lib/dataCleaner.js';
+import { agingReport, billedForCollection, collectionRate } from '../src/lib/receivables.js';
+import { ownerScorecards } from '../src/lib/scorecards.js';
+import { knownFigures, verifyAnswer } from '../src/lib/verify.js';
+
+const raw = rowsToBoard(parseCSV(fs.readFileSync(new URL('../Work_Order_Tracker_Data.csv', import.meta.url), 'utf8')), 'Work Orders');
+const workOrders = cleanBoardData(raw, proposeSchema(raw, 'work_orders'));
+
+test('summary, AR tool, scorecards and verifier agree on the collection rate', () => {
+    const rate = agingReport(workOrders).collection_rate;
+    assert.equal(typeof rate, 'number');
+    assert.equal(workOrdersAggregates(workOrders.data, roleColumns(workOrders.schema)).totals.collection_rate, rate);
+    assert.match(dataToContext(workOrders), new RegExp(`Collection Rate: ${rate.toFixed(1)}%`));
+
+    const owners = ownerScorecards(null, workOrders).owners.map(o => o.work_orders);
+    const sum = (key) => owners.reduce((s, w) => s + w[key], 0);
+    assert.ok(Math.abs(collectionRate(sum('collected'), sum('billed')) - rate) <= 0.1);
+
+    const v = verifyAnswer(`The collection rate is ${rate}%.`, knownFigures({ work_orders: workOrders }));
+    assert.equal(v.status, 'verified');
+});
+
+test('billed amounts come from one column per board, never excl GST for single rows', () => {
+    const roles = { billed_incl: 'Billed incl', billed_excl: 'Billed excl' };
+    assert.equal(billedForCollection({ 'Billed incl': 118, 'Billed excl': 100 }, roles), 118);
+    assert.equal(billedForCollection({ 'Billed incl': null, 'Billed excl': 100 }, roles), 0);
+    assert.equal(billedForCollection({ 'Billed excl': 100 }, { billed_excl: 'Billed excl' }), 100);
+});
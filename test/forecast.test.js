@@ -0,0 +1,44 @@
+/**
+ * forecast_pipeline on the repo's deals export: a from/to range narrows every
+ * total, not just the dated buckets, and `calibrated` says whether history was used.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseCSV, rowsToBoard } from '../src/lib/fileImport.js';
+import { proposeSchema, roleColumns } from '../src/lib/schema.js';
+import { cleanBoardData } from '../src/lib/dataCleaner.js';
+import { DEFAULT_FORECAST_CONFIG, executeForecastTool, forecastPipeline } from '../src/lib/forecast.js';
+
+const raw = rowsToBoard(parseCSV(fs.readFileSync(new URL('../Deal_funnel_Data.csv', import.meta.url), 'utf8')), 'Deals');
+const deals = cleanBoardData(raw, proposeSchema(raw, 'deals'));
+const forecast = (options) => forecastPipeline(deals, { config: DEFAULT_FORECAST_CONFIG, today: '2026-01-15', ...options });
+
+test('a from/to range limits the totals, top deals and groups to deals closing in it', () => {
+    const all = forecast({});
+    const quarter = forecast({ from: '2026-01', to: '2026-03', groupBy: 'Sector' });
+    assert.ok(quarter.open_deals < all.open_deals);
+    assert.equal(quarter.open_deals + quarter.excluded.outside_range, all.open_deals);
+    assert.equal(quarter.weighted_total, quarter.buckets.reduce((sum, b) => sum + b.weighted, 0));
+    assert.ok(quarter.top_deals.every(d => d.close_date >= '2026-01' && d.close_date < '2026-04'));
+    assert.equal(quarter.by_group.reduce((sum, g) => sum + g.deals, 0), quarter.open_deals);
+    assert.deepEqual(quarter.range, { from: '2026-01', to: '2026-03' });
+});
+
+test('from and to must be YYYY-MM months', () => {
+    assert.throws(() => forecast({ from: '2026-01-15' }), /"from" must be a month/);
+    assert.throws(() => forecast({ to: 'March' }), /"to" must be a month/);
+    assert.throws(() => forecast({ from: '2026-03', to: '2026-01' }), /must not be after/);
+    assert.match(executeForecastTool({ from: '2026-01-15' }, { deals }).error, /YYYY-MM/);
+});
+
+test('calibrated is reported only when closed deals supplied the weights', () => {
+    assert.equal(forecast({}).calibrated, true);
+    const status = roleColumns(deals.schema).deal_status;
+    const openOnly = { ...deals, data: deals.data.filter(r => r[status] === 'Open') };
+    const result = forecastPipeline(openOnly, { config: DEFAULT_FORECAST_CONFIG, today: '2026-01-15' });
+    assert.equal(result.calibration.closed_deals, 0);
+    assert.equal(result.calibrated, false);
+    assert.equal(forecast({ config: { ...DEFAULT_FORECAST_CONFIG, useCalibration: false } }).calibrated, false);
+});
@@ -0,0 +1,238 @@
+/**
+ * MondayClient against the mock GraphQL server (server/mockMonday.js): retries,
+ * rate limits, timeouts, the complexity budget, typed errors and cursor paging.
+ *
+ *   npm test
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockMondayServer } from '../server/mockMonday.js';
+import {
+    MondayClient,
+    MondayApiError,
+    MondayAuthError,
+    MondayRateLimitError,
+    MondayGraphQLError,
+    MondayTimeoutError,
+} from '../src/lib/monday.js';
+
+const BOARD = {
+    id: '1001',
+    name: 'Deals (test)',
+    columns: [{ id: 'status', title: 'Deal Status', type: 'status' }],
+    items: ['Naruto', 'Sasuke', 'Sakura', 'Kakashi', 'Hinata'].map((name, i) => ({
+        id: String(2001 + i),
+        name,
+        updated_at: '2026-01-01T00:00:00Z',
+        column_values: [{ id: 'status', type: 'status', text: 'Open', value: null }],
+    })),
+};
+
+/** Starts a mock server on a free port; `url` is its GraphQL endpoint. */
+async function startMock(options) {
+    const server = createMockMondayServer({ boards: [BOARD], ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, body) => fetch(`${url}${path}`, { method: 'POST', body: JSON.stringify(body) }).then(r => r.json());
+    return {
+        server,
+        url,
+        faults: (list) => post('/faults', list),
+        reset: () => post('/reset', {}),
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+/** Client whose fetch records every request body and response status. */
+function recordingClient(url, options) {
+    const sent = [];
+    const client = new MondayClient('test-token', {
+        apiUrl: url,
+        ...options,
+        fetch: async (input, init) => {
+            const entry = { body: JSON.parse(init.body), status: null };
+            sent.push(entry);
+            const response = await fetch(input, init);
+            entry.status = response.status;
+            return response;
+        },
+    });
+    return { client, sent };
+}
+
+describe('MondayClient retries', () => {
+    let mock;
+    before(async () => { mock = await startMock(); });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    test('retries a 5xx and returns the data', async () => {
+        await mock.faults([{ status: 500 }, { status: 503 }]);
+        const { client, sent } = recordingClient(mock.url);
+        const data = await client.query('{ me { name } }');
+        assert.equal(data.me.name, 'Mock User');
+        assert.deepEqual(sent.map(s => s.status), [500, 503, 200]);
+    });
+
+    test('gives up after maxRetries', async () => {
+        await mock.faults([{ status: 500 }, { status: 500 }, { status: 500 }]);
+        const { client, sent } = recordingClient(mock.url, { maxRetries: 1 });
+        await assert.rejects(client.query('{ me { name } }'), (err) => err instanceof MondayApiError && err.status === 500 && err.retryable);
+        assert.equal(sent.length, 2);
+    });
+
+    test('waits out a 429 Retry-After before retrying', async () => {
+        await mock.faults([{ status: 429, retryAfter: 1 }]);
+        const { client, sent } = recordingClient(mock.url);
+        const started = Date.now();
+        const data = await client.query('{ me { name } }');
+        assert.equal(data.me.name, 'Mock User');
+        assert.ok(Date.now() - started >= 1000, 'retried before Retry-After elapsed');
+        assert.deepEqual(sent.map(s => s.status), [429, 200]);
+    });
+
+    test('fails fast when Retry-After is longer than worth waiting', async () => {
+        await mock.faults([{ status: 429, retryAfter: 3600 }]);
+        const { client, sent } = recordingClient(mock.url);
+        await assert.rejects(client.query('{ me { name } }'), (err) => err instanceof MondayRateLimitError && err.retryAfterMs === 3600000);
+        assert.equal(sent.length, 1);
+    });
+});
+
+describe('MondayClient timeouts', () => {
+    let mock;
+    before(async () => { mock = await startMock(); });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    test('aborts a slow attempt and retries it', async () => {
+        await mock.faults([{ delayMs: 500 }]);
+        const { client, sent } = recordingClient(mock.url, { timeoutMs: 150 });
+        const data = await client.query('{ me { name } }');
+        assert.equal(data.me.name, 'Mock User');
+        assert.equal(sent.length, 2);
+        assert.equal(sent[0].status, null, 'the first attempt should have been aborted');
+    });
+
+    test('throws MondayTimeoutError when every attempt times out', async () => {
+        await mock.faults([{ delayMs: 500 }, { delayMs: 500 }]);
+        const { client, sent } = recordingClient(mock.url, { timeoutMs: 150, maxRetries: 1 });
+        await assert.rejects(client.query('{ me { name } }'), MondayTimeoutError);
+        assert.equal(sent.length, 2);
+    });
+
+    test('does not resend a mutation that timed out', async () => {
+        await mock.faults([{ delayMs: 400 }]);
+        const { client, sent } = recordingClient(mock.url, { timeoutMs: 150 });
+        await assert.rejects(client.changeColumnValue('1001', '2001', 'status', { label: 'Won' }), MondayTimeoutError);
+        assert.equal(sent.length, 1);
+        // The slow request still reaches the server — exactly once
+        await new Promise(resolve => setTimeout(resolve, 400));
+        assert.equal(mock.server.writes.length, 1);
+    });
+
+    test('aborting the signal stops a retry wait', async () => {
+        await mock.faults([{ status: 429, retryAfter: 30 }]);
+        const { client } = recordingClient(mock.url);
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 100);
+        await assert.rejects(client.query('{ me { name } }', {}, { signal: controller.signal }), { name: 'AbortError' });
+    });
+});
+
+describe('MondayClient complexity budget', () => {
+    test('throttles instead of spending past the budget', async () => {
+        // Each page of 2 items costs 100 + 2 × 10 = 120; 300 per second covers two pages
+        const mock = await startMock({ budget: 300, resetSeconds: 1, pageSize: 2 });
+        try {
+            const { client, sent } = recordingClient(mock.url);
+            const started = Date.now();
+            const first = await client.fetchBoardData('1001');
+            const second = await client.fetchBoardData('1001');
+            assert.equal(first.items.length, 5);
+            assert.equal(second.items.length, 5);
+            assert.ok(sent.every(s => s.status === 200), `a request hit the budget: ${sent.map(s => s.status)}`);
+            assert.ok(Date.now() - started >= 900, 'should have waited for the budget window to reset');
+            assert.ok(client.budget && client.budget.remaining >= 0);
+        } finally {
+            await mock.close();
+        }
+    });
+
+    test('retries after COMPLEXITY_BUDGET_EXHAUSTED', async () => {
+        const mock = await startMock({ budget: 150, resetSeconds: 1, pageSize: 2 });
+        try {
+            // The client hasn't seen these queries' costs yet, so the second one runs into the limit
+            const { client, sent } = recordingClient(mock.url);
+            const page = (fields) => `query ($boardId: [ID!], $limit: Int!) { boards(ids: $boardId) { items_page(limit: $limit) { cursor items { ${fields} } } } }`;
+            await client.query(page('id'), { boardId: ['1001'], limit: 2 });
+            const data = await client.query(page('id name'), { boardId: ['1001'], limit: 1 });
+            assert.equal(data.boards[0].items_page.items.length, 1);
+            assert.deepEqual(sent.map(s => s.status), [200, 429, 200]);
+        } finally {
+            await mock.close();
+        }
+    });
+});
+
+describe('MondayClient errors', () => {
+    let mock;
+    before(async () => { mock = await startMock(); });
+    after(() => mock.close());
+    beforeEach(() => mock.reset());
+
+    test('401 is a MondayAuthError and is not retried', async () => {
+        await mock.faults([{ status: 401, message: 'Not Authenticated' }]);
+        const { client, sent } = recordingClient(mock.url);
+        await assert.rejects(client.query('{ me { name } }'), (err) => err instanceof MondayAuthError && err.status === 401 && !err.retryable);
+        assert.equal(sent.length, 1);
+    });
+
+    test('GraphQL errors are a MondayGraphQLError with their code', async () => {
+        await mock.faults([{ errors: [{ message: 'Field "nope" does not exist', extensions: { code: 'undefinedField' } }] }]);
+        const { client, sent } = recordingClient(mock.url);
+        await assert.rejects(client.query('{ me { name } }'), (err) => err instanceof MondayGraphQLError && err.code === 'undefinedField');
+        assert.equal(sent.length, 1);
+    });
+
+    test('an unknown board surfaces the server message', async () => {
+        const { client } = recordingClient(mock.url);
+        await assert.rejects(client.changeColumnValue('9999', '1', 'status', { label: 'Won' }), (err) => err instanceof MondayGraphQLError && /Board 9999 not found/.test(err.message));
+    });
+
+    test('an unreachable server is a retryable network error', async () => {
+        const { client } = recordingClient('http://127.0.0.1:9', { maxRetries: 0 });
+        await assert.rejects(client.query('{ me { name } }'), (err) => err instanceof MondayApiError && err.code === 'NETWORK' && err.retryable);
+    });
+});
+
+describe('MondayClient paging', () => {
+    test('follows cursors with query variables', async () => {
+        const mock = await startMock({ pageSize: 2 });
+        try {
+            const { client, sent } = recordingClient(mock.url);
+            const board = await client.fetchBoardData('1001');
+            assert.deepEqual(board.items.map(i => i.name), ['Naruto', 'Sasuke', 'Sakura', 'Kakashi', 'Hinata']);
+            assert.equal(sent.length, 3);
+            assert.deepEqual(sent[0].body.variables.boardId, ['1001']);
+            assert.deepEqual(sent.slice(1).map(s => s.body.variables.cursor), ['1001:2', '1001:4']);
+            // Values travel as variables, never spliced into the query text
+            assert.ok(sent.every(s => !s.body.query.includes('1001')));
+        } finally {
+            await mock.close();
+        }
+    });
+
+    test('mutations send their values as variables', async () => {
+        const mock = await startMock();
+        try {
+            const { client, sent } = recordingClient(mock.url);
+            await client.changeColumnValue('1001', '2002', 'status', { label: 'Dead "quoted"' });
+            assert.equal(sent[0].body.variables.value, JSON.stringify({ label: 'Dead "quoted"' }));
+            assert.equal(mock.server.writes[0].from, 'Open');
+        } finally {
+            await mock.close();
+        }
+    });
+});
@@ -0,0 +1,231 @@
+/**
+ * Backend proxy (server/proxy.js) against a stub OpenAI-compatible upstream and webhook.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createProxyServer } from '../server/proxy.js';
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+const REPLY = 'Open pipeline is ₹68.82 Cr across 49 deals.';
+
+/** SSE body of a streamed reply, split into words, with a usage chunk when asked for. */
+function sseReply(usage) {
+    const chunks = REPLY.split(/(?= )/).map(word => ({ choices: [{ index: 0, delta: { content: word } }] }));
+    if (usage) chunks.push({ choices: [], usage: { prompt_tokens: 900, completion_tokens: 12, total_tokens: 912 } });
+    return chunks.map(c => `data: ${JSON.stringify(c)}\n\n`).join('') + 'data: [DONE]\n\n';
+}
+
+/**
+ * Stub LLM upstream; `requests` records what the proxy forwarded.
+ * `mode.usage` — send a usage chunk when include_usage is asked for;
+ * `mode.rejectStreamOptions` — answer 400 to requests carrying stream_options, like older servers.
+ */
+function createUpstream(mode) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+            const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            if (req.url === '/v1/models') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ data: [{ id: 'model-a' }, { id: 'model-b' }] }));
+            }
+            if (req.url === '/v1/chat/completions' && body.stream) {
+                if (server.mode.rejectStreamOptions && body.stream_options) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    return res.end(JSON.stringify({ error: { message: 'Unrecognized request argument supplied: stream_options' } }));
+                }
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                return res.end(sseReply(server.mode.usage && body.stream_options?.include_usage));
+            }
+            if (req.url === '/hooks/digest') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                return res.end('ok');
+            }
+            if (req.url === '/hooks/broken') {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                return res.end('stack trace from the webhook host');
+            }
+            res.writeHead(404);
+            res.end();
+        });
+    });
+    server.requests = requests;
+    server.mode = mode;
+    return server;
+}
+
+/** Sends a streamed completion through the proxy and returns the streamed text. */
+async function streamCompletion(url) {
+    const res = await fetch(`${url}/api/llm/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token-a' },
+        body: JSON.stringify({ model: 'model-a', stream: true, messages: [{ role: 'user', content: 'x'.repeat(4000) }] }),
+    });
+    assert.equal(res.status, 200);
+    return res.text();
+}
+
+describe('proxy LLM routes', () => {
+    let upstream;
+    let proxy;
+    let url;
+    before(async () => {
+        upstream = createUpstream({ usage: true });
+        const upstreamUrl = await listen(upstream);
+        proxy = createProxyServer({
+            llmUrl: `${upstreamUrl}/v1/chat/completions`,
+            llmApiKey: 'server-key',
+            users: { 'token-a': 'alice' },
+        });
+        url = await listen(proxy);
+    });
+    after(async () => {
+        await new Promise(resolve => proxy.close(resolve));
+        await new Promise(resolve => upstream.close(resolve));
+    });
+
+    test('GET /api/llm/models lists the upstream models with the server key', async () => {
+        const res = await fetch(`${url}/api/llm/models`, { headers: { Authorization: 'Bearer token-a' } });
+        assert.equal(res.status, 200);
+        assert.deepEqual((await res.json()).data.map(m => m.id), ['model-a', 'model-b']);
+        const forwarded = upstream.requests.at(-1);
+        assert.equal(forwarded.url, '/v1/models');
+        assert.equal(forwarded.headers.authorization, 'Bearer server-key');
+    });
+
+    test('GET /api/llm/models needs an access token', async () => {
+        const res = await fetch(`${url}/api/llm/models`);
+        assert.equal(res.status, 401);
+    });
+
+    test('streamed completions ask for usage and count it against the quota', async () => {
+        upstream.mode = { usage: true };
+        const before = proxy.quota.report('alice').usage.llmTokens;
+        const text = await streamCompletion(url);
+        assert.ok(text.includes('[DONE]'));
+        assert.deepEqual(upstream.requests.at(-1).body.stream_options, { include_usage: true });
+        assert.equal(proxy.quota.report('alice').usage.llmTokens - before, 912);
+    });
+
+    test('streams without a usage chunk are counted from an estimate', async () => {
+        upstream.mode = { usage: false };
+        const before = proxy.quota.report('alice').usage.llmTokens;
+        await streamCompletion(url);
+        const counted = proxy.quota.report('alice').usage.llmTokens - before;
+        // ~4,000 prompt characters and the reply at ~4 characters a token
+        assert.ok(counted >= 1000 && counted < 1200, `counted ${counted}`);
+    });
+
+    test('upstreams that reject stream_options are retried without it', async () => {
+        upstream.mode = { usage: true, rejectStreamOptions: true };
+        const sent = upstream.requests.length;
+        const before = proxy.quota.report('alice').usage.llmTokens;
+        const text = await streamCompletion(url);
+        assert.ok(text.includes('[DONE]'));
+        const forwarded = upstream.requests.slice(sent);
+        assert.equal(forwarded.length, 2);
+        assert.equal(forwarded[1].body.stream_options, undefined);
+        assert.ok(proxy.quota.report('alice').usage.llmTokens > before);
+    });
+});
+
+describe('proxy digest relay', () => {
+    let upstream;
+    let upstreamUrl;
+    let proxy;
+    let url;
+    before(async () => {
+        upstream = createUpstream({});
+        upstreamUrl = await listen(upstream);
+        proxy = createProxyServer({ users: { 'token-a': 'alice' }, webhookHosts: ['127.0.0.1'] });
+        url = await listen(proxy);
+    });
+    after(async () => {
+        await new Promise(resolve => proxy.close(resolve));
+        await new Promise(resolve => upstream.close(resolve));
+    });
+
+    const relay = (webhookUrl, payload) => fetch(`${url}/api/digest`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token-a' },
+        body: JSON.stringify({ webhookUrl, payload }),
+    });
+
+    test('POST /api/digest posts the payload to the webhook as JSON', async () => {
+        const payload = { text: '*Monday BI alerts — 1 new*', alerts: [{ id: 'a1' }] };
+        const res = await relay(`${upstreamUrl}/hooks/digest`, payload);
+        assert.equal(res.status, 200);
+        assert.deepEqual(await res.json(), { ok: true });
+        const forwarded = upstream.requests.at(-1);
+        assert.equal(forwarded.headers['content-type'], 'application/json');
+        assert.deepEqual(forwarded.body, payload);
+        assert.equal(proxy.quota.report('alice').usage.digestRequests, 1);
+    });
+
+    test('webhooks on hosts outside WEBHOOK_HOSTS are refused', async () => {
+        const sent = upstream.requests.length;
+        const res = await relay('https://example.com/hook', { text: 'x' });
+        assert.equal(res.status, 403);
+        assert.equal(upstream.requests.length, sent);
+    });
+
+    test('webhook failures are reported without passing the reply through', async () => {
+        const res = await relay(`${upstreamUrl}/hooks/broken`, { text: 'x' });
+        assert.equal(res.status, 502);
+        assert.deepEqual(await res.json(), { error: { message: 'Webhook returned 500' } });
+    });
+
+    test('the relay is refused while WEBHOOK_HOSTS is unset', async () => {
+        const open = createProxyServer({ users: { 'token-a': 'alice' } });
+        const openUrl = await listen(open);
+        try {
+            const sent = upstream.requests.length;
+            const res = await fetch(`${openUrl}/api/digest`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token-a' },
+                body: JSON.stringify({ webhookUrl: `${upstreamUrl}/hooks/digest`, payload: { text: 'x' } }),
+            });
+            assert.equal(res.status, 403);
+            assert.equal(upstream.requests.length, sent);
+        } finally {
+            await new Promise(resolve => open.close(resolve));
+        }
+    });
+});
+
+describe('proxy access', () => {
+    test('the proxy refuses to start without users unless open access is asked for', () => {
+        assert.throws(() => createProxyServer({}), /PROXY_USERS/);
+    });
+
+    test('open access lets callers in without a token', async () => {
+        const proxy = createProxyServer({ openAccess: true });
+        const url = await listen(proxy);
+        try {
+            const res = await fetch(`${url}/api/quota`);
+            assert.equal(res.status, 200);
+            assert.equal((await res.json()).user, 'anonymous');
+        } finally {
+            await new Promise(resolve => proxy.close(resolve));
+        }
+    });
+
+    test('callers without a valid token are turned away', async () => {
+        const proxy = createProxyServer({ users: { 'token-a': 'alice' } });
+        const url = await listen(proxy);
+        try {
+            assert.equal((await fetch(`${url}/api/quota`)).status, 401);
+            assert.equal((await fetch(`${url}/api/quota`, { headers: { Authorization: 'Bearer nope' } })).status, 401);
+        } finally {
+            await new Promise(resolve => proxy.close(resolve));
+        }
+    });
+});
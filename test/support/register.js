@@ -0,0 +1,10 @@
+/**
+ * Lets node:test import src/lib modules as Vite does: their relative imports
+ * leave out the ".js" extension, which Node's ESM resolver requires.
+ *
+ *   node --import ./test/support/register.js --test test/*.test.js
+ */
+
+import { register } from 'node:module';
+
+register('./resolveHooks.js', import.meta.url);
@@ -0,0 +1,11 @@
+/** Resolve hook (see register.js): retries extensionless relative imports with ".js". */
+export async function resolve(specifier, context, nextResolve) {
+    if (/^\.\.?\//.test(specifier) && !/\.[cm]?[jt]sx?$|\.json$/.test(specifier)) {
+        try {
+            return await nextResolve(`${specifier}.js`, context);
+        } catch {
+            // Not a sibling module — let Node report the original specifier
+        }
+    }
+    return nextResolve(specifier, context);
+}
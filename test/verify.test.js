@@ -0,0 +1,82 @@
+/**
+ * Answer verification (src/lib/verify.js) on the sample Deals and Work Orders
+ * exports: figures for a whole group are checked against it, figures for part
+ * of a group are left unchecked instead of flagged.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseCSV, rowsToBoard } from '../src/lib/fileImport.js';
+import { proposeSchema } from '../src/lib/schema.js';
+import { cleanBoardData } from '../src/lib/dataCleaner.js';
+import { knownFigures, verifyAnswer } from '../src/lib/verify.js';
+
+function loadBoard(file, name, kind) {
+    const raw = rowsToBoard(parseCSV(fs.readFileSync(new URL(`../${file}`, import.meta.url), 'utf8')), name);
+    return cleanBoardData(raw, proposeSchema(raw, kind));
+}
+
+const boards = {
+    deals: loadBoard('Deal_funnel_Data.csv', 'Deals', 'deals'),
+    work_orders: loadBoard('Work_Order_Tracker_Data.csv', 'Work Orders', 'work_orders'),
+};
+const known = knownFigures(boards);
+
+/** Status of each figure in `answer`, as "text:status". */
+function figures(answer, k = known) {
+    return verifyAnswer(answer, k).claims.map(c => `${c.text}:${c.status}`);
+}
+
+describe('whole-group figures', () => {
+    test('a group count that matches is verified', () => {
+        assert.deepEqual(figures('There are 49 Open deals.'), ['49:verified']);
+    });
+
+    test('a group count that differs is a mismatch with the board value', () => {
+        const v = verifyAnswer('There are 52 Open deals.', known);
+        assert.equal(v.status, 'mismatch');
+        assert.equal(v.claims[0].expected, 49);
+    });
+
+    test('an owner total that differs is a mismatch', () => {
+        assert.deepEqual(figures('OWNER_001 owns 80 deals.'), ['80:mismatch']);
+    });
+
+    test('a table row counts against its group', () => {
+        assert.deepEqual(figures('| Mining | 120 |'), ['120:mismatch']);
+    });
+
+    test('a stage label that reads like a verb still names the whole stage', () => {
+        assert.deepEqual(figures('12 deals are at H. Work Order Received'), ['12:mismatch']);
+    });
+});
+
+describe('figures for part of a group', () => {
+    for (const answer of [
+        'Here are the top 10 Open deals by value.',
+        'The first 5 Mining deals are listed below.',
+        'OWNER_001 closed 12 deals in January.',
+        '12 Mining deals were created in 2025.',
+        'Mining deals created this quarter: 7 deals.',
+        'OWNER_001 signed 4 deals last month.',
+        '5 Open deals are stale.',
+        '3 Open deals are over ₹1 Cr.',
+    ]) {
+        test(`"${answer}" is unchecked, not a mismatch`, () => {
+            const v = verifyAnswer(answer, known);
+            assert.equal(v.mismatches, 0, JSON.stringify(v.claims.map(c => [c.text, c.status, c.expected])));
+            assert.ok(v.claims.some(c => c.kind === 'count' && c.status === 'unchecked'));
+        });
+    }
+
+    test('a tool result confirms a narrowed figure', () => {
+        const withTool = knownFigures(boards, { results: [{ rows: [{ count: 12 }] }] });
+        assert.deepEqual(figures('OWNER_001 closed 12 deals in January.', withTool), ['12:verified']);
+    });
+
+    test('the total next to a selection is still checked', () => {
+        const v = verifyAnswer('Showing the top 10 of 52 Open deals.', known);
+        assert.deepEqual(v.claims.map(c => [c.text, c.status]), [['52', 'mismatch']]);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Write-backs against the mock GraphQL server (server/mockMonday.js): proposal
+ * validation, the before → after diff, and the write log entry for applied and
+ * failed writes.
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockMondayServer } from '../server/mockMonday.js';
+import { MondayClient } from '../src/lib/monday.js';
+import { applyChange, buildProposal, describeChange } from '../src/lib/writeBack.js';
+
+const COLUMNS = [
+    { id: 'status', title: 'Deal Status', type: 'status' },
+    { id: 'value', title: 'Masked Deal Value', type: 'numbers' },
+    { id: 'close', title: 'Tentative Close Date', type: 'date' },
+    { id: 'score', title: 'Weighted Value', type: 'formula' },
+];
+
+const BOARD = {
+    id: '1001',
+    name: 'Deals (test)',
+    columns: COLUMNS,
+    items: [
+        ['2001', 'Naruto', ['Open', '450000', '2026-03-31', '315000']],
+        ['2002', 'Sasuke', ['Open', '120000', '2025-11-15', '18000']],
+        ['2003', 'Sakura', ['Won', '900000', '2025-09-01', '900000']],
+        ['2004', 'Kakashi', ['On Hold', '300000', '', '90000']],
+    ].map(([id, name, texts]) => ({
+        id,
+        name,
+        updated_at: '2026-01-01T00:00:00Z',
+        column_values: COLUMNS.map((c, i) => ({ id: c.id, type: c.type, text: texts[i], value: null })),
+    })),
+};
+
+describe('write-backs', () => {
+    let server;
+    let client;
+    let targets;
+    let logged;
+    const log = async (entry) => { logged.push(entry); };
+
+    before(async () => {
+        server = createMockMondayServer({ boards: [BOARD] });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        client = new MondayClient('test-token', { apiUrl: `http://127.0.0.1:${server.address().port}`, maxRetries: 0 });
+    });
+    after(() => new Promise(resolve => server.close(resolve)));
+    beforeEach(async () => {
+        await fetch(`http://127.0.0.1:${server.address().port}/reset`, { method: 'POST', body: '{}' });
+        server.writes.length = 0;
+        targets = { deals: { boardId: BOARD.id, raw: await client.fetchBoardData(BOARD.id) } };
+        logged = [];
+    });
+
+    const propose = (args) => buildProposal({ board: 'deals', reason: 'test', ...args }, targets);
+
+    test('a status change shows the before → after diff and is written once confirmed', async () => {
+        const proposal = propose({ item: 'Sasuke', action: 'set_column', column: 'deal status', value: 'on hold' });
+        assert.equal(proposal.status, 'pending');
+        assert.equal(proposal.itemId, '2002');
+        assert.equal(proposal.from, 'Open');
+        assert.equal(proposal.to, 'On Hold');
+        assert.deepEqual(proposal.value, { label: 'On Hold' });
+        assert.equal(describeChange(proposal), 'Sasuke (Deals (test)): Deal Status "Open" → "On Hold"');
+        assert.equal(server.writes.length, 0);
+
+        const result = await applyChange(client, proposal, { log });
+        assert.equal(result.status, 'applied');
+        assert.equal(server.writes.length, 1);
+        assert.equal(server.writes[0].mutation, 'change_column_value');
+        assert.equal(server.writes[0].from, 'Open');
+        const raw = await client.fetchBoardData(BOARD.id);
+        assert.equal(raw.items.find(i => i.id === '2002').column_values.find(cv => cv.id === 'status').text, 'On Hold');
+
+        assert.equal(logged.length, 1);
+        assert.equal(logged[0].status, 'applied');
+        assert.equal(logged[0].proposalId, proposal.id);
+        assert.notEqual(logged[0].id, proposal.id);
+        assert.equal(logged[0].from, 'Open');
+        assert.equal(logged[0].to, 'On Hold');
+        assert.ok(logged[0].at);
+        assert.equal(logged[0].error, undefined);
+    });
+
+    test('numbers and dates are sent in the shape change_column_value expects', async () => {
+        const amount = propose({ item: '2001', action: 'set_column', column: 'Masked Deal Value', value: '₹5,00,000' });
+        assert.equal(amount.value, '500000');
+        const date = propose({ item: 'Naruto', action: 'set_column', column: 'Tentative Close Date', value: '2026-04-30' });
+        assert.deepEqual(date.value, { date: '2026-04-30' });
+        assert.equal((await applyChange(client, date, { log })).status, 'applied');
+        assert.equal(JSON.parse(server.writes[0].value).date, '2026-04-30');
+    });
+
+    test('updates are posted on the item', async () => {
+        const proposal = propose({ item: 'Kakashi', action: 'post_update', body: 'Parked until the client confirms budget.' });
+        const result = await applyChange(client, proposal, { log });
+        assert.equal(result.status, 'applied');
+        assert.equal(server.writes[0].mutation, 'create_update');
+        assert.equal(server.writes[0].body, 'Parked until the client confirms budget.');
+        assert.equal(logged[0].action, 'post_update');
+    });
+
+    test('proposals that could not be written are rejected before they reach the user', () => {
+        assert.throws(() => propose({ item: 'Itachi', action: 'set_column', column: 'Deal Status', value: 'Won' }), /No item "Itachi"/);
+        assert.throws(() => propose({ item: 'Naruto', action: 'set_column', column: 'Weighted Value', value: '1' }), /formula column and cannot be changed/);
+        assert.throws(() => propose({ item: 'Naruto', action: 'set_column', column: 'Deal Status', value: 'Maybe' }), /"Maybe" is not a label of "Deal Status"/);
+        assert.throws(() => propose({ item: 'Naruto', action: 'set_column', column: 'Deal Status', value: 'Open' }), /already "Open"/);
+        assert.throws(() => propose({ item: 'Naruto', action: 'set_column', column: 'Owner', value: 'x' }), /No column "Owner"/);
+        assert.throws(() => propose({ item: 'Naruto', action: 'set_column', column: 'Tentative Close Date', value: 'Apr 2026' }), /needs a full date/);
+        assert.throws(() => propose({ item: 'Naruto', action: 'archive' }), /Unknown action/);
+        assert.throws(() => propose({ item: 'Naruto', action: 'post_update', body: ' ' }), /needs a body/);
+        assert.throws(() => buildProposal({ board: 'leads', item: 'Naruto', action: 'post_update', body: 'x' }, targets), /does not accept changes/);
+        assert.equal(server.writes.length, 0);
+    });
+
+    test('a rejected write is returned as failed and logged with its error', async () => {
+        const proposal = propose({ item: 'Sasuke', action: 'set_column', column: 'Deal Status', value: 'Won' });
+        const result = await applyChange(client, { ...proposal, itemId: '9999' }, { log });
+        assert.equal(result.status, 'failed');
+        assert.match(result.error, /Item 9999 not found/);
+        assert.equal(server.writes.length, 0);
+        assert.equal(logged.length, 1);
+        assert.equal(logged[0].status, 'failed');
+        assert.equal(logged[0].proposalId, proposal.id);
+        assert.match(logged[0].error, /Item 9999 not found/);
+    });
+});
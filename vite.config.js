@@ -4,6 +4,12 @@ import react from '@vitejs/plugin-react';
 export default defineConfig({
   plugins: [react()],
   base: './',
+  server: {
+    // `npm run proxy` — lets proxy mode use a blank (same-origin) proxy URL in dev
+    proxy: {
+      '/api': 'http://localhost:8787',
+    },
+  },
   build: {
     outDir: 'dist',
     sourcemap: false,